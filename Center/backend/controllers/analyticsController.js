@@ -1,4 +1,5 @@
 import { executeQuery } from '../config/database.js';
+import { getSlaPolicies, getOpenOrderSla, getOrdersForSla, evaluateOrderSla } from '../services/slaService.js';
 
 // Get overview analytics data
 export const getOverviewAnalytics = async (req, res) => {
@@ -325,6 +326,77 @@ export const getAIPoweredInsights = async (req, res) => {
     }
 };
 
+// Get SLA compliance: open orders at risk or breached, and completed orders resolved within SLA
+export const getSlaCompliance = async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const config = await getSlaPolicies();
+
+        const openOrders = await getOpenOrderSla(config);
+        const open = { on_track: 0, at_risk: 0, breached: 0, no_policy: 0 };
+        for (const order of openOrders) {
+            open[order.sla.state] += 1;
+        }
+
+        const completedOrders = await getOrdersForSla(
+            "o.status IN ('completed', 'delivered') AND o.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY)",
+            [days]
+        );
+
+        // Resolution compliance per priority over the period
+        const byPriority = {};
+        for (const order of completedOrders) {
+            const { state } = evaluateOrderSla(config, order);
+            if (state === 'no_policy') continue;
+
+            const row = byPriority[order.priority] || (byPriority[order.priority] = { priority: order.priority, completed: 0, within_sla: 0 });
+            row.completed += 1;
+            if (state !== 'breached') row.within_sla += 1;
+        }
+
+        const compliance = ['urgent', 'high', 'medium', 'low']
+            .filter(priority => byPriority[priority])
+            .map(priority => ({
+                ...byPriority[priority],
+                compliance_percent: Math.round(byPriority[priority].within_sla / byPriority[priority].completed * 1000) / 10
+            }));
+
+        const completedTotal = compliance.reduce((sum, row) => sum + row.completed, 0);
+        const withinTotal = compliance.reduce((sum, row) => sum + row.within_sla, 0);
+
+        res.json({
+            success: true,
+            data: {
+                period_days: days,
+                open,
+                compliance,
+                overall_compliance_percent: completedTotal ? Math.round(withinTotal / completedTotal * 1000) / 10 : null,
+                attention: openOrders
+                    .filter(order => order.sla.state === 'at_risk' || order.sla.state === 'breached')
+                    .sort((a, b) => (a.sla.state === b.sla.state ? 0 : a.sla.state === 'breached' ? -1 : 1))
+                    .slice(0, 50)
+                    .map(order => ({
+                        id: order.id,
+                        order_number: order.order_number,
+                        status: order.status,
+                        priority: order.priority,
+                        technician_name: order.technician_name,
+                        status_since: order.status_since || order.created_at,
+                        sla: order.sla
+                    })),
+                policies: config
+            }
+        });
+
+    } catch (error) {
+        console.error('Get SLA compliance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch SLA compliance'
+        });
+    }
+};
+
 // Save analytics data point
 export const saveAnalyticsData = async (req, res) => {
     try {
@@ -0,0 +1,271 @@
+import { body, query, validationResult } from 'express-validator';
+import { executeQuery } from '../config/database.js';
+import {
+    DEFAULT_TIME_SLOTS,
+    parseTimeSlot,
+    normalizeAvailability,
+    getVendorCalendar
+} from '../../../shared/vendorAvailability.mjs';
+
+const MAX_CALENDAR_DAYS = 62;
+
+// Validation rules for updating vendor availability
+export const updateAvailabilityValidation = [
+    body('slots')
+        .isArray({ min: 1, max: 12 })
+        .withMessage('Provide between 1 and 12 time slots'),
+    body('slots.*')
+        .custom(slot => parseTimeSlot(slot) !== null)
+        .withMessage('Each slot must look like "9:00 AM - 11:00 AM"'),
+    body('working_days')
+        .isArray({ min: 1, max: 7 })
+        .withMessage('Select at least one working day'),
+    body('working_days.*')
+        .isInt({ min: 0, max: 6 })
+        .withMessage('Working days must be 0 (Sunday) to 6 (Saturday)'),
+    body('max_pickups_per_slot')
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Pickups per slot must be between 1 and 100'),
+    body('truck_capacity_kg')
+        .isFloat({ min: 1, max: 100000 })
+        .withMessage('Truck capacity must be between 1 and 100000 kg'),
+];
+
+// Validation rules for adding a blackout date
+export const blackoutDateValidation = [
+    body('date')
+        .isISO8601()
+        .withMessage('Date must be in YYYY-MM-DD format'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Reason cannot exceed 255 characters'),
+];
+
+// Validation rules for the utilisation calendar
+export const calendarValidation = [
+    query('from')
+        .isISO8601()
+        .withMessage('From must be in YYYY-MM-DD format'),
+    query('to')
+        .isISO8601()
+        .withMessage('To must be in YYYY-MM-DD format'),
+];
+
+const requireVendor = (req, res) => {
+    if (req.user.role !== 'vendor') {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. Vendor role required.'
+        });
+        return false;
+    }
+    return true;
+};
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+// Get the current vendor's availability settings and upcoming blackout dates
+export const getAvailability = async (req, res) => {
+    try {
+        if (!requireVendor(req, res)) return;
+
+        const availabilityResult = await executeQuery(
+            'SELECT * FROM vendor_availability WHERE vendor_id = ?',
+            [req.user.id]
+        );
+
+        const blackoutResult = await executeQuery(`
+            SELECT id, blackout_date, reason FROM vendor_blackout_dates
+            WHERE vendor_id = ? AND blackout_date >= CURDATE()
+            ORDER BY blackout_date ASC
+        `, [req.user.id]);
+
+        if (!availabilityResult.success || !blackoutResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch availability'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                configured: availabilityResult.data.length > 0,
+                availability: availabilityResult.data.length > 0
+                    ? normalizeAvailability(availabilityResult.data[0])
+                    : { slots: DEFAULT_TIME_SLOTS, working_days: [1, 2, 3, 4, 5, 6], max_pickups_per_slot: 2, truck_capacity_kg: 500 },
+                blackout_dates: blackoutResult.data
+            }
+        });
+
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Create or replace the current vendor's slots and capacity
+export const updateAvailability = async (req, res) => {
+    try {
+        if (!requireVendor(req, res)) return;
+        if (sendValidationErrors(req, res)) return;
+
+        const { slots, working_days, max_pickups_per_slot, truck_capacity_kg } = req.body;
+
+        const result = await executeQuery(`
+            INSERT INTO vendor_availability (vendor_id, slots, working_days, max_pickups_per_slot, truck_capacity_kg)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                slots = VALUES(slots),
+                working_days = VALUES(working_days),
+                max_pickups_per_slot = VALUES(max_pickups_per_slot),
+                truck_capacity_kg = VALUES(truck_capacity_kg)
+        `, [
+            req.user.id,
+            JSON.stringify(slots.map(slot => slot.trim())),
+            JSON.stringify([...new Set(working_days.map(day => parseInt(day)))].sort()),
+            max_pickups_per_slot,
+            truck_capacity_kg
+        ]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update availability'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Availability updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Block a day for the current vendor
+export const addBlackoutDate = async (req, res) => {
+    try {
+        if (!requireVendor(req, res)) return;
+        if (sendValidationErrors(req, res)) return;
+
+        const { date, reason } = req.body;
+
+        const result = await executeQuery(`
+            INSERT INTO vendor_blackout_dates (vendor_id, blackout_date, reason)
+            VALUES (?, ?, ?)
+            ON DUPLICATE KEY UPDATE reason = VALUES(reason)
+        `, [req.user.id, date, reason || null]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to add blackout date'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Blackout date added successfully'
+        });
+
+    } catch (error) {
+        console.error('Add blackout date error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Remove one of the current vendor's blackout dates
+export const removeBlackoutDate = async (req, res) => {
+    try {
+        if (!requireVendor(req, res)) return;
+
+        const result = await executeQuery(
+            'DELETE FROM vendor_blackout_dates WHERE id = ? AND vendor_id = ?',
+            [req.params.blackoutId, req.user.id]
+        );
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove blackout date'
+            });
+        }
+
+        if (result.data.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Blackout date not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Blackout date removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Remove blackout date error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Slot utilisation per day for the current vendor
+export const getAvailabilityCalendar = async (req, res) => {
+    try {
+        if (!requireVendor(req, res)) return;
+        if (sendValidationErrors(req, res)) return;
+
+        const { from, to } = req.query;
+        const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+
+        if (days < 0 || days > MAX_CALENDAR_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range must be between 0 and ${MAX_CALENDAR_DAYS} days`
+            });
+        }
+
+        const calendar = await getVendorCalendar(executeQuery, { vendorId: req.user.id, from, to });
+
+        res.json({
+            success: true,
+            data: calendar
+        });
+
+    } catch (error) {
+        console.error('Get availability calendar error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,361 @@
+import process from 'process';
+import { body, query, validationResult } from 'express-validator';
+import { executeQuery } from '../config/database.js';
+import { returnRepairedDevice } from '../../../shared/repairOrders.mjs';
+
+// Order statuses a customer can no longer change
+const CLOSED_ORDER_STATUSES = ['completed', 'delivered', 'cancelled'];
+
+// Validation rules for looking up an order by number and email
+export const trackOrderValidation = [
+    query('email')
+        .isEmail()
+        .withMessage('Valid email is required'),
+];
+
+// Validation rules for a customer's answer to an approval request
+export const customerResponseValidation = [
+    body('decision')
+        .isIn(['approve', 'decline'])
+        .withMessage('Decision must be approve or decline'),
+    body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Comment must be at most 1000 characters'),
+];
+
+// Validation rules for answering through a tracking link
+export const trackedResponseValidation = [
+    body('email')
+        .isEmail()
+        .withMessage('Valid email is required'),
+    ...customerResponseValidation
+];
+
+// Link a customer can follow without logging in
+export const buildTrackingUrl = (orderNumber, email) =>
+    `${process.env.CLIENT_URL || 'http://localhost:5173'}/track/${encodeURIComponent(orderNumber)}?email=${encodeURIComponent(email)}`;
+
+const ORDER_SELECT = `
+    SELECT
+        o.*,
+        c.user_id as customer_user_id,
+        u.email as customer_email,
+        rc.name as repair_center_name
+    FROM orders o
+    JOIN customers c ON o.customer_id = c.id
+    JOIN users u ON c.user_id = u.id
+    LEFT JOIN repair_centers rc ON o.repair_center_id = rc.id
+`;
+
+// An order looked up by its number and the customer's email (case-insensitive), or null
+const findTrackedOrder = async (orderNumber, email) => {
+    const result = await executeQuery(
+        `${ORDER_SELECT} WHERE o.order_number = ? AND LOWER(u.email) = LOWER(?)`,
+        [orderNumber, email]
+    );
+
+    return result.success && result.data.length > 0 ? result.data[0] : null;
+};
+
+// An order of the logged-in customer, or null
+const findCustomerOrder = async (orderId, userId) => {
+    const result = await executeQuery(
+        `${ORDER_SELECT} WHERE o.id = ? AND c.user_id = ?`,
+        [orderId, userId]
+    );
+
+    return result.success && result.data.length > 0 ? result.data[0] : null;
+};
+
+// What the customer gets to see of an order: no internal IDs, staff names or device links
+const buildTrackingView = async (order) => {
+    const historyResult = await executeQuery(`
+        SELECT new_status, changed_at, notes
+        FROM order_status_history
+        WHERE order_id = ? AND (old_status IS NULL OR old_status <> new_status)
+        ORDER BY changed_at ASC
+    `, [order.id]);
+
+    return {
+        order: {
+            id: order.id,
+            order_number: order.order_number,
+            status: order.status,
+            priority: order.priority,
+            device_type: order.device_type,
+            device_brand: order.device_brand,
+            device_model: order.device_model,
+            issue_description: order.issue_description,
+            estimated_cost: order.estimated_cost,
+            actual_cost: order.actual_cost,
+            estimated_completion: order.estimated_completion,
+            completed_at: order.completed_at,
+            created_at: order.created_at,
+            repair_center_name: order.repair_center_name
+        },
+        timeline: (historyResult.success ? historyResult.data : []).map(entry => ({
+            status: entry.new_status,
+            changed_at: entry.changed_at,
+            notes: entry.notes
+        })),
+        approval: order.customer_approval_status ? {
+            status: order.customer_approval_status,
+            reason: order.customer_approval_reason,
+            note: order.customer_approval_note,
+            requested_at: order.customer_approval_requested_at,
+            responded_at: order.customer_responded_at
+        } : null
+    };
+};
+
+/**
+ * Ask the customer to approve an order before work goes on, after a vendor requested more
+ * information or the estimated cost changed. The customer is notified with a tracking link.
+ */
+export const requestCustomerApproval = async (orderId, { reason, note = null, requestedBy }) => {
+    await executeQuery(`
+        UPDATE orders
+        SET customer_approval_status = 'pending', customer_approval_reason = ?, customer_approval_note = ?,
+            customer_approval_requested_by = ?, customer_approval_requested_at = CURRENT_TIMESTAMP, customer_responded_at = NULL
+        WHERE id = ?
+    `, [reason, note, requestedBy, orderId]);
+
+    const orderResult = await executeQuery(`${ORDER_SELECT} WHERE o.id = ?`, [orderId]);
+    if (!orderResult.success || orderResult.data.length === 0) return;
+
+    const order = orderResult.data[0];
+    await executeQuery(`
+        INSERT INTO notifications (user_id, title, message, type, action_url, related_order_id)
+        VALUES (?, ?, ?, 'warning', ?, ?)
+    `, [
+        order.customer_user_id,
+        `Your approval is needed: ${order.order_number}`,
+        reason === 'estimate_changed'
+            ? `The estimated cost is now ${order.estimated_cost}. Please approve or decline it.`
+            : `The repair center needs more information${note ? `: ${note}` : ''}. Please confirm or decline the repair.`,
+        buildTrackingUrl(order.order_number, order.customer_email),
+        order.id
+    ]);
+};
+
+// Apply the customer's answer; a decline cancels the order. Returns an error response body or null
+const applyCustomerResponse = async (order, { decision, comment }) => {
+    if (order.customer_approval_status !== 'pending') {
+        return { status: 409, message: 'This order is not waiting for your approval' };
+    }
+
+    if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+        return { status: 409, message: `This order is already ${order.status}` };
+    }
+
+    const approved = decision === 'approve';
+    const newStatus = approved ? order.status : 'cancelled';
+    const what = order.customer_approval_reason === 'estimate_changed' ? 'the estimate' : 'the repair';
+
+    // Only the first answer counts, and only while the order is still where the customer saw it
+    const updateResult = await executeQuery(`
+        UPDATE orders
+        SET customer_approval_status = ?, customer_responded_at = CURRENT_TIMESTAMP, status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND customer_approval_status = 'pending' AND status = ?
+    `, [approved ? 'approved' : 'declined', newStatus, order.id, order.status]);
+
+    if (!updateResult.success) {
+        throw new Error('Failed to record customer response');
+    }
+
+    if (updateResult.data.affectedRows === 0) {
+        return { status: 409, message: 'This order changed while you were answering, reload and try again' };
+    }
+
+    await executeQuery(`
+        INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+        VALUES (?, ?, ?, ?, ?)
+    `, [
+        order.id,
+        order.status,
+        newStatus,
+        order.customer_user_id,
+        `Customer ${approved ? 'approved' : 'declined'} ${what}${comment ? `: ${comment}` : ''}`
+    ]);
+
+    if (!approved) {
+        await executeQuery(`
+            UPDATE order_work_sessions
+            SET ended_at = CURRENT_TIMESTAMP, end_action = 'paused'
+            WHERE order_id = ? AND ended_at IS NULL
+        `, [order.id]);
+
+        // A triaged device goes back to its department unrepaired
+        await returnRepairedDevice(executeQuery, { order, status: 'cancelled', performedBy: order.customer_user_id });
+    }
+
+    if (order.customer_approval_requested_by) {
+        await executeQuery(`
+            INSERT INTO notifications (user_id, title, message, type, related_order_id)
+            VALUES (?, ?, ?, ?, ?)
+        `, [
+            order.customer_approval_requested_by,
+            `Customer ${approved ? 'approved' : 'declined'}: ${order.order_number}`,
+            comment || `The customer ${approved ? 'approved' : 'declined'} ${what}.`,
+            approved ? 'success' : 'error',
+            order.id
+        ]);
+    }
+
+    return null;
+};
+
+// Track an order with its number and the customer's email (public)
+export const trackOrder = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const order = await findTrackedOrder(req.params.orderNumber, req.query.email);
+
+        // Same answer for a wrong number and a wrong email so order numbers can't be probed
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'No order found for this order number and email'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await buildTrackingView(order)
+        });
+
+    } catch (error) {
+        console.error('Track order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch order'
+        });
+    }
+};
+
+// Approve or decline through a tracking link (public)
+export const respondToTrackedOrder = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const order = await findTrackedOrder(req.params.orderNumber, req.body.email);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'No order found for this order number and email'
+            });
+        }
+
+        const failure = await applyCustomerResponse(order, req.body);
+        if (failure) {
+            return res.status(failure.status).json({
+                success: false,
+                message: failure.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: req.body.decision === 'approve' ? 'Thank you, the repair center has been told' : 'The order has been cancelled',
+            data: await buildTrackingView(await findTrackedOrder(order.order_number, order.customer_email))
+        });
+
+    } catch (error) {
+        console.error('Tracked order response error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record your response'
+        });
+    }
+};
+
+// Get the tracking view of one of the logged-in customer's orders
+export const getCustomerOrderTracking = async (req, res) => {
+    try {
+        const order = await findCustomerOrder(req.params.orderId, req.user.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...(await buildTrackingView(order)),
+                tracking_url: buildTrackingUrl(order.order_number, order.customer_email)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get customer order tracking error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch order'
+        });
+    }
+};
+
+// Approve or decline one of the logged-in customer's orders
+export const respondToCustomerOrder = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const order = await findCustomerOrder(req.params.orderId, req.user.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const failure = await applyCustomerResponse(order, req.body);
+        if (failure) {
+            return res.status(failure.status).json({
+                success: false,
+                message: failure.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: req.body.decision === 'approve' ? 'Thank you, the repair center has been told' : 'The order has been cancelled',
+            data: await buildTrackingView(await findCustomerOrder(order.id, req.user.id))
+        });
+
+    } catch (error) {
+        console.error('Customer order response error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record your response'
+        });
+    }
+};
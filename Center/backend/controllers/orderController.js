@@ -1,5 +1,7 @@
 import { body, validationResult } from 'express-validator';
 import { executeQuery, executeTransaction } from '../config/database.js';
+import { insertOrder, returnRepairedDevice } from '../../../shared/repairOrders.mjs';
+import { requestCustomerApproval, buildTrackingUrl } from './customerPortalController.js';
 
 // Validation rules for creating orders
 export const createOrderValidation = [
@@ -34,6 +36,10 @@ export const updateOrderValidation = [
         .optional()
         .isInt({ min: 1 })
         .withMessage('Invalid technician ID'),
+    body('waiting_part_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Invalid part ID'),
     body('estimated_cost')
         .optional()
         .isDecimal({ decimal_digits: '0,2' })
@@ -44,13 +50,6 @@ export const updateOrderValidation = [
         .withMessage('Invalid actual cost format'),
 ];
 
-// Generate unique order number
-const generateOrderNumber = () => {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `ORD${timestamp}${random}`;
-};
-
 // Create new order
 export const createOrder = async (req, res) => {
     try {
@@ -78,7 +77,7 @@ export const createOrder = async (req, res) => {
 
         // Verify customer exists
         const customerResult = await executeQuery(
-            'SELECT id FROM customers WHERE id = ?',
+            'SELECT c.id, u.email FROM customers c LEFT JOIN users u ON c.user_id = u.id WHERE c.id = ?',
             [customer_id]
         );
 
@@ -89,46 +88,36 @@ export const createOrder = async (req, res) => {
             });
         }
 
-        // Generate order number
-        const orderNumber = generateOrderNumber();
-
-        // Create order
-        const result = await executeQuery(`
-            INSERT INTO orders (
-                order_number, customer_id, repair_center_id, device_type, 
-                device_brand, device_model, issue_description, priority, 
-                estimated_cost, notes, status
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
-        `, [
-            orderNumber, customer_id, repair_center_id, device_type,
-            device_brand, device_model, issue_description, priority,
-            estimated_cost, notes
-        ]);
+        // Create order with its status history entry (shared with the WMS4 repair triage)
+        const order = await insertOrder(executeQuery, {
+            customerId: customer_id,
+            repairCenterId: repair_center_id,
+            deviceType: device_type,
+            deviceBrand: device_brand,
+            deviceModel: device_model,
+            issueDescription: issue_description,
+            priority,
+            estimatedCost: estimated_cost,
+            notes
+        }, req.user.id);
 
-        if (!result.success) {
+        if (!order) {
             return res.status(500).json({
                 success: false,
                 message: 'Failed to create order'
             });
         }
 
-        const orderId = result.data.insertId;
-
-        // Create status history entry
-        await executeQuery(`
-            INSERT INTO order_status_history (order_id, new_status, changed_by, notes)
-            VALUES (?, 'pending', ?, 'Order created')
-        `, [orderId, req.user.id]);
-
         res.status(201).json({
             success: true,
             message: 'Order created successfully',
             data: {
                 order: {
-                    id: orderId,
-                    order_number: orderNumber,
+                    ...order,
                     status: 'pending'
-                }
+                },
+                // Link for the customer to follow the repair without logging in
+                tracking_url: customerResult.data[0].email ? buildTrackingUrl(order.order_number, customerResult.data[0].email) : null
             }
         });
 
@@ -219,12 +208,15 @@ export const getOrders = async (req, res) => {
                 u.phone as customer_phone,
                 c.customer_code,
                 tech.name as technician_name,
-                rc.name as repair_center_name
+                rc.name as repair_center_name,
+                wp.sku as waiting_part_sku,
+                wp.name as waiting_part_name
             FROM orders o
             JOIN customers c ON o.customer_id = c.id
             JOIN users u ON c.user_id = u.id
             LEFT JOIN users tech ON o.assigned_technician_id = tech.id
             LEFT JOIN repair_centers rc ON o.repair_center_id = rc.id
+            LEFT JOIN parts wp ON o.waiting_part_id = wp.id
             WHERE ${whereConditions.join(' AND ')}
             ORDER BY o.created_at DESC
             LIMIT ? OFFSET ?
@@ -281,12 +273,15 @@ export const getOrderById = async (req, res) => {
                 tech.name as technician_name,
                 tech.email as technician_email,
                 rc.name as repair_center_name,
-                rc.phone as repair_center_phone
+                rc.phone as repair_center_phone,
+                wp.sku as waiting_part_sku,
+                wp.name as waiting_part_name
             FROM orders o
             JOIN customers c ON o.customer_id = c.id
             JOIN users u ON c.user_id = u.id
             LEFT JOIN users tech ON o.assigned_technician_id = tech.id
             LEFT JOIN repair_centers rc ON o.repair_center_id = rc.id
+            LEFT JOIN parts wp ON o.waiting_part_id = wp.id
             WHERE o.id = ?
         `;
 
@@ -329,6 +324,20 @@ export const getOrderById = async (req, res) => {
 
         const itemsResult = await executeQuery(itemsQuery, [orderId]);
 
+        // Get spare parts used on the order
+        const partsResult = await executeQuery(`
+            SELECT 
+                op.*,
+                p.sku,
+                p.name as part_name,
+                u.name as consumed_by_name
+            FROM order_parts op
+            JOIN parts p ON op.part_id = p.id
+            LEFT JOIN users u ON op.consumed_by = u.id
+            WHERE op.order_id = ?
+            ORDER BY op.consumed_at ASC
+        `, [orderId]);
+
         // Get status history
         const historyQuery = `
             SELECT 
@@ -347,6 +356,7 @@ export const getOrderById = async (req, res) => {
             data: {
                 order: order,
                 items: itemsResult.success ? itemsResult.data : [],
+                parts: partsResult.success ? partsResult.data : [],
                 status_history: historyResult.success ? historyResult.data : []
             }
         });
@@ -377,6 +387,7 @@ export const updateOrder = async (req, res) => {
         const {
             status,
             assigned_technician_id,
+            waiting_part_id,
             estimated_cost,
             actual_cost,
             estimated_completion,
@@ -385,7 +396,7 @@ export const updateOrder = async (req, res) => {
 
         // Get current order data
         const currentOrderResult = await executeQuery(
-            'SELECT status, assigned_technician_id FROM orders WHERE id = ?',
+            'SELECT id, order_number, status, assigned_technician_id, waiting_part_id, estimated_cost, device_id, disposal_request_id FROM orders WHERE id = ?',
             [orderId]
         );
 
@@ -397,6 +408,27 @@ export const updateOrder = async (req, res) => {
         }
 
         const currentOrder = currentOrderResult.data[0];
+        const nextStatus = status || currentOrder.status;
+
+        // An order waiting for parts must say which part is short
+        let waitingPart = null;
+        if (nextStatus === 'waiting_parts' && (waiting_part_id || !currentOrder.waiting_part_id)) {
+            if (!waiting_part_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'waiting_part_id is required when an order is waiting for parts'
+                });
+            }
+
+            const partResult = await executeQuery('SELECT id, sku, name FROM parts WHERE id = ?', [waiting_part_id]);
+            if (!partResult.success || partResult.data.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Part not found'
+                });
+            }
+            waitingPart = partResult.data[0];
+        }
 
         // Build update query
         const updateFields = [];
@@ -407,6 +439,13 @@ export const updateOrder = async (req, res) => {
             updateValues.push(status);
         }
 
+        if (waitingPart) {
+            updateFields.push('waiting_part_id = ?');
+            updateValues.push(waitingPart.id);
+        } else if (nextStatus !== 'waiting_parts' && currentOrder.waiting_part_id) {
+            updateFields.push('waiting_part_id = NULL');
+        }
+
         if (assigned_technician_id !== undefined) {
             updateFields.push('assigned_technician_id = ?');
             updateValues.push(assigned_technician_id);
@@ -464,7 +503,30 @@ export const updateOrder = async (req, res) => {
             await executeQuery(`
                 INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
                 VALUES (?, ?, ?, ?, ?)
-            `, [orderId, currentOrder.status, status, req.user.id, notes || `Status changed to ${status}`]);
+            `, [
+                orderId,
+                currentOrder.status,
+                status,
+                req.user.id,
+                notes || (waitingPart ? `Waiting for part ${waitingPart.sku} (${waitingPart.name})` : `Status changed to ${status}`)
+            ]);
+
+            // A running work session stops once the order leaves in_progress
+            if (status !== 'in_progress') {
+                await executeQuery(`
+                    UPDATE order_work_sessions
+                    SET ended_at = CURRENT_TIMESTAMP, end_action = ?
+                    WHERE order_id = ? AND ended_at IS NULL
+                `, [status === 'completed' ? 'completed' : 'paused', orderId]);
+            }
+
+            // Devices triaged from a disposal request go back to their department
+            await returnRepairedDevice(executeQuery, { order: currentOrder, status, performedBy: req.user.id });
+        }
+
+        // A new estimate needs the customer's approval
+        if (estimated_cost !== undefined && Number(estimated_cost) !== Number(currentOrder.estimated_cost)) {
+            await requestCustomerApproval(orderId, { reason: 'estimate_changed', note: notes || null, requestedBy: req.user.id });
         }
 
         res.json({
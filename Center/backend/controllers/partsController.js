@@ -0,0 +1,897 @@
+import { body, validationResult } from 'express-validator';
+import { executeQuery } from '../config/database.js';
+
+// devices.disposal_status values of devices the vendor has collected, i.e. available for harvesting
+const HARVESTABLE_DISPOSAL_STATUSES = ['collected', 'in_progress', 'completed'];
+
+// Order statuses after which the parts used on an order are final
+const CLOSED_ORDER_STATUSES = ['completed', 'delivered', 'cancelled'];
+
+// Validation rules for creating parts
+export const createPartValidation = [
+    body('sku')
+        .trim()
+        .isLength({ min: 2, max: 64 })
+        .withMessage('SKU must be between 2 and 64 characters'),
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 255 })
+        .withMessage('Part name must be between 2 and 255 characters'),
+    body('compatible_models')
+        .optional()
+        .isArray()
+        .withMessage('Compatible models must be a list'),
+    body('unit_cost')
+        .optional({ nullable: true })
+        .isDecimal({ decimal_digits: '0,2' })
+        .withMessage('Invalid unit cost format'),
+    body('reorder_threshold')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Reorder threshold must be zero or more'),
+];
+
+// Validation rules for updating parts
+export const updatePartValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 255 })
+        .withMessage('Part name must be between 2 and 255 characters'),
+    body('compatible_models')
+        .optional()
+        .isArray()
+        .withMessage('Compatible models must be a list'),
+    body('unit_cost')
+        .optional({ nullable: true })
+        .isDecimal({ decimal_digits: '0,2' })
+        .withMessage('Invalid unit cost format'),
+    body('reorder_threshold')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Reorder threshold must be zero or more'),
+];
+
+// Validation rules for restocking or correcting stock at a repair center
+export const stockAdjustmentValidation = [
+    body('repair_center_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid repair center ID is required'),
+    body('quantity')
+        .isInt()
+        .custom(value => parseInt(value) !== 0)
+        .withMessage('Quantity must be a non-zero whole number'),
+    body('movement_type')
+        .optional()
+        .isIn(['restock', 'adjustment'])
+        .withMessage('Movement type must be restock or adjustment'),
+    body('reorder_threshold')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .withMessage('Reorder threshold must be zero or more'),
+];
+
+// Validation rules for harvested-part intake
+export const harvestPartsValidation = [
+    body('device_id')
+        .notEmpty()
+        .withMessage('Device ID is required'),
+    body('repair_center_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid repair center ID is required'),
+    body('parts')
+        .isArray({ min: 1 })
+        .withMessage('At least one harvested part is required'),
+    body('parts.*.part_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid part ID is required'),
+    body('parts.*.quantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be at least 1'),
+];
+
+// Validation rules for using a part on an order
+export const orderPartValidation = [
+    body('part_id')
+        .isInt({ min: 1 })
+        .withMessage('Valid part ID is required'),
+    body('quantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be at least 1'),
+    body('repair_center_id')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Invalid repair center ID'),
+];
+
+// compatible_models comes back as a JSON string from some MySQL drivers
+const parseCompatibleModels = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return [];
+    }
+};
+
+// Add (or with a negative quantity, remove) stock and record the movement
+const moveStock = async ({ partId, repairCenterId, quantity, movementType, orderId = null, deviceId = null, notes = null, performedBy }) => {
+    await executeQuery(`
+        INSERT INTO part_stock (part_id, repair_center_id, quantity)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)
+    `, [partId, repairCenterId, quantity]);
+
+    await executeQuery(`
+        INSERT INTO part_stock_movements (part_id, repair_center_id, movement_type, quantity, order_id, device_id, notes, performed_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [partId, repairCenterId, movementType, quantity, orderId, deviceId, notes, performedBy]);
+};
+
+// Stock rows of the given parts with the effective reorder threshold, keyed by part ID
+const getStockByPart = async (partIds) => {
+    const stockByPart = {};
+    if (partIds.length === 0) return stockByPart;
+
+    const stockResult = await executeQuery(`
+        SELECT
+            ps.part_id,
+            ps.repair_center_id,
+            rc.name as repair_center_name,
+            ps.quantity,
+            ps.bin_location,
+            COALESCE(ps.reorder_threshold, p.reorder_threshold) as reorder_threshold
+        FROM part_stock ps
+        JOIN parts p ON ps.part_id = p.id
+        JOIN repair_centers rc ON ps.repair_center_id = rc.id
+        WHERE ps.part_id IN (${partIds.map(() => '?').join(', ')})
+        ORDER BY rc.name ASC
+    `, partIds);
+
+    if (!stockResult.success) return stockByPart;
+
+    for (const row of stockResult.data) {
+        (stockByPart[row.part_id] = stockByPart[row.part_id] || []).push({
+            ...row,
+            low_stock: row.quantity <= row.reorder_threshold
+        });
+    }
+
+    return stockByPart;
+};
+
+// Orders held up in waiting_parts for a part
+const getWaitingOrders = async (partId, repairCenterId = null) => {
+    const result = await executeQuery(`
+        SELECT id, order_number, repair_center_id, priority, device_type, device_brand, device_model, updated_at
+        FROM orders
+        WHERE status = 'waiting_parts' AND waiting_part_id = ?
+            ${repairCenterId ? 'AND (repair_center_id = ? OR repair_center_id IS NULL)' : ''}
+        ORDER BY FIELD(priority, 'urgent', 'high', 'medium', 'low'), updated_at ASC
+    `, repairCenterId ? [partId, repairCenterId] : [partId]);
+
+    return result.success ? result.data : [];
+};
+
+// Create new part
+export const createPart = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            sku,
+            name,
+            category,
+            description,
+            compatible_models = [],
+            unit_cost,
+            reorder_threshold = 0
+        } = req.body;
+
+        const existingPart = await executeQuery('SELECT id FROM parts WHERE sku = ?', [sku]);
+
+        if (existingPart.success && existingPart.data.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'A part with this SKU already exists'
+            });
+        }
+
+        const result = await executeQuery(`
+            INSERT INTO parts (sku, name, category, description, compatible_models, unit_cost, reorder_threshold)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [sku, name, category || null, description || null, JSON.stringify(compatible_models), unit_cost ?? null, reorder_threshold]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to create part'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Part created successfully',
+            data: {
+                part: {
+                    id: result.data.insertId,
+                    sku,
+                    name,
+                    category,
+                    compatible_models,
+                    unit_cost,
+                    reorder_threshold
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Create part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create part'
+        });
+    }
+};
+
+// Get parts with stock per repair center
+export const getParts = async (req, res) => {
+    try {
+        const {
+            search,
+            category,
+            model,
+            repair_center_id,
+            needs_reorder,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        let whereConditions = ['p.is_active = TRUE'];
+        let queryParams = [];
+
+        if (search) {
+            whereConditions.push('(p.sku LIKE ? OR p.name LIKE ? OR p.description LIKE ?)');
+            const searchTerm = `%${search}%`;
+            queryParams.push(searchTerm, searchTerm, searchTerm);
+        }
+
+        if (category) {
+            whereConditions.push('p.category = ?');
+            queryParams.push(category);
+        }
+
+        // Parts that fit a device model, e.g. "Dell Latitude 5490"
+        if (model) {
+            whereConditions.push("JSON_SEARCH(p.compatible_models, 'one', ?) IS NOT NULL");
+            queryParams.push(`%${model}%`);
+        }
+
+        if (repair_center_id) {
+            whereConditions.push('EXISTS (SELECT 1 FROM part_stock ps WHERE ps.part_id = p.id AND ps.repair_center_id = ?)');
+            queryParams.push(repair_center_id);
+        }
+
+        // At or below the reorder threshold somewhere, or holding up an order
+        if (needs_reorder === 'true') {
+            whereConditions.push(`(
+                EXISTS (
+                    SELECT 1 FROM part_stock ps
+                    WHERE ps.part_id = p.id AND ps.quantity <= COALESCE(ps.reorder_threshold, p.reorder_threshold)
+                )
+                OR EXISTS (SELECT 1 FROM orders o WHERE o.waiting_part_id = p.id AND o.status = 'waiting_parts')
+            )`);
+        }
+
+        const offset = (parseInt(page) - 1) * parseInt(limit);
+
+        const countResult = await executeQuery(`
+            SELECT COUNT(*) as total
+            FROM parts p
+            WHERE ${whereConditions.join(' AND ')}
+        `, queryParams);
+        const total = countResult.success ? countResult.data[0].total : 0;
+
+        const partsResult = await executeQuery(`
+            SELECT
+                p.*,
+                (SELECT COUNT(*) FROM orders o WHERE o.waiting_part_id = p.id AND o.status = 'waiting_parts') as waiting_orders
+            FROM parts p
+            WHERE ${whereConditions.join(' AND ')}
+            ORDER BY p.name ASC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        if (!partsResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch parts'
+            });
+        }
+
+        const stockByPart = await getStockByPart(partsResult.data.map(part => part.id));
+
+        const parts = partsResult.data.map(part => {
+            const stock = stockByPart[part.id] || [];
+            return {
+                ...part,
+                compatible_models: parseCompatibleModels(part.compatible_models),
+                stock,
+                total_quantity: stock.reduce((sum, row) => sum + row.quantity, 0),
+                needs_reorder: part.waiting_orders > 0 || stock.some(row => row.low_stock)
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                parts,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: total,
+                    total_pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get parts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch parts'
+        });
+    }
+};
+
+// Get single part with its stock, recent movements and the orders waiting for it
+export const getPartById = async (req, res) => {
+    try {
+        const { partId } = req.params;
+
+        const partResult = await executeQuery('SELECT * FROM parts WHERE id = ?', [partId]);
+
+        if (!partResult.success || partResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Part not found'
+            });
+        }
+
+        const part = partResult.data[0];
+        const stockByPart = await getStockByPart([part.id]);
+
+        const movementsResult = await executeQuery(`
+            SELECT
+                psm.*,
+                rc.name as repair_center_name,
+                o.order_number,
+                u.name as performed_by_name
+            FROM part_stock_movements psm
+            JOIN repair_centers rc ON psm.repair_center_id = rc.id
+            LEFT JOIN orders o ON psm.order_id = o.id
+            LEFT JOIN users u ON psm.performed_by = u.id
+            WHERE psm.part_id = ?
+            ORDER BY psm.created_at DESC
+            LIMIT 50
+        `, [part.id]);
+
+        res.json({
+            success: true,
+            data: {
+                part: {
+                    ...part,
+                    compatible_models: parseCompatibleModels(part.compatible_models)
+                },
+                stock: stockByPart[part.id] || [],
+                movements: movementsResult.success ? movementsResult.data : [],
+                waiting_orders: await getWaitingOrders(part.id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch part'
+        });
+    }
+};
+
+// Update part
+export const updatePart = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { partId } = req.params;
+        const {
+            name,
+            category,
+            description,
+            compatible_models,
+            unit_cost,
+            reorder_threshold,
+            is_active
+        } = req.body;
+
+        const existingPart = await executeQuery('SELECT id FROM parts WHERE id = ?', [partId]);
+
+        if (!existingPart.success || existingPart.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Part not found'
+            });
+        }
+
+        const updateFields = [];
+        const updateValues = [];
+
+        if (name !== undefined) {
+            updateFields.push('name = ?');
+            updateValues.push(name);
+        }
+
+        if (category !== undefined) {
+            updateFields.push('category = ?');
+            updateValues.push(category);
+        }
+
+        if (description !== undefined) {
+            updateFields.push('description = ?');
+            updateValues.push(description);
+        }
+
+        if (compatible_models !== undefined) {
+            updateFields.push('compatible_models = ?');
+            updateValues.push(JSON.stringify(compatible_models));
+        }
+
+        if (unit_cost !== undefined) {
+            updateFields.push('unit_cost = ?');
+            updateValues.push(unit_cost);
+        }
+
+        if (reorder_threshold !== undefined) {
+            updateFields.push('reorder_threshold = ?');
+            updateValues.push(reorder_threshold);
+        }
+
+        if (is_active !== undefined) {
+            updateFields.push('is_active = ?');
+            updateValues.push(Boolean(is_active));
+        }
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No valid fields to update'
+            });
+        }
+
+        updateValues.push(partId);
+
+        const updateResult = await executeQuery(
+            `UPDATE parts SET ${updateFields.join(', ')} WHERE id = ?`,
+            updateValues
+        );
+
+        if (!updateResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update part'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Part updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update part'
+        });
+    }
+};
+
+// Restock or correct the stock of a part at a repair center
+export const adjustPartStock = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { partId } = req.params;
+        const { repair_center_id, movement_type = 'restock', reorder_threshold, bin_location, notes } = req.body;
+        const quantity = parseInt(req.body.quantity);
+
+        if (movement_type === 'restock' && quantity < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Restocks add stock; record removals as an adjustment'
+            });
+        }
+
+        const partResult = await executeQuery('SELECT id, sku FROM parts WHERE id = ?', [partId]);
+        if (!partResult.success || partResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Part not found'
+            });
+        }
+
+        const centerResult = await executeQuery('SELECT id FROM repair_centers WHERE id = ?', [repair_center_id]);
+        if (!centerResult.success || centerResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Repair center not found'
+            });
+        }
+
+        const part = partResult.data[0];
+
+        // Stock can't be corrected below zero
+        if (quantity < 0) {
+            const stockResult = await executeQuery(
+                'SELECT quantity FROM part_stock WHERE part_id = ? AND repair_center_id = ?',
+                [part.id, repair_center_id]
+            );
+            const available = stockResult.success && stockResult.data.length > 0 ? stockResult.data[0].quantity : 0;
+
+            if (available + quantity < 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Only ${available} of ${part.sku} in stock at this repair center`
+                });
+            }
+        }
+
+        await moveStock({
+            partId: part.id,
+            repairCenterId: repair_center_id,
+            quantity,
+            movementType: movement_type,
+            notes: notes || null,
+            performedBy: req.user.id
+        });
+
+        if (reorder_threshold !== undefined || bin_location !== undefined) {
+            await executeQuery(`
+                UPDATE part_stock
+                SET reorder_threshold = COALESCE(?, reorder_threshold), bin_location = COALESCE(?, bin_location)
+                WHERE part_id = ? AND repair_center_id = ?
+            `, [reorder_threshold ?? null, bin_location ?? null, part.id, repair_center_id]);
+        }
+
+        const stockByPart = await getStockByPart([part.id]);
+
+        res.json({
+            success: true,
+            message: 'Stock updated successfully',
+            data: {
+                stock: (stockByPart[part.id] || []).find(row => row.repair_center_id === parseInt(repair_center_id)) || null,
+                // Orders that can resume now that the part is back in stock
+                waiting_orders: quantity > 0 ? await getWaitingOrders(part.id, repair_center_id) : []
+            }
+        });
+
+    } catch (error) {
+        console.error('Adjust part stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update stock'
+        });
+    }
+};
+
+// Take parts pulled from a collected e-waste device into stock
+export const harvestParts = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { device_id, repair_center_id, parts, notes } = req.body;
+
+        const deviceResult = await executeQuery(
+            'SELECT id, device_id, device_name, brand, model, disposal_status FROM devices WHERE id = ? OR device_id = ?',
+            [device_id, device_id]
+        );
+
+        if (!deviceResult.success || deviceResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        const device = deviceResult.data[0];
+
+        if (!HARVESTABLE_DISPOSAL_STATUSES.includes(device.disposal_status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Parts can only be harvested from devices collected for disposal'
+            });
+        }
+
+        const centerResult = await executeQuery('SELECT id FROM repair_centers WHERE id = ?', [repair_center_id]);
+        if (!centerResult.success || centerResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Repair center not found'
+            });
+        }
+
+        const partIds = [...new Set(parts.map(entry => parseInt(entry.part_id)))];
+        const partsResult = await executeQuery(
+            `SELECT id, sku, name FROM parts WHERE is_active = TRUE AND id IN (${partIds.map(() => '?').join(', ')})`,
+            partIds
+        );
+        const partsById = new Map((partsResult.success ? partsResult.data : []).map(part => [part.id, part]));
+
+        const unknownPart = partIds.find(id => !partsById.has(id));
+        if (unknownPart) {
+            return res.status(404).json({
+                success: false,
+                message: `Part ${unknownPart} not found`
+            });
+        }
+
+        const harvested = [];
+        for (const entry of parts) {
+            const part = partsById.get(parseInt(entry.part_id));
+            const quantity = parseInt(entry.quantity) || 1;
+
+            await moveStock({
+                partId: part.id,
+                repairCenterId: repair_center_id,
+                quantity,
+                movementType: 'harvested',
+                deviceId: device.id,
+                notes: notes || `Harvested from ${device.device_id}`,
+                performedBy: req.user.id
+            });
+
+            harvested.push({ part_id: part.id, sku: part.sku, name: part.name, quantity });
+        }
+
+        await executeQuery(`
+            INSERT INTO device_lifecycle_events (
+                device_id, lifecycle_stage, stage_description, stage_status, started_at, completed_at, managed_by
+            ) VALUES (?, 'parts_harvesting', ?, 'completed', NOW(), NOW(), ?)
+        `, [
+            device.id,
+            `Harvested ${harvested.map(entry => `${entry.quantity} x ${entry.sku}`).join(', ')}`,
+            req.user.id
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: `${harvested.reduce((sum, entry) => sum + entry.quantity, 0)} part(s) harvested from ${device.device_id}`,
+            data: {
+                device_id: device.device_id,
+                harvested
+            }
+        });
+
+    } catch (error) {
+        console.error('Harvest parts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record harvested parts'
+        });
+    }
+};
+
+// Use a part on a repair order, taking it out of the repair center's stock
+export const addOrderPart = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { orderId } = req.params;
+        const quantity = parseInt(req.body.quantity) || 1;
+
+        const orderResult = await executeQuery(
+            'SELECT id, order_number, status, repair_center_id, waiting_part_id FROM orders WHERE id = ?',
+            [orderId]
+        );
+
+        if (!orderResult.success || orderResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const order = orderResult.data[0];
+
+        if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Parts can't be added to a ${order.status} order`
+            });
+        }
+
+        const repairCenterId = req.body.repair_center_id || order.repair_center_id;
+        if (!repairCenterId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assign the order to a repair center before using parts'
+            });
+        }
+
+        const partResult = await executeQuery(
+            'SELECT id, sku, name, unit_cost FROM parts WHERE id = ? AND is_active = TRUE',
+            [req.body.part_id]
+        );
+
+        if (!partResult.success || partResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Part not found'
+            });
+        }
+
+        const part = partResult.data[0];
+
+        // Guarded decrement so two technicians can't take the last one
+        const takeResult = await executeQuery(`
+            UPDATE part_stock SET quantity = quantity - ?
+            WHERE part_id = ? AND repair_center_id = ? AND quantity >= ?
+        `, [quantity, part.id, repairCenterId, quantity]);
+
+        if (!takeResult.success || takeResult.data.affectedRows === 0) {
+            const stockResult = await executeQuery(
+                'SELECT quantity FROM part_stock WHERE part_id = ? AND repair_center_id = ?',
+                [part.id, repairCenterId]
+            );
+            const available = stockResult.success && stockResult.data.length > 0 ? stockResult.data[0].quantity : 0;
+
+            return res.status(409).json({
+                success: false,
+                message: `Only ${available} of ${part.sku} in stock. Set the order to waiting_parts for this part to track the shortage.`,
+                data: {
+                    part_id: part.id,
+                    available,
+                    requested: quantity
+                }
+            });
+        }
+
+        await executeQuery(`
+            INSERT INTO part_stock_movements (part_id, repair_center_id, movement_type, quantity, order_id, performed_by)
+            VALUES (?, ?, 'consumed', ?, ?, ?)
+        `, [part.id, repairCenterId, -quantity, order.id, req.user.id]);
+
+        const insertResult = await executeQuery(`
+            INSERT INTO order_parts (order_id, part_id, repair_center_id, quantity, unit_cost, consumed_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [order.id, part.id, repairCenterId, quantity, part.unit_cost, req.user.id]);
+
+        // The missing part has arrived, so the repair can carry on
+        const resumed = order.status === 'waiting_parts' && order.waiting_part_id === part.id;
+        if (resumed) {
+            await executeQuery(
+                "UPDATE orders SET status = 'in_progress', waiting_part_id = NULL WHERE id = ?",
+                [order.id]
+            );
+            await executeQuery(`
+                INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+                VALUES (?, 'waiting_parts', 'in_progress', ?, ?)
+            `, [order.id, req.user.id, `${part.sku} fitted`]);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${quantity} x ${part.sku} used on order ${order.order_number}`,
+            data: {
+                order_part: {
+                    id: insertResult.success ? insertResult.data.insertId : null,
+                    part_id: part.id,
+                    sku: part.sku,
+                    name: part.name,
+                    quantity,
+                    unit_cost: part.unit_cost
+                },
+                order_status: resumed ? 'in_progress' : order.status
+            }
+        });
+
+    } catch (error) {
+        console.error('Add order part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to use part on order'
+        });
+    }
+};
+
+// Take a part back off an open order and return it to stock
+export const removeOrderPart = async (req, res) => {
+    try {
+        const { orderId, orderPartId } = req.params;
+
+        const orderPartResult = await executeQuery(`
+            SELECT op.*, o.status as order_status, p.sku
+            FROM order_parts op
+            JOIN orders o ON op.order_id = o.id
+            JOIN parts p ON op.part_id = p.id
+            WHERE op.id = ? AND op.order_id = ?
+        `, [orderPartId, orderId]);
+
+        if (!orderPartResult.success || orderPartResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Part is not on this order'
+            });
+        }
+
+        const orderPart = orderPartResult.data[0];
+
+        if (CLOSED_ORDER_STATUSES.includes(orderPart.order_status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Parts on a ${orderPart.order_status} order can't be returned`
+            });
+        }
+
+        await executeQuery('DELETE FROM order_parts WHERE id = ?', [orderPart.id]);
+
+        await moveStock({
+            partId: orderPart.part_id,
+            repairCenterId: orderPart.repair_center_id,
+            quantity: orderPart.quantity,
+            movementType: 'returned',
+            orderId: orderPart.order_id,
+            performedBy: req.user.id
+        });
+
+        res.json({
+            success: true,
+            message: `${orderPart.quantity} x ${orderPart.sku} returned to stock`
+        });
+
+    } catch (error) {
+        console.error('Remove order part error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to return part to stock'
+        });
+    }
+};
@@ -0,0 +1,240 @@
+import { executeQuery } from '../config/database.js';
+import {
+    checkDisposalTransition,
+    applyDisposalTransition,
+    cascadeDisposalStatusToDevices
+} from '../../../shared/disposalStateMachine.mjs';
+import {
+    PICKUP_PROOF_STATUS,
+    validatePickupProof,
+    getActualWeight,
+    getWeightVariance,
+    getPickupProof
+} from '../../../shared/pickupProof.mjs';
+import { getSanitisationStatus, checkSanitisationForPickup } from '../../../shared/dataSanitisation.mjs';
+
+// Find the request and make sure the current user may act on it; sends the error response otherwise
+const findVendorRequest = async (req, res) => {
+    if (req.user.role !== 'vendor' && req.user.role !== 'admin') {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. Vendor role required.'
+        });
+        return null;
+    }
+
+    const result = await executeQuery(
+        'SELECT * FROM disposal_requests WHERE request_id = ? OR id = ?',
+        [req.params.requestId, req.params.requestId]
+    );
+
+    if (!result.success || result.data.length === 0) {
+        res.status(404).json({
+            success: false,
+            message: 'Disposal request not found'
+        });
+        return null;
+    }
+
+    const request = result.data[0];
+
+    // Once a bid is awarded, only the winning vendor processes the request
+    if (req.user.role === 'vendor' && request.vendor_id && request.vendor_id !== req.user.id) {
+        res.status(403).json({
+            success: false,
+            message: 'This request was awarded to another vendor'
+        });
+        return null;
+    }
+
+    return request;
+};
+
+// Get what the department declared (with the manifest grouped by device type) and any recorded proof
+export const getRequestPickupProof = async (req, res) => {
+    try {
+        const request = await findVendorRequest(req, res);
+        if (!request) return;
+
+        const categoriesResult = await executeQuery(`
+            SELECT d.device_type as category, COUNT(*) as item_count, SUM(dri.weight_kg) as weight_kg
+            FROM disposal_request_items dri
+            JOIN devices d ON dri.device_id = d.id
+            WHERE dri.disposal_request_id = ?
+            GROUP BY d.device_type
+            ORDER BY d.device_type ASC
+        `, [request.id]);
+
+        const proof = await getPickupProof(executeQuery, request.id);
+        const sanitisation = await getSanitisationStatus(executeQuery, request.id);
+
+        res.json({
+            success: true,
+            data: {
+                request_id: request.request_id,
+                status: request.status,
+                contact_name: request.contact_name,
+                declared: {
+                    weight_kg: request.weight_kg !== null ? parseFloat(request.weight_kg) : null,
+                    item_count: request.item_count,
+                    categories: categoriesResult.success ? categoriesResult.data : []
+                },
+                proof,
+                // Devices the department handed over for the vendor to destroy
+                vendor_destroy_devices: sanitisation.devices
+                    .filter(device => device.record?.outcome === 'vendor_will_destroy')
+                    .map(device => ({ device_code: device.device_code, device_type: device.device_type, serial_number: device.serial_number })),
+                sanitisation_pending_count: sanitisation.pending_count
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get pickup proof error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch proof of pickup'
+        });
+    }
+};
+
+// Complete a pickup: store the weighed quantities, photos and handover signature, then move the request on
+export const completePickup = async (req, res) => {
+    try {
+        const request = await findVendorRequest(req, res);
+        if (!request) return;
+
+        const errors = validatePickupProof(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        const transition = checkDisposalTransition(request.status, PICKUP_PROOF_STATUS, req.user.role);
+        if (!transition.allowed) {
+            return res.status(transition.httpStatus).json({
+                success: false,
+                message: transition.message
+            });
+        }
+
+        const sanitisation = await checkSanitisationForPickup(executeQuery, request, PICKUP_PROOF_STATUS);
+        if (!sanitisation.allowed) {
+            return res.status(sanitisation.httpStatus).json({
+                success: false,
+                message: sanitisation.message
+            });
+        }
+
+        const existingResult = await executeQuery(
+            'SELECT id FROM disposal_pickup_proofs WHERE disposal_request_id = ?',
+            [request.id]
+        );
+
+        if (existingResult.success && existingResult.data.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Proof of pickup was already recorded for this request'
+            });
+        }
+
+        const { category_weights, item_count, photos, signature, signed_by_name, driver_name, notes } = req.body;
+
+        const categoryWeights = category_weights.map(row => ({
+            category: row.category.trim(),
+            weight_kg: Math.round(parseFloat(row.weight_kg) * 100) / 100
+        }));
+        const actualWeight = getActualWeight(categoryWeights);
+        const variance = getWeightVariance(request.weight_kg, actualWeight);
+
+        const proofResult = await executeQuery(`
+            INSERT INTO disposal_pickup_proofs
+            (disposal_request_id, vendor_id, driver_name, signed_by_name, signature_image, category_weights,
+                actual_weight_kg, actual_item_count, declared_weight_kg, declared_item_count,
+                weight_variance_kg, weight_variance_percent, variance_flagged, notes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            request.id,
+            request.vendor_id || req.user.id,
+            driver_name.trim(),
+            signed_by_name.trim(),
+            signature,
+            JSON.stringify(categoryWeights),
+            actualWeight,
+            parseInt(item_count),
+            request.weight_kg,
+            request.item_count,
+            variance.variance_kg,
+            variance.variance_percent,
+            variance.flagged,
+            notes || null
+        ]);
+
+        if (!proofResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save proof of pickup'
+            });
+        }
+
+        const proofId = proofResult.data.insertId;
+
+        for (const photo of photos) {
+            await executeQuery(
+                'INSERT INTO disposal_pickup_photos (proof_id, image) VALUES (?, ?)',
+                [proofId, photo]
+            );
+        }
+
+        const varianceNote = variance.flagged ? ` (${variance.variance_percent > 0 ? '+' : ''}${variance.variance_percent}% vs declared)` : '';
+        const applied = await applyDisposalTransition(executeQuery, {
+            request,
+            toStatus: PICKUP_PROOF_STATUS,
+            changedBy: req.user.id,
+            source: 'center',
+            notes: `Collected by ${driver_name.trim()}: ${actualWeight} kg, ${parseInt(item_count)} items${varianceNote}, signed by ${signed_by_name.trim()}`
+        });
+
+        // Someone else moved the request meanwhile; drop the proof so it can be recorded again
+        if (!applied.success) {
+            await executeQuery('DELETE FROM disposal_pickup_proofs WHERE id = ?', [proofId]);
+            return res.status(applied.httpStatus).json({
+                success: false,
+                message: applied.message
+            });
+        }
+
+        await cascadeDisposalStatusToDevices(executeQuery, {
+            request,
+            toStatus: PICKUP_PROOF_STATUS,
+            performedBy: req.user.id,
+            performedByName: req.user.name,
+            details: { proof_id: proofId, driver_name: driver_name.trim(), source: 'center' },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        console.log(`📦 Pickup completed for ${request.request_id} by ${driver_name}: ${actualWeight} kg${varianceNote}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Pickup completed successfully',
+            data: {
+                request_id: request.request_id,
+                status: PICKUP_PROOF_STATUS,
+                actual_weight_kg: actualWeight,
+                actual_item_count: parseInt(item_count),
+                ...variance
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Complete pickup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to complete pickup'
+        });
+    }
+};
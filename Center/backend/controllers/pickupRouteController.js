@@ -0,0 +1,253 @@
+import { query, validationResult } from 'express-validator';
+import { executeQuery } from '../config/database.js';
+import { parseClock, parseTimeSlot } from '../../../shared/vendorAvailability.mjs';
+
+// Statuses that still need a truck to visit the pickup address
+const ROUTABLE_STATUSES = ['pickup_scheduled', 'out_for_pickup'];
+
+const EARTH_RADIUS_KM = 6371;
+
+// Validation rules for planning a pickup route
+export const pickupRouteValidation = [
+    query('date')
+        .isISO8601()
+        .withMessage('Date must be in YYYY-MM-DD format'),
+    query('start_lat')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Start latitude must be between -90 and 90'),
+    query('start_lng')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Start longitude must be between -180 and 180'),
+    query('start_time')
+        .optional()
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Start time must be in HH:MM format'),
+    query('speed_kmh')
+        .optional()
+        .isFloat({ min: 5, max: 120 })
+        .withMessage('Average speed must be between 5 and 120 km/h'),
+    query('service_minutes')
+        .optional()
+        .isInt({ min: 0, max: 240 })
+        .withMessage('Service time must be between 0 and 240 minutes'),
+];
+
+// Great-circle distance between two { lat, lng } points in km
+const haversineKm = (a, b) => {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+const formatClock = (minutes) => {
+    const rounded = Math.round(minutes);
+    return `${String(Math.floor(rounded / 60) % 24).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+const pathLength = (from, stops) => stops.reduce(
+    (total, stop, index) => total + haversineKm(index === 0 ? from : stops[index - 1], stop),
+    0
+);
+
+// Nearest-neighbour tour from `from`, then 2-opt until no swap shortens it (open path, start fixed)
+const orderStops = (from, stops) => {
+    const remaining = [...stops];
+    const ordered = [];
+    let current = from;
+
+    while (remaining.length > 0) {
+        let nearest = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (haversineKm(current, remaining[i]) < haversineKm(current, remaining[nearest])) nearest = i;
+        }
+        current = remaining.splice(nearest, 1)[0];
+        ordered.push(current);
+    }
+
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < ordered.length - 1; i++) {
+            for (let j = i + 1; j < ordered.length; j++) {
+                const candidate = [...ordered.slice(0, i), ...ordered.slice(i, j + 1).reverse(), ...ordered.slice(j + 1)];
+                if (pathLength(from, candidate) + 1e-9 < pathLength(from, ordered)) {
+                    ordered.splice(0, ordered.length, ...candidate);
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return ordered;
+};
+
+/**
+ * Order a day's stops: time-slotted stops are visited slot by slot (each slot ordered by distance),
+ * then stops without a usable slot are inserted wherever they add the least distance.
+ */
+const planRoute = (start, stops) => {
+    const slotted = stops.filter(stop => stop.window);
+    const flexible = stops.filter(stop => !stop.window);
+
+    const slotStarts = [...new Set(slotted.map(stop => stop.window.start))].sort((a, b) => a - b);
+
+    let route = [];
+    for (const slotStart of slotStarts) {
+        const from = route.length > 0 ? route[route.length - 1] : start;
+        route = route.concat(orderStops(from, slotted.filter(stop => stop.window.start === slotStart)));
+    }
+
+    for (const stop of flexible) {
+        let bestIndex = route.length;
+        let bestCost = Infinity;
+        for (let i = 0; i <= route.length; i++) {
+            const prev = i === 0 ? start : route[i - 1];
+            const next = route[i];
+            const cost = haversineKm(prev, stop) + (next ? haversineKm(stop, next) - haversineKm(prev, next) : 0);
+            if (cost < bestCost) {
+                bestCost = cost;
+                bestIndex = i;
+            }
+        }
+        route.splice(bestIndex, 0, stop);
+    }
+
+    return route;
+};
+
+// Plan the vendor's pickup run for one day
+export const getPickupRoute = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.user.role !== 'vendor' && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Vendor role required.'
+            });
+        }
+
+        const { date, start_lat, start_lng, start_time } = req.query;
+        const speedKmh = parseFloat(req.query.speed_kmh) || 25;
+        const serviceMinutes = req.query.service_minutes !== undefined ? parseInt(req.query.service_minutes) : 15;
+
+        const whereConditions = [`status IN (${ROUTABLE_STATUSES.map(() => '?').join(', ')})`, 'DATE(pickup_datetime) = ?'];
+        const queryParams = [...ROUTABLE_STATUSES, date];
+
+        // Vendors only plan the requests awarded to them
+        if (req.user.role === 'vendor') {
+            whereConditions.push('vendor_id = ?');
+            queryParams.push(req.user.id);
+        }
+
+        const result = await executeQuery(`
+            SELECT id, request_id, department, contact_name, contact_phone, pickup_address,
+                latitude, longitude, e_waste_description, weight_kg, item_count,
+                preferred_time_slot, pickup_datetime, status
+            FROM disposal_requests
+            WHERE ${whereConditions.join(' AND ')}
+            ORDER BY pickup_datetime ASC
+        `, queryParams);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch scheduled pickups'
+            });
+        }
+
+        const stops = [];
+        const unrouted = [];
+        for (const request of result.data) {
+            if (request.latitude === null || request.longitude === null) {
+                unrouted.push({ ...request, reason: 'No pickup coordinates' });
+                continue;
+            }
+            stops.push({
+                ...request,
+                lat: parseFloat(request.latitude),
+                lng: parseFloat(request.longitude),
+                window: parseTimeSlot(request.preferred_time_slot)
+            });
+        }
+
+        if (stops.length === 0) {
+            return res.json({
+                success: true,
+                data: { date, start: null, stops: [], unrouted, total_distance_km: 0, total_duration_minutes: 0 }
+            });
+        }
+
+        // Without a depot the run starts at the first stop of the earliest slot
+        const earliestSlotted = [...stops].sort((a, b) => (a.window?.start ?? Infinity) - (b.window?.start ?? Infinity))[0];
+        const start = start_lat !== undefined && start_lng !== undefined
+            ? { lat: parseFloat(start_lat), lng: parseFloat(start_lng) }
+            : { lat: earliestSlotted.lat, lng: earliestSlotted.lng };
+
+        const route = planRoute(start, stops);
+
+        const departure = start_time
+            ? parseClock(start_time)
+            : Math.min(...stops.map(stop => stop.window?.start ?? 9 * 60));
+
+        let clock = departure;
+        let cumulativeKm = 0;
+        let previous = start;
+        const plannedStops = route.map((stop, index) => {
+            const legKm = haversineKm(previous, stop);
+            cumulativeKm += legKm;
+            clock += legKm / speedKmh * 60;
+
+            // Arriving early means waiting for the slot to open
+            const waitMinutes = stop.window && clock < stop.window.start ? stop.window.start - clock : 0;
+            clock += waitMinutes;
+            const arrival = clock;
+            clock += serviceMinutes;
+            previous = stop;
+
+            const { window, ...request } = stop;
+            return {
+                ...request,
+                sequence: index + 1,
+                leg_distance_km: Math.round(legKm * 100) / 100,
+                cumulative_distance_km: Math.round(cumulativeKm * 100) / 100,
+                eta: formatClock(arrival),
+                wait_minutes: Math.round(waitMinutes),
+                window: window ? { start: formatClock(window.start), end: formatClock(window.end) } : null,
+                late: window ? arrival > window.end : false
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                date,
+                start: { ...start, departure: formatClock(departure) },
+                stops: plannedStops,
+                unrouted,
+                total_distance_km: Math.round(cumulativeKm * 100) / 100,
+                total_duration_minutes: Math.round(clock - departure),
+                assumptions: { speed_kmh: speedKmh, service_minutes: serviceMinutes }
+            }
+        });
+
+    } catch (error) {
+        console.error('Pickup route planning error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,156 @@
+import { body, validationResult } from 'express-validator';
+import { executeQuery } from '../config/database.js';
+import {
+    TRIAGE_CONDITIONS,
+    TRIAGE_REQUEST_STATUSES,
+    findManifestItem,
+    getRepairServices,
+    triageDeviceToRepair
+} from '../../../shared/repairOrders.mjs';
+
+// Validation rules for sending a disposal device for repair
+export const repairTriageValidation = [
+    body('issue_description')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Issue description must be between 10 and 1000 characters'),
+    body('priority')
+        .optional()
+        .isIn(['low', 'medium', 'high', 'urgent'])
+        .withMessage('Invalid priority level'),
+    body('product_id')
+        .optional({ nullable: true, checkFalsy: true })
+        .isInt({ min: 1 })
+        .withMessage('Invalid repair service')
+];
+
+// Find a request the current vendor was awarded (admins see all); sends the error response otherwise
+const findAwardedRequest = async (req, res) => {
+    if (req.user.role !== 'vendor' && req.user.role !== 'admin') {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. Vendor role required.'
+        });
+        return null;
+    }
+
+    const result = await executeQuery(
+        'SELECT * FROM disposal_requests WHERE request_id = ? OR id = ?',
+        [req.params.requestId, req.params.requestId]
+    );
+
+    if (!result.success || result.data.length === 0) {
+        res.status(404).json({
+            success: false,
+            message: 'Disposal request not found'
+        });
+        return null;
+    }
+
+    const request = result.data[0];
+
+    // Triage is for the vendor who will actually collect the devices
+    if (req.user.role === 'vendor' && request.vendor_id !== req.user.id) {
+        res.status(403).json({
+            success: false,
+            message: 'Only the awarded vendor can send devices for repair'
+        });
+        return null;
+    }
+
+    return request;
+};
+
+// Get the devices on a request worth repairing, and the repair services to book them under
+export const getRepairCandidates = async (req, res) => {
+    try {
+        const request = await findAwardedRequest(req, res);
+        if (!request) return;
+
+        const candidatesResult = await executeQuery(`
+            SELECT d.id as device_db_id, d.device_id, d.device_name, d.device_type, d.brand, d.model,
+                COALESCE(dri.condition_status, d.condition_status) as condition_status
+            FROM disposal_request_items dri
+            JOIN devices d ON dri.device_id = d.id
+            WHERE dri.disposal_request_id = ?
+                AND COALESCE(dri.condition_status, d.condition_status) IN (${TRIAGE_CONDITIONS.map(() => '?').join(', ')})
+            ORDER BY dri.added_at ASC
+        `, [request.id, ...TRIAGE_CONDITIONS]);
+
+        res.json({
+            success: true,
+            data: {
+                request_id: request.request_id,
+                can_triage: TRIAGE_REQUEST_STATUSES.includes(request.status),
+                candidates: candidatesResult.success ? candidatesResult.data : [],
+                services: await getRepairServices(executeQuery)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get repair candidates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch repair candidates'
+        });
+    }
+};
+
+// Take a fair/poor device off the disposal request and open a repair order for it instead
+export const sendDeviceForRepair = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const request = await findAwardedRequest(req, res);
+        if (!request) return;
+
+        const item = await findManifestItem(executeQuery, request.id, req.params.deviceId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device is not part of this disposal request'
+            });
+        }
+
+        const result = await triageDeviceToRepair(executeQuery, {
+            request,
+            item,
+            performedBy: req.user.id,
+            source: 'center',
+            issueDescription: req.body.issue_description,
+            priority: req.body.priority,
+            productId: req.body.product_id
+        });
+
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${item.device_id} sent for repair`,
+            data: {
+                order: result.order,
+                device_id: item.device_id
+            }
+        });
+
+    } catch (error) {
+        console.error('Send device for repair error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send device for repair'
+        });
+    }
+};
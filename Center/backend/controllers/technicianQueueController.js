@@ -0,0 +1,500 @@
+import { executeQuery } from '../config/database.js';
+import { returnRepairedDevice } from '../../../shared/repairOrders.mjs';
+
+// Order statuses that still count towards a technician's load
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'in_progress', 'waiting_parts'];
+
+// Orders a technician can clock time against
+const WORKABLE_ORDER_STATUSES = ['confirmed', 'in_progress'];
+
+const OPEN_STATUS_PLACEHOLDERS = OPEN_ORDER_STATUSES.map(() => '?').join(', ');
+
+// Estimated hours of an order from its services; orders without services count as one hour
+const ORDER_HOURS_SQL = `(
+    SELECT COALESCE(SUM(p.estimated_time_hours * oi.quantity), 1)
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    WHERE oi.order_id = o.id
+)`;
+
+// Minutes logged on an order so far, including a session that is still running
+const WORKED_MINUTES_SQL = `(
+    SELECT COALESCE(SUM(TIMESTAMPDIFF(MINUTE, ws.started_at, COALESCE(ws.ended_at, NOW()))), 0)
+    FROM order_work_sessions ws
+    WHERE ws.order_id = o.id
+)`;
+
+/**
+ * Technicians with their open order count and remaining estimated hours, lightest load first.
+ * With a repair center, only that center's technicians are considered.
+ */
+const getTechnicianWorkloads = async (repairCenterId = null) => {
+    const result = await executeQuery(`
+        SELECT
+            u.id,
+            u.name,
+            u.email,
+            COUNT(open_work.technician_id) as open_orders,
+            ROUND(COALESCE(SUM(open_work.remaining_minutes), 0) / 60, 1) as load_hours
+        FROM users u
+        LEFT JOIN (
+            SELECT
+                o.assigned_technician_id as technician_id,
+                GREATEST(${ORDER_HOURS_SQL} * 60 - ${WORKED_MINUTES_SQL}, 0) as remaining_minutes
+            FROM orders o
+            WHERE o.status IN (${OPEN_STATUS_PLACEHOLDERS})
+        ) open_work ON open_work.technician_id = u.id
+        WHERE u.role = 'technician' AND u.is_active = TRUE
+            ${repairCenterId ? 'AND u.id IN (SELECT user_id FROM repair_center_technicians WHERE repair_center_id = ?)' : ''}
+        GROUP BY u.id, u.name, u.email
+        ORDER BY load_hours ASC, open_orders ASC, u.id ASC
+    `, repairCenterId ? [...OPEN_ORDER_STATUSES, repairCenterId] : OPEN_ORDER_STATUSES);
+
+    return result.success ? result.data : [];
+};
+
+/**
+ * Assign an order to the least loaded technician of its repair center.
+ * Returns the chosen technician, or null when the center has no technicians.
+ */
+export const autoAssignOrder = async (order, changedBy) => {
+    const [technician] = await getTechnicianWorkloads(order.repair_center_id);
+    if (!technician) return null;
+
+    await executeQuery(
+        'UPDATE orders SET assigned_technician_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [technician.id, order.id]
+    );
+
+    await executeQuery(`
+        INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+        VALUES (?, ?, ?, ?, ?)
+    `, [order.id, order.status, order.status, changedBy, `Auto-assigned to ${technician.name} (${technician.load_hours}h open load)`]);
+
+    return technician;
+};
+
+// Find an order the current user may clock time on; sends the error response otherwise
+const findWorkableOrder = async (req, res) => {
+    const result = await executeQuery(
+        'SELECT id, order_number, status, assigned_technician_id, device_id, disposal_request_id, customer_approval_status FROM orders WHERE id = ?',
+        [req.params.orderId]
+    );
+
+    if (!result.success || result.data.length === 0) {
+        res.status(404).json({
+            success: false,
+            message: 'Order not found'
+        });
+        return null;
+    }
+
+    const order = result.data[0];
+
+    if (req.user.role === 'technician' && order.assigned_technician_id !== req.user.id) {
+        res.status(403).json({
+            success: false,
+            message: 'This order is not in your queue'
+        });
+        return null;
+    }
+
+    if (!order.assigned_technician_id) {
+        res.status(409).json({
+            success: false,
+            message: 'Assign the order to a technician first'
+        });
+        return null;
+    }
+
+    return order;
+};
+
+// Work waits while the customer decides on a new estimate or an information request
+const awaitingCustomer = (order, res) => {
+    if (order.customer_approval_status !== 'pending') return false;
+
+    res.status(409).json({
+        success: false,
+        message: `Order ${order.order_number} is waiting for the customer's approval`
+    });
+    return true;
+};
+
+// Close the running session on an order, if any
+const closeWorkSession = async (orderId, endAction, notes = null) => {
+    await executeQuery(`
+        UPDATE order_work_sessions
+        SET ended_at = CURRENT_TIMESTAMP, end_action = ?, notes = COALESCE(?, notes)
+        WHERE order_id = ? AND ended_at IS NULL
+    `, [endAction, notes, orderId]);
+};
+
+// Record a status change made from the queue
+const changeOrderStatus = async (order, status, changedBy, notes) => {
+    await executeQuery(
+        `UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP${status === 'completed' ? ', completed_at = CURRENT_TIMESTAMP' : ''} WHERE id = ?`,
+        [status, order.id]
+    );
+
+    await executeQuery(`
+        INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+        VALUES (?, ?, ?, ?, ?)
+    `, [order.id, order.status, status, changedBy, notes]);
+};
+
+// Get a technician's open orders, most urgent and soonest due first
+export const getTechnicianQueue = async (req, res) => {
+    try {
+        // Managers and admins can look at anyone's queue
+        const technicianId = req.user.role === 'technician'
+            ? req.user.id
+            : parseInt(req.query.technician_id) || req.user.id;
+
+        const queueResult = await executeQuery(`
+            SELECT
+                o.id,
+                o.order_number,
+                o.status,
+                o.priority,
+                o.device_type,
+                o.device_brand,
+                o.device_model,
+                o.issue_description,
+                o.estimated_completion,
+                o.created_at,
+                u.name as customer_name,
+                rc.name as repair_center_name,
+                wp.sku as waiting_part_sku,
+                o.customer_approval_status = 'pending' as awaiting_customer,
+                ${ORDER_HOURS_SQL} as estimated_hours,
+                ${WORKED_MINUTES_SQL} as worked_minutes,
+                (
+                    SELECT ws.started_at FROM order_work_sessions ws
+                    WHERE ws.order_id = o.id AND ws.ended_at IS NULL
+                    ORDER BY ws.started_at DESC LIMIT 1
+                ) as running_since
+            FROM orders o
+            JOIN customers c ON o.customer_id = c.id
+            JOIN users u ON c.user_id = u.id
+            LEFT JOIN repair_centers rc ON o.repair_center_id = rc.id
+            LEFT JOIN parts wp ON o.waiting_part_id = wp.id
+            WHERE o.assigned_technician_id = ? AND o.status IN (${OPEN_STATUS_PLACEHOLDERS})
+            ORDER BY
+                FIELD(o.priority, 'urgent', 'high', 'medium', 'low'),
+                o.estimated_completion IS NULL,
+                o.estimated_completion ASC,
+                o.created_at ASC
+        `, [technicianId, ...OPEN_ORDER_STATUSES]);
+
+        if (!queueResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch technician queue'
+            });
+        }
+
+        const orders = queueResult.data.map(order => ({
+            ...order,
+            is_running: Boolean(order.running_since),
+            awaiting_customer: Boolean(order.awaiting_customer),
+            is_overdue: Boolean(order.estimated_completion) && new Date(order.estimated_completion) < new Date()
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                technician_id: technicianId,
+                orders,
+                summary: {
+                    open_orders: orders.length,
+                    remaining_hours: Math.round(orders.reduce(
+                        (sum, order) => sum + Math.max(order.estimated_hours * 60 - order.worked_minutes, 0), 0
+                    ) / 6) / 10,
+                    running_order_id: orders.find(order => order.is_running)?.id || null
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get technician queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch technician queue'
+        });
+    }
+};
+
+// Get open load per technician, optionally for one repair center
+export const getTechnicianWorkload = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                technicians: await getTechnicianWorkloads(req.query.repair_center_id || null)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get technician workload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch technician workload'
+        });
+    }
+};
+
+// Assign an order to the least loaded technician at its repair center
+export const autoAssignTechnician = async (req, res) => {
+    try {
+        const orderResult = await executeQuery(
+            'SELECT id, order_number, status, repair_center_id FROM orders WHERE id = ?',
+            [req.params.orderId]
+        );
+
+        if (!orderResult.success || orderResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const order = orderResult.data[0];
+
+        if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `A ${order.status} order can't be reassigned`
+            });
+        }
+
+        const technician = await autoAssignOrder(order, req.user.id);
+
+        if (!technician) {
+            return res.status(409).json({
+                success: false,
+                message: order.repair_center_id
+                    ? 'No active technicians work at this repair center'
+                    : 'No active technicians available'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Order ${order.order_number} assigned to ${technician.name}`,
+            data: {
+                order_id: order.id,
+                technician
+            }
+        });
+
+    } catch (error) {
+        console.error('Auto-assign technician error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to auto-assign technician'
+        });
+    }
+};
+
+// Start (or resume) work on an order; any other running order of the technician is paused
+export const startOrderWork = async (req, res) => {
+    try {
+        const order = await findWorkableOrder(req, res);
+        if (!order) return;
+
+        if (!WORKABLE_ORDER_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Work can't be started on a ${order.status} order`
+            });
+        }
+
+        if (awaitingCustomer(order, res)) return;
+
+        const runningResult = await executeQuery(
+            'SELECT id, order_id FROM order_work_sessions WHERE technician_id = ? AND ended_at IS NULL',
+            [order.assigned_technician_id]
+        );
+        const running = runningResult.success ? runningResult.data : [];
+
+        if (running.some(session => session.order_id === order.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Work on this order is already running'
+            });
+        }
+
+        for (const session of running) {
+            await closeWorkSession(session.order_id, 'paused', `Paused to start order ${order.order_number}`);
+        }
+
+        await executeQuery(
+            'INSERT INTO order_work_sessions (order_id, technician_id) VALUES (?, ?)',
+            [order.id, order.assigned_technician_id]
+        );
+
+        if (order.status !== 'in_progress') {
+            await changeOrderStatus(order, 'in_progress', req.user.id, 'Work started');
+        }
+
+        res.json({
+            success: true,
+            message: `Started work on order ${order.order_number}`,
+            data: {
+                order_id: order.id,
+                paused_order_ids: running.map(session => session.order_id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Start order work error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start work'
+        });
+    }
+};
+
+// Pause the running work session on an order
+export const pauseOrderWork = async (req, res) => {
+    try {
+        const order = await findWorkableOrder(req, res);
+        if (!order) return;
+
+        const result = await executeQuery(`
+            UPDATE order_work_sessions
+            SET ended_at = CURRENT_TIMESTAMP, end_action = 'paused', notes = ?
+            WHERE order_id = ? AND ended_at IS NULL
+        `, [req.body.notes || null, order.id]);
+
+        if (!result.success || result.data.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Work on this order is not running'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Paused work on order ${order.order_number}`
+        });
+
+    } catch (error) {
+        console.error('Pause order work error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to pause work'
+        });
+    }
+};
+
+// Finish an order from the queue: closes the running session and marks the order completed
+export const completeOrderWork = async (req, res) => {
+    try {
+        const order = await findWorkableOrder(req, res);
+        if (!order) return;
+
+        if (!WORKABLE_ORDER_STATUSES.includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `A ${order.status} order can't be completed from the queue`
+            });
+        }
+
+        if (awaitingCustomer(order, res)) return;
+
+        await closeWorkSession(order.id, 'completed', req.body.notes || null);
+        await changeOrderStatus(order, 'completed', req.user.id, req.body.notes || 'Work completed');
+
+        // Devices triaged from a disposal request go back to their department
+        await returnRepairedDevice(executeQuery, { order, status: 'completed', performedBy: req.user.id });
+
+        const workedResult = await executeQuery(
+            'SELECT COALESCE(SUM(TIMESTAMPDIFF(MINUTE, started_at, ended_at)), 0) as worked_minutes FROM order_work_sessions WHERE order_id = ?',
+            [order.id]
+        );
+
+        res.json({
+            success: true,
+            message: `Order ${order.order_number} completed`,
+            data: {
+                order_id: order.id,
+                worked_minutes: workedResult.success ? workedResult.data[0].worked_minutes : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Complete order work error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to complete order'
+        });
+    }
+};
+
+// Add a technician to a repair center
+export const addRepairCenterTechnician = async (req, res) => {
+    try {
+        const { centerId } = req.params;
+        const { user_id } = req.body;
+
+        const userResult = await executeQuery(
+            "SELECT id, name FROM users WHERE id = ? AND role = 'technician'",
+            [user_id]
+        );
+
+        if (!userResult.success || userResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Technician not found'
+            });
+        }
+
+        await executeQuery(
+            'INSERT IGNORE INTO repair_center_technicians (repair_center_id, user_id) VALUES (?, ?)',
+            [centerId, user_id]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: `${userResult.data[0].name} added to the repair center`
+        });
+
+    } catch (error) {
+        console.error('Add repair center technician error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add technician'
+        });
+    }
+};
+
+// Remove a technician from a repair center
+export const removeRepairCenterTechnician = async (req, res) => {
+    try {
+        const result = await executeQuery(
+            'DELETE FROM repair_center_technicians WHERE repair_center_id = ? AND user_id = ?',
+            [req.params.centerId, req.params.userId]
+        );
+
+        if (!result.success || result.data.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Technician is not part of this repair center'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Technician removed from the repair center'
+        });
+
+    } catch (error) {
+        console.error('Remove repair center technician error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove technician'
+        });
+    }
+};
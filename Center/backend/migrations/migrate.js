@@ -1,4 +1,12 @@
 import { executeQuery, testConnection } from '../config/database.js';
+import { CREATE_DISPOSAL_STATUS_HISTORY_TABLE, ADD_STATUS_HISTORY_CHANGES_COLUMN } from '../../../shared/disposalStateMachine.mjs';
+import { CREATE_DISPOSAL_BIDS_TABLE, ADD_DISPOSAL_VENDOR_ID_COLUMN } from '../../../shared/disposalBids.mjs';
+import { CREATE_VENDOR_AVAILABILITY_TABLE, CREATE_VENDOR_BLACKOUT_DATES_TABLE } from '../../../shared/vendorAvailability.mjs';
+import { CREATE_DISPOSAL_PICKUP_PROOFS_TABLE, CREATE_DISPOSAL_PICKUP_PHOTOS_TABLE } from '../../../shared/pickupProof.mjs';
+import { ADD_DATA_DESTRUCTION_METHOD_COLUMN } from '../../../shared/recyclingCertificates.mjs';
+import { CREATE_DISPOSAL_LINE_ITEMS_TABLE } from '../../../shared/eWasteCategories.mjs';
+import { ADD_ORDER_DEVICE_COLUMNS } from '../../../shared/repairOrders.mjs';
+import { SLA_SETTING_KEY, DEFAULT_SLA_POLICIES } from '../services/slaService.js';
 
 // Create all required tables for repair center management
 export const createTables = async () => {
@@ -130,6 +138,19 @@ export const createTables = async () => {
             )
         `);
 
+        // Technicians working at each repair center (used when auto-assigning orders)
+        await executeQuery(`
+            CREATE TABLE IF NOT EXISTS repair_center_technicians (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                repair_center_id INT NOT NULL,
+                user_id INT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (repair_center_id) REFERENCES repair_centers(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_center_technician (repair_center_id, user_id)
+            )
+        `);
+
         // Products/Services table
         await executeQuery(`
             CREATE TABLE IF NOT EXISTS products (
@@ -181,6 +202,9 @@ export const createTables = async () => {
             )
         `);
 
+        // Repair orders triaged from a WMS4 disposal request link back to the device
+        await executeQuery(ADD_ORDER_DEVICE_COLUMNS);
+
         // Order items table (for multiple services per order)
         await executeQuery(`
             CREATE TABLE IF NOT EXISTS order_items (
@@ -198,6 +222,117 @@ export const createTables = async () => {
             )
         `);
 
+        // Time a technician spent on an order; an open session has no ended_at
+        await executeQuery(`
+            CREATE TABLE IF NOT EXISTS order_work_sessions (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                order_id INT NOT NULL,
+                technician_id INT NOT NULL,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                ended_at TIMESTAMP NULL,
+                end_action ENUM('paused', 'completed') NULL,
+                notes TEXT,
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+                FOREIGN KEY (technician_id) REFERENCES users(id) ON DELETE CASCADE,
+                INDEX idx_order_id (order_id),
+                INDEX idx_technician_open (technician_id, ended_at)
+            )
+        `);
+
+        // Spare parts catalogue (physical stock, unlike the services in products)
+        await executeQuery(`
+            CREATE TABLE IF NOT EXISTS parts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                sku VARCHAR(64) UNIQUE NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                category VARCHAR(100),
+                description TEXT,
+                compatible_models JSON,
+                unit_cost DECIMAL(10, 2),
+                reorder_threshold INT DEFAULT 0,
+                is_active BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_sku (sku),
+                INDEX idx_category (category)
+            )
+        `);
+
+        // Stock on hand per repair center; reorder_threshold overrides the part default
+        await executeQuery(`
+            CREATE TABLE IF NOT EXISTS part_stock (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                part_id INT NOT NULL,
+                repair_center_id INT NOT NULL,
+                quantity INT NOT NULL DEFAULT 0,
+                reorder_threshold INT NULL,
+                bin_location VARCHAR(50),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (part_id) REFERENCES parts(id) ON DELETE CASCADE,
+                FOREIGN KEY (repair_center_id) REFERENCES repair_centers(id) ON DELETE CASCADE,
+                UNIQUE KEY unique_part_center (part_id, repair_center_id)
+            )
+        `);
+
+        // Every change to stock: restocks, parts used on orders, harvested parts and corrections
+        await executeQuery(`
+            CREATE TABLE IF NOT EXISTS part_stock_movements (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                part_id INT NOT NULL,
+                repair_center_id INT NOT NULL,
+                movement_type ENUM('restock', 'consumed', 'returned', 'harvested', 'adjustment') NOT NULL,
+                quantity INT NOT NULL,
+                order_id INT NULL,
+                device_id INT NULL,
+                notes TEXT,
+                performed_by INT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (part_id) REFERENCES parts(id) ON DELETE CASCADE,
+                FOREIGN KEY (repair_center_id) REFERENCES repair_centers(id) ON DELETE CASCADE,
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+                FOREIGN KEY (performed_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_part_center (part_id, repair_center_id),
+                INDEX idx_device_id (device_id),
+                INDEX idx_created_at (created_at)
+            )
+        `);
+
+        // Parts used on a repair order
+        await executeQuery(`
+            CREATE TABLE IF NOT EXISTS order_parts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                order_id INT NOT NULL,
+                part_id INT NOT NULL,
+                repair_center_id INT NOT NULL,
+                quantity INT NOT NULL DEFAULT 1,
+                unit_cost DECIMAL(10, 2),
+                consumed_by INT,
+                consumed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+                FOREIGN KEY (part_id) REFERENCES parts(id) ON DELETE RESTRICT,
+                FOREIGN KEY (repair_center_id) REFERENCES repair_centers(id) ON DELETE CASCADE,
+                FOREIGN KEY (consumed_by) REFERENCES users(id) ON DELETE SET NULL,
+                INDEX idx_order_id (order_id)
+            )
+        `);
+
+        // Orders in waiting_parts point at the part that is short
+        await executeQuery(`
+            ALTER TABLE orders
+            ADD COLUMN IF NOT EXISTS waiting_part_id INT NULL
+        `);
+
+        // Customer sign-off after a vendor info request or an estimate change
+        await executeQuery(`
+            ALTER TABLE orders
+            ADD COLUMN IF NOT EXISTS customer_approval_status ENUM('pending', 'approved', 'declined') NULL,
+            ADD COLUMN IF NOT EXISTS customer_approval_reason ENUM('info_requested', 'estimate_changed') NULL,
+            ADD COLUMN IF NOT EXISTS customer_approval_note TEXT NULL,
+            ADD COLUMN IF NOT EXISTS customer_approval_requested_by INT NULL,
+            ADD COLUMN IF NOT EXISTS customer_approval_requested_at DATETIME NULL,
+            ADD COLUMN IF NOT EXISTS customer_responded_at DATETIME NULL
+        `);
+
         // Sales/Revenue tracking table
         await executeQuery(`
             CREATE TABLE IF NOT EXISTS sales (
@@ -322,6 +457,28 @@ export const createTables = async () => {
             )
         `);
 
+        // Disposal status history, written by both this backend and WMS4
+        await executeQuery(CREATE_DISPOSAL_STATUS_HISTORY_TABLE);
+        await executeQuery(ADD_STATUS_HISTORY_CHANGES_COLUMN);
+
+        // Vendor bids; the awarded vendor is stored in disposal_requests.vendor_id
+        await executeQuery(ADD_DISPOSAL_VENDOR_ID_COLUMN);
+        await executeQuery(CREATE_DISPOSAL_BIDS_TABLE);
+
+        // Vendor pickup slots, capacity and blackout dates
+        await executeQuery(CREATE_VENDOR_AVAILABILITY_TABLE);
+        await executeQuery(CREATE_VENDOR_BLACKOUT_DATES_TABLE);
+
+        // Proof of pickup: weighed quantities, handover signature and photos
+        await executeQuery(CREATE_DISPOSAL_PICKUP_PROOFS_TABLE);
+        await executeQuery(CREATE_DISPOSAL_PICKUP_PHOTOS_TABLE);
+
+        // Data destruction method recorded on completion (WMS4 issues the certificate)
+        await executeQuery(ADD_DATA_DESTRUCTION_METHOD_COLUMN);
+
+        // E-waste category line items with hazard flags (entered in WMS4, aggregated for vendors)
+        await executeQuery(CREATE_DISPOSAL_LINE_ITEMS_TABLE);
+
         console.log('✅ All database tables created successfully');
         
         // Insert default data
@@ -435,6 +592,12 @@ const insertDefaultData = async () => {
             console.log('✅ Default settings created');
         }
 
+        // SLA policies per priority and service type (added after the initial settings)
+        await executeQuery(`
+            INSERT IGNORE INTO settings (setting_key, setting_value, setting_type, description)
+            VALUES (?, ?, 'json', 'SLA limits per order priority and service type')
+        `, [SLA_SETTING_KEY, JSON.stringify(DEFAULT_SLA_POLICIES)]);
+
         console.log('✅ Default data insertion completed');
         
         // Insert sample disposal requests for testing
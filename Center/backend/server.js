@@ -5,6 +5,21 @@ import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import { testConnection, initializeDatabase } from './config/database.js';
 import { createTables } from './migrations/migrate.js';
+import {
+    checkDisposalTransition,
+    applyDisposalTransition,
+    cascadeDisposalStatusToDevices,
+    getAllowedTransitions,
+    getRequestChangeLogs,
+    parseHistoryChanges
+} from '../../shared/disposalStateMachine.mjs';
+import { validateBid } from '../../shared/disposalBids.mjs';
+import { checkPickupCapacity } from '../../shared/vendorAvailability.mjs';
+import { PICKUP_PROOF_STATUS, PICKUP_PROOF_REQUIRED_MESSAGE } from '../../shared/pickupProof.mjs';
+import { DATA_DESTRUCTION_METHODS } from '../../shared/recyclingCertificates.mjs';
+import { checkSanitisationForPickup } from '../../shared/dataSanitisation.mjs';
+import { getRequestLineItems, summariseByCategory, getHandlingWarnings } from '../../shared/eWasteCategories.mjs';
+import { returnRepairedDevice } from '../../shared/repairOrders.mjs';
 
 // Import controllers
 import { 
@@ -47,15 +62,85 @@ import {
     getCustomerSegmentation,
     getUserRetention,
     getAIPoweredInsights,
+    getSlaCompliance,
     saveAnalyticsData
 } from './controllers/analyticsController.js';
 
+import { scheduleSlaMonitor, validateSlaPolicies, SLA_SETTING_KEY } from './services/slaService.js';
+
+import {
+    getPickupRoute,
+    pickupRouteValidation
+} from './controllers/pickupRouteController.js';
+
+import {
+    getAvailability,
+    updateAvailability,
+    addBlackoutDate,
+    removeBlackoutDate,
+    getAvailabilityCalendar,
+    updateAvailabilityValidation,
+    blackoutDateValidation,
+    calendarValidation
+} from './controllers/availabilityController.js';
+
+import {
+    getRequestPickupProof,
+    completePickup
+} from './controllers/pickupProofController.js';
+
+import {
+    getRepairCandidates,
+    sendDeviceForRepair,
+    repairTriageValidation
+} from './controllers/repairTriageController.js';
+
+import {
+    createPart,
+    getParts,
+    getPartById,
+    updatePart,
+    adjustPartStock,
+    harvestParts,
+    addOrderPart,
+    removeOrderPart,
+    createPartValidation,
+    updatePartValidation,
+    stockAdjustmentValidation,
+    harvestPartsValidation,
+    orderPartValidation
+} from './controllers/partsController.js';
+
+import {
+    getTechnicianQueue,
+    getTechnicianWorkload,
+    autoAssignTechnician,
+    autoAssignOrder,
+    startOrderWork,
+    pauseOrderWork,
+    completeOrderWork,
+    addRepairCenterTechnician,
+    removeRepairCenterTechnician
+} from './controllers/technicianQueueController.js';
+
+import {
+    trackOrder,
+    respondToTrackedOrder,
+    getCustomerOrderTracking,
+    respondToCustomerOrder,
+    requestCustomerApproval,
+    trackOrderValidation,
+    trackedResponseValidation,
+    customerResponseValidation
+} from './controllers/customerPortalController.js';
+
 // Import middleware
 import { 
     authenticateToken, 
     requireAdmin, 
     requireManager, 
-    requireTechnician 
+    requireTechnician,
+    requireRepairCenterAccess
 } from './middleware/auth.js';
 
 // Load environment variables
@@ -86,6 +171,13 @@ const authLimiter = rateLimit({
     message: 'Too many authentication attempts, please try again later.'
 });
 
+// Rate limiting for public order tracking (order number + email lookups)
+const trackingLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // limit each IP to 30 lookups per windowMs
+    message: 'Too many tracking requests, please try again later.'
+});
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -138,6 +230,50 @@ app.put('/api/orders/:orderId', authenticateToken, requireTechnician, updateOrde
 // Get order statistics (protected - manager or higher)
 app.get('/api/orders/stats', authenticateToken, requireManager, getOrderStats);
 
+// Use a spare part on an order (protected - technician or higher)
+app.post('/api/orders/:orderId/parts', authenticateToken, requireTechnician, orderPartValidation, addOrderPart);
+
+// Return a part on an order to stock (protected - technician or higher)
+app.delete('/api/orders/:orderId/parts/:orderPartId', authenticateToken, requireTechnician, removeOrderPart);
+
+// Assign an order to the least loaded technician (protected - manager or higher)
+app.post('/api/orders/:orderId/auto-assign', authenticateToken, requireManager, autoAssignTechnician);
+
+// Start, pause or complete work on an order (protected - technician or higher)
+app.post('/api/orders/:orderId/work/start', authenticateToken, requireTechnician, startOrderWork);
+app.post('/api/orders/:orderId/work/pause', authenticateToken, requireTechnician, pauseOrderWork);
+app.post('/api/orders/:orderId/work/complete', authenticateToken, requireTechnician, completeOrderWork);
+
+// =====================
+// Technician Queue Routes
+// =====================
+
+// Get the current technician's work queue (protected - technician or higher)
+app.get('/api/technician/queue', authenticateToken, requireTechnician, getTechnicianQueue);
+
+// Get open load per technician (protected - manager or higher)
+app.get('/api/technicians/workload', authenticateToken, requireManager, getTechnicianWorkload);
+
+// Add or remove a repair center technician (protected - manager of the center or admin)
+app.post('/api/repair-centers/:centerId/technicians', authenticateToken, requireManager, requireRepairCenterAccess, addRepairCenterTechnician);
+app.delete('/api/repair-centers/:centerId/technicians/:userId', authenticateToken, requireManager, requireRepairCenterAccess, removeRepairCenterTechnician);
+
+// =====================
+// Customer Portal Routes
+// =====================
+
+// Track an order by order number and email (public, rate limited)
+app.get('/api/track/:orderNumber', trackingLimiter, trackOrderValidation, trackOrder);
+
+// Approve or decline from a tracking link (public, rate limited)
+app.post('/api/track/:orderNumber/respond', trackingLimiter, trackedResponseValidation, respondToTrackedOrder);
+
+// Get the tracking view of the customer's own order (protected)
+app.get('/api/customer/orders/:orderId', authenticateToken, getCustomerOrderTracking);
+
+// Approve or decline the customer's own order (protected)
+app.post('/api/customer/orders/:orderId/respond', authenticateToken, customerResponseValidation, respondToCustomerOrder);
+
 // =====================
 // Vendor Management Routes for Orders
 // =====================
@@ -212,7 +348,9 @@ app.put('/api/vendor/orders/:orderId/respond', authenticateToken, async (req, re
             estimated_cost,
             estimated_completion,
             assigned_technician_id,
-            priority
+            auto_assign,
+            priority,
+            message
         } = req.body;
 
         if (!action || !['approve', 'reject', 'request_info'].includes(action)) {
@@ -294,13 +432,28 @@ app.put('/api/vendor/orders/:orderId/respond', authenticateToken, async (req, re
             VALUES (?, ?, ?, ?, ?)
         `, [orderId, currentOrder.status, newStatus, req.user.id, `Vendor ${action} - ${req.user.name}`]);
 
+        await returnRepairedDevice(executeQuery, { order: currentOrder, status: newStatus, performedBy: req.user.id });
+
+        // The customer signs off on information requests and new estimates
+        if (action === 'request_info') {
+            await requestCustomerApproval(orderId, { reason: 'info_requested', note: message || null, requestedBy: req.user.id });
+        } else if (action === 'approve' && estimated_cost && Number(estimated_cost) !== Number(currentOrder.estimated_cost)) {
+            await requestCustomerApproval(orderId, { reason: 'estimate_changed', note: message || null, requestedBy: req.user.id });
+        }
+
+        // Balance the approved order onto the least loaded technician when none was picked
+        const assignedTechnician = action === 'approve' && auto_assign && !assigned_technician_id
+            ? await autoAssignOrder({ ...currentOrder, status: newStatus }, req.user.id)
+            : null;
+
         res.json({
             success: true,
             message: `Order ${action}d successfully`,
             data: {
                 order_id: orderId,
                 new_status: newStatus,
-                action: action
+                action: action,
+                assigned_technician: assignedTechnician
             }
         });
 
@@ -403,6 +556,7 @@ app.get('/api/vendor/dashboard', authenticateToken, async (req, res) => {
 // =====================
 
 // Get disposal requests for vendor management (protected - vendor role)
+// Vendors see requests open for bidding plus the ones awarded to them; admins see everything
 app.get('/api/vendor/disposal-requests', authenticateToken, async (req, res) => {
     try {
         // Check if user has vendor role
@@ -413,14 +567,26 @@ app.get('/api/vendor/disposal-requests', authenticateToken, async (req, res) =>
             });
         }
 
-        console.log('🔄 Fetching all disposal requests...');
+        console.log('🔄 Fetching disposal requests for', req.user.role, req.user.id);
 
         const { executeQuery } = await import('./config/database.js');
         
-        const result = await executeQuery(`
-            SELECT * FROM disposal_requests 
-            ORDER BY created_at DESC
-        `);
+        const result = req.user.role === 'admin'
+            ? await executeQuery(`
+                SELECT dr.*, NULL as my_bid_id, NULL as my_bid_status,
+                    (SELECT COUNT(*) FROM disposal_bids db WHERE db.disposal_request_id = dr.id AND db.status != 'withdrawn') as bid_count
+                FROM disposal_requests dr
+                ORDER BY dr.created_at DESC
+            `)
+            : await executeQuery(`
+                SELECT dr.*, b.id as my_bid_id, b.status as my_bid_status, b.pricing_type as my_bid_pricing_type,
+                    b.price as my_bid_price, b.pickup_window_start as my_bid_window_start,
+                    b.pickup_window_end as my_bid_window_end, b.updated_at as my_bid_updated_at
+                FROM disposal_requests dr
+                LEFT JOIN disposal_bids b ON b.disposal_request_id = dr.id AND b.vendor_id = ?
+                WHERE (dr.status = 'pending' AND dr.vendor_id IS NULL) OR dr.vendor_id = ?
+                ORDER BY dr.created_at DESC
+            `, [req.user.id, req.user.id]);
 
         if (!result.success) {
             console.error('❌ Failed to fetch disposal requests:', result.error);
@@ -438,28 +604,30 @@ app.get('/api/vendor/disposal-requests', authenticateToken, async (req, res) =>
             }, {})
         );
 
-        // Log scheduled requests specifically
-        const scheduledRequests = result.data.filter(r => 
-            r.status === 'pickup_scheduled' || 
-            r.status === 'out_for_pickup' || 
-            r.status === 'pickup_completed'
-        );
-        
-        console.log(`🎯 Scheduled requests found: ${scheduledRequests.length}`);
-        if (scheduledRequests.length > 0) {
-            console.log('📝 Scheduled requests details:', 
-                scheduledRequests.map(r => ({
-                    id: r.request_id,
-                    status: r.status,
-                    pickup_datetime: r.pickup_datetime,
-                    department: r.department
-                }))
-            );
-        }
+        // Category breakdown and hazards of each request, so vendors can price and prepare the pickup
+        const lineItems = await getRequestLineItems(executeQuery, result.data.map(request => request.id));
+        // Edits made by the department, flagged when they came after this vendor's quote
+        const changeLogs = await getRequestChangeLogs(executeQuery, result.data.map(request => request.id));
+        const requests = result.data.map(request => {
+            const lastEditedAt = changeLogs[request.id].find(entry => entry.changes)?.changed_at || null;
+            return {
+                ...request,
+                categories: summariseByCategory(lineItems[request.id]),
+                hazardous: lineItems[request.id].some(item => item.hazardous),
+                handling_warnings: getHandlingWarnings(lineItems[request.id]),
+                change_log: changeLogs[request.id],
+                last_edited_at: lastEditedAt,
+                edited_since_quote: Boolean(lastEditedAt && request.my_bid_updated_at
+                    && new Date(lastEditedAt) > new Date(request.my_bid_updated_at))
+            };
+        });
 
         res.json({
             success: true,
-            data: { requests: result.data }
+            data: {
+                requests,
+                category_summary: summariseByCategory(Object.values(lineItems).flat())
+            }
         });
 
     } catch (error) {
@@ -471,6 +639,223 @@ app.get('/api/vendor/disposal-requests', authenticateToken, async (req, res) =>
     }
 });
 
+// Submit or update a quote on a pending disposal request (protected - vendor role)
+app.post('/api/vendor/disposal-requests/:requestId/bids', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'vendor') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Vendor role required.'
+            });
+        }
+
+        const errors = validateBid(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        const { executeQuery } = await import('./config/database.js');
+        const { requestId } = req.params;
+        const { pricing_type, price, pickup_window_start, pickup_window_end, certifications = [], notes } = req.body;
+
+        const requestResult = await executeQuery(`
+            SELECT id, request_id, status, vendor_id FROM disposal_requests 
+            WHERE request_id = ? OR id = ?
+        `, [requestId, requestId]);
+
+        if (!requestResult.success || requestResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        const request = requestResult.data[0];
+
+        if (request.status !== 'pending' || request.vendor_id) {
+            return res.status(409).json({
+                success: false,
+                message: 'This request is no longer open for bidding'
+            });
+        }
+
+        // Resubmitting replaces the vendor's earlier quote (also reopens a withdrawn one)
+        const result = await executeQuery(`
+            INSERT INTO disposal_bids 
+            (disposal_request_id, vendor_id, pricing_type, price, pickup_window_start, pickup_window_end, certifications, notes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE 
+                pricing_type = VALUES(pricing_type),
+                price = VALUES(price),
+                pickup_window_start = VALUES(pickup_window_start),
+                pickup_window_end = VALUES(pickup_window_end),
+                certifications = VALUES(certifications),
+                notes = VALUES(notes),
+                status = 'submitted'
+        `, [
+            request.id,
+            req.user.id,
+            pricing_type,
+            price,
+            new Date(pickup_window_start),
+            new Date(pickup_window_end),
+            JSON.stringify(certifications),
+            notes || null
+        ]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to submit bid'
+            });
+        }
+
+        console.log(`💰 Vendor ${req.user.name} bid on ${request.request_id}: ${price} (${pricing_type})`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Bid submitted successfully',
+            data: {
+                request_id: request.request_id,
+                pricing_type,
+                price,
+                status: 'submitted'
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Disposal bid submit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to submit bid'
+        });
+    }
+});
+
+// Withdraw the vendor's quote on a disposal request (protected - vendor role)
+app.delete('/api/vendor/disposal-requests/:requestId/bids', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'vendor') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Vendor role required.'
+            });
+        }
+
+        const { executeQuery } = await import('./config/database.js');
+        const { requestId } = req.params;
+
+        const result = await executeQuery(`
+            UPDATE disposal_bids db
+            JOIN disposal_requests dr ON db.disposal_request_id = dr.id
+            SET db.status = 'withdrawn'
+            WHERE (dr.request_id = ? OR dr.id = ?) AND db.vendor_id = ? AND db.status = 'submitted'
+        `, [requestId, requestId, req.user.id]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to withdraw bid'
+            });
+        }
+
+        if (result.data.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No open bid found for this request'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Bid withdrawn successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Disposal bid withdraw error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to withdraw bid'
+        });
+    }
+});
+
+// Plan the day's pickup run across scheduled requests (protected - vendor role)
+app.get('/api/vendor/pickup-routes', authenticateToken, pickupRouteValidation, getPickupRoute);
+
+// Get the vendor's pickup slots, capacity and blackout dates (protected - vendor role)
+app.get('/api/vendor/availability', authenticateToken, getAvailability);
+
+// Update the vendor's pickup slots and capacity (protected - vendor role)
+app.put('/api/vendor/availability', authenticateToken, updateAvailabilityValidation, updateAvailability);
+
+// Add a blackout date (protected - vendor role)
+app.post('/api/vendor/availability/blackout-dates', authenticateToken, blackoutDateValidation, addBlackoutDate);
+
+// Remove a blackout date (protected - vendor role)
+app.delete('/api/vendor/availability/blackout-dates/:blackoutId', authenticateToken, removeBlackoutDate);
+
+// Slot utilisation calendar (protected - vendor role)
+app.get('/api/vendor/availability/calendar', authenticateToken, calendarValidation, getAvailabilityCalendar);
+
+// Get the current user's latest notifications, e.g. bid awards (protected)
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const { executeQuery } = await import('./config/database.js');
+
+        const result = await executeQuery(`
+            SELECT * FROM notifications 
+            WHERE user_id = ? 
+            ORDER BY created_at DESC 
+            LIMIT 20
+        `, [req.user.id]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch notifications'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { notifications: result.data }
+        });
+
+    } catch (error) {
+        console.error('❌ Notifications fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notifications'
+        });
+    }
+});
+
+// Mark all of the current user's notifications as read (protected)
+app.put('/api/notifications/read', authenticateToken, async (req, res) => {
+    try {
+        const { executeQuery } = await import('./config/database.js');
+
+        await executeQuery('UPDATE notifications SET is_read = TRUE WHERE user_id = ?', [req.user.id]);
+
+        res.json({
+            success: true,
+            message: 'Notifications marked as read'
+        });
+
+    } catch (error) {
+        console.error('❌ Notifications update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notifications'
+        });
+    }
+});
+
 // Vendor disposal request response/approval (protected - vendor role)
 app.put('/api/vendor/disposal-requests/:requestId/respond', authenticateToken, async (req, res) => {
     try {
@@ -483,7 +868,7 @@ app.put('/api/vendor/disposal-requests/:requestId/respond', authenticateToken, a
         }
 
         const { requestId } = req.params;
-        const { status, pickup_datetime } = req.body;
+        const { status, pickup_datetime, vendor_notes, data_destruction_method } = req.body;
 
         console.log(`🔄 Processing disposal request update:`, {
             requestId,
@@ -492,15 +877,6 @@ app.put('/api/vendor/disposal-requests/:requestId/respond', authenticateToken, a
             user: req.user.name
         });
 
-        // Validate status value
-        const validStatuses = ['pending', 'approved', 'pickup_scheduled', 'out_for_pickup', 'pickup_completed', 'rejected', 'cancelled'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid status value'
-            });
-        }
-
         const { executeQuery } = await import('./config/database.js');
 
         // First, get the current request to verify it exists
@@ -520,39 +896,113 @@ app.put('/api/vendor/disposal-requests/:requestId/respond', authenticateToken, a
         const request = currentRequest.data[0];
         console.log(`📋 Current request status: ${request.status}`);
 
-        // Update the disposal request
-        let updateFields = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
-        let updateValues = [status];
+        // Once a bid is awarded, only the winning vendor processes the request
+        if (req.user.role === 'vendor' && request.vendor_id && request.vendor_id !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'This request was awarded to another vendor'
+            });
+        }
 
-        if (pickup_datetime && status === 'pickup_scheduled') {
-            updateFields.push('pickup_datetime = ?');
-            updateValues.push(pickup_datetime);
-            console.log(`🗓️ Setting pickup datetime: ${pickup_datetime}`);
+        // Only moves in the shared disposal transition table are allowed
+        const transition = checkDisposalTransition(request.status, status, req.user.role);
+        if (!transition.allowed) {
+            console.log(`❌ Rejected status change ${request.status} → ${status}: ${transition.message}`);
+            return res.status(transition.httpStatus).json({
+                success: false,
+                message: transition.message,
+                data: {
+                    current_status: request.status,
+                    allowed_transitions: getAllowedTransitions(request.status, req.user.role)
+                }
+            });
         }
 
-        updateValues.push(requestId, requestId);
+        // Completion goes through the pickup completion endpoint so proof is always recorded
+        if (status === PICKUP_PROOF_STATUS) {
+            return res.status(409).json({
+                success: false,
+                message: PICKUP_PROOF_REQUIRED_MESSAGE
+            });
+        }
 
-        const updateQuery = `
-            UPDATE disposal_requests 
-            SET ${updateFields.join(', ')}
-            WHERE request_id = ? OR id = ?
-        `;
+        // Storage devices must be sanitised, or handed over for destruction, before the vendor collects
+        const sanitisation = await checkSanitisationForPickup(executeQuery, request, status);
+        if (!sanitisation.allowed) {
+            console.log(`❌ Rejected ${request.request_id} pickup: ${sanitisation.message}`);
+            return res.status(sanitisation.httpStatus).json({
+                success: false,
+                message: sanitisation.message,
+                data: { pending_devices: sanitisation.pending_devices }
+            });
+        }
 
-        console.log(`🔄 Executing update query:`, updateQuery);
-        console.log(`📋 Update values:`, updateValues);
+        // Completing needs the destruction method for the certificate WMS4 issues
+        if (status === 'completed' && !DATA_DESTRUCTION_METHODS.includes(data_destruction_method)) {
+            return res.status(400).json({
+                success: false,
+                message: `Data destruction method must be one of: ${DATA_DESTRUCTION_METHODS.join(', ')}`
+            });
+        }
 
-        const updateResult = await executeQuery(updateQuery, updateValues);
+        // Scheduling must fit the vendor's slots, capacity and blackout dates
+        const scheduledVendorId = request.vendor_id || (req.user.role === 'vendor' ? req.user.id : null);
+        if (status === 'pickup_scheduled' && pickup_datetime && scheduledVendorId) {
+            const capacity = await checkPickupCapacity(executeQuery, {
+                vendorId: scheduledVendorId,
+                pickupDatetime: pickup_datetime,
+                weightKg: request.weight_kg,
+                requestId: request.id
+            });
 
-        if (!updateResult.success) {
-            console.error(`❌ Failed to update disposal request:`, updateResult.error);
-            return res.status(500).json({
+            if (!capacity.allowed) {
+                console.log(`❌ Rejected scheduling ${request.request_id}: ${capacity.message}`);
+                return res.status(409).json({
+                    success: false,
+                    message: capacity.message
+                });
+            }
+        }
+
+        // Update the disposal request
+        const fields = {};
+        if (pickup_datetime && status === 'pickup_scheduled') {
+            fields.pickup_datetime = pickup_datetime;
+            console.log(`🗓️ Setting pickup datetime: ${pickup_datetime}`);
+        }
+        if (status === 'completed') {
+            fields.data_destruction_method = data_destruction_method;
+        }
+
+        const applied = await applyDisposalTransition(executeQuery, {
+            request,
+            toStatus: status,
+            changedBy: req.user.id,
+            source: 'center',
+            notes: vendor_notes || null,
+            fields
+        });
+
+        if (!applied.success) {
+            console.error(`❌ Failed to update disposal request:`, applied.message);
+            return res.status(applied.httpStatus).json({
                 success: false,
-                message: 'Failed to update disposal request'
+                message: applied.message
             });
         }
 
         console.log(`✅ Updated disposal request ${requestId} to status: ${status}`);
 
+        await cascadeDisposalStatusToDevices(executeQuery, {
+            request,
+            toStatus: status,
+            performedBy: req.user.id,
+            performedByName: req.user.name,
+            details: { vendor_notes, source: 'center' },
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
         // Verify the update by fetching the updated record
         const verifyResult = await executeQuery(`
             SELECT request_id, status, pickup_datetime, department, contact_name FROM disposal_requests 
@@ -591,6 +1041,79 @@ app.put('/api/vendor/disposal-requests/:requestId/respond', authenticateToken, a
     }
 });
 
+// Declared quantities and recorded proof of pickup (protected - vendor role)
+app.get('/api/vendor/disposal-requests/:requestId/pickup-proof', authenticateToken, getRequestPickupProof);
+
+// Complete a pickup with weighed quantities, photos and handover signature (protected - vendor role)
+app.post('/api/vendor/disposal-requests/:requestId/pickup-completion', authenticateToken, completePickup);
+
+// Fair/poor devices on an awarded request that could be repaired instead (protected - vendor role)
+app.get('/api/vendor/disposal-requests/:requestId/repair-candidates', authenticateToken, getRepairCandidates);
+
+// Send a device on an awarded request for repair as a Center order (protected - vendor role)
+app.post('/api/vendor/disposal-requests/:requestId/items/:deviceId/repair', authenticateToken, repairTriageValidation, sendDeviceForRepair);
+
+// Disposal request status history (protected - vendor role)
+app.get('/api/vendor/disposal-requests/:requestId/history', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'vendor' && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Vendor role required.'
+            });
+        }
+
+        const { executeQuery } = await import('./config/database.js');
+
+        const requestResult = await executeQuery(`
+            SELECT id, request_id, status FROM disposal_requests 
+            WHERE request_id = ? OR id = ?
+        `, [req.params.requestId, req.params.requestId]);
+
+        if (!requestResult.success || requestResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        const request = requestResult.data[0];
+
+        const historyResult = await executeQuery(`
+            SELECT dsh.id, dsh.old_status, dsh.new_status, dsh.source, dsh.notes, dsh.changes, dsh.changed_at,
+                u.name as changed_by_name, u.role as changed_by_role
+            FROM disposal_status_history dsh
+            LEFT JOIN users u ON dsh.changed_by = u.id
+            WHERE dsh.disposal_request_id = ?
+            ORDER BY dsh.changed_at ASC, dsh.id ASC
+        `, [request.id]);
+
+        if (!historyResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch disposal status history'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                request_id: request.request_id,
+                status: request.status,
+                allowed_transitions: getAllowedTransitions(request.status, req.user.role),
+                history: historyResult.data.map(parseHistoryChanges)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Disposal status history fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch disposal status history'
+        });
+    }
+});
+
 // =====================
 // Product/Service Management Routes
 // =====================
@@ -616,6 +1139,28 @@ app.get('/api/products/categories', getProductCategories);
 // Get product statistics (protected - manager or higher)
 app.get('/api/products/stats', authenticateToken, requireManager, getProductStats);
 
+// =====================
+// Parts Inventory Routes
+// =====================
+
+// Create new spare part (protected - manager or higher)
+app.post('/api/parts', authenticateToken, requireManager, createPartValidation, createPart);
+
+// Get spare parts with stock per repair center (protected - technician or higher)
+app.get('/api/parts', authenticateToken, requireTechnician, getParts);
+
+// Record parts harvested from a collected e-waste device (protected - technician or higher)
+app.post('/api/parts/harvest', authenticateToken, requireTechnician, harvestPartsValidation, harvestParts);
+
+// Get single part with stock movements and waiting orders (protected - technician or higher)
+app.get('/api/parts/:partId', authenticateToken, requireTechnician, getPartById);
+
+// Update spare part (protected - manager or higher)
+app.put('/api/parts/:partId', authenticateToken, requireManager, updatePartValidation, updatePart);
+
+// Restock or correct stock at a repair center (protected - manager or higher)
+app.post('/api/parts/:partId/stock', authenticateToken, requireManager, stockAdjustmentValidation, adjustPartStock);
+
 // =====================
 // Analytics Routes
 // =====================
@@ -638,6 +1183,9 @@ app.get('/api/analytics/user-retention', authenticateToken, requireManager, getU
 // Get AI-powered insights (protected - manager or higher)
 app.get('/api/analytics/insights', authenticateToken, requireManager, getAIPoweredInsights);
 
+// Get SLA compliance and at-risk orders (protected - manager or higher)
+app.get('/api/analytics/sla', authenticateToken, requireManager, getSlaCompliance);
+
 // Save analytics data (protected)
 app.post('/api/analytics/data', authenticateToken, saveAnalyticsData);
 
@@ -907,11 +1455,27 @@ app.put('/api/settings/:key', authenticateToken, requireAdmin, async (req, res)
             });
         }
 
+        // SLA policies are read by the SLA monitor, so reject a document it can't use
+        if (key === SLA_SETTING_KEY) {
+            let invalid;
+            try {
+                invalid = validateSlaPolicies(typeof value === 'string' ? JSON.parse(value) : value);
+            } catch {
+                invalid = 'SLA policies must be valid JSON';
+            }
+            if (invalid) {
+                return res.status(400).json({
+                    success: false,
+                    message: invalid
+                });
+            }
+        }
+
         const { executeQuery } = await import('./config/database.js');
         
         const result = await executeQuery(
             'UPDATE settings SET setting_value = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE setting_key = ?',
-            [value, req.user.id, key]
+            [typeof value === 'string' ? value : JSON.stringify(value), req.user.id, key]
         );
         
         if (!result.success) {
@@ -979,6 +1543,8 @@ const startServer = async () => {
             console.log('🔧 Repair Center Management System Backend Ready!');
             console.log('👤 Default login: admin@repaircenter.com / admin123');
         });
+
+        scheduleSlaMonitor();
         
     } catch (error) {
         console.error('❌ Server startup failed:', error);
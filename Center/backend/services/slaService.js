@@ -0,0 +1,232 @@
+import process from 'process';
+import { executeQuery } from '../config/database.js';
+
+// settings.setting_key holding the SLA policies (JSON)
+export const SLA_SETTING_KEY = 'sla_policies';
+
+// Orders still on the clock
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'in_progress', 'waiting_parts'];
+
+/**
+ * Default SLA policies, seeded into settings. A policy applies to a priority and optionally a
+ * service type (null = any); max_hours_in_status caps how long an order may sit in one status and
+ * resolution_hours caps creation to completion. Orders reaching at_risk_percent of a limit are at risk.
+ */
+export const DEFAULT_SLA_POLICIES = {
+    at_risk_percent: 80,
+    policies: [
+        { priority: 'urgent', service_type: null, max_hours_in_status: { pending: 4, confirmed: 8, in_progress: 24, waiting_parts: 24 }, resolution_hours: 48 },
+        { priority: 'high', service_type: null, max_hours_in_status: { pending: 12, confirmed: 24, in_progress: 48, waiting_parts: 72 }, resolution_hours: 96 },
+        { priority: 'medium', service_type: null, max_hours_in_status: { pending: 24, confirmed: 48, in_progress: 96, waiting_parts: 120 }, resolution_hours: 168 },
+        { priority: 'low', service_type: null, max_hours_in_status: { pending: 48, confirmed: 96, in_progress: 168, waiting_parts: 240 }, resolution_hours: 336 },
+        { priority: 'urgent', service_type: 'consultation', max_hours_in_status: { pending: 2, confirmed: 4 }, resolution_hours: 24 }
+    ]
+};
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const SERVICE_TYPES = ['repair', 'replacement', 'maintenance', 'consultation'];
+
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+
+// Returns an error message for an invalid policy document, or null
+export const validateSlaPolicies = (config) => {
+    if (!config || !Array.isArray(config.policies)) return 'policies must be a list';
+    if (config.at_risk_percent !== undefined && !(config.at_risk_percent > 0 && config.at_risk_percent < 100)) {
+        return 'at_risk_percent must be between 0 and 100';
+    }
+
+    for (const [index, policy] of config.policies.entries()) {
+        if (!PRIORITIES.includes(policy.priority)) return `Policy ${index + 1}: invalid priority`;
+        if (policy.service_type != null && !SERVICE_TYPES.includes(policy.service_type)) return `Policy ${index + 1}: invalid service type`;
+        if (policy.resolution_hours != null && !isPositiveNumber(policy.resolution_hours)) return `Policy ${index + 1}: resolution_hours must be positive`;
+
+        for (const [status, hours] of Object.entries(policy.max_hours_in_status || {})) {
+            if (!OPEN_ORDER_STATUSES.includes(status)) return `Policy ${index + 1}: ${status} is not an open order status`;
+            if (!isPositiveNumber(hours)) return `Policy ${index + 1}: hours for ${status} must be positive`;
+        }
+    }
+
+    return null;
+};
+
+// Current policies from settings, falling back to the defaults when missing or invalid
+export const getSlaPolicies = async () => {
+    const result = await executeQuery('SELECT setting_value FROM settings WHERE setting_key = ?', [SLA_SETTING_KEY]);
+    if (!result.success || result.data.length === 0) return DEFAULT_SLA_POLICIES;
+
+    try {
+        const config = JSON.parse(result.data[0].setting_value);
+        const invalid = validateSlaPolicies(config);
+        if (invalid) throw new Error(invalid);
+        return { at_risk_percent: DEFAULT_SLA_POLICIES.at_risk_percent, ...config };
+    } catch (error) {
+        console.warn('⚠️ Invalid SLA policies in settings, using defaults:', error.message);
+        return DEFAULT_SLA_POLICIES;
+    }
+};
+
+// Most specific policy for an order: one for its service types (strictest first), else its priority
+const findPolicy = (config, order) => {
+    const serviceTypes = order.service_types ? order.service_types.split(',') : [];
+    const forPriority = config.policies.filter(policy => policy.priority === order.priority);
+
+    const forService = forPriority
+        .filter(policy => policy.service_type && serviceTypes.includes(policy.service_type))
+        .sort((a, b) => (a.resolution_hours || Infinity) - (b.resolution_hours || Infinity));
+
+    return forService[0] || forPriority.find(policy => !policy.service_type) || null;
+};
+
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / 3600000;
+
+/**
+ * SLA state of an order row (status, priority, created_at, status_since, completed_at, service_types).
+ * Returns { state: 'on_track' | 'at_risk' | 'breached' | 'no_policy', checks } where each check
+ * compares the hours spent against a limit.
+ */
+export const evaluateOrderSla = (config, order, now = new Date()) => {
+    const policy = findPolicy(config, order);
+    if (!policy) return { state: 'no_policy', checks: [] };
+
+    const checks = [];
+    const statusLimit = policy.max_hours_in_status?.[order.status];
+
+    if (statusLimit && OPEN_ORDER_STATUSES.includes(order.status)) {
+        checks.push({
+            kind: 'status',
+            label: `Time in ${order.status.replace('_', ' ')}`,
+            limit_hours: statusLimit,
+            elapsed_hours: hoursBetween(order.status_since || order.created_at, now)
+        });
+    }
+
+    if (policy.resolution_hours) {
+        checks.push({
+            kind: 'resolution',
+            label: 'Time to resolution',
+            limit_hours: policy.resolution_hours,
+            elapsed_hours: hoursBetween(order.created_at, order.completed_at || now)
+        });
+    }
+
+    const atRiskRatio = (config.at_risk_percent || DEFAULT_SLA_POLICIES.at_risk_percent) / 100;
+    let state = 'on_track';
+    for (const check of checks) {
+        check.elapsed_hours = Math.round(check.elapsed_hours * 10) / 10;
+        if (check.elapsed_hours > check.limit_hours) {
+            state = 'breached';
+        } else if (state !== 'breached' && check.elapsed_hours >= check.limit_hours * atRiskRatio) {
+            state = 'at_risk';
+        }
+    }
+
+    return { state, checks };
+};
+
+/**
+ * Orders with what the SLA needs: status_since is when the order entered its current status
+ * (the latest real transition in order_status_history) and service_types lists its services.
+ */
+export const getOrdersForSla = async (whereClause, params = []) => {
+    const result = await executeQuery(`
+        SELECT
+            o.id,
+            o.order_number,
+            o.status,
+            o.priority,
+            o.repair_center_id,
+            o.assigned_technician_id,
+            o.created_at,
+            o.completed_at,
+            tech.name as technician_name,
+            rc.manager_id,
+            (
+                SELECT MAX(osh.changed_at) FROM order_status_history osh
+                WHERE osh.order_id = o.id AND osh.new_status = o.status
+                    AND (osh.old_status IS NULL OR osh.old_status <> osh.new_status)
+            ) as status_since,
+            (
+                SELECT GROUP_CONCAT(DISTINCT p.service_type) FROM order_items oi
+                JOIN products p ON oi.product_id = p.id
+                WHERE oi.order_id = o.id
+            ) as service_types
+        FROM orders o
+        LEFT JOIN users tech ON o.assigned_technician_id = tech.id
+        LEFT JOIN repair_centers rc ON o.repair_center_id = rc.id
+        WHERE ${whereClause}
+        ORDER BY o.created_at ASC
+    `, params);
+
+    return result.success ? result.data : [];
+};
+
+// Open orders with their SLA state
+export const getOpenOrderSla = async (config) => {
+    const orders = await getOrdersForSla(
+        `o.status IN (${OPEN_ORDER_STATUSES.map(() => '?').join(', ')})`,
+        OPEN_ORDER_STATUSES
+    );
+
+    return orders.map(order => ({ ...order, sla: evaluateOrderSla(config, order) }));
+};
+
+// Who hears about an order: its technician and repair center manager, or the admins when neither is set
+const getAlertRecipients = async (order) => {
+    const recipients = [order.assigned_technician_id, order.manager_id].filter(Boolean);
+    if (recipients.length > 0) return [...new Set(recipients)];
+
+    const adminsResult = await executeQuery("SELECT id FROM users WHERE role = 'admin' AND is_active = TRUE");
+    return adminsResult.success ? adminsResult.data.map(user => user.id) : [];
+};
+
+// Notify about at-risk and breached open orders, once per order, state and status stint
+const sendSlaAlerts = async () => {
+    const config = await getSlaPolicies();
+    const orders = await getOpenOrderSla(config);
+
+    for (const order of orders) {
+        if (order.sla.state !== 'at_risk' && order.sla.state !== 'breached') continue;
+
+        const breached = order.sla.state === 'breached';
+        const title = `SLA ${breached ? 'breached' : 'at risk'}: ${order.order_number}`;
+        const message = order.sla.checks
+            .filter(check => check.elapsed_hours >= check.limit_hours * (config.at_risk_percent || DEFAULT_SLA_POLICIES.at_risk_percent) / 100)
+            .map(check => `${check.label} ${check.elapsed_hours}h of ${check.limit_hours}h`)
+            .join('; ');
+
+        for (const userId of await getAlertRecipients(order)) {
+            const existing = await executeQuery(`
+                SELECT id FROM notifications
+                WHERE user_id = ? AND related_order_id = ? AND title = ? AND created_at >= ?
+                LIMIT 1
+            `, [userId, order.id, title, order.status_since || order.created_at]);
+
+            if (existing.success && existing.data.length > 0) continue;
+
+            await executeQuery(`
+                INSERT INTO notifications (user_id, title, message, type, related_order_id)
+                VALUES (?, ?, ?, ?, ?)
+            `, [userId, title, `${order.priority} priority order, ${order.status.replace('_', ' ')}: ${message}`, breached ? 'error' : 'warning', order.id]);
+        }
+    }
+};
+
+// Periodically check open orders against their SLA
+export const scheduleSlaMonitor = () => {
+    const minutes = process.env.SLA_MONITOR_INTERVAL_MINUTES !== undefined
+        ? parseInt(process.env.SLA_MONITOR_INTERVAL_MINUTES)
+        : 15;
+    if (!minutes || minutes <= 0) return;
+
+    const runCheck = async () => {
+        try {
+            await sendSlaAlerts();
+        } catch (error) {
+            console.error('❌ SLA monitor error:', error);
+        }
+    };
+
+    console.log(`⏱️ SLA monitor every ${minutes} minutes`);
+    runCheck();
+    setInterval(runCheck, minutes * 60 * 1000);
+};
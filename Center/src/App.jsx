@@ -4,16 +4,30 @@ import LoginPage from './pages/LoginPage';
 import OverviewPage from './pages/OverviewPage';
 import ApprovedRequestsPage from './pages/ApprovedRequestsPage';
 import ScheduledRequestsPage from './pages/ScheduledRequestsPage';
+import RoutePlannerPage from './pages/RoutePlannerPage';
+import TechnicianQueuePage from './pages/TechnicianQueuePage';
+import AnalyticsPage from './pages/AnalyticsPage';
+import TrackOrderPage from './pages/TrackOrderPage';
+import CustomerOrdersPage from './pages/CustomerOrdersPage';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import Sidebar from './components/common/Sidebar';
 
 function App() {
 	const location = useLocation();
 	const isLoginPage = location.pathname === '/login';
+	const isTrackingPage = location.pathname === '/track' || location.pathname.startsWith('/track/');
 
 	return (
 		<div className='min-h-screen bg-gray-900 text-white'>
-			{isLoginPage ? (
+			{isTrackingPage ? (
+				// Public order tracking, no login needed
+				<div className='h-screen bg-gray-900 text-white'>
+					<Routes>
+						<Route path='/track' element={<TrackOrderPage />} />
+						<Route path='/track/:orderNumber' element={<TrackOrderPage />} />
+					</Routes>
+				</div>
+			) : isLoginPage ? (
 				// Login page without sidebar
 				<div className='h-screen bg-gray-900 text-white'>
 					<Routes>
@@ -42,6 +56,26 @@ function App() {
 									<ScheduledRequestsPage />
 								</ProtectedRoute>
 							} />
+							<Route path='/route-planner' element={
+								<ProtectedRoute>
+									<RoutePlannerPage />
+								</ProtectedRoute>
+							} />
+							<Route path='/technician-queue' element={
+								<ProtectedRoute>
+									<TechnicianQueuePage />
+								</ProtectedRoute>
+							} />
+							<Route path='/analytics' element={
+								<ProtectedRoute>
+									<AnalyticsPage />
+								</ProtectedRoute>
+							} />
+							<Route path='/my-orders' element={
+								<ProtectedRoute>
+									<CustomerOrdersPage />
+								</ProtectedRoute>
+							} />
 							<Route path='*' element={<Navigate to='/' replace />} />
 						</Routes>
 					</div>
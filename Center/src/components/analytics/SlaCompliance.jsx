@@ -0,0 +1,156 @@
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { Timer, AlertTriangle, AlertOctagon, CheckCircle } from "lucide-react";
+
+const STATE_STYLES = {
+	breached: 'bg-red-600',
+	at_risk: 'bg-yellow-600'
+};
+
+// SLA compliance of repair orders: open orders by SLA state, resolution compliance per priority
+// and the orders that need attention now
+const SlaCompliance = () => {
+	const [days, setDays] = useState(30);
+	const [data, setData] = useState(null);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		const fetchCompliance = async () => {
+			try {
+				setError(null);
+				const response = await fetch(`/api/analytics/sla?days=${days}`, {
+					headers: {
+						'Authorization': `Bearer ${localStorage.getItem('token')}`,
+						'Content-Type': 'application/json'
+					}
+				});
+				const result = await response.json();
+
+				if (!response.ok || !result.success) {
+					throw new Error(result.message || 'Failed to fetch SLA compliance');
+				}
+
+				setData(result.data);
+			} catch (err) {
+				console.error('Error fetching SLA compliance:', err);
+				setError(err.message);
+			}
+		};
+
+		fetchCompliance();
+	}, [days]);
+
+	const cards = data ? [
+		{ name: 'On Track', value: data.open.on_track, icon: CheckCircle, color: 'text-green-500' },
+		{ name: 'At Risk', value: data.open.at_risk, icon: AlertTriangle, color: 'text-yellow-500' },
+		{ name: 'Breached', value: data.open.breached, icon: AlertOctagon, color: 'text-red-500' },
+		{
+			name: `Resolved Within SLA (${data.period_days}d)`,
+			value: data.overall_compliance_percent === null ? 'N/A' : `${data.overall_compliance_percent}%`,
+			icon: Timer,
+			color: 'text-blue-500'
+		}
+	] : [];
+
+	return (
+		<motion.div
+			className='bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-lg shadow-lg rounded-xl p-6 border border-gray-700 mb-8'
+			initial={{ opacity: 0, y: 20 }}
+			animate={{ opacity: 1, y: 0 }}
+			transition={{ delay: 0.2 }}
+		>
+			<div className='flex items-center justify-between mb-6'>
+				<h2 className='text-xl font-semibold text-gray-100'>SLA Compliance</h2>
+				<select
+					value={days}
+					onChange={(e) => setDays(Number(e.target.value))}
+					className='bg-gray-700 text-white rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500'
+				>
+					<option value={7}>Last 7 days</option>
+					<option value={30}>Last 30 days</option>
+					<option value={90}>Last 90 days</option>
+				</select>
+			</div>
+
+			{error && <p className='text-red-400 mb-4'>{error}</p>}
+
+			{data && (
+				<>
+					<div className='grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-6'>
+						{cards.map((card) => (
+							<div key={card.name} className='bg-gray-700/50 rounded-lg p-4 flex items-center justify-between'>
+								<div>
+									<h3 className='text-sm font-medium text-gray-400'>{card.name}</h3>
+									<p className='mt-1 text-xl font-semibold text-gray-100'>{card.value}</p>
+								</div>
+								<card.icon className={`size-6 ${card.color}`} />
+							</div>
+						))}
+					</div>
+
+					<div className='grid grid-cols-1 lg:grid-cols-2 gap-6'>
+						<div>
+							<h3 className='text-lg font-medium text-gray-100 mb-3'>Resolution by Priority</h3>
+							{data.compliance.length > 0 ? (
+								<table className='min-w-full text-sm'>
+									<thead>
+										<tr className='text-left text-gray-400 border-b border-gray-700'>
+											<th className='py-2 pr-4'>Priority</th>
+											<th className='py-2 pr-4 text-right'>Completed</th>
+											<th className='py-2 pr-4 text-right'>Within SLA</th>
+											<th className='py-2 text-right'>Compliance</th>
+										</tr>
+									</thead>
+									<tbody>
+										{data.compliance.map((row) => (
+											<tr key={row.priority} className='border-b border-gray-700 last:border-0 text-gray-300'>
+												<td className='py-2 pr-4 capitalize'>{row.priority}</td>
+												<td className='py-2 pr-4 text-right'>{row.completed}</td>
+												<td className='py-2 pr-4 text-right'>{row.within_sla}</td>
+												<td className={`py-2 text-right ${row.compliance_percent < 90 ? 'text-red-400' : 'text-green-400'}`}>
+													{row.compliance_percent}%
+												</td>
+											</tr>
+										))}
+									</tbody>
+								</table>
+							) : (
+								<p className='text-gray-400 text-sm'>No orders completed in this period.</p>
+							)}
+						</div>
+
+						<div>
+							<h3 className='text-lg font-medium text-gray-100 mb-3'>Needs Attention</h3>
+							{data.attention.length > 0 ? (
+								<ul className='space-y-2 max-h-80 overflow-auto'>
+									{data.attention.map((order) => (
+										<li key={order.id} className='bg-gray-700/50 rounded-lg p-3 text-sm'>
+											<div className='flex items-center justify-between'>
+												<span className='font-mono text-gray-100'>{order.order_number}</span>
+												<span className={`px-2 py-0.5 rounded-full text-xs text-white ${STATE_STYLES[order.sla.state]}`}>
+													{order.sla.state.replace('_', ' ')}
+												</span>
+											</div>
+											<p className='text-gray-400 capitalize'>
+												{order.priority} • {order.status.replace('_', ' ')} • {order.technician_name || 'Unassigned'}
+											</p>
+											{order.sla.checks.map((check) => (
+												<p key={check.kind} className={check.elapsed_hours > check.limit_hours ? 'text-red-300' : 'text-gray-300'}>
+													{check.label}: {check.elapsed_hours}h of {check.limit_hours}h
+												</p>
+											))}
+										</li>
+									))}
+								</ul>
+							) : (
+								<p className='text-gray-400 text-sm'>All open orders are within their SLA.</p>
+							)}
+						</div>
+					</div>
+				</>
+			)}
+		</motion.div>
+	);
+};
+
+export default SlaCompliance;
@@ -0,0 +1,65 @@
+import { AlertTriangle, Layers } from "lucide-react";
+
+// E-waste categories declared on a disposal request with their weights, plus the special
+// handling its hazardous items need (categories and warnings come from the vendor requests API)
+const CategoryBreakdown = ({ categories = [], handlingWarnings = [], compact = false }) => {
+	if (categories.length === 0) return null;
+
+	const hazardLabels = Object.fromEntries(handlingWarnings.map((warning) => [warning.hazard_type, warning.label]));
+
+	return (
+		<div className={compact ? 'mt-3' : 'bg-gray-700/50 rounded-lg p-4 mb-6'}>
+			<h4 className={`font-semibold text-gray-100 flex items-center ${compact ? 'text-sm mb-2' : 'mb-3'}`}>
+				<Layers className={compact ? 'w-4 h-4 mr-2' : 'w-5 h-5 mr-2'} />
+				E-Waste Categories
+			</h4>
+			<table className='w-full text-sm'>
+				<thead>
+					<tr className='text-gray-400 text-left'>
+						<th className='pb-1 font-normal'>Category</th>
+						<th className='pb-1 font-normal text-right'>Qty</th>
+						<th className='pb-1 font-normal text-right'>Weight</th>
+					</tr>
+				</thead>
+				<tbody>
+					{categories.map((category) => (
+						<tr key={category.category_code} className='border-t border-gray-600/50'>
+							<td className='py-1 text-gray-300'>
+								<span className='text-gray-100 font-medium'>{category.category_code}</span> {category.category_name}
+								{category.hazard_types.length > 0 && (
+									<div className='flex flex-wrap gap-1 mt-1'>
+										{category.hazard_types.map((hazard) => (
+											<span key={hazard} className='px-2 py-0.5 rounded-full text-xs bg-orange-500/20 text-orange-300'>
+												{hazardLabels[hazard] || hazard}
+											</span>
+										))}
+									</div>
+								)}
+							</td>
+							<td className='py-1 text-right text-gray-100'>{category.quantity}</td>
+							<td className='py-1 text-right text-gray-100'>{category.weight_kg > 0 ? `${category.weight_kg} kg` : '—'}</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+
+			{handlingWarnings.length > 0 && (
+				<div className='mt-3 p-3 bg-orange-500/10 border border-orange-500/40 rounded-lg'>
+					<p className='text-orange-300 text-sm font-medium flex items-center mb-1'>
+						<AlertTriangle className='w-4 h-4 mr-2' />
+						Hazardous items - special handling required
+					</p>
+					<ul className='space-y-1'>
+						{handlingWarnings.map((warning) => (
+							<li key={warning.hazard_type} className='text-xs text-gray-300'>
+								<span className='text-gray-100'>{warning.label}:</span> {warning.handling}
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default CategoryBreakdown;
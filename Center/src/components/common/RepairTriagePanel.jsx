@@ -0,0 +1,172 @@
+import { useState, useEffect, useCallback } from "react";
+import { Wrench, AlertCircle } from "lucide-react";
+
+const authHeaders = () => ({
+	'Authorization': `Bearer ${localStorage.getItem('token')}`,
+	'Content-Type': 'application/json'
+});
+
+// Fair/poor devices on an awarded request that the vendor can send to the repair center
+// instead of collecting them for recycling
+const RepairTriagePanel = ({ requestId, onTriaged }) => {
+	const [data, setData] = useState(null);
+	const [selected, setSelected] = useState(null);
+	const [form, setForm] = useState({ issue_description: '', priority: 'medium', product_id: '' });
+	const [submitting, setSubmitting] = useState(false);
+	const [error, setError] = useState(null);
+
+	const fetchCandidates = useCallback(async () => {
+		try {
+			const response = await fetch(`/api/vendor/disposal-requests/${requestId}/repair-candidates`, {
+				headers: authHeaders()
+			});
+			const result = await response.json();
+			if (result.success) {
+				setData(result.data);
+			}
+		} catch (err) {
+			console.error('Error fetching repair candidates:', err);
+		}
+	}, [requestId]);
+
+	useEffect(() => {
+		fetchCandidates();
+	}, [fetchCandidates]);
+
+	if (!data || !data.can_triage || data.candidates.length === 0) return null;
+
+	const openForm = (device) => {
+		setSelected(device);
+		setForm({ issue_description: '', priority: 'medium', product_id: '' });
+		setError(null);
+	};
+
+	const handleSubmit = async () => {
+		try {
+			setSubmitting(true);
+			setError(null);
+
+			const response = await fetch(`/api/vendor/disposal-requests/${requestId}/items/${selected.device_db_id}/repair`, {
+				method: 'POST',
+				headers: authHeaders(),
+				body: JSON.stringify({
+					issue_description: form.issue_description.trim() || undefined,
+					priority: form.priority,
+					product_id: form.product_id || undefined
+				})
+			});
+			const result = await response.json();
+
+			if (!response.ok || !result.success) {
+				throw new Error(result.errors?.[0]?.msg || result.message || 'Failed to send device for repair');
+			}
+
+			setSelected(null);
+			await fetchCandidates();
+			onTriaged?.(result.data);
+		} catch (err) {
+			console.error('Error sending device for repair:', err);
+			setError(err.message);
+		} finally {
+			setSubmitting(false);
+		}
+	};
+
+	return (
+		<div className="mt-4 pt-4 border-t border-gray-600">
+			<h5 className="font-medium text-gray-100 mb-1 flex items-center">
+				<Wrench className="w-4 h-4 mr-2" />
+				Repair Before Recycle ({data.candidates.length})
+			</h5>
+			<p className="text-gray-400 text-xs mb-3">
+				These devices may be worth fixing. Sending one for repair takes it off this pickup and returns it to the department once repaired.
+			</p>
+
+			<ul className="space-y-2">
+				{data.candidates.map((device) => (
+					<li key={device.device_db_id} className="bg-gray-800/50 rounded-lg p-3 text-sm">
+						<div className="flex flex-wrap items-center justify-between gap-2">
+							<div>
+								<span className="font-mono text-gray-100">{device.device_id}</span>
+								<span className="text-gray-300 ml-2">{device.device_name}</span>
+								<span className="text-gray-400 ml-2">
+									{[device.device_type, device.brand, device.model].filter(Boolean).join(' • ')}
+								</span>
+								<span className={`ml-2 px-2 py-0.5 rounded-full text-xs text-white ${device.condition_status === 'poor' ? 'bg-orange-600' : 'bg-yellow-600'}`}>
+									{device.condition_status}
+								</span>
+							</div>
+							{selected?.device_db_id !== device.device_db_id && (
+								<button
+									onClick={() => openForm(device)}
+									className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 text-xs"
+								>
+									Send for Repair
+								</button>
+							)}
+						</div>
+
+						{selected?.device_db_id === device.device_db_id && (
+							<div className="mt-3 space-y-2">
+								{error && (
+									<div className="flex items-center text-red-300 text-xs">
+										<AlertCircle className="w-4 h-4 mr-1" />
+										{error}
+									</div>
+								)}
+								<textarea
+									value={form.issue_description}
+									onChange={(e) => setForm(prev => ({ ...prev, issue_description: e.target.value }))}
+									placeholder="What needs fixing (optional, at least 10 characters)"
+									rows={2}
+									className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-gray-100 text-sm"
+								/>
+								<div className="flex flex-wrap gap-2">
+									<select
+										value={form.priority}
+										onChange={(e) => setForm(prev => ({ ...prev, priority: e.target.value }))}
+										className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-gray-100 text-sm"
+									>
+										{['low', 'medium', 'high', 'urgent'].map(priority => (
+											<option key={priority} value={priority}>{priority.charAt(0).toUpperCase() + priority.slice(1)}</option>
+										))}
+									</select>
+									{data.services.length > 0 && (
+										<select
+											value={form.product_id}
+											onChange={(e) => setForm(prev => ({ ...prev, product_id: e.target.value }))}
+											className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-gray-100 text-sm"
+										>
+											<option value="">Assess at the repair center</option>
+											{data.services.map(service => (
+												<option key={service.id} value={service.id}>
+													{service.name}{service.price ? ` ($${service.price})` : ''}
+												</option>
+											))}
+										</select>
+									)}
+									<button
+										onClick={handleSubmit}
+										disabled={submitting}
+										className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 text-sm"
+									>
+										{submitting ? 'Sending...' : 'Create Repair Order'}
+									</button>
+									<button
+										onClick={() => setSelected(null)}
+										disabled={submitting}
+										className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-500 text-sm"
+									>
+										Cancel
+									</button>
+								</div>
+							</div>
+						)}
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+
+export default RepairTriagePanel;
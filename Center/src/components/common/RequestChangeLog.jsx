@@ -0,0 +1,47 @@
+import { History, XCircle } from "lucide-react";
+
+// Edits and cancellations the department made to a disposal request (change_log from the
+// vendor requests API), newest first, so a moved pickup slot or address is not missed
+const RequestChangeLog = ({ changeLog = [], compact = false }) => {
+	if (changeLog.length === 0) return null;
+
+	const formatDate = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+	return (
+		<div className={compact ? 'mt-3' : 'bg-gray-700/50 rounded-lg p-4 mb-6'}>
+			<h4 className={`font-semibold text-gray-100 flex items-center ${compact ? 'text-sm mb-2' : 'mb-3'}`}>
+				<History className={compact ? 'w-4 h-4 mr-2' : 'w-5 h-5 mr-2'} />
+				Changes by the Department
+			</h4>
+			<ul className='space-y-2'>
+				{changeLog.map((entry) => (
+					<li key={entry.id} className='text-sm border-t border-gray-600/50 pt-2 first:border-0 first:pt-0'>
+						<p className='text-gray-400 text-xs'>
+							{formatDate(entry.changed_at)}{entry.changed_by_name ? ` - ${entry.changed_by_name}` : ''}
+						</p>
+						{entry.new_status === 'cancelled' ? (
+							<p className='text-red-300 flex items-center'>
+								<XCircle className='w-4 h-4 mr-1' />
+								Cancelled{entry.notes ? `: ${entry.notes}` : ''}
+							</p>
+						) : (
+							<>
+								{entry.old_status !== entry.new_status && (
+									<p className='text-gray-300'>Re-submitted after rejection</p>
+								)}
+								{(entry.changes || []).map((change) => (
+									<p key={change.field} className='text-gray-300'>
+										<span className='text-gray-100'>{change.label}:</span>{' '}
+										<span className='line-through text-gray-500'>{change.from ?? '—'}</span> → {change.to ?? '—'}
+									</p>
+								))}
+							</>
+						)}
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+};
+
+export default RequestChangeLog;
@@ -1,4 +1,4 @@
-import { BarChart2, Package, Calendar, Menu, LogOut } from "lucide-react";
+import { BarChart2, Package, Calendar, Navigation, Wrench, TrendingUp, ClipboardList, Menu, LogOut } from "lucide-react";
 import { useState } from "react";
 import { AnimatePresence, motion } from "framer-motion";
 import { Link, useNavigate } from "react-router-dom";
@@ -9,24 +9,57 @@ const SIDEBAR_ITEMS = [
 		icon: BarChart2,
 		color: "#6366f1",
 		href: "/",
+		roles: ["admin", "manager", "technician", "vendor"]
 	},
 	{ 
 		name: "Approved Requests", 
 		icon: Package, 
 		color: "#10B981", 
-		href: "/approved-requests" 
+		href: "/approved-requests",
+		roles: ["admin", "manager", "technician", "vendor"]
 	},
 	{ 
 		name: "Scheduled Requests", 
 		icon: Calendar, 
 		color: "#F59E0B", 
-		href: "/scheduled-requests" 
+		href: "/scheduled-requests",
+		roles: ["admin", "manager", "technician", "vendor"]
+	},
+	{ 
+		name: "Route Planner", 
+		icon: Navigation, 
+		color: "#EC4899", 
+		href: "/route-planner",
+		roles: ["admin", "manager", "technician", "vendor"]
+	},
+	{
+		name: "Technician Queue",
+		icon: Wrench,
+		color: "#8B5CF6",
+		href: "/technician-queue",
+		roles: ["admin", "manager", "technician"]
+	},
+	{
+		name: "Analytics",
+		icon: TrendingUp,
+		color: "#3B82F6",
+		href: "/analytics",
+		roles: ["admin", "manager"]
+	},
+	{
+		name: "My Orders",
+		icon: ClipboardList,
+		color: "#14B8A6",
+		href: "/my-orders",
+		roles: ["customer"]
 	}
 ];
 
 const Sidebar = () => {
 	const [isSidebarOpen, setIsSidebarOpen] = useState(true);
 	const navigate = useNavigate();
+	const role = JSON.parse(localStorage.getItem('user') || '{}').role;
+	const sidebarItems = SIDEBAR_ITEMS.filter((item) => !item.roles || item.roles.includes(role));
 
 	const handleLogout = () => {
 		localStorage.removeItem('token');
@@ -52,7 +85,7 @@ const Sidebar = () => {
 				</motion.button>
 
 				<nav className='mt-8 flex-grow'>
-					{SIDEBAR_ITEMS.map((item) => (
+					{sidebarItems.map((item) => (
 						<Link key={item.href} to={item.href}>
 							<motion.div className='flex items-center p-3 text-sm font-medium rounded-lg hover:bg-gray-700 transition-colors mb-2'>
 								<item.icon size={20} style={{ color: item.color, minWidth: "20px" }} />
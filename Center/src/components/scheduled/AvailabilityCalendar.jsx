@@ -0,0 +1,274 @@
+import { useState, useEffect, useCallback } from "react";
+import { ChevronLeft, ChevronRight, Settings, Trash2 } from "lucide-react";
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const CALENDAR_DAYS = 14;
+
+const toDateKey = (date) => date.toLocaleDateString('en-CA');
+
+const addDays = (date, days) => {
+	const next = new Date(date);
+	next.setDate(next.getDate() + days);
+	return next;
+};
+
+const authHeaders = () => ({
+	'Authorization': `Bearer ${localStorage.getItem('token')}`,
+	'Content-Type': 'application/json'
+});
+
+// Cell colour by how much of the slot's pickup count or truck capacity is used
+const getUtilisationColor = (cell) => {
+	if (cell.max_pickups === null) return cell.pickups > 0 ? 'bg-blue-500/30' : 'bg-gray-700/40';
+	const used = Math.max(cell.pickups / cell.max_pickups, cell.weight_kg / cell.capacity_kg);
+	if (used >= 1) return 'bg-red-500/40';
+	if (used >= 0.75) return 'bg-orange-500/40';
+	if (used > 0) return 'bg-green-500/30';
+	return 'bg-gray-700/40';
+};
+
+// Slot utilisation for the next two weeks plus the vendor's availability settings
+const AvailabilityCalendar = ({ refreshKey }) => {
+	const [start, setStart] = useState(() => new Date());
+	const [calendar, setCalendar] = useState(null);
+	const [settings, setSettings] = useState(null);
+	const [blackouts, setBlackouts] = useState([]);
+	const [showSettings, setShowSettings] = useState(false);
+	const [newBlackout, setNewBlackout] = useState({ date: '', reason: '' });
+	const [error, setError] = useState(null);
+
+	const fetchCalendar = useCallback(async () => {
+		try {
+			const params = new URLSearchParams({ from: toDateKey(start), to: toDateKey(addDays(start, CALENDAR_DAYS - 1)) });
+			const response = await fetch(`/api/vendor/availability/calendar?${params}`, { headers: authHeaders() });
+			const data = await response.json();
+			if (!data.success) throw new Error(data.message || 'Failed to load calendar');
+			setCalendar(data.data);
+		} catch (err) {
+			console.error('Error fetching availability calendar:', err);
+			setError(err.message);
+		}
+	}, [start]);
+
+	useEffect(() => {
+		fetchCalendar();
+	}, [fetchCalendar, refreshKey]);
+
+	useEffect(() => {
+		fetchSettings();
+	}, []);
+
+	const fetchSettings = async () => {
+		try {
+			const response = await fetch('/api/vendor/availability', { headers: authHeaders() });
+			const data = await response.json();
+			if (!data.success) throw new Error(data.message || 'Failed to load availability');
+			setSettings({ ...data.data.availability, slots: data.data.availability.slots.join('\n') });
+			setBlackouts(data.data.blackout_dates);
+		} catch (err) {
+			console.error('Error fetching availability:', err);
+			setError(err.message);
+		}
+	};
+
+	const saveSettings = async () => {
+		try {
+			setError(null);
+			const response = await fetch('/api/vendor/availability', {
+				method: 'PUT',
+				headers: authHeaders(),
+				body: JSON.stringify({
+					slots: settings.slots.split('\n').map(s => s.trim()).filter(Boolean),
+					working_days: settings.working_days,
+					max_pickups_per_slot: parseInt(settings.max_pickups_per_slot),
+					truck_capacity_kg: parseFloat(settings.truck_capacity_kg)
+				})
+			});
+			const data = await response.json();
+			if (!data.success) throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to save availability');
+			setShowSettings(false);
+			fetchCalendar();
+		} catch (err) {
+			setError(err.message);
+		}
+	};
+
+	const addBlackout = async () => {
+		try {
+			setError(null);
+			const response = await fetch('/api/vendor/availability/blackout-dates', {
+				method: 'POST',
+				headers: authHeaders(),
+				body: JSON.stringify(newBlackout)
+			});
+			const data = await response.json();
+			if (!data.success) throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to add blackout date');
+			setNewBlackout({ date: '', reason: '' });
+			fetchSettings();
+			fetchCalendar();
+		} catch (err) {
+			setError(err.message);
+		}
+	};
+
+	const removeBlackout = async (id) => {
+		try {
+			setError(null);
+			const response = await fetch(`/api/vendor/availability/blackout-dates/${id}`, { method: 'DELETE', headers: authHeaders() });
+			const data = await response.json();
+			if (!data.success) throw new Error(data.message || 'Failed to remove blackout date');
+			fetchSettings();
+			fetchCalendar();
+		} catch (err) {
+			setError(err.message);
+		}
+	};
+
+	const toggleWorkingDay = (day) => setSettings(prev => ({
+		...prev,
+		working_days: prev.working_days.includes(day)
+			? prev.working_days.filter(d => d !== day)
+			: [...prev.working_days, day].sort()
+	}));
+
+	const inputClass = 'w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500';
+	const slotNames = calendar ? calendar.days[0]?.slots.map(s => s.slot) || [] : [];
+
+	return (
+		<div className='bg-gray-800 bg-opacity-50 backdrop-blur-md shadow-lg rounded-xl border border-gray-700 p-6 mb-6'>
+			<div className='flex flex-wrap justify-between items-center gap-4 mb-4'>
+				<div>
+					<h2 className='text-xl font-semibold text-gray-100'>Slot Utilisation</h2>
+					<p className='text-sm text-gray-400'>
+						{calendar?.availability
+							? `${calendar.availability.max_pickups_per_slot} pickups / ${calendar.availability.truck_capacity_kg} kg per slot`
+							: 'Availability not configured yet - scheduling is unlimited'}
+					</p>
+				</div>
+				<div className='flex items-center space-x-2'>
+					<button onClick={() => setStart(addDays(start, -CALENDAR_DAYS))} className='p-2 rounded-lg bg-gray-700 hover:bg-gray-600' title='Previous'>
+						<ChevronLeft className='w-4 h-4' />
+					</button>
+					<button onClick={() => setStart(new Date())} className='px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-sm'>
+						Today
+					</button>
+					<button onClick={() => setStart(addDays(start, CALENDAR_DAYS))} className='p-2 rounded-lg bg-gray-700 hover:bg-gray-600' title='Next'>
+						<ChevronRight className='w-4 h-4' />
+					</button>
+					<button onClick={() => setShowSettings(!showSettings)} className='flex items-center px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-sm'>
+						<Settings className='w-4 h-4 mr-1' />
+						Availability
+					</button>
+				</div>
+			</div>
+
+			{error && <p className='mb-4 text-sm text-red-400'>{error}</p>}
+
+			{/* Availability Settings */}
+			{showSettings && settings && (
+				<div className='grid grid-cols-1 md:grid-cols-3 gap-6 mb-6 bg-gray-700/40 rounded-lg p-4'>
+					<div>
+						<label className='block text-sm text-gray-400 mb-1'>Time slots (one per line)</label>
+						<textarea
+							rows={5}
+							value={settings.slots}
+							onChange={(e) => setSettings(prev => ({ ...prev, slots: e.target.value }))}
+							className={inputClass}
+						/>
+					</div>
+					<div className='space-y-3'>
+						<div>
+							<label className='block text-sm text-gray-400 mb-1'>Pickups per slot</label>
+							<input type='number' min='1' value={settings.max_pickups_per_slot} onChange={(e) => setSettings(prev => ({ ...prev, max_pickups_per_slot: e.target.value }))} className={inputClass} />
+						</div>
+						<div>
+							<label className='block text-sm text-gray-400 mb-1'>Truck capacity per slot (kg)</label>
+							<input type='number' min='1' value={settings.truck_capacity_kg} onChange={(e) => setSettings(prev => ({ ...prev, truck_capacity_kg: e.target.value }))} className={inputClass} />
+						</div>
+						<div>
+							<label className='block text-sm text-gray-400 mb-1'>Working days</label>
+							<div className='flex flex-wrap gap-1'>
+								{WEEKDAYS.map((name, day) => (
+									<button
+										key={name}
+										onClick={() => toggleWorkingDay(day)}
+										className={`px-2 py-1 rounded text-xs ${settings.working_days.includes(day) ? 'bg-blue-600' : 'bg-gray-600'}`}
+									>
+										{name}
+									</button>
+								))}
+							</div>
+						</div>
+						<button onClick={saveSettings} className='px-4 py-2 bg-green-600 rounded-lg hover:bg-green-700 text-sm'>
+							Save Availability
+						</button>
+					</div>
+					<div>
+						<label className='block text-sm text-gray-400 mb-1'>Blackout dates</label>
+						<div className='flex gap-2 mb-2'>
+							<input type='date' value={newBlackout.date} onChange={(e) => setNewBlackout(prev => ({ ...prev, date: e.target.value }))} className={inputClass} />
+							<button onClick={addBlackout} disabled={!newBlackout.date} className='px-3 py-2 bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm'>
+								Add
+							</button>
+						</div>
+						<input type='text' placeholder='Reason (optional)' value={newBlackout.reason} onChange={(e) => setNewBlackout(prev => ({ ...prev, reason: e.target.value }))} className={`${inputClass} mb-2`} />
+						<ul className='space-y-1 max-h-32 overflow-y-auto'>
+							{blackouts.map(b => (
+								<li key={b.id} className='flex justify-between items-center text-sm text-gray-300'>
+									<span>{new Date(b.blackout_date).toLocaleDateString()}{b.reason && ` - ${b.reason}`}</span>
+									<button onClick={() => removeBlackout(b.id)} className='text-red-400 hover:text-red-300' title='Remove'>
+										<Trash2 className='w-4 h-4' />
+									</button>
+								</li>
+							))}
+						</ul>
+					</div>
+				</div>
+			)}
+
+			{/* Calendar Grid */}
+			{calendar && (
+				<div className='overflow-x-auto'>
+					<table className='min-w-full text-xs'>
+						<thead>
+							<tr>
+								<th className='px-2 py-2 text-left text-gray-400 font-medium'>Slot</th>
+								{calendar.days.map(day => (
+									<th key={day.date} className='px-2 py-2 text-center text-gray-400 font-medium whitespace-nowrap'>
+										{WEEKDAYS[new Date(`${day.date}T00:00:00`).getDay()]}<br />
+										{day.date.slice(5)}
+									</th>
+								))}
+							</tr>
+						</thead>
+						<tbody>
+							{slotNames.map(slot => (
+								<tr key={slot}>
+									<td className='px-2 py-1 text-gray-300 whitespace-nowrap'>
+										{slot === 'outside_slots' ? 'Outside slots' : slot}
+									</td>
+									{calendar.days.map(day => {
+										const cell = day.slots.find(s => s.slot === slot) || { pickups: 0, weight_kg: 0, max_pickups: null };
+										const closed = day.blackout || (calendar.availability && !day.working);
+										return (
+											<td key={day.date} className='px-1 py-1'>
+												<div
+													className={`rounded px-1 py-2 text-center ${closed ? 'bg-gray-900 text-gray-600' : getUtilisationColor(cell)}`}
+													title={day.blackout || (closed ? 'Non-working day' : `${cell.weight_kg} kg booked`)}
+												>
+													{closed ? '—' : cell.max_pickups !== null ? `${cell.pickups}/${cell.max_pickups}` : cell.pickups}
+												</div>
+											</td>
+										);
+									})}
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default AvailabilityCalendar;
@@ -0,0 +1,307 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { X, Plus, Trash2, Camera, Eraser } from "lucide-react";
+
+const MAX_PHOTOS = 6;
+const MAX_PHOTO_SIDE = 1280;
+
+const authHeaders = () => ({
+	'Authorization': `Bearer ${localStorage.getItem('token')}`,
+	'Content-Type': 'application/json'
+});
+
+// Downsize a photo to a JPEG data URL so a handful fit in one request
+const compressPhoto = (file) => new Promise((resolve, reject) => {
+	const reader = new FileReader();
+	reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+	reader.onload = () => {
+		const image = new Image();
+		image.onerror = () => reject(new Error(`${file.name} is not an image`));
+		image.onload = () => {
+			const scale = Math.min(1, MAX_PHOTO_SIDE / Math.max(image.width, image.height));
+			const canvas = document.createElement('canvas');
+			canvas.width = Math.round(image.width * scale);
+			canvas.height = Math.round(image.height * scale);
+			canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+			resolve(canvas.toDataURL('image/jpeg', 0.7));
+		};
+		image.src = reader.result;
+	};
+	reader.readAsDataURL(file);
+});
+
+// Proof of pickup: weighed kg per category, photos, handover signature and driver name
+const PickupCompletionForm = ({ request, onClose, onCompleted }) => {
+	const [declared, setDeclared] = useState(null);
+	const [vendorDestroyDevices, setVendorDestroyDevices] = useState([]);
+	const [sanitisationPending, setSanitisationPending] = useState(0);
+	const [rows, setRows] = useState([{ category: '', weight_kg: '' }]);
+	const [itemCount, setItemCount] = useState(request.item_count ?? '');
+	const [photos, setPhotos] = useState([]);
+	const [signedByName, setSignedByName] = useState(request.contact_name || '');
+	const [driverName, setDriverName] = useState('');
+	const [notes, setNotes] = useState('');
+	const [hasSignature, setHasSignature] = useState(false);
+	const [submitting, setSubmitting] = useState(false);
+	const [error, setError] = useState(null);
+	const canvasRef = useRef(null);
+	const drawingRef = useRef(false);
+
+	const fetchDeclared = useCallback(async () => {
+		try {
+			const response = await fetch(`/api/vendor/disposal-requests/${request.request_id}/pickup-proof`, { headers: authHeaders() });
+			const data = await response.json();
+			if (!data.success) throw new Error(data.message || 'Failed to load request');
+			setDeclared(data.data.declared);
+			setVendorDestroyDevices(data.data.vendor_destroy_devices || []);
+			setSanitisationPending(data.data.sanitisation_pending_count || 0);
+			// Start from the department's manifest categories when there is one
+			if (data.data.declared.categories.length > 0) {
+				setRows(data.data.declared.categories.map(c => ({ category: c.category, weight_kg: '' })));
+			}
+		} catch (err) {
+			setError(err.message);
+		}
+	}, [request.request_id]);
+
+	useEffect(() => {
+		fetchDeclared();
+	}, [fetchDeclared]);
+
+	const updateRow = (index, field, value) => setRows(prev => prev.map((row, i) => i === index ? { ...row, [field]: value } : row));
+
+	const handlePhotos = async (e) => {
+		const files = Array.from(e.target.files || []).slice(0, MAX_PHOTOS - photos.length);
+		e.target.value = '';
+		try {
+			const compressed = await Promise.all(files.map(compressPhoto));
+			setPhotos(prev => [...prev, ...compressed]);
+		} catch (err) {
+			setError(err.message);
+		}
+	};
+
+	// Signature pad: pointer events cover mouse, pen and touch
+	const pointerPosition = (e) => {
+		const rect = canvasRef.current.getBoundingClientRect();
+		return {
+			x: (e.clientX - rect.left) * (canvasRef.current.width / rect.width),
+			y: (e.clientY - rect.top) * (canvasRef.current.height / rect.height)
+		};
+	};
+
+	const startStroke = (e) => {
+		const ctx = canvasRef.current.getContext('2d');
+		const { x, y } = pointerPosition(e);
+		ctx.lineWidth = 2;
+		ctx.lineCap = 'round';
+		ctx.strokeStyle = '#111827';
+		ctx.beginPath();
+		ctx.moveTo(x, y);
+		drawingRef.current = true;
+		canvasRef.current.setPointerCapture(e.pointerId);
+	};
+
+	const continueStroke = (e) => {
+		if (!drawingRef.current) return;
+		const ctx = canvasRef.current.getContext('2d');
+		const { x, y } = pointerPosition(e);
+		ctx.lineTo(x, y);
+		ctx.stroke();
+		setHasSignature(true);
+	};
+
+	const endStroke = () => {
+		drawingRef.current = false;
+	};
+
+	const clearSignature = () => {
+		const canvas = canvasRef.current;
+		canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+		setHasSignature(false);
+	};
+
+	const totalWeight = Math.round(rows.reduce((total, row) => total + (parseFloat(row.weight_kg) || 0), 0) * 100) / 100;
+	const variancePercent = declared?.weight_kg
+		? Math.round((totalWeight - declared.weight_kg) / declared.weight_kg * 10000) / 100
+		: null;
+
+	const handleSubmit = async () => {
+		try {
+			setSubmitting(true);
+			setError(null);
+
+			// Signature is drawn dark on transparent; flatten onto white so it reads anywhere
+			const flattened = document.createElement('canvas');
+			flattened.width = canvasRef.current.width;
+			flattened.height = canvasRef.current.height;
+			const ctx = flattened.getContext('2d');
+			ctx.fillStyle = '#ffffff';
+			ctx.fillRect(0, 0, flattened.width, flattened.height);
+			ctx.drawImage(canvasRef.current, 0, 0);
+
+			const response = await fetch(`/api/vendor/disposal-requests/${request.request_id}/pickup-completion`, {
+				method: 'POST',
+				headers: authHeaders(),
+				body: JSON.stringify({
+					category_weights: rows.filter(row => row.category.trim() || row.weight_kg),
+					item_count: itemCount,
+					photos,
+					signature: flattened.toDataURL('image/png'),
+					signed_by_name: signedByName,
+					driver_name: driverName,
+					notes
+				})
+			});
+			const data = await response.json();
+			if (!data.success) throw new Error(data.errors?.[0]?.message || data.message || 'Failed to complete pickup');
+
+			onCompleted(data.data);
+		} catch (err) {
+			setError(err.message);
+		} finally {
+			setSubmitting(false);
+		}
+	};
+
+	const inputClass = 'w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500';
+
+	return (
+		<div className='fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4'>
+			<div className='bg-gray-800 rounded-xl border border-gray-700 w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6'>
+				<div className='flex justify-between items-center mb-4'>
+					<div>
+						<h2 className='text-xl font-semibold text-gray-100'>Complete Pickup - {request.request_id}</h2>
+						<p className='text-sm text-gray-400'>
+							{request.department} • Declared {declared?.weight_kg ?? request.weight_kg ?? 'N/A'} kg, {declared?.item_count ?? request.item_count ?? 'N/A'} items
+						</p>
+					</div>
+					<button onClick={onClose} className='text-gray-400 hover:text-gray-200' title='Close'>
+						<X className='w-5 h-5' />
+					</button>
+				</div>
+
+				{error && <p className='mb-4 text-sm text-red-400'>{error}</p>}
+
+				{/* Data sanitisation handover */}
+				{sanitisationPending > 0 && (
+					<p className='mb-4 p-3 rounded-lg bg-red-900/40 border border-red-700 text-sm text-red-300'>
+						{sanitisationPending} storage device(s) are not sanitised yet. The department must record sanitisation before you can collect.
+					</p>
+				)}
+				{vendorDestroyDevices.length > 0 && (
+					<div className='mb-4 p-3 rounded-lg bg-yellow-900/30 border border-yellow-700 text-sm text-yellow-200'>
+						<p className='font-semibold mb-1'>You are responsible for destroying the storage of these devices:</p>
+						<ul className='list-disc list-inside'>
+							{vendorDestroyDevices.map(device => (
+								<li key={device.device_code}>
+									{device.device_code} ({device.device_type}){device.serial_number && ` - S/N ${device.serial_number}`}
+								</li>
+							))}
+						</ul>
+					</div>
+				)}
+
+				{/* Weighed quantities */}
+				<h3 className='font-semibold text-gray-100 mb-2'>Weighed quantities</h3>
+				<div className='space-y-2 mb-2'>
+					{rows.map((row, index) => (
+						<div key={index} className='flex gap-2'>
+							<input type='text' placeholder='Category (e.g. Laptop)' value={row.category} onChange={(e) => updateRow(index, 'category', e.target.value)} className={inputClass} />
+							<input type='number' min='0' step='0.01' placeholder='kg' value={row.weight_kg} onChange={(e) => updateRow(index, 'weight_kg', e.target.value)} className={`${inputClass} max-w-[8rem]`} />
+							<button onClick={() => setRows(prev => prev.filter((_, i) => i !== index))} disabled={rows.length === 1} className='text-red-400 hover:text-red-300 disabled:opacity-30' title='Remove'>
+								<Trash2 className='w-4 h-4' />
+							</button>
+						</div>
+					))}
+				</div>
+				<div className='flex justify-between items-center mb-4 text-sm'>
+					<button onClick={() => setRows(prev => [...prev, { category: '', weight_kg: '' }])} className='flex items-center text-blue-400 hover:text-blue-300'>
+						<Plus className='w-4 h-4 mr-1' />
+						Add category
+					</button>
+					<span className='text-gray-300'>
+						Total {totalWeight} kg
+						{variancePercent !== null && (
+							<span className={Math.abs(variancePercent) > 10 ? 'text-orange-400' : 'text-gray-400'}>
+								{' '}({variancePercent > 0 ? '+' : ''}{variancePercent}% vs declared)
+							</span>
+						)}
+					</span>
+				</div>
+
+				<div className='grid grid-cols-1 md:grid-cols-2 gap-4 mb-4'>
+					<div>
+						<label className='block text-sm text-gray-400 mb-1'>Item count</label>
+						<input type='number' min='0' value={itemCount} onChange={(e) => setItemCount(e.target.value)} className={inputClass} />
+					</div>
+					<div>
+						<label className='block text-sm text-gray-400 mb-1'>Driver name</label>
+						<input type='text' value={driverName} onChange={(e) => setDriverName(e.target.value)} className={inputClass} />
+					</div>
+				</div>
+
+				{/* Photos */}
+				<h3 className='font-semibold text-gray-100 mb-2'>Photos of the loaded items ({photos.length}/{MAX_PHOTOS})</h3>
+				<div className='flex flex-wrap gap-2 mb-4'>
+					{photos.map((photo, index) => (
+						<div key={index} className='relative'>
+							<img src={photo} alt={`Pickup photo ${index + 1}`} className='w-24 h-20 object-cover rounded-lg border border-gray-600' />
+							<button onClick={() => setPhotos(prev => prev.filter((_, i) => i !== index))} className='absolute top-1 right-1 bg-gray-900/80 rounded p-0.5 text-red-400' title='Remove'>
+								<X className='w-3 h-3' />
+							</button>
+						</div>
+					))}
+					{photos.length < MAX_PHOTOS && (
+						<label className='w-24 h-20 flex flex-col items-center justify-center rounded-lg border border-dashed border-gray-500 text-gray-400 hover:text-gray-200 cursor-pointer text-xs'>
+							<Camera className='w-5 h-5 mb-1' />
+							Add photo
+							<input type='file' accept='image/*' capture='environment' multiple onChange={handlePhotos} className='hidden' />
+						</label>
+					)}
+				</div>
+
+				{/* Handover signature */}
+				<h3 className='font-semibold text-gray-100 mb-2'>Handover signature</h3>
+				<div className='grid grid-cols-1 md:grid-cols-2 gap-4 mb-4'>
+					<div>
+						<canvas
+							ref={canvasRef}
+							width={500}
+							height={160}
+							onPointerDown={startStroke}
+							onPointerMove={continueStroke}
+							onPointerUp={endStroke}
+							onPointerLeave={endStroke}
+							className='w-full bg-white rounded-lg touch-none cursor-crosshair'
+						/>
+						<button onClick={clearSignature} className='flex items-center mt-1 text-sm text-gray-400 hover:text-gray-200'>
+							<Eraser className='w-4 h-4 mr-1' />
+							Clear
+						</button>
+					</div>
+					<div>
+						<label className='block text-sm text-gray-400 mb-1'>Signed by (department contact)</label>
+						<input type='text' value={signedByName} onChange={(e) => setSignedByName(e.target.value)} className={`${inputClass} mb-3`} />
+						<label className='block text-sm text-gray-400 mb-1'>Notes (optional)</label>
+						<textarea rows={3} value={notes} onChange={(e) => setNotes(e.target.value)} className={inputClass} />
+					</div>
+				</div>
+
+				<div className='flex justify-end space-x-2'>
+					<button onClick={onClose} className='px-4 py-2 bg-gray-600 rounded-lg hover:bg-gray-700'>
+						Cancel
+					</button>
+					<button
+						onClick={handleSubmit}
+						disabled={submitting || sanitisationPending > 0 || !hasSignature || photos.length === 0 || !driverName.trim()}
+						className='px-4 py-2 bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50'
+					>
+						{submitting ? 'Saving...' : 'Complete Pickup'}
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default PickupCompletionForm;
@@ -0,0 +1,138 @@
+import { useState } from "react";
+import { CheckCircle, XCircle, Clock, Calendar, DollarSign, Wrench, AlertTriangle } from "lucide-react";
+
+const STATUS_STYLES = {
+	pending: 'bg-yellow-500',
+	confirmed: 'bg-blue-500',
+	in_progress: 'bg-indigo-500',
+	waiting_parts: 'bg-orange-500',
+	completed: 'bg-green-500',
+	delivered: 'bg-green-600',
+	cancelled: 'bg-red-500'
+};
+
+const formatStatus = (status) => status.replace('_', ' ');
+const formatDate = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+const formatCost = (value) => value === null || value === undefined ? 'Not estimated yet' : `$${Number(value).toFixed(2)}`;
+
+// A customer's view of a repair order (from the tracking API): costs, dates, status timeline and,
+// when the repair center asked for it, the approve/decline choice
+const OrderTracking = ({ view, onRespond, responding = false }) => {
+	const [comment, setComment] = useState('');
+	const { order, timeline, approval } = view;
+	const awaitingApproval = approval?.status === 'pending' && !['completed', 'delivered', 'cancelled'].includes(order.status);
+
+	const handleRespond = (decision) => {
+		if (decision === 'decline' && !window.confirm('Declining cancels this repair order. Continue?')) return;
+		onRespond(decision, comment.trim() || undefined);
+	};
+
+	return (
+		<div className='space-y-6'>
+			<div className='flex flex-wrap items-start justify-between gap-4'>
+				<div>
+					<h2 className='text-2xl font-semibold text-gray-100'>{order.order_number}</h2>
+					<p className='text-gray-400'>
+						{[order.device_type, order.device_brand, order.device_model].filter(Boolean).join(' • ')}
+						{order.repair_center_name ? ` • ${order.repair_center_name}` : ''}
+					</p>
+				</div>
+				<span className={`px-3 py-1 rounded-full text-sm font-medium text-white capitalize ${STATUS_STYLES[order.status] || 'bg-gray-500'}`}>
+					{formatStatus(order.status)}
+				</span>
+			</div>
+
+			{order.issue_description && (
+				<p className='text-gray-300'>{order.issue_description}</p>
+			)}
+
+			<div className='grid grid-cols-1 sm:grid-cols-3 gap-4'>
+				<div className='bg-gray-700/50 rounded-lg p-4'>
+					<p className='text-sm text-gray-400 flex items-center'><DollarSign className='w-4 h-4 mr-1' />Estimated cost</p>
+					<p className='text-lg font-semibold text-gray-100'>{formatCost(order.estimated_cost)}</p>
+					{order.actual_cost !== null && order.actual_cost !== undefined && (
+						<p className='text-sm text-gray-400'>Final: {formatCost(order.actual_cost)}</p>
+					)}
+				</div>
+				<div className='bg-gray-700/50 rounded-lg p-4'>
+					<p className='text-sm text-gray-400 flex items-center'><Calendar className='w-4 h-4 mr-1' />
+						{order.completed_at ? 'Completed' : 'Estimated completion'}
+					</p>
+					<p className='text-lg font-semibold text-gray-100'>
+						{order.completed_at
+							? formatDate(order.completed_at)
+							: order.estimated_completion ? formatDate(order.estimated_completion) : 'To be confirmed'}
+					</p>
+				</div>
+				<div className='bg-gray-700/50 rounded-lg p-4'>
+					<p className='text-sm text-gray-400 flex items-center'><Clock className='w-4 h-4 mr-1' />Received</p>
+					<p className='text-lg font-semibold text-gray-100'>{formatDate(order.created_at)}</p>
+				</div>
+			</div>
+
+			{awaitingApproval && (
+				<div className='bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-4 space-y-3'>
+					<p className='text-yellow-200 flex items-center font-medium'>
+						<AlertTriangle className='w-5 h-5 mr-2' />
+						{approval.reason === 'estimate_changed'
+							? `The estimated cost is now ${formatCost(order.estimated_cost)}. Do you want the repair to go ahead?`
+							: 'The repair center needs more information before going ahead.'}
+					</p>
+					{approval.note && <p className='text-gray-300 text-sm'>{approval.note}</p>}
+					<textarea
+						value={comment}
+						onChange={(e) => setComment(e.target.value)}
+						rows={2}
+						maxLength={1000}
+						placeholder={approval.reason === 'info_requested' ? 'Your answer for the repair center' : 'Comment (optional)'}
+						className='w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100 text-sm'
+					/>
+					<div className='flex gap-3'>
+						<button
+							onClick={() => handleRespond('approve')}
+							disabled={responding}
+							className='flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50'
+						>
+							<CheckCircle className='w-4 h-4 mr-2' />
+							Approve
+						</button>
+						<button
+							onClick={() => handleRespond('decline')}
+							disabled={responding}
+							className='flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50'
+						>
+							<XCircle className='w-4 h-4 mr-2' />
+							Decline
+						</button>
+					</div>
+				</div>
+			)}
+
+			{approval && approval.status !== 'pending' && (
+				<p className={`text-sm ${approval.status === 'approved' ? 'text-green-400' : 'text-red-400'}`}>
+					You {approval.status} {approval.reason === 'estimate_changed' ? 'the estimate' : 'the repair'}
+					{approval.responded_at ? ` on ${formatDate(approval.responded_at)}` : ''}.
+				</p>
+			)}
+
+			<div>
+				<h3 className='text-lg font-semibold text-gray-100 mb-3 flex items-center'>
+					<Wrench className='w-5 h-5 mr-2' />
+					Progress
+				</h3>
+				<ol className='relative border-l border-gray-600 ml-2'>
+					{timeline.map((entry, index) => (
+						<li key={index} className='mb-4 ml-4'>
+							<div className={`absolute w-3 h-3 rounded-full -left-1.5 mt-1.5 ${STATUS_STYLES[entry.status] || 'bg-gray-500'}`}></div>
+							<p className='text-gray-100 capitalize'>{formatStatus(entry.status)}</p>
+							<p className='text-xs text-gray-400'>{formatDate(entry.changed_at)}</p>
+							{entry.notes && <p className='text-sm text-gray-300'>{entry.notes}</p>}
+						</li>
+					))}
+				</ol>
+			</div>
+		</div>
+	);
+};
+
+export default OrderTracking;
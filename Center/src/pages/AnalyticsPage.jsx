@@ -7,6 +7,7 @@ import ProductPerformance from "../components/analytics/ProductPerformance";
 import UserRetention from "../components/analytics/UserRetention";
 import CustomerSegmentation from "../components/analytics/CustomerSegmentation";
 import AIPoweredInsights from "../components/analytics/AIPoweredInsights";
+import SlaCompliance from "../components/analytics/SlaCompliance";
 
 const AnalyticsPage = () => {
 	return (
@@ -15,6 +16,7 @@ const AnalyticsPage = () => {
 
 			<main className='max-w-7xl mx-auto py-6 px-4 lg:px-8'>
 				<OverviewCards />
+				<SlaCompliance />
 				<RevenueChart />
 
 				<div className='grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8'>
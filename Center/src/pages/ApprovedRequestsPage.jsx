@@ -3,6 +3,9 @@ import { Package, Clock, Truck, CheckCircle, Calendar, MapPin, Phone, Mail, User
 import { motion } from "framer-motion";
 
 import Header from "../components/common/Header";
+import CategoryBreakdown from "../components/common/CategoryBreakdown";
+import RequestChangeLog from "../components/common/RequestChangeLog";
+import RepairTriagePanel from "../components/common/RepairTriagePanel";
 
 const ApprovedRequestsPage = () => {
 	const [requests, setRequests] = useState([]);
@@ -310,6 +313,12 @@ const ApprovedRequestsPage = () => {
 							<p className="text-gray-100">{request.estimated_value ? `$${request.estimated_value}` : 'N/A'}</p>
 						</div>
 					</div>
+					<CategoryBreakdown
+						categories={request.categories}
+						handlingWarnings={request.handling_warnings}
+						compact
+					/>
+					<RequestChangeLog changeLog={request.change_log} compact />
 				</div>
 			</div>
 
@@ -319,6 +328,10 @@ const ApprovedRequestsPage = () => {
 					<p className="text-gray-300 text-sm">{request.additional_notes}</p>
 				</div>
 			)}
+
+			{(request.status === 'approved' || request.status === 'pickup_scheduled') && (
+				<RepairTriagePanel requestId={request.request_id} onTriaged={fetchApprovedRequests} />
+			)}
 		</div>
 	);
 
@@ -0,0 +1,170 @@
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { Package, AlertCircle, CheckCircle, Link as LinkIcon } from "lucide-react";
+
+import Header from "../components/common/Header";
+import OrderTracking from "../components/tracking/OrderTracking";
+
+// The logged-in customer's repair orders, with tracking and approval of changed estimates
+const CustomerOrdersPage = () => {
+	const [orders, setOrders] = useState([]);
+	const [selectedId, setSelectedId] = useState(null);
+	const [view, setView] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [responding, setResponding] = useState(false);
+	const [error, setError] = useState(null);
+	const [message, setMessage] = useState(null);
+
+	const authHeaders = () => ({
+		'Authorization': `Bearer ${localStorage.getItem('token')}`,
+		'Content-Type': 'application/json'
+	});
+
+	useEffect(() => {
+		const fetchOrders = async () => {
+			try {
+				setLoading(true);
+				const response = await fetch('/api/orders?limit=100', { headers: authHeaders() });
+				const data = await response.json();
+
+				if (!response.ok || !data.success) {
+					throw new Error(data.message || 'Failed to fetch orders');
+				}
+
+				setOrders(data.data.orders || []);
+				if (data.data.orders?.length > 0) {
+					setSelectedId(data.data.orders[0].id);
+				}
+			} catch (err) {
+				console.error('Error fetching orders:', err);
+				setError(err.message);
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchOrders();
+	}, []);
+
+	useEffect(() => {
+		if (!selectedId) return;
+
+		const fetchTracking = async () => {
+			try {
+				setError(null);
+				setMessage(null);
+				const response = await fetch(`/api/customer/orders/${selectedId}`, { headers: authHeaders() });
+				const data = await response.json();
+
+				if (!response.ok || !data.success) {
+					throw new Error(data.message || 'Failed to fetch order');
+				}
+
+				setView(data.data);
+			} catch (err) {
+				console.error('Error fetching order tracking:', err);
+				setError(err.message);
+			}
+		};
+
+		fetchTracking();
+	}, [selectedId]);
+
+	const handleRespond = async (decision, comment) => {
+		try {
+			setResponding(true);
+			setError(null);
+
+			const response = await fetch(`/api/customer/orders/${selectedId}/respond`, {
+				method: 'POST',
+				headers: authHeaders(),
+				body: JSON.stringify({ decision, comment })
+			});
+			const data = await response.json();
+
+			if (!response.ok || !data.success) {
+				throw new Error(data.message || 'Failed to record your response');
+			}
+
+			setView(prev => ({ ...data.data, tracking_url: prev.tracking_url }));
+			setOrders(prev => prev.map(order => order.id === selectedId ? { ...order, status: data.data.order.status } : order));
+			setMessage(data.message);
+		} catch (err) {
+			console.error('Error responding to order:', err);
+			setError(err.message);
+		} finally {
+			setResponding(false);
+		}
+	};
+
+	return (
+		<div className='flex-1 overflow-auto relative z-10'>
+			<Header title='My Orders' />
+
+			<main className='max-w-7xl mx-auto py-6 px-4 lg:px-8'>
+				{error && (
+					<div className='mb-6 bg-red-500/10 border border-red-500/20 rounded-lg p-4 flex items-center'>
+						<AlertCircle className='w-5 h-5 text-red-400 mr-2' />
+						<span className='text-red-300'>{error}</span>
+					</div>
+				)}
+
+				{message && (
+					<div className='mb-6 bg-green-500/10 border border-green-500/20 rounded-lg p-4 flex items-center'>
+						<CheckCircle className='w-5 h-5 text-green-400 mr-2' />
+						<span className='text-green-300'>{message}</span>
+					</div>
+				)}
+
+				{loading ? (
+					<div className='text-center py-8'>
+						<div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500'></div>
+						<p className='text-gray-400 mt-2'>Loading orders...</p>
+					</div>
+				) : orders.length === 0 ? (
+					<div className='text-center py-8'>
+						<Package className='w-12 h-12 text-gray-400 mx-auto mb-4' />
+						<p className='text-gray-400'>You have no repair orders yet</p>
+					</div>
+				) : (
+					<div className='grid grid-cols-1 lg:grid-cols-3 gap-6'>
+						<ul className='space-y-2'>
+							{orders.map(order => (
+								<li key={order.id}>
+									<button
+										onClick={() => setSelectedId(order.id)}
+										className={`w-full text-left rounded-lg p-3 border transition-colors ${order.id === selectedId ? 'bg-gray-700 border-blue-500' : 'bg-gray-800 border-gray-700 hover:bg-gray-700'}`}
+									>
+										<p className='font-mono text-gray-100'>{order.order_number}</p>
+										<p className='text-sm text-gray-400 capitalize'>
+											{order.status.replace('_', ' ')} • {new Date(order.created_at).toLocaleDateString()}
+										</p>
+									</button>
+								</li>
+							))}
+						</ul>
+
+						{view && (
+							<motion.div
+								className='lg:col-span-2 bg-gray-800 bg-opacity-50 backdrop-blur-md shadow-lg rounded-xl p-6 border border-gray-700'
+								initial={{ opacity: 0, y: 20 }}
+								animate={{ opacity: 1, y: 0 }}
+								transition={{ duration: 0.5 }}
+							>
+								<OrderTracking key={view.order.id} view={view} onRespond={handleRespond} responding={responding} />
+								{view.tracking_url && (
+									<p className='mt-6 text-sm text-gray-400 flex items-center break-all'>
+										<LinkIcon className='w-4 h-4 mr-2 flex-shrink-0' />
+										Tracking link:&nbsp;<a href={view.tracking_url} className='text-blue-400 hover:text-blue-300'>{view.tracking_url}</a>
+									</p>
+								)}
+							</motion.div>
+						)}
+					</div>
+				)}
+			</main>
+		</div>
+	);
+};
+
+export default CustomerOrdersPage;
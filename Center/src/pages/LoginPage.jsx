@@ -41,8 +41,8 @@ const LoginPage = () => {
         localStorage.setItem('token', data.data.token);
         localStorage.setItem('user', JSON.stringify(data.data.user));
         
-        // Navigate to main dashboard
-        navigate('/');
+        // Customers land on their orders, staff on the main dashboard
+        navigate(data.data.user.role === 'customer' ? '/my-orders' : '/');
       } else {
         setError(data.message || 'Login failed');
       }
@@ -1,9 +1,11 @@
 import { useState, useEffect } from "react";
-import { Package, Clock, CheckCircle, Truck, AlertCircle, Eye, MapPin, Phone, Mail, Calendar, User, FileText } from "lucide-react";
+import { Package, Clock, CheckCircle, Truck, AlertCircle, Eye, MapPin, Phone, Mail, Calendar, User, FileText, DollarSign, Bell } from "lucide-react";
 import { motion } from "framer-motion";
 
 import Header from "../components/common/Header";
 import StatCard from "../components/common/StatCard";
+import CategoryBreakdown from "../components/common/CategoryBreakdown";
+import RequestChangeLog from "../components/common/RequestChangeLog";
 
 const OverviewPage = () => {
 	const [stats, setStats] = useState({
@@ -17,11 +19,55 @@ const OverviewPage = () => {
 	const [error, setError] = useState(null);
 	const [selectedRequest, setSelectedRequest] = useState(null);
 	const [actionLoading, setActionLoading] = useState(false);
+	const [bidForm, setBidForm] = useState({
+		pricing_type: 'per_kg',
+		price: '',
+		pickup_window_start: '',
+		pickup_window_end: '',
+		certifications: '',
+		notes: ''
+	});
+	const [notifications, setNotifications] = useState([]);
+
+	// Vendors quote on pending requests; only admins can approve or reject them directly
+	const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+	const isVendor = currentUser.role === 'vendor';
 
 	useEffect(() => {
 		fetchDashboardData();
+		fetchNotifications();
 	}, []);
 
+	const fetchNotifications = async () => {
+		try {
+			const token = localStorage.getItem('token');
+			const response = await fetch('/api/notifications', {
+				headers: {
+					'Authorization': `Bearer ${token}`,
+					'Content-Type': 'application/json'
+				}
+			});
+			const data = await response.json();
+			if (data.success) {
+				setNotifications(data.data.notifications || []);
+			}
+		} catch (err) {
+			console.error('Error fetching notifications:', err);
+		}
+	};
+
+	const markNotificationsRead = async () => {
+		const token = localStorage.getItem('token');
+		await fetch('/api/notifications/read', {
+			method: 'PUT',
+			headers: {
+				'Authorization': `Bearer ${token}`,
+				'Content-Type': 'application/json'
+			}
+		});
+		fetchNotifications();
+	};
+
 	const fetchDashboardData = async () => {
 		try {
 			setLoading(true);
@@ -74,6 +120,14 @@ const OverviewPage = () => {
 
 	const handleViewDetails = (request) => {
 		setSelectedRequest(request);
+		setBidForm({
+			pricing_type: request.my_bid_pricing_type || 'per_kg',
+			price: request.my_bid_price || '',
+			pickup_window_start: request.my_bid_window_start?.slice(0, 16) || '',
+			pickup_window_end: request.my_bid_window_end?.slice(0, 16) || '',
+			certifications: '',
+			notes: ''
+		});
 	};
 
 	const handleCloseDetails = () => {
@@ -119,6 +173,40 @@ const OverviewPage = () => {
 		}
 	};
 
+	const handleBid = async (requestId, withdraw = false) => {
+		try {
+			setActionLoading(true);
+			setError(null);
+
+			const token = localStorage.getItem('token');
+			const response = await fetch(`/api/vendor/disposal-requests/${requestId}/bids`, {
+				method: withdraw ? 'DELETE' : 'POST',
+				headers: {
+					'Authorization': `Bearer ${token}`,
+					'Content-Type': 'application/json'
+				},
+				body: withdraw ? undefined : JSON.stringify({
+					...bidForm,
+					price: parseFloat(bidForm.price),
+					certifications: bidForm.certifications.split(',').map(c => c.trim()).filter(Boolean)
+				})
+			});
+
+			const data = await response.json();
+			if (!response.ok || !data.success) {
+				throw new Error(data.errors?.[0]?.message || data.message || 'Failed to save quote');
+			}
+
+			setSelectedRequest(null);
+			fetchDashboardData(); // Refresh the data
+		} catch (err) {
+			console.error('Error saving quote:', err);
+			setError(err.message);
+		} finally {
+			setActionLoading(false);
+		}
+	};
+
 	const getStatusColor = (status) => {
 		const colors = {
 			pending: 'bg-yellow-500',
@@ -134,7 +222,7 @@ const OverviewPage = () => {
 
 	const getStatusLabel = (status) => {
 		const labels = {
-			pending: 'Pending Review',
+			pending: isVendor ? 'Open for Bids' : 'Pending Review',
 			approved: 'Approved',
 			pickup_scheduled: 'Pickup Scheduled',
 			out_for_pickup: 'Out for Pickup',
@@ -171,6 +259,28 @@ const OverviewPage = () => {
 					</div>
 				)}
 
+				{/* Notifications (bid awards and the like) */}
+				{notifications.some(n => !n.is_read) && (
+					<div className='mb-6 bg-blue-500/10 border border-blue-500/20 rounded-lg p-4'>
+						<div className='flex items-center justify-between mb-2'>
+							<div className='flex items-center font-medium text-blue-300'>
+								<Bell className='w-5 h-5 mr-2' />
+								Notifications
+							</div>
+							<button onClick={markNotificationsRead} className='text-sm text-blue-400 hover:text-blue-300'>
+								Mark all as read
+							</button>
+						</div>
+						<ul className='space-y-1'>
+							{notifications.filter(n => !n.is_read).map(n => (
+								<li key={n.id} className='text-sm text-blue-200'>
+									<span className='font-medium'>{n.title}</span> - {n.message}
+								</li>
+							))}
+						</ul>
+					</div>
+				)}
+
 				{/* STATS */}
 				<motion.div
 					className='grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4 mb-8'
@@ -283,6 +393,11 @@ const OverviewPage = () => {
 											</td>
 											<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-300'>
 												{request.item_count || 'N/A'}
+												{request.hazardous && (
+													<span className='ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-500/20 text-orange-300'>
+														Hazardous
+													</span>
+												)}
 											</td>
 											<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-300'>
 												{formatDate(request.created_at)}
@@ -291,6 +406,16 @@ const OverviewPage = () => {
 												<span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-white ${getStatusColor(request.status)}`}>
 													{getStatusLabel(request.status)}
 												</span>
+												{request.my_bid_status === 'submitted' && (
+													<div className='text-xs text-gray-400 mt-1'>
+														Quoted {request.my_bid_price}{request.my_bid_pricing_type === 'per_kg' ? '/kg' : ' total'}
+													</div>
+												)}
+												{request.edited_since_quote && (
+													<div className='text-xs text-yellow-300 mt-1'>
+														Edited since your quote
+													</div>
+												)}
 											</td>
 											<td className='px-6 py-4 whitespace-nowrap text-center text-sm font-medium'>
 												<button
@@ -415,6 +540,13 @@ const OverviewPage = () => {
 								</div>
 							</div>
 
+							<CategoryBreakdown
+								categories={selectedRequest.categories}
+								handlingWarnings={selectedRequest.handling_warnings}
+							/>
+
+							<RequestChangeLog changeLog={selectedRequest.change_log} />
+
 							{/* Additional Notes */}
 							{selectedRequest.additional_notes && (
 								<div className='bg-gray-700/50 rounded-lg p-4 mb-6'>
@@ -431,6 +563,77 @@ const OverviewPage = () => {
 								</div>
 							)}
 
+							{/* Vendor Quote */}
+							{isVendor && selectedRequest.status === 'pending' && (
+								<div className='bg-gray-700/50 rounded-lg p-4 mb-6'>
+									<h4 className='font-semibold text-gray-100 mb-3 flex items-center'>
+										<DollarSign className='w-5 h-5 mr-2' />
+										{selectedRequest.my_bid_status === 'submitted' ? 'Update Your Quote' : 'Submit a Quote'}
+									</h4>
+									<div className='grid grid-cols-1 md:grid-cols-2 gap-4'>
+										<div>
+											<label className='block text-sm text-gray-400 mb-1'>Pricing</label>
+											<select
+												value={bidForm.pricing_type}
+												onChange={(e) => setBidForm(prev => ({ ...prev, pricing_type: e.target.value }))}
+												className='w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500'
+											>
+												<option value='per_kg'>Per kg</option>
+												<option value='lump_sum'>Lump sum</option>
+											</select>
+										</div>
+										<div>
+											<label className='block text-sm text-gray-400 mb-1'>Price</label>
+											<input
+												type='number'
+												min='0'
+												step='0.01'
+												value={bidForm.price}
+												onChange={(e) => setBidForm(prev => ({ ...prev, price: e.target.value }))}
+												className='w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500'
+											/>
+										</div>
+										<div>
+											<label className='block text-sm text-gray-400 mb-1'>Pickup From</label>
+											<input
+												type='datetime-local'
+												value={bidForm.pickup_window_start}
+												onChange={(e) => setBidForm(prev => ({ ...prev, pickup_window_start: e.target.value }))}
+												className='w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500'
+											/>
+										</div>
+										<div>
+											<label className='block text-sm text-gray-400 mb-1'>Pickup Until</label>
+											<input
+												type='datetime-local'
+												value={bidForm.pickup_window_end}
+												onChange={(e) => setBidForm(prev => ({ ...prev, pickup_window_end: e.target.value }))}
+												className='w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500'
+											/>
+										</div>
+										<div className='md:col-span-2'>
+											<label className='block text-sm text-gray-400 mb-1'>Certifications (comma separated)</label>
+											<input
+												type='text'
+												value={bidForm.certifications}
+												onChange={(e) => setBidForm(prev => ({ ...prev, certifications: e.target.value }))}
+												placeholder='e.g. R2, e-Stewards, CPCB authorisation'
+												className='w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500'
+											/>
+										</div>
+										<div className='md:col-span-2'>
+											<label className='block text-sm text-gray-400 mb-1'>Notes</label>
+											<textarea
+												value={bidForm.notes}
+												onChange={(e) => setBidForm(prev => ({ ...prev, notes: e.target.value }))}
+												rows={2}
+												className='w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500'
+											/>
+										</div>
+									</div>
+								</div>
+							)}
+
 							{/* Action Buttons */}
 							<div className='flex justify-end space-x-4'>
 								<button
@@ -441,7 +644,28 @@ const OverviewPage = () => {
 									Close
 								</button>
 								
-								{selectedRequest.status === 'pending' && (
+								{isVendor && selectedRequest.status === 'pending' && (
+									<>
+										{selectedRequest.my_bid_status === 'submitted' && (
+											<button
+												onClick={() => handleBid(selectedRequest.request_id, true)}
+												className='px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors'
+												disabled={actionLoading}
+											>
+												{actionLoading ? 'Processing...' : 'Withdraw Quote'}
+											</button>
+										)}
+										<button
+											onClick={() => handleBid(selectedRequest.request_id)}
+											className='px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors'
+											disabled={actionLoading}
+										>
+											{actionLoading ? 'Processing...' : 'Submit Quote'}
+										</button>
+									</>
+								)}
+
+								{!isVendor && selectedRequest.status === 'pending' && (
 									<>
 										<button
 											onClick={() => handleRequestAction(selectedRequest.request_id, 'rejected', 'Request rejected by admin')}
@@ -0,0 +1,330 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Navigation, Clock, MapPin, Phone, Printer, AlertCircle, Truck } from "lucide-react";
+import { motion } from "framer-motion";
+
+import Header from "../components/common/Header";
+import StatCard from "../components/common/StatCard";
+
+const LEAFLET_CSS = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+	'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const RoutePlannerPage = () => {
+	const [filters, setFilters] = useState({
+		date: new Date().toLocaleDateString('en-CA'),
+		start_lat: '',
+		start_lng: '',
+		start_time: '',
+		speed_kmh: '25',
+		service_minutes: '15'
+	});
+	// Filters the current plan was computed with; the form only replans on submit
+	const [appliedFilters, setAppliedFilters] = useState(filters);
+	const [plan, setPlan] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+	const mapRef = useRef(null);
+	const mapInstance = useRef(null);
+
+	useEffect(() => () => {
+		if (mapInstance.current) {
+			mapInstance.current.remove();
+			mapInstance.current = null;
+		}
+	}, []);
+
+	useEffect(() => {
+		if (plan) drawMap(plan);
+	}, [plan]);
+
+	const fetchRoute = useCallback(async () => {
+		try {
+			setLoading(true);
+			setError(null);
+
+			const token = localStorage.getItem('token');
+			if (!token) {
+				setError('No authentication token found');
+				return;
+			}
+
+			const params = new URLSearchParams(
+				Object.entries(appliedFilters).filter(([, value]) => value !== '')
+			);
+
+			const response = await fetch(`/api/vendor/pickup-routes?${params}`, {
+				headers: {
+					'Authorization': `Bearer ${token}`,
+					'Content-Type': 'application/json'
+				}
+			});
+
+			const data = await response.json();
+			if (!response.ok || !data.success) {
+				throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to plan route');
+			}
+
+			setPlan(data.data);
+		} catch (err) {
+			console.error('Error planning route:', err);
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [appliedFilters]);
+
+	useEffect(() => {
+		fetchRoute();
+	}, [fetchRoute]);
+
+	const drawMap = async (routePlan) => {
+		if (mapInstance.current) {
+			mapInstance.current.remove();
+			mapInstance.current = null;
+		}
+
+		if (!mapRef.current || routePlan.stops.length === 0) return;
+
+		if (!document.querySelector('link[href*="leaflet.css"]')) {
+			const link = document.createElement('link');
+			link.rel = 'stylesheet';
+			link.href = LEAFLET_CSS;
+			document.head.appendChild(link);
+		}
+
+		const L = await import('leaflet');
+		const leaflet = L.default || L;
+
+		const map = leaflet.map(mapRef.current);
+		mapInstance.current = map;
+
+		leaflet.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+			attribution: '© OpenStreetMap contributors'
+		}).addTo(map);
+
+		const path = [[routePlan.start.lat, routePlan.start.lng], ...routePlan.stops.map(stop => [stop.lat, stop.lng])];
+
+		leaflet.circleMarker(path[0], { radius: 8, color: '#10B981', fillOpacity: 0.9 })
+			.bindPopup(`Start (${routePlan.start.departure})`)
+			.addTo(map);
+
+		routePlan.stops.forEach(stop => {
+			leaflet.marker([stop.lat, stop.lng], {
+				icon: leaflet.divIcon({
+					className: '',
+					html: `<div style="background:${stop.late ? '#EF4444' : '#6366F1'};color:#fff;border-radius:9999px;width:26px;height:26px;display:flex;align-items:center;justify-content:center;font-weight:600;border:2px solid #fff">${stop.sequence}</div>`,
+					iconSize: [26, 26],
+					iconAnchor: [13, 13]
+				})
+			})
+				.bindPopup(`<b>${escapeHtml(stop.request_id)}</b><br/>${escapeHtml(stop.pickup_address)}<br/>ETA ${stop.eta}`)
+				.addTo(map);
+		});
+
+		leaflet.polyline(path, { color: '#6366F1', weight: 4, opacity: 0.8 }).addTo(map);
+		map.fitBounds(leaflet.latLngBounds(path), { padding: [30, 30] });
+	};
+
+	// Open a plain, printer-friendly run sheet for the driver
+	const printRunSheet = () => {
+		const rows = plan.stops.map(stop => `
+			<tr>
+				<td>${stop.sequence}</td>
+				<td>${stop.eta}${stop.late ? ' (LATE)' : ''}</td>
+				<td>${stop.window ? `${stop.window.start}–${stop.window.end}` : 'Any time'}</td>
+				<td><b>${escapeHtml(stop.request_id)}</b><br/>${escapeHtml(stop.department)}</td>
+				<td>${escapeHtml(stop.pickup_address)}<br/><small>${stop.lat.toFixed(5)}, ${stop.lng.toFixed(5)}</small></td>
+				<td>${escapeHtml(stop.contact_name)}<br/>${escapeHtml(stop.contact_phone)}</td>
+				<td>${stop.item_count || '-'} items<br/>${stop.weight_kg ? `${stop.weight_kg} kg` : ''}</td>
+				<td>${stop.leg_distance_km} km</td>
+				<td class="sign"></td>
+			</tr>
+		`).join('');
+
+		const sheet = window.open('', '_blank');
+		sheet.document.write(`
+			<html>
+				<head>
+					<title>Run Sheet ${plan.date}</title>
+					<style>
+						body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; }
+						h1 { font-size: 18px; margin-bottom: 4px; }
+						table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+						th, td { border: 1px solid #444; padding: 6px; text-align: left; vertical-align: top; }
+						th { background: #eee; }
+						td.sign { width: 120px; }
+					</style>
+				</head>
+				<body>
+					<h1>Pickup Run Sheet – ${plan.date}</h1>
+					<div>Departure ${plan.start.departure} from ${plan.start.lat.toFixed(5)}, ${plan.start.lng.toFixed(5)}
+						· ${plan.stops.length} stops · ${plan.total_distance_km} km · approx. ${Math.round(plan.total_duration_minutes / 60 * 10) / 10} h</div>
+					<table>
+						<thead>
+							<tr><th>#</th><th>ETA</th><th>Slot</th><th>Request</th><th>Address</th><th>Contact</th><th>Load</th><th>Leg</th><th>Signature</th></tr>
+						</thead>
+						<tbody>${rows}</tbody>
+					</table>
+					${plan.unrouted.length > 0 ? `<p><b>Not routed (no coordinates):</b> ${plan.unrouted.map(r => escapeHtml(r.request_id)).join(', ')}</p>` : ''}
+				</body>
+			</html>
+		`);
+		sheet.document.close();
+		sheet.focus();
+		sheet.print();
+	};
+
+	const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+	const inputClass = 'w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100 focus:ring-blue-500 focus:border-blue-500';
+
+	return (
+		<div className='flex-1 flex flex-col h-full bg-gray-900'>
+			<Header title='Pickup Route Planner' />
+
+			<main className='flex-1 py-6 px-6 overflow-auto'>
+				{/* Page Header */}
+				<div className='mb-8'>
+					<h1 className='text-3xl font-bold text-gray-100 mb-2'>Route Planner</h1>
+					<p className='text-gray-400'>Order the day&apos;s scheduled pickups by distance while keeping each preferred time slot</p>
+				</div>
+
+				{/* Error Display */}
+				{error && (
+					<div className='mb-6 bg-red-500/10 border border-red-500/20 rounded-lg p-4'>
+						<div className='flex items-center'>
+							<AlertCircle className='w-5 h-5 text-red-400 mr-2' />
+							<span className='text-red-300'>{error}</span>
+						</div>
+					</div>
+				)}
+
+				{/* Planner Options */}
+				<div className='bg-gray-800 bg-opacity-50 backdrop-blur-md shadow-lg rounded-xl p-6 border border-gray-700 mb-6'>
+					<div className='grid grid-cols-2 md:grid-cols-6 gap-4 items-end'>
+						<div>
+							<label className='block text-sm text-gray-400 mb-1'>Date</label>
+							<input type='date' value={filters.date} onChange={(e) => updateFilter('date', e.target.value)} className={inputClass} />
+						</div>
+						<div>
+							<label className='block text-sm text-gray-400 mb-1'>Depot latitude</label>
+							<input type='number' step='any' value={filters.start_lat} onChange={(e) => updateFilter('start_lat', e.target.value)} placeholder='First stop' className={inputClass} />
+						</div>
+						<div>
+							<label className='block text-sm text-gray-400 mb-1'>Depot longitude</label>
+							<input type='number' step='any' value={filters.start_lng} onChange={(e) => updateFilter('start_lng', e.target.value)} placeholder='First stop' className={inputClass} />
+						</div>
+						<div>
+							<label className='block text-sm text-gray-400 mb-1'>Departure</label>
+							<input type='time' value={filters.start_time} onChange={(e) => updateFilter('start_time', e.target.value)} className={inputClass} />
+						</div>
+						<div>
+							<label className='block text-sm text-gray-400 mb-1'>Avg speed (km/h)</label>
+							<input type='number' min='5' max='120' value={filters.speed_kmh} onChange={(e) => updateFilter('speed_kmh', e.target.value)} className={inputClass} />
+						</div>
+						<button
+							onClick={() => setAppliedFilters({ ...filters })}
+							disabled={loading}
+							className='px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors flex items-center justify-center'
+						>
+							<Navigation className='w-4 h-4 mr-2' />
+							{loading ? 'Planning...' : 'Plan Route'}
+						</button>
+					</div>
+				</div>
+
+				{plan && (
+					<>
+						{/* Summary */}
+						<motion.div
+							className='grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4 mb-6'
+							initial={{ opacity: 0, y: 20 }}
+							animate={{ opacity: 1, y: 0 }}
+							transition={{ duration: 0.5 }}
+						>
+							<StatCard name='Stops' icon={MapPin} value={plan.stops.length} color='#6366F1' />
+							<StatCard name='Distance' icon={Navigation} value={`${plan.total_distance_km} km`} color='#10B981' />
+							<StatCard name='Duration' icon={Clock} value={`${Math.round(plan.total_duration_minutes / 60 * 10) / 10} h`} color='#F59E0B' />
+							<StatCard name='Late Stops' icon={AlertCircle} value={plan.stops.filter(stop => stop.late).length} color='#EF4444' />
+						</motion.div>
+
+						<div className='grid grid-cols-1 lg:grid-cols-2 gap-6'>
+							{/* Map */}
+							<div className='bg-gray-800 bg-opacity-50 rounded-xl border border-gray-700 overflow-hidden'>
+								{plan.stops.length === 0 ? (
+									<div className='text-center py-24'>
+										<Truck className='w-12 h-12 text-gray-400 mx-auto mb-4' />
+										<p className='text-gray-400'>No scheduled pickups on this day</p>
+									</div>
+								) : (
+									<div ref={mapRef} style={{ height: '520px', width: '100%' }} />
+								)}
+							</div>
+
+							{/* Stop List */}
+							<div className='bg-gray-800 bg-opacity-50 backdrop-blur-md shadow-lg rounded-xl p-6 border border-gray-700'>
+								<div className='flex justify-between items-center mb-4'>
+									<h2 className='text-xl font-semibold text-gray-100'>Stops</h2>
+									<button
+										onClick={printRunSheet}
+										disabled={plan.stops.length === 0}
+										className='px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 transition-colors flex items-center'
+									>
+										<Printer className='w-4 h-4 mr-2' />
+										Print Run Sheet
+									</button>
+								</div>
+
+								<div className='space-y-3 max-h-[460px] overflow-y-auto'>
+									{plan.stops.map(stop => (
+										<div key={stop.request_id} className='bg-gray-700/50 rounded-lg p-4 border border-gray-600'>
+											<div className='flex justify-between items-start'>
+												<div>
+													<h4 className='font-semibold text-gray-100'>
+														{stop.sequence}. {stop.request_id}
+													</h4>
+													<p className='text-sm text-gray-400'>{stop.department} • {stop.contact_name}</p>
+												</div>
+												<div className='text-right'>
+													<p className={`text-sm font-medium ${stop.late ? 'text-red-400' : 'text-green-400'}`}>
+														ETA {stop.eta}{stop.late && ' (late)'}
+													</p>
+													<p className='text-xs text-gray-400'>
+														{stop.window ? `Slot ${stop.window.start}–${stop.window.end}` : 'Any time'}
+													</p>
+												</div>
+											</div>
+											<div className='mt-2 text-sm text-gray-300 flex items-start'>
+												<MapPin className='w-4 h-4 text-gray-400 mr-2 mt-0.5 flex-shrink-0' />
+												{stop.pickup_address}
+											</div>
+											<div className='mt-1 flex justify-between text-xs text-gray-400'>
+												<span className='flex items-center'>
+													<Phone className='w-3 h-3 mr-1' />
+													{stop.contact_phone}
+												</span>
+												<span>
+													+{stop.leg_distance_km} km{stop.wait_minutes > 0 && ` • waits ${stop.wait_minutes} min`}
+												</span>
+											</div>
+										</div>
+									))}
+
+									{plan.unrouted.length > 0 && (
+										<div className='bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-4 text-sm text-yellow-300'>
+											Not routed (no pickup coordinates): {plan.unrouted.map(r => r.request_id).join(', ')}
+										</div>
+									)}
+								</div>
+							</div>
+						</div>
+					</>
+				)}
+			</main>
+		</div>
+	);
+};
+
+export default RoutePlannerPage;
@@ -3,12 +3,17 @@ import { Calendar, Clock, MapPin, Phone, Mail, User, FileText, AlertCircle, Pack
 import { motion } from "framer-motion";
 
 import Header from "../components/common/Header";
+import AvailabilityCalendar from "../components/scheduled/AvailabilityCalendar";
+import PickupCompletionForm from "../components/scheduled/PickupCompletionForm";
+import RequestChangeLog from "../components/common/RequestChangeLog";
 
 const ScheduledRequestsPage = () => {
 	const [requests, setRequests] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
 	const [updating, setUpdating] = useState({});
+	const [completing, setCompleting] = useState(null);
+	const isVendor = JSON.parse(localStorage.getItem('user') || '{}').role === 'vendor';
 
 	useEffect(() => {
 		fetchScheduledRequests();
@@ -159,6 +164,11 @@ const ScheduledRequestsPage = () => {
 		const [selectedStatus, setSelectedStatus] = useState(request.status);
 
 		const handleStatusChange = async (newStatus) => {
+			// Completion needs proof of pickup, captured in its own form
+			if (newStatus === 'pickup_completed') {
+				setCompleting(request);
+				return;
+			}
 			setSelectedStatus(newStatus);
 			await handleStatusUpdate(request.request_id, newStatus);
 		};
@@ -288,6 +298,7 @@ const ScheduledRequestsPage = () => {
 							<p className="text-gray-100">{request.estimated_value ? `$${request.estimated_value}` : 'N/A'}</p>
 						</div>
 					</div>
+					<RequestChangeLog changeLog={request.change_log} compact />
 				</div>
 			</div>
 
@@ -338,6 +349,9 @@ const ScheduledRequestsPage = () => {
 					</div>
 				)}
 
+				{/* Slot utilisation calendar (vendors only) */}
+				{isVendor && <AvailabilityCalendar refreshKey={requests} />}
+
 				{/* Requests grouped by date */}
 				<motion.div
 					className='space-y-6'
@@ -434,6 +448,18 @@ const ScheduledRequestsPage = () => {
 					)}
 				</motion.div>
 			</main>
+
+			{/* Proof of pickup */}
+			{completing && (
+				<PickupCompletionForm
+					request={completing}
+					onClose={() => setCompleting(null)}
+					onCompleted={() => {
+						setCompleting(null);
+						fetchScheduledRequests();
+					}}
+				/>
+			)}
 		</div>
 	);
 };
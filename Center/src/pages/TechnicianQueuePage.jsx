@@ -0,0 +1,262 @@
+import { useState, useEffect, useCallback } from "react";
+import { Wrench, Play, Pause, CheckCircle, Clock, AlertCircle, Calendar, Package, UserCheck } from "lucide-react";
+import { motion } from "framer-motion";
+
+import Header from "../components/common/Header";
+
+const PRIORITY_COLORS = {
+	urgent: 'bg-red-600',
+	high: 'bg-orange-500',
+	medium: 'bg-blue-500',
+	low: 'bg-gray-500'
+};
+
+const formatMinutes = (minutes) => {
+	const total = Number(minutes) || 0;
+	return total >= 60 ? `${Math.floor(total / 60)}h ${total % 60}m` : `${total}m`;
+};
+
+const authHeaders = () => ({
+	'Authorization': `Bearer ${localStorage.getItem('token')}`,
+	'Content-Type': 'application/json'
+});
+
+// Assigned repair orders by priority and due date, with start/pause/complete time tracking
+const TechnicianQueuePage = () => {
+	const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+	const canViewOthers = ['admin', 'manager'].includes(currentUser.role);
+
+	const [queue, setQueue] = useState(null);
+	const [technicians, setTechnicians] = useState([]);
+	const [technicianId, setTechnicianId] = useState('');
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+	const [acting, setActing] = useState({});
+
+	useEffect(() => {
+		if (!canViewOthers) return;
+		fetch('/api/technicians/workload', { headers: authHeaders() })
+			.then(response => response.json())
+			.then(data => setTechnicians(data.data?.technicians || []))
+			.catch(err => console.error('Error fetching technician workload:', err));
+	}, [canViewOthers]);
+
+	const fetchQueue = useCallback(async () => {
+		try {
+			setLoading(true);
+			setError(null);
+
+			const query = technicianId ? `?technician_id=${technicianId}` : '';
+			const response = await fetch(`/api/technician/queue${query}`, { headers: authHeaders() });
+			const data = await response.json();
+
+			if (!response.ok || !data.success) {
+				throw new Error(data.message || 'Failed to fetch queue');
+			}
+
+			setQueue(data.data);
+		} catch (err) {
+			console.error('Error fetching technician queue:', err);
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	}, [technicianId]);
+
+	useEffect(() => {
+		fetchQueue();
+	}, [fetchQueue]);
+
+	const handleWorkAction = async (order, action) => {
+		try {
+			setActing(prev => ({ ...prev, [order.id]: action }));
+			setError(null);
+
+			const response = await fetch(`/api/orders/${order.id}/work/${action}`, {
+				method: 'POST',
+				headers: authHeaders(),
+				body: JSON.stringify({})
+			});
+			const data = await response.json();
+
+			if (!response.ok || !data.success) {
+				throw new Error(data.message || `Failed to ${action} work`);
+			}
+
+			await fetchQueue();
+		} catch (err) {
+			console.error(`Error on work ${action}:`, err);
+			setError(err.message);
+		} finally {
+			setActing(prev => ({ ...prev, [order.id]: null }));
+		}
+	};
+
+	const orders = queue?.orders || [];
+
+	return (
+		<div className='flex-1 overflow-auto relative z-10'>
+			<Header title='Technician Queue' />
+
+			<main className='max-w-7xl mx-auto py-6 px-4 lg:px-8'>
+				<div className='mb-8 flex flex-wrap items-end justify-between gap-4'>
+					<div>
+						<h1 className='text-3xl font-bold text-gray-100 mb-2'>Work Queue</h1>
+						<p className='text-gray-400'>Assigned repair orders, most urgent and soonest due first</p>
+					</div>
+					{canViewOthers && (
+						<select
+							value={technicianId}
+							onChange={(e) => setTechnicianId(e.target.value)}
+							className='px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100'
+						>
+							<option value=''>My queue</option>
+							{technicians.map(technician => (
+								<option key={technician.id} value={technician.id}>
+									{technician.name} ({technician.open_orders} open, {technician.load_hours}h)
+								</option>
+							))}
+						</select>
+					)}
+				</div>
+
+				{error && (
+					<div className='mb-6 bg-red-500/10 border border-red-500/20 rounded-lg p-4'>
+						<div className='flex items-center'>
+							<AlertCircle className='w-5 h-5 text-red-400 mr-2' />
+							<span className='text-red-300'>{error}</span>
+						</div>
+					</div>
+				)}
+
+				{queue && (
+					<div className='grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6'>
+						<div className='bg-gray-800 bg-opacity-50 rounded-xl p-4 border border-gray-700'>
+							<p className='text-sm text-gray-400'>Open orders</p>
+							<p className='text-2xl font-semibold text-gray-100'>{queue.summary.open_orders}</p>
+						</div>
+						<div className='bg-gray-800 bg-opacity-50 rounded-xl p-4 border border-gray-700'>
+							<p className='text-sm text-gray-400'>Estimated work remaining</p>
+							<p className='text-2xl font-semibold text-gray-100'>{queue.summary.remaining_hours}h</p>
+						</div>
+					</div>
+				)}
+
+				<motion.div
+					className='bg-gray-800 bg-opacity-50 backdrop-blur-md shadow-lg rounded-xl p-6 border border-gray-700'
+					initial={{ opacity: 0, y: 20 }}
+					animate={{ opacity: 1, y: 0 }}
+					transition={{ duration: 0.5 }}
+				>
+					<div className='flex justify-between items-center mb-6'>
+						<h2 className='text-xl font-semibold text-gray-100'>Assigned Orders ({orders.length})</h2>
+						<button
+							onClick={fetchQueue}
+							disabled={loading}
+							className='px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors'
+						>
+							{loading ? 'Refreshing...' : 'Refresh'}
+						</button>
+					</div>
+
+					{loading && !queue ? (
+						<div className='text-center py-8'>
+							<div className='inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500'></div>
+							<p className='text-gray-400 mt-2'>Loading queue...</p>
+						</div>
+					) : orders.length === 0 ? (
+						<div className='text-center py-8'>
+							<Wrench className='w-12 h-12 text-gray-400 mx-auto mb-4' />
+							<p className='text-gray-400'>No open orders assigned</p>
+						</div>
+					) : (
+						<div className='space-y-4'>
+							{orders.map(order => (
+								<div
+									key={order.id}
+									className={`bg-gray-700/50 rounded-lg border p-4 ${order.is_running ? 'border-green-500' : 'border-gray-600'}`}
+								>
+									<div className='flex flex-wrap items-start justify-between gap-4'>
+										<div>
+											<div className='flex items-center gap-2'>
+												<h3 className='text-lg font-semibold text-gray-100'>{order.order_number}</h3>
+												<span className={`px-2 py-0.5 rounded-full text-xs text-white ${PRIORITY_COLORS[order.priority] || 'bg-gray-500'}`}>
+													{order.priority}
+												</span>
+												<span className='px-2 py-0.5 rounded-full text-xs bg-gray-600 text-gray-200'>
+													{order.status.replace('_', ' ')}
+												</span>
+											</div>
+											<p className='text-sm text-gray-400'>
+												{[order.device_type, order.device_brand, order.device_model].filter(Boolean).join(' • ')} • {order.customer_name}
+											</p>
+											<p className='text-sm text-gray-300 mt-2'>{order.issue_description}</p>
+										</div>
+
+										<div className='flex gap-2'>
+											{order.is_running ? (
+												<button
+													onClick={() => handleWorkAction(order, 'pause')}
+													disabled={Boolean(acting[order.id])}
+													className='flex items-center px-3 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 disabled:opacity-50 text-sm'
+												>
+													<Pause className='w-4 h-4 mr-1' />
+													Pause
+												</button>
+											) : (
+												<button
+													onClick={() => handleWorkAction(order, 'start')}
+													disabled={Boolean(acting[order.id]) || order.awaiting_customer || !['confirmed', 'in_progress'].includes(order.status)}
+													className='flex items-center px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm'
+												>
+													<Play className='w-4 h-4 mr-1' />
+													{order.worked_minutes > 0 ? 'Resume' : 'Start'}
+												</button>
+											)}
+											<button
+												onClick={() => handleWorkAction(order, 'complete')}
+												disabled={Boolean(acting[order.id]) || order.awaiting_customer || !['confirmed', 'in_progress'].includes(order.status)}
+												className='flex items-center px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 text-sm'
+											>
+												<CheckCircle className='w-4 h-4 mr-1' />
+												Complete
+											</button>
+										</div>
+									</div>
+
+									<div className='flex flex-wrap gap-4 mt-3 text-sm'>
+										<span className={`flex items-center ${order.is_overdue ? 'text-red-400' : 'text-gray-300'}`}>
+											<Calendar className='w-4 h-4 mr-1' />
+											{order.estimated_completion
+												? `Due ${new Date(order.estimated_completion).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`
+												: 'No due date'}
+										</span>
+										<span className='flex items-center text-gray-300'>
+											<Clock className='w-4 h-4 mr-1' />
+											{formatMinutes(order.worked_minutes)} of ~{Number(order.estimated_hours)}h
+											{order.is_running && <span className='ml-1 text-green-400'>(running)</span>}
+										</span>
+										{order.awaiting_customer && (
+											<span className='flex items-center text-yellow-300'>
+												<UserCheck className='w-4 h-4 mr-1' />
+												Waiting for customer approval
+											</span>
+										)}
+										{order.waiting_part_sku && (
+											<span className='flex items-center text-orange-300'>
+												<Package className='w-4 h-4 mr-1' />
+												Waiting for {order.waiting_part_sku}
+											</span>
+										)}
+									</div>
+								</div>
+							))}
+						</div>
+					)}
+				</motion.div>
+			</main>
+		</div>
+	);
+};
+
+export default TechnicianQueuePage;
@@ -0,0 +1,150 @@
+import { useState, useEffect } from "react";
+import { useParams, useSearchParams, useNavigate, Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Search, AlertCircle, CheckCircle } from "lucide-react";
+
+import OrderTracking from "../components/tracking/OrderTracking";
+
+// Public order tracking: order number plus the customer's email, as sent in tracking links
+const TrackOrderPage = () => {
+	const { orderNumber } = useParams();
+	const [searchParams] = useSearchParams();
+	const navigate = useNavigate();
+
+	const [form, setForm] = useState({ orderNumber: orderNumber || '', email: searchParams.get('email') || '' });
+	const [view, setView] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [responding, setResponding] = useState(false);
+	const [error, setError] = useState(null);
+	const [message, setMessage] = useState(null);
+
+	const email = searchParams.get('email');
+
+	useEffect(() => {
+		if (orderNumber && email) {
+			fetchTracking(orderNumber, email);
+		}
+	}, [orderNumber, email]);
+
+	const fetchTracking = async (number, customerEmail) => {
+		try {
+			setLoading(true);
+			setError(null);
+
+			const response = await fetch(`/api/track/${encodeURIComponent(number)}?email=${encodeURIComponent(customerEmail)}`);
+			const data = await response.json();
+
+			if (!response.ok || !data.success) {
+				throw new Error(data.message || 'Failed to fetch order');
+			}
+
+			setView(data.data);
+		} catch (err) {
+			console.error('Error tracking order:', err);
+			setView(null);
+			setError(err.message);
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+		setMessage(null);
+		navigate(`/track/${encodeURIComponent(form.orderNumber.trim())}?email=${encodeURIComponent(form.email.trim())}`);
+	};
+
+	const handleRespond = async (decision, comment) => {
+		try {
+			setResponding(true);
+			setError(null);
+
+			const response = await fetch(`/api/track/${encodeURIComponent(orderNumber)}/respond`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ email, decision, comment })
+			});
+			const data = await response.json();
+
+			if (!response.ok || !data.success) {
+				throw new Error(data.message || 'Failed to record your response');
+			}
+
+			setView(data.data);
+			setMessage(data.message);
+		} catch (err) {
+			console.error('Error responding to order:', err);
+			setError(err.message);
+		} finally {
+			setResponding(false);
+		}
+	};
+
+	return (
+		<div className='min-h-screen overflow-auto py-10 px-4'>
+			<div className='max-w-3xl mx-auto'>
+				<div className='mb-8 flex items-center justify-between'>
+					<div>
+						<h1 className='text-3xl font-bold text-gray-100 mb-2'>Track Your Repair</h1>
+						<p className='text-gray-400'>Enter your order number and the email you ordered with</p>
+					</div>
+					<Link to='/login' className='text-sm text-blue-400 hover:text-blue-300'>Sign in</Link>
+				</div>
+
+				<form onSubmit={handleSubmit} className='flex flex-wrap gap-3 mb-6'>
+					<input
+						type='text'
+						required
+						value={form.orderNumber}
+						onChange={(e) => setForm({ ...form, orderNumber: e.target.value })}
+						placeholder='Order number'
+						className='flex-1 min-w-[10rem] px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100'
+					/>
+					<input
+						type='email'
+						required
+						value={form.email}
+						onChange={(e) => setForm({ ...form, email: e.target.value })}
+						placeholder='Email'
+						className='flex-1 min-w-[12rem] px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-gray-100'
+					/>
+					<button
+						type='submit'
+						disabled={loading}
+						className='flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50'
+					>
+						<Search className='w-4 h-4 mr-2' />
+						{loading ? 'Searching...' : 'Track'}
+					</button>
+				</form>
+
+				{error && (
+					<div className='mb-6 bg-red-500/10 border border-red-500/20 rounded-lg p-4 flex items-center'>
+						<AlertCircle className='w-5 h-5 text-red-400 mr-2' />
+						<span className='text-red-300'>{error}</span>
+					</div>
+				)}
+
+				{message && (
+					<div className='mb-6 bg-green-500/10 border border-green-500/20 rounded-lg p-4 flex items-center'>
+						<CheckCircle className='w-5 h-5 text-green-400 mr-2' />
+						<span className='text-green-300'>{message}</span>
+					</div>
+				)}
+
+				{view && (
+					<motion.div
+						className='bg-gray-800 bg-opacity-50 backdrop-blur-md shadow-lg rounded-xl p-6 border border-gray-700'
+						initial={{ opacity: 0, y: 20 }}
+						animate={{ opacity: 1, y: 0 }}
+						transition={{ duration: 0.5 }}
+					>
+						<OrderTracking key={view.order.id} view={view} onRespond={handleRespond} responding={responding} />
+					</motion.div>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default TrackOrderPage;
@@ -134,6 +134,51 @@ const executeRawQuery = async (query) => {
     }
 };
 
+// Execute several statements in one transaction; queries is an array of { sql, params }
+const executeTransaction = async (queries) => {
+    let connection;
+    try {
+        console.log(`🗄️ DATABASE: Starting transaction with ${queries.length} statements...`);
+        
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        
+        const results = [];
+        for (const query of queries) {
+            const [rows] = await connection.execute(query.sql, query.params || []);
+            results.push(rows);
+        }
+        
+        await connection.commit();
+        console.log('✅ DATABASE: Transaction committed');
+        
+        return {
+            success: true,
+            data: results
+        };
+    } catch (error) {
+        console.error('❌ DATABASE: Transaction failed, rolling back');
+        console.error('❌ DATABASE: Error message:', error.message);
+        console.error('❌ DATABASE: SQL Message:', error.sqlMessage);
+        
+        if (connection) {
+            await connection.rollback();
+        }
+        
+        return {
+            success: false,
+            error: error.message,
+            code: error.code,
+            sqlState: error.sqlState
+        };
+    } finally {
+        if (connection) {
+            console.log('🔄 DATABASE: Releasing connection');
+            connection.release();
+        }
+    }
+};
+
 // Initialize database and create tables if they don't exist
 const initializeDatabase = async () => {
     try {
@@ -378,4 +423,4 @@ const initializeDatabase = async () => {
 // Initialize on startup
 initializeDatabase();
 
-export { executeQuery, executeRawQuery, testConnection, initializeDatabase };
\ No newline at end of file
+export { executeQuery, executeRawQuery, executeTransaction, testConnection, initializeDatabase };
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { executeQuery } from '../config/database.js';
+import { formatLineItem, summariseByCategory } from '../../../shared/eWasteCategories.mjs';
 
 // Get comprehensive dashboard analytics
 const getDashboardAnalytics = async (req, res) => {
@@ -234,6 +235,17 @@ const getSustainabilityMetrics = async (req, res) => {
             ORDER BY month
         `, params);
 
+        // E-waste category breakdown of the declared line items
+        const lineItemsResult = await executeQuery(`
+            SELECT li.disposal_request_id, li.category_code, li.quantity, li.weight_kg, li.hazardous, li.hazard_types
+            FROM disposal_request_line_items li
+            JOIN disposal_requests dr ON dr.id = li.disposal_request_id
+            ${baseCondition.replace('department', 'dr.department')}
+        `, params);
+        const categoryBreakdown = lineItemsResult.success
+            ? summariseByCategory(lineItemsResult.data.map(formatLineItem))
+            : [];
+
         // Resource exchange impact
         const exchangeImpactResult = await executeQuery(`
             SELECT 
@@ -248,6 +260,8 @@ const getSustainabilityMetrics = async (req, res) => {
             data: {
                 disposal_metrics: disposalMetricsResult.success ? disposalMetricsResult.data[0] : {},
                 monthly_disposal_trend: monthlyDisposalResult.success ? monthlyDisposalResult.data : [],
+                category_breakdown: categoryBreakdown,
+                hazardous_weight_kg: Math.round(categoryBreakdown.reduce((total, row) => total + row.hazardous_weight_kg, 0) * 100) / 100,
                 exchange_impact: exchangeImpactResult.success ? exchangeImpactResult.data[0] : {}
             }
         });
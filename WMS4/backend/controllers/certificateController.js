@@ -0,0 +1,186 @@
+import { executeQuery } from '../config/database.js';
+import { hasPermission, canAccessDepartment } from '../middleware/auth.js';
+import { issueRecyclingCertificate, getVerificationUrl } from '../services/recyclingCertificateService.js';
+
+// Only the last characters of a serial number are shown publicly
+const maskSerial = (serial) => serial && serial.length > 4 ? `${'*'.repeat(serial.length - 4)}${serial.slice(-4)}` : serial;
+
+const parseCategoryWeights = (value) => typeof value === 'string' ? JSON.parse(value) : (value || []);
+
+// Find a request the current user may see the certificate of; sends the error response otherwise
+const findCertificateRequest = async (req, res) => {
+    const result = await executeQuery(
+        'SELECT id, request_id, department, status FROM disposal_requests WHERE request_id = ? OR id = ?',
+        [req.params.requestId, req.params.requestId]
+    );
+
+    if (!result.success || result.data.length === 0) {
+        res.status(404).json({
+            success: false,
+            message: 'Disposal request not found'
+        });
+        return null;
+    }
+
+    const disposalRequest = result.data[0];
+
+    if (!hasPermission(req.user, 'disposal:process') && !canAccessDepartment(req.user, disposalRequest.department)) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied: Different department'
+        });
+        return null;
+    }
+
+    return disposalRequest;
+};
+
+// Public certificate verification by certificate number
+const verifyCertificate = async (req, res) => {
+    try {
+        const certificateResult = await executeQuery(`
+            SELECT rc.*, dr.request_id
+            FROM recycling_certificates rc
+            JOIN disposal_requests dr ON rc.disposal_request_id = dr.id
+            WHERE rc.certificate_number = ?
+        `, [req.params.certificateNumber]);
+
+        if (!certificateResult.success || certificateResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No certificate found with this number'
+            });
+        }
+
+        const certificate = certificateResult.data[0];
+
+        const itemsResult = await executeQuery(`
+            SELECT device_code, device_name, device_type, serial_number, weight_kg, sanitisation
+            FROM recycling_certificate_items
+            WHERE certificate_id = ?
+            ORDER BY id ASC
+        `, [certificate.id]);
+
+        res.json({
+            success: true,
+            data: {
+                certificate_number: certificate.certificate_number,
+                status: certificate.status,
+                request_id: certificate.request_id,
+                department: certificate.department,
+                vendor_name: certificate.vendor_name,
+                data_destruction_method: certificate.data_destruction_method,
+                total_weight_kg: certificate.total_weight_kg,
+                category_weights: parseCategoryWeights(certificate.category_weights),
+                device_count: certificate.device_count,
+                requested_at: certificate.requested_at,
+                collected_at: certificate.collected_at,
+                completed_at: certificate.completed_at,
+                issued_at: certificate.issued_at,
+                ipfs_hash: certificate.ipfs_hash,
+                ipfs_url: certificate.ipfs_url,
+                devices: (itemsResult.data || []).map(item => ({
+                    ...item,
+                    serial_number: maskSerial(item.serial_number)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Verify certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Get the certificate of a disposal request (same department or vendor)
+const getDisposalCertificate = async (req, res) => {
+    try {
+        const disposalRequest = await findCertificateRequest(req, res);
+        if (!disposalRequest) return;
+
+        const certificateResult = await executeQuery(
+            'SELECT * FROM recycling_certificates WHERE disposal_request_id = ?',
+            [disposalRequest.id]
+        );
+
+        if (!certificateResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch certificate'
+            });
+        }
+
+        const certificate = certificateResult.data[0];
+
+        res.json({
+            success: true,
+            data: {
+                request_id: disposalRequest.request_id,
+                can_issue: disposalRequest.status === 'completed' && certificate?.status !== 'issued',
+                certificate: certificate ? {
+                    ...certificate,
+                    category_weights: parseCategoryWeights(certificate.category_weights),
+                    verification_url: getVerificationUrl(certificate.certificate_number)
+                } : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get disposal certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Issue the certificate now, or retry a failed IPFS upload
+const issueDisposalCertificate = async (req, res) => {
+    try {
+        const disposalRequest = await findCertificateRequest(req, res);
+        if (!disposalRequest) return;
+
+        if (disposalRequest.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                message: 'Certificates are only issued for completed requests'
+            });
+        }
+
+        const result = await issueRecyclingCertificate(disposalRequest.id, { issuedBy: req.user.id });
+
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Certificate of Recycling issued',
+            data: {
+                certificate_number: result.certificate.certificate_number,
+                ipfs_hash: result.certificate.ipfs_hash,
+                ipfs_url: result.certificate.ipfs_url,
+                verification_url: getVerificationUrl(result.certificate.certificate_number)
+            }
+        });
+
+    } catch (error) {
+        console.error('Issue disposal certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+export {
+    verifyCertificate,
+    getDisposalCertificate,
+    issueDisposalCertificate
+};
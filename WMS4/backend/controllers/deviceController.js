@@ -1,8 +1,10 @@
 import { v4 as uuidv4 } from 'uuid';
-import QRCode from 'qrcode';
 import { body, validationResult } from 'express-validator';
 import { executeQuery } from '../config/database.js';
 import DeviceLogService from '../services/deviceLogService.js';
+import { sendExport } from '../services/exportService.js';
+import { canAccessDepartment } from '../middleware/auth.js';
+import { generateQRDataURL, verifyQRPayload, isForgedQR, getQRPublicKey } from '../services/qrCodeService.js';
 
 // Generate unique device ID
 const generateDeviceId = (department, deviceType) => {
@@ -11,6 +13,21 @@ const generateDeviceId = (department, deviceType) => {
     return `${department}-${deviceType}-${timestamp}-${random}`;
 };
 
+// Non-admin users may only act on devices in their own department
+const canAccessDevice = (user, device) => canAccessDepartment(user, device.current_department);
+
+// JSON columns come back parsed from mysql2, but older rows may hold raw strings
+const parseJsonField = (value) => {
+    if (!value || typeof value !== 'string') {
+        return value || null;
+    }
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
 // Register new device
 const registerDevice = async (req, res) => {
     try {
@@ -98,18 +115,13 @@ const registerDevice = async (req, res) => {
         });
 
         // Generate QR code data URL
-        const qrData = JSON.stringify({
+        const qrCodeDataURL = await generateQRDataURL({
             device_id,
             qr_code,
             device_name,
             device_type,
-            department: req.user.department,
-            registered_date: new Date().toISOString()
-        });
-
-        const qrCodeDataURL = await QRCode.toDataURL(qrData, {
-            width: parseInt(process.env.QR_CODE_SIZE) || 256,
-            margin: 2
+            current_department: req.user.department,
+            registration_date: new Date()
         });
 
         res.status(201).json({
@@ -139,17 +151,32 @@ const registerDevice = async (req, res) => {
     }
 };
 
+// Allowed values of device_qr_scans.scan_purpose
+const QR_SCAN_PURPOSES = ['view', 'verify', 'transfer', 'maintenance', 'disposal', 'other'];
+
 // Get device by QR code with comprehensive history
 const getDeviceByQR = async (req, res) => {
     try {
-        const { qr_code } = req.params;
+        const verification = verifyQRPayload(req.params.qr_code);
+        const { claims } = verification;
+        const scanLocation = req.query.scan_location || req.body?.scan_location || null;
+        const scanPurpose = QR_SCAN_PURPOSES.includes(req.query.scan_purpose) ? req.query.scan_purpose : 'view';
 
+        if (!claims.qr_code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unrecognised QR code'
+            });
+        }
+
+        // QR MVP labels synced onto an existing device still resolve via their original QR string
         const result = await executeQuery(`
             SELECT d.*, u.name as registered_by_name
             FROM devices d
             LEFT JOIN users u ON d.registered_by = u.id
-            WHERE d.qr_code = ? AND d.is_active = TRUE
-        `, [qr_code]);
+            WHERE (d.qr_code = ? OR JSON_UNQUOTE(JSON_EXTRACT(d.specifications, '$.qr_mvp.qrCode')) = ?)
+                AND d.is_active = TRUE
+        `, [claims.qr_code, claims.qr_code]);
 
         if (!result.success || result.data.length === 0) {
             return res.status(404).json({
@@ -160,12 +187,29 @@ const getDeviceByQR = async (req, res) => {
 
         const device = result.data[0];
 
+        if (isForgedQR(verification, device)) {
+            await DeviceLogService.logQRScan({
+                deviceId: device.id,
+                scannedBy: req.user?.id || null,
+                scanLocation,
+                scanPurpose: 'verify',
+                scanResult: 'unauthorized',
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return res.status(403).json({
+                success: false,
+                message: 'QR code could not be verified, this label may be forged'
+            });
+        }
+
         // Log QR scan activity
         await DeviceLogService.logQRScan({
             deviceId: device.id,
             scannedBy: req.user?.id || null,
-            scanLocation: req.body.scan_location || null,
-            scanPurpose: 'view',
+            scanLocation,
+            scanPurpose,
             scanResult: 'success',
             ipAddress: req.ip,
             userAgent: req.get('User-Agent')
@@ -184,7 +228,12 @@ const getDeviceByQR = async (req, res) => {
             data: {
                 device: {
                     ...device,
-                    specifications: device.specifications ? JSON.parse(device.specifications) : null
+                    specifications: parseJsonField(device.specifications)
+                },
+                verification: {
+                    format: verification.format,
+                    signed: verification.signed,
+                    verified: verification.verified
                 },
                 activity_history: activityHistory.data || [],
                 qr_scan_history: qrScanHistory.data || [],
@@ -202,18 +251,160 @@ const getDeviceByQR = async (req, res) => {
     }
 };
 
-// Get all devices for department
+// Get the public key used to sign device QR codes (for offline scanners)
+const getQRPublicKeyInfo = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: getQRPublicKey()
+        });
+    } catch (error) {
+        console.error('QR public key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Verify a scanned QR payload's signature without looking up or logging the device
+const verifyQRCode = async (req, res) => {
+    try {
+        const { payload } = req.body;
+
+        if (!payload) {
+            return res.status(400).json({
+                success: false,
+                message: 'QR payload is required'
+            });
+        }
+
+        const verification = verifyQRPayload(payload);
+
+        res.json({
+            success: true,
+            data: {
+                format: verification.format,
+                signed: verification.signed,
+                verified: verification.verified,
+                claims: verification.claims,
+                reason: verification.reason || null
+            }
+        });
+    } catch (error) {
+        console.error('QR verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Columns the device list can be sorted by
+const DEVICE_SORT_COLUMNS = ['device_name', 'device_type', 'brand', 'model', 'condition_status', 'current_location', 'purchase_date', 'warranty_expiry', 'registration_date'];
+
+// Build WHERE clause for device list search and filters
+const buildDeviceFilters = (query, department) => {
+    const conditions = ['d.current_department = ?', 'd.is_active = TRUE'];
+    const params = [department];
+
+    const search = (query.q || query.search || '').trim();
+    if (search) {
+        conditions.push('(d.device_name LIKE ? OR d.brand LIKE ? OR d.model LIKE ? OR d.serial_number LIKE ? OR d.device_id LIKE ?)');
+        const pattern = `%${search}%`;
+        params.push(pattern, pattern, pattern, pattern, pattern);
+    }
+
+    // Comma separated lists are accepted for type, condition and location
+    const listFilters = {
+        device_type: 'd.device_type',
+        condition_status: 'd.condition_status',
+        location: 'd.current_location'
+    };
+
+    for (const [param, column] of Object.entries(listFilters)) {
+        const value = query[param];
+        if (!value || value === 'all') continue;
+
+        const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+        if (values.length === 0) continue;
+
+        conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+    }
+
+    switch (query.warranty_status) {
+        case 'active':
+            conditions.push('d.warranty_expiry >= CURDATE()');
+            break;
+        case 'expiring':
+            conditions.push('d.warranty_expiry BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 30 DAY)');
+            break;
+        case 'expired':
+            conditions.push('d.warranty_expiry < CURDATE()');
+            break;
+        case 'none':
+            conditions.push('d.warranty_expiry IS NULL');
+            break;
+        default:
+            break;
+    }
+
+    const dateFilters = [
+        ['purchase_from', 'd.purchase_date >= ?'],
+        ['purchase_to', 'd.purchase_date <= ?'],
+        ['registered_from', 'DATE(d.registration_date) >= ?'],
+        ['registered_to', 'DATE(d.registration_date) <= ?']
+    ];
+
+    for (const [param, condition] of dateFilters) {
+        if (query[param]) {
+            conditions.push(condition);
+            params.push(query[param]);
+        }
+    }
+
+    return { where: conditions.join(' AND '), params };
+};
+
+// Get all devices for department (supports search, filters, sorting and pagination)
 const getDepartmentDevices = async (req, res) => {
     try {
         const department = req.user.role === 'admin' ? req.query.department || req.user.department : req.user.department;
 
-        const result = await executeQuery(`
-            SELECT d.*, u.name as registered_by_name
-            FROM devices d
-            LEFT JOIN users u ON d.registered_by = u.id
-            WHERE d.current_department = ? AND d.is_active = TRUE
-            ORDER BY d.registration_date DESC
-        `, [department]);
+        const invalidDates = ['purchase_from', 'purchase_to', 'registered_from', 'registered_to']
+            .filter(param => req.query[param] && isNaN(Date.parse(req.query[param])));
+
+        if (invalidDates.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid date for ${invalidDates.join(', ')}`
+            });
+        }
+
+        const { where, params } = buildDeviceFilters(req.query, department);
+
+        const sortBy = DEVICE_SORT_COLUMNS.includes(req.query.sort_by) ? req.query.sort_by : 'registration_date';
+        const sortOrder = String(req.query.sort_order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+        // Without page/limit the full list is returned, as existing callers expect
+        const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 200);
+        const offset = (page - 1) * limit;
+
+        // limit/offset are sanitised integers, inlined because prepared statements reject them as parameters
+        const [result, countResult] = await Promise.all([
+            executeQuery(`
+                SELECT d.*, u.name as registered_by_name
+                FROM devices d
+                LEFT JOIN users u ON d.registered_by = u.id
+                WHERE ${where}
+                ORDER BY d.${sortBy} ${sortOrder}, d.id ${sortOrder}
+                ${paginate ? `LIMIT ${limit} OFFSET ${offset}` : ''}
+            `, params),
+            executeQuery(`SELECT COUNT(*) as total FROM devices d WHERE ${where}`, params)
+        ]);
 
         if (!result.success) {
             return res.status(500).json({
@@ -224,12 +415,26 @@ const getDepartmentDevices = async (req, res) => {
 
         const devices = result.data.map(device => ({
             ...device,
-            specifications: device.specifications ? JSON.parse(device.specifications) : null
+            specifications: parseJsonField(device.specifications)
         }));
 
+        const total = countResult.success ? countResult.data[0].total : devices.length;
+
         res.json({
             success: true,
-            data: { devices }
+            data: {
+                devices,
+                pagination: {
+                    page: paginate ? page : 1,
+                    limit: paginate ? limit : total,
+                    total,
+                    total_pages: paginate ? Math.ceil(total / limit) : 1
+                },
+                sort: {
+                    sort_by: sortBy,
+                    sort_order: sortOrder.toLowerCase()
+                }
+            }
         });
 
     } catch (error) {
@@ -241,6 +446,42 @@ const getDepartmentDevices = async (req, res) => {
     }
 };
 
+// Get distinct device types in department with counts
+const getDeviceTypes = async (req, res) => {
+    try {
+        const department = req.user.role === 'admin' ? req.query.department || req.user.department : req.user.department;
+
+        const result = await executeQuery(`
+            SELECT device_type, COUNT(*) as count
+            FROM devices
+            WHERE current_department = ? AND is_active = TRUE
+            GROUP BY device_type
+            ORDER BY device_type ASC
+        `, [department]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch device types'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                types: result.data
+            }
+        });
+
+    } catch (error) {
+        console.error('Device types fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
 // Move device to different location with logging
 const moveDevice = async (req, res) => {
     try {
@@ -328,6 +569,15 @@ const moveDevice = async (req, res) => {
 // Transfer device between departments
 const transferDevice = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { device_id } = req.params;
         const { to_department, to_user_id, reason, notes } = req.body;
 
@@ -346,6 +596,35 @@ const transferDevice = async (req, res) => {
 
         const device = deviceResult.data[0];
 
+        if (!canAccessDevice(req.user, device)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        if (device.current_department === to_department) {
+            return res.status(400).json({
+                success: false,
+                message: 'Device already belongs to this department'
+            });
+        }
+
+        // The receiving user must belong to the destination department
+        if (to_user_id) {
+            const userResult = await executeQuery(
+                'SELECT id FROM users WHERE id = ? AND department = ? AND is_active = TRUE',
+                [to_user_id, to_department]
+            );
+
+            if (!userResult.success || userResult.data.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Receiving user not found in destination department'
+                });
+            }
+        }
+
         // Update device department and assignment
         const updateResult = await executeQuery(`
             UPDATE devices 
@@ -380,6 +659,16 @@ const transferDevice = async (req, res) => {
             userAgent: req.get('User-Agent')
         });
 
+        // Log field change
+        await DeviceLogService.logFieldChange({
+            deviceId: device.id,
+            fieldName: 'current_department',
+            oldValue: device.current_department,
+            newValue: to_department,
+            changeReason: reason || 'Department transfer',
+            changedBy: req.user.id
+        });
+
         res.json({
             success: true,
             message: 'Device transferred successfully'
@@ -397,12 +686,21 @@ const transferDevice = async (req, res) => {
 // Update device condition
 const updateDeviceCondition = async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { device_id } = req.params;
         const { condition_status, notes } = req.body;
 
         // Get current device info
         const deviceResult = await executeQuery(
-            'SELECT id, condition_status FROM devices WHERE device_id = ? AND is_active = TRUE',
+            'SELECT id, condition_status, current_department FROM devices WHERE device_id = ? AND is_active = TRUE',
             [device_id]
         );
 
@@ -415,6 +713,20 @@ const updateDeviceCondition = async (req, res) => {
 
         const device = deviceResult.data[0];
 
+        if (!canAccessDevice(req.user, device)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        if (device.condition_status === condition_status) {
+            return res.status(400).json({
+                success: false,
+                message: `Device condition is already "${condition_status}"`
+            });
+        }
+
         // Update condition
         const updateResult = await executeQuery(
             'UPDATE devices SET condition_status = ? WHERE id = ?',
@@ -555,13 +867,14 @@ const getDepartmentStats = async (req, res) => {
 const getDeviceProfile = async (req, res) => {
     try {
         const { device_id, qr_code } = req.params;
+        const verification = qr_code ? verifyQRPayload(qr_code) : null;
         
         // Find device by either device_id or qr_code
         const deviceQuery = device_id 
             ? 'SELECT * FROM devices WHERE device_id = ? AND is_active = TRUE'
             : 'SELECT * FROM devices WHERE qr_code = ? AND is_active = TRUE';
         
-        const deviceParam = device_id || qr_code;
+        const deviceParam = device_id || verification.claims.qr_code;
 
         const deviceResult = await executeQuery(deviceQuery, [deviceParam]);
 
@@ -574,13 +887,37 @@ const getDeviceProfile = async (req, res) => {
 
         const device = deviceResult.data[0];
 
+        if (!canAccessDevice(req.user, device)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        if (verification && isForgedQR(verification, device)) {
+            await DeviceLogService.logQRScan({
+                deviceId: device.id,
+                scannedBy: req.user?.id || null,
+                scanLocation: req.query.scan_location || null,
+                scanPurpose: 'verify',
+                scanResult: 'unauthorized',
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return res.status(403).json({
+                success: false,
+                message: 'QR code could not be verified, this label may be forged'
+            });
+        }
+
         // Log QR scan activity if accessed via QR code
         if (qr_code) {
             await DeviceLogService.logQRScan({
                 deviceId: device.id,
                 scannedBy: req.user?.id || null,
-                scanLocation: req.body.scan_location || req.query.scan_location || null,
-                scanPurpose: req.query.purpose || 'profile_view',
+                scanLocation: req.query.scan_location || null,
+                scanPurpose: req.query.purpose || 'view',
                 scanResult: 'success',
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent')
@@ -595,8 +932,7 @@ const getDeviceProfile = async (req, res) => {
             activityStats,
             resourceExchanges,
             disposalRequests,
-            fieldChanges,
-            recentActivities
+            maintenanceRecords
         ] = await Promise.all([
             // Complete activity history
             executeQuery(`
@@ -613,7 +949,7 @@ const getDeviceProfile = async (req, res) => {
                 LEFT JOIN users u3 ON dal.to_user_id = u3.id
                 LEFT JOIN disposal_requests dr ON dal.related_disposal_id = dr.id
                 WHERE dal.device_id = ?
-                ORDER BY dal.action_date DESC
+                ORDER BY dal.performed_at DESC
                 LIMIT 100
             `, [device.id]),
 
@@ -625,11 +961,11 @@ const getDeviceProfile = async (req, res) => {
                 FROM device_qr_scans dqs
                 LEFT JOIN users u ON dqs.scanned_by = u.id
                 WHERE dqs.device_id = ?
-                ORDER BY dqs.scan_date DESC
+                ORDER BY dqs.scanned_at DESC
                 LIMIT 50
             `, [device.id]),
 
-            // State change history
+            // State change history (field level changes)
             executeQuery(`
                 SELECT 
                     dsh.*,
@@ -637,7 +973,7 @@ const getDeviceProfile = async (req, res) => {
                 FROM device_state_history dsh
                 LEFT JOIN users u ON dsh.changed_by = u.id
                 WHERE dsh.device_id = ?
-                ORDER BY dsh.change_date DESC
+                ORDER BY dsh.changed_at DESC
                 LIMIT 50
             `, [device.id]),
 
@@ -646,26 +982,27 @@ const getDeviceProfile = async (req, res) => {
                 SELECT 
                     log_type,
                     COUNT(*) as count,
-                    MAX(action_date) as last_occurrence
+                    MAX(performed_at) as last_occurrence
                 FROM device_activity_logs
                 WHERE device_id = ?
                 GROUP BY log_type
                 ORDER BY count DESC
             `, [device.id]),
 
-            // Resource exchanges involving this device
+            // Resource exchange offers involving this device
             executeQuery(`
                 SELECT 
-                    re.*,
-                    u1.name as offered_by_name,
-                    u2.name as requested_by_name,
-                    rei.quantity as device_quantity
-                FROM resource_exchanges re
-                LEFT JOIN users u1 ON re.offered_by = u1.id
-                LEFT JOIN users u2 ON re.requested_by = u2.id
-                JOIN resource_exchange_items rei ON re.id = rei.exchange_id
-                WHERE rei.item_type = 'device' AND rei.item_id = ?
-                ORDER BY re.created_at DESC
+                    rres.*,
+                    rreq.request_id as exchange_request_id,
+                    rreq.requester_department,
+                    rreq.device_type as requested_device_type,
+                    rreq.status as request_status,
+                    u.name as responder_name
+                FROM resource_exchange_responses rres
+                JOIN resource_exchange_requests rreq ON rres.request_id = rreq.id
+                LEFT JOIN users u ON rres.responder_user_id = u.id
+                WHERE rres.offered_device_id = ?
+                ORDER BY rres.created_at DESC
                 LIMIT 20
             `, [device.id]),
 
@@ -677,52 +1014,45 @@ const getDeviceProfile = async (req, res) => {
                 FROM disposal_requests dr
                 LEFT JOIN users u ON dr.created_by = u.id
                 WHERE dr.id IN (
+                    SELECT disposal_request_id FROM disposal_request_items WHERE device_id = ?
+                ) OR dr.id IN (
                     SELECT DISTINCT related_disposal_id 
                     FROM device_activity_logs 
                     WHERE device_id = ? AND related_disposal_id IS NOT NULL
                 )
                 ORDER BY dr.created_at DESC
-            `, [device.id]),
-
-            // Field changes history
-            executeQuery(`
-                SELECT 
-                    dfc.*,
-                    u.name as changed_by_name
-                FROM device_field_changes dfc
-                LEFT JOIN users u ON dfc.changed_by = u.id
-                WHERE dfc.device_id = ?
-                ORDER BY dfc.change_date DESC
-                LIMIT 30
-            `, [device.id]),
+            `, [device.id, device.id]),
 
-            // Recent activities (last 30 days)
+            // Maintenance history
             executeQuery(`
                 SELECT 
-                    dal.log_type,
-                    dal.action_description,
-                    dal.action_date,
+                    mr.*,
                     u.name as performed_by_name
-                FROM device_activity_logs dal
-                LEFT JOIN users u ON dal.performed_by = u.id
-                WHERE dal.device_id = ? 
-                AND dal.action_date >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-                ORDER BY dal.action_date DESC
-                LIMIT 10
+                FROM maintenance_records mr
+                LEFT JOIN users u ON mr.performed_by = u.id
+                WHERE mr.device_id = ?
+                ORDER BY mr.maintenance_date DESC
+                LIMIT 30
             `, [device.id])
         ]);
 
         // Parse specifications if exists
         const deviceData = {
             ...device,
-            specifications: device.specifications ? JSON.parse(device.specifications) : null
+            specifications: parseJsonField(device.specifications)
         };
 
+        const activities = activityHistory.success ? activityHistory.data.map(activity => ({
+            ...activity,
+            metadata: parseJsonField(activity.metadata),
+            attachments: parseJsonField(activity.attachments)
+        })) : [];
+
         // Calculate device metrics
-        const totalActivities = activityHistory.success ? activityHistory.data.length : 0;
         const totalScans = qrScanHistory.success ? qrScanHistory.data.length : 0;
         const totalExchanges = resourceExchanges.success ? resourceExchanges.data.length : 0;
         const totalDisposalRequests = disposalRequests.success ? disposalRequests.data.length : 0;
+        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
 
         // Get current device status summary
         const statusSummary = {
@@ -731,8 +1061,8 @@ const getDeviceProfile = async (req, res) => {
             department: device.current_department,
             disposal_status: device.disposal_status,
             is_active: device.is_active,
-            last_activity: activityHistory.success && activityHistory.data.length > 0 
-                ? activityHistory.data[0].action_date 
+            last_activity: activities.length > 0 
+                ? activities[0].performed_at 
                 : device.registration_date,
             registration_age_days: Math.floor(
                 (new Date() - new Date(device.registration_date)) / (1000 * 60 * 60 * 24)
@@ -744,19 +1074,29 @@ const getDeviceProfile = async (req, res) => {
             device: deviceData,
             status_summary: statusSummary,
             metrics: {
-                total_activities: totalActivities,
+                total_activities: activities.length,
                 total_qr_scans: totalScans,
                 total_exchanges: totalExchanges,
                 total_disposal_requests: totalDisposalRequests
             },
-            activity_history: activityHistory.success ? activityHistory.data : [],
+            // Flattened timeline used by the QR profile modal
+            activities: activities.map(activity => ({
+                id: activity.id,
+                activity_type: activity.log_type,
+                description: activity.action_description,
+                timestamp: activity.performed_at,
+                performed_by: activity.performed_by_name
+            })),
+            activity_history: activities,
             qr_scan_history: qrScanHistory.success ? qrScanHistory.data : [],
             state_history: stateHistory.success ? stateHistory.data : [],
             activity_stats: activityStats.success ? activityStats.data : [],
             resource_exchanges: resourceExchanges.success ? resourceExchanges.data : [],
             disposal_requests: disposalRequests.success ? disposalRequests.data : [],
-            field_changes: fieldChanges.success ? fieldChanges.data : [],
-            recent_activities: recentActivities.success ? recentActivities.data : []
+            maintenance_records: maintenanceRecords.success ? maintenanceRecords.data : [],
+            recent_activities: activities
+                .filter(activity => new Date(activity.performed_at) >= thirtyDaysAgo)
+                .slice(0, 10)
         };
 
         res.json({
@@ -769,122 +1109,157 @@ const getDeviceProfile = async (req, res) => {
         console.error('Device profile fetch error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error',
-            error: error.message
+            message: 'Internal server error'
         });
     }
 };
 
+// Build the chain of custody query (activity logs + QR scans) for a device
+const buildAuditTrailQuery = (deviceDbId, { start_date, end_date, activity_type }) => {
+    const params = [];
+
+    let activityQuery = `
+        SELECT 
+            'activity' as source_type,
+            dal.id as source_id,
+            dal.performed_at as timestamp,
+            dal.log_type as event_type,
+            dal.action_description as description,
+            dal.notes,
+            dal.metadata,
+            dal.ip_address,
+            u.name as performed_by_name,
+            dal.from_location,
+            dal.to_location,
+            dal.from_department,
+            dal.to_department,
+            dal.previous_condition,
+            dal.new_condition,
+            dal.previous_status,
+            dal.new_status
+        FROM device_activity_logs dal
+        LEFT JOIN users u ON dal.performed_by = u.id
+        WHERE dal.device_id = ?
+    `;
+    params.push(deviceDbId);
+
+    if (start_date) {
+        activityQuery += ' AND dal.performed_at >= ?';
+        params.push(start_date);
+    }
+    if (end_date) {
+        activityQuery += ' AND dal.performed_at <= ?';
+        params.push(end_date);
+    }
+    if (activity_type) {
+        activityQuery += ' AND dal.log_type = ?';
+        params.push(activity_type);
+    }
+
+    // QR scans only belong in the trail when no other activity type was requested
+    if (activity_type && activity_type !== 'qr_scan') {
+        return { query: activityQuery, params };
+    }
+
+    let scanQuery = `
+        SELECT 
+            'qr_scan' as source_type,
+            dqs.id as source_id,
+            dqs.scanned_at as timestamp,
+            'qr_scan' as event_type,
+            CONCAT('QR code scanned for ', dqs.scan_purpose) as description,
+            null as notes,
+            JSON_OBJECT('scan_location', dqs.scan_location, 'scan_purpose', dqs.scan_purpose, 'scan_result', dqs.scan_result) as metadata,
+            dqs.ip_address,
+            u.name as performed_by_name,
+            dqs.scan_location as from_location,
+            null as to_location,
+            null as from_department,
+            null as to_department,
+            null as previous_condition,
+            null as new_condition,
+            null as previous_status,
+            dqs.scan_result as new_status
+        FROM device_qr_scans dqs
+        LEFT JOIN users u ON dqs.scanned_by = u.id
+        WHERE dqs.device_id = ?
+    `;
+    params.push(deviceDbId);
+
+    if (start_date) {
+        scanQuery += ' AND dqs.scanned_at >= ?';
+        params.push(start_date);
+    }
+    if (end_date) {
+        scanQuery += ' AND dqs.scanned_at <= ?';
+        params.push(end_date);
+    }
+
+    return { query: `${activityQuery} UNION ALL ${scanQuery}`, params };
+};
+
+// Find a device for audit purposes (includes disposed/inactive devices)
+const findAuditDevice = async (deviceId, user) => {
+    const deviceResult = await executeQuery(
+        'SELECT id, device_id, device_name, device_type, serial_number, current_department FROM devices WHERE device_id = ?',
+        [deviceId]
+    );
+
+    if (!deviceResult.success || deviceResult.data.length === 0) {
+        return { error: { status: 404, message: 'Device not found' } };
+    }
+
+    const device = deviceResult.data[0];
+
+    if (!canAccessDevice(user, device)) {
+        return { error: { status: 403, message: 'Access denied: Different department' } };
+    }
+
+    return { device };
+};
+
 // Get device audit trail (detailed timeline of all activities)
 const getDeviceAuditTrail = async (req, res) => {
     try {
         const { device_id } = req.params;
-        const { start_date, end_date, activity_type, limit = 100 } = req.query;
+        const { start_date, end_date, activity_type } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const offset = (page - 1) * limit;
+
+        const { device, error } = await findAuditDevice(device_id, req.user);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
 
-        // Find device
-        const deviceResult = await executeQuery(
-            'SELECT id, device_id, device_name FROM devices WHERE device_id = ?',
-            [device_id]
-        );
+        const { query, params } = buildAuditTrailQuery(device.id, { start_date, end_date, activity_type });
 
-        if (!deviceResult.success || deviceResult.data.length === 0) {
-            return res.status(404).json({
+        // limit/offset are sanitised integers, inlined because prepared statements reject them as parameters
+        const [auditResult, countResult, summaryResult] = await Promise.all([
+            executeQuery(`${query} ORDER BY timestamp DESC LIMIT ${limit} OFFSET ${offset}`, params),
+            executeQuery(`SELECT COUNT(*) as total FROM (${query}) audit_events`, params),
+            executeQuery(`
+                SELECT 
+                    COUNT(*) as total_events,
+                    COUNT(DISTINCT DATE(dal.performed_at)) as active_days,
+                    MIN(dal.performed_at) as first_activity,
+                    MAX(dal.performed_at) as last_activity
+                FROM device_activity_logs dal
+                WHERE dal.device_id = ?
+            `, [device.id])
+        ]);
+
+        if (!auditResult.success) {
+            return res.status(500).json({
                 success: false,
-                message: 'Device not found'
+                message: 'Failed to fetch audit trail'
             });
         }
 
-        const device = deviceResult.data[0];
-
-        // Build audit trail query with filters
-        let auditQuery = `
-            SELECT 
-                'activity' as source_type,
-                dal.action_date as timestamp,
-                dal.log_type as event_type,
-                dal.action_description as description,
-                dal.notes,
-                dal.metadata,
-                dal.ip_address,
-                u.name as performed_by_name,
-                dal.from_location,
-                dal.to_location,
-                dal.from_department,
-                dal.to_department,
-                dal.previous_condition,
-                dal.new_condition
-            FROM device_activity_logs dal
-            LEFT JOIN users u ON dal.performed_by = u.id
-            WHERE dal.device_id = ?
-        `;
-
-        const queryParams = [device.id];
-
-        // Add date filters
-        if (start_date) {
-            auditQuery += ' AND dal.action_date >= ?';
-            queryParams.push(start_date);
-        }
-        if (end_date) {
-            auditQuery += ' AND dal.action_date <= ?';
-            queryParams.push(end_date);
-        }
-        if (activity_type) {
-            auditQuery += ' AND dal.log_type = ?';
-            queryParams.push(activity_type);
-        }
-
-        auditQuery += `
-            UNION ALL
-            SELECT 
-                'qr_scan' as source_type,
-                dqs.scan_date as timestamp,
-                'qr_scan' as event_type,
-                CONCAT('QR code scanned for ', dqs.scan_purpose) as description,
-                dqs.scan_notes as notes,
-                JSON_OBJECT('scan_location', dqs.scan_location, 'scan_result', dqs.scan_result) as metadata,
-                dqs.ip_address,
-                u.name as performed_by_name,
-                dqs.scan_location as from_location,
-                null as to_location,
-                null as from_department,
-                null as to_department,
-                null as previous_condition,
-                null as new_condition
-            FROM device_qr_scans dqs
-            LEFT JOIN users u ON dqs.scanned_by = u.id
-            WHERE dqs.device_id = ?
-        `;
-
-        queryParams.push(device.id);
-
-        if (start_date) {
-            auditQuery += ' AND dqs.scan_date >= ?';
-            queryParams.push(start_date);
-        }
-        if (end_date) {
-            auditQuery += ' AND dqs.scan_date <= ?';
-            queryParams.push(end_date);
-        }
-
-        auditQuery += `
-            ORDER BY timestamp DESC
-            LIMIT ?
-        `;
-        queryParams.push(parseInt(limit));
-
-        const auditResult = await executeQuery(auditQuery, queryParams);
-
-        // Get summary statistics
-        const summaryResult = await executeQuery(`
-            SELECT 
-                COUNT(*) as total_events,
-                COUNT(DISTINCT DATE(dal.action_date)) as active_days,
-                MIN(dal.action_date) as first_activity,
-                MAX(dal.action_date) as last_activity
-            FROM device_activity_logs dal
-            WHERE dal.device_id = ?
-        `, [device.id]);
+        const total = countResult.success ? countResult.data[0].total : auditResult.data.length;
 
         const auditTrail = {
             device: {
@@ -893,15 +1268,20 @@ const getDeviceAuditTrail = async (req, res) => {
                 device_name: device.device_name
             },
             summary: summaryResult.success ? summaryResult.data[0] : {},
-            events: auditResult.success ? auditResult.data.map(event => ({
+            events: auditResult.data.map(event => ({
                 ...event,
-                metadata: event.metadata ? JSON.parse(event.metadata) : null
-            })) : [],
+                metadata: parseJsonField(event.metadata)
+            })),
             filters: {
                 start_date,
                 end_date,
-                activity_type,
-                limit: parseInt(limit)
+                activity_type
+            },
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
             }
         };
 
@@ -920,6 +1300,82 @@ const getDeviceAuditTrail = async (req, res) => {
     }
 };
 
+// Export full device audit trail as CSV or JSON (chain of custody)
+const exportDeviceAuditTrail = async (req, res) => {
+    try {
+        const { device_id } = req.params;
+        const { start_date, end_date, activity_type, format = 'csv' } = req.query;
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Export format must be csv or json'
+            });
+        }
+
+        const { device, error } = await findAuditDevice(device_id, req.user);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const { query, params } = buildAuditTrailQuery(device.id, { start_date, end_date, activity_type });
+        const auditResult = await executeQuery(`${query} ORDER BY timestamp ASC`, params);
+
+        if (!auditResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to export audit trail'
+            });
+        }
+
+        const events = auditResult.data.map(event => ({
+            ...event,
+            metadata: parseJsonField(event.metadata)
+        }));
+
+        sendExport(res, {
+            format,
+            filename: `audit_trail_${device.device_id}`,
+            rows: events,
+            columns: [
+                { key: 'timestamp', header: 'Timestamp' },
+                { key: 'source_type', header: 'Source' },
+                { key: 'event_type', header: 'Event Type' },
+                { key: 'description', header: 'Description' },
+                { key: 'performed_by_name', header: 'Performed By' },
+                { key: 'from_location', header: 'From Location' },
+                { key: 'to_location', header: 'To Location' },
+                { key: 'from_department', header: 'From Department' },
+                { key: 'to_department', header: 'To Department' },
+                { key: 'previous_condition', header: 'Previous Condition' },
+                { key: 'new_condition', header: 'New Condition' },
+                { key: 'previous_status', header: 'Previous Status' },
+                { key: 'new_status', header: 'New Status' },
+                { key: 'notes', header: 'Notes' },
+                { key: 'ip_address', header: 'IP Address' },
+                { key: 'metadata', header: 'Metadata' }
+            ],
+            payload: {
+                device,
+                exported_at: new Date().toISOString(),
+                exported_by: req.user.name,
+                filters: { start_date, end_date, activity_type },
+                events
+            }
+        });
+
+    } catch (error) {
+        console.error('Device audit trail export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
 // Validation rules
 const deviceRegistrationValidation = [
     body('device_name')
@@ -963,16 +1419,55 @@ const deviceMoveValidation = [
         .withMessage('Destination location is required')
 ];
 
+const deviceTransferValidation = [
+    body('to_department')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Destination department is required'),
+    body('to_user_id')
+        .optional({ nullable: true, checkFalsy: true })
+        .isInt({ min: 1 })
+        .withMessage('Receiving user must be a valid user id'),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Transfer reason too long'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes too long')
+];
+
+const deviceConditionValidation = [
+    body('condition_status')
+        .isIn(['excellent', 'good', 'fair', 'poor', 'damaged'])
+        .withMessage('Invalid condition status'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes too long')
+];
+
 export { 
+    generateDeviceId,
     registerDevice, 
     getDeviceByQR, 
+    getQRPublicKeyInfo,
+    verifyQRCode,
     getDepartmentDevices, 
+    getDeviceTypes,
     getDepartmentStats,
     moveDevice,
     transferDevice,
     updateDeviceCondition,
     getDeviceProfile,        // New comprehensive QR profile endpoint
     getDeviceAuditTrail,     // New audit trail endpoint
+    exportDeviceAuditTrail,
     deviceRegistrationValidation,
-    deviceMoveValidation
+    deviceMoveValidation,
+    deviceTransferValidation,
+    deviceConditionValidation
 };
\ No newline at end of file
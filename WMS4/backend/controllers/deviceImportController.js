@@ -0,0 +1,355 @@
+import { v4 as uuidv4 } from 'uuid';
+import multer from 'multer';
+import path from 'path';
+import XLSX from 'xlsx';
+import { validationResult } from 'express-validator';
+import { executeQuery, executeTransaction } from '../config/database.js';
+import { deviceRegistrationValidation, generateDeviceId } from './deviceController.js';
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Spreadsheets are parsed in memory, nothing is written to disk
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+    },
+    fileFilter: function (req, file, cb) {
+        const allowedExtensions = ['.csv', '.xlsx', '.xls'];
+        if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV and XLSX files are allowed'), false);
+        }
+    }
+});
+
+// QR_MVP deviceFields (and our own column names) mapped to device columns
+const COLUMN_ALIASES = {
+    device_name: ['productName', 'deviceName', 'device_name', 'name'],
+    device_type: ['deviceType', 'device_type', 'category'],
+    brand: ['brand'],
+    model: ['model'],
+    serial_number: ['serialNumber', 'serial_number', 'serial'],
+    purchase_date: ['purchaseDate', 'purchase_date'],
+    warranty_expiry: ['warrantyExpiry', 'warranty_expiry'],
+    condition_status: ['condition', 'condition_status', 'workingCondition'],
+    current_location: ['sourceLocation', 'current_location', 'location'],
+    notes: ['notes', 'comments']
+};
+
+// QR_MVP technical specification fields, stored in devices.specifications
+const SPECIFICATION_FIELDS = ['processor', 'memory', 'storage', 'screenSize', 'resolution', 'operatingSystem', 'connectivity', 'ports'];
+
+// Header matching ignores case, spaces, dashes and underscores
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_-]/g, '');
+
+const buildHeaderLookup = () => {
+    const lookup = {};
+    for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+        for (const alias of aliases) {
+            lookup[normalizeHeader(alias)] = column;
+        }
+    }
+    for (const field of SPECIFICATION_FIELDS) {
+        lookup[normalizeHeader(field)] = `spec:${field}`;
+    }
+    lookup[normalizeHeader('specifications')] = 'specifications';
+    return lookup;
+};
+
+const HEADER_LOOKUP = buildHeaderLookup();
+
+// Spreadsheet dates can arrive as Date objects or strings; store them as YYYY-MM-DD
+const normalizeDate = (value) => {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) return String(value);
+    return date.toISOString().slice(0, 10);
+};
+
+// Convert a spreadsheet row into the body shape POST /api/devices/register accepts
+const mapRowToDevice = (row) => {
+    const device = {};
+    const specifications = {};
+    const unmapped = [];
+
+    for (const [header, rawValue] of Object.entries(row)) {
+        const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+        if (value === '' || value === null || value === undefined) continue;
+
+        const target = HEADER_LOOKUP[normalizeHeader(header)];
+
+        if (!target) {
+            unmapped.push(header);
+        } else if (target.startsWith('spec:')) {
+            specifications[target.slice(5)] = String(value);
+        } else if (target === 'specifications') {
+            try {
+                Object.assign(specifications, JSON.parse(value));
+            } catch {
+                specifications.description = String(value);
+            }
+        } else if (device[target] === undefined) {
+            device[target] = value instanceof Date ? value : String(value);
+        }
+    }
+
+    if (device.condition_status) {
+        device.condition_status = device.condition_status.toLowerCase();
+    }
+    if (device.purchase_date) {
+        device.purchase_date = normalizeDate(device.purchase_date);
+    }
+    if (device.warranty_expiry) {
+        device.warranty_expiry = normalizeDate(device.warranty_expiry);
+    }
+    if (Object.keys(specifications).length > 0) {
+        device.specifications = specifications;
+    }
+
+    return { device, unmapped };
+};
+
+// Run the registration validation chain against a single row
+const validateRow = async (device) => {
+    const rowReq = { body: { ...device } };
+
+    for (const validation of deviceRegistrationValidation) {
+        await validation.run(rowReq);
+    }
+
+    const errors = validationResult(rowReq).array().map(error => error.msg);
+
+    for (const field of ['purchase_date', 'warranty_expiry']) {
+        if (rowReq.body[field] && isNaN(Date.parse(rowReq.body[field]))) {
+            errors.push(`Invalid date for ${field}`);
+        }
+    }
+
+    return { device: rowReq.body, errors };
+};
+
+// Import devices from CSV/XLSX (dry run unless commit=true)
+const importDevices = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const commit = req.body.commit === true || req.body.commit === 'true';
+
+        let rows;
+        try {
+            const workbook = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+        } catch (parseError) {
+            console.error('Device import parse error:', parseError);
+            return res.status(400).json({
+                success: false,
+                message: 'Could not read spreadsheet'
+            });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Spreadsheet has no data rows'
+            });
+        }
+
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `A maximum of ${MAX_IMPORT_ROWS} devices can be imported at once`
+            });
+        }
+
+        // Serial numbers already registered anywhere in the system
+        const serials = rows
+            .map(row => mapRowToDevice(row).device.serial_number)
+            .filter(serial => serial);
+
+        const existingSerials = new Set();
+        if (serials.length > 0) {
+            const serialResult = await executeQuery(
+                `SELECT serial_number FROM devices WHERE serial_number IN (${serials.map(() => '?').join(', ')})`,
+                serials
+            );
+            if (serialResult.success) {
+                serialResult.data.forEach(device => existingSerials.add(device.serial_number));
+            }
+        }
+
+        const seenSerials = new Set();
+        const report = [];
+
+        for (const [index, row] of rows.entries()) {
+            const { device: mapped, unmapped } = mapRowToDevice(row);
+            const { device, errors } = await validateRow(mapped);
+
+            if (device.serial_number) {
+                if (existingSerials.has(device.serial_number)) {
+                    errors.push(`Serial number ${device.serial_number} is already registered`);
+                } else if (seenSerials.has(device.serial_number)) {
+                    errors.push(`Serial number ${device.serial_number} appears more than once in the file`);
+                }
+                seenSerials.add(device.serial_number);
+            }
+
+            report.push({
+                row: index + 2, // header is row 1
+                valid: errors.length === 0,
+                errors,
+                ignored_columns: unmapped,
+                device
+            });
+        }
+
+        const invalidRows = report.filter(row => !row.valid);
+        const summary = {
+            total_rows: report.length,
+            valid_rows: report.length - invalidRows.length,
+            invalid_rows: invalidRows.length
+        };
+
+        if (!commit) {
+            return res.json({
+                success: true,
+                message: 'Dry run completed, no devices were imported',
+                data: {
+                    dry_run: true,
+                    summary,
+                    rows: report
+                }
+            });
+        }
+
+        if (invalidRows.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Import aborted: fix the invalid rows and try again',
+                data: {
+                    dry_run: false,
+                    summary,
+                    rows: report
+                }
+            });
+        }
+
+        // Each device insert is followed by its registration log, which picks up the new id via LAST_INSERT_ID()
+        const imported = [];
+        const queries = [];
+
+        // Rows are built within the same millisecond, so the row's position in the import keeps their ids unique
+        for (const [index, { device }] of report.entries()) {
+            const device_id = `${generateDeviceId(req.user.department, device.device_type)}-${index + 1}`;
+            const qr_code = uuidv4();
+
+            imported.push({
+                device_id,
+                qr_code,
+                device_name: device.device_name,
+                device_type: device.device_type,
+                serial_number: device.serial_number || null,
+                current_location: device.current_location || null
+            });
+
+            queries.push({
+                sql: `
+                    INSERT INTO devices (
+                        device_id, qr_code, device_name, device_type, brand, model,
+                        serial_number, purchase_date, warranty_expiry, condition_status,
+                        current_location, current_department, registered_by, specifications, notes
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `,
+                params: [
+                    device_id,
+                    qr_code,
+                    device.device_name,
+                    device.device_type,
+                    device.brand || null,
+                    device.model || null,
+                    device.serial_number || null,
+                    device.purchase_date || null,
+                    device.warranty_expiry || null,
+                    device.condition_status || 'good',
+                    device.current_location || null,
+                    req.user.department,
+                    req.user.id,
+                    device.specifications ? JSON.stringify(device.specifications) : null,
+                    device.notes || null
+                ]
+            });
+
+            queries.push({
+                sql: `
+                    INSERT INTO device_activity_logs (
+                        device_id, log_type, action_description, performed_by,
+                        to_location, to_department, new_condition, metadata, notes,
+                        ip_address, user_agent
+                    ) VALUES (LAST_INSERT_ID(), 'registration', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `,
+                params: [
+                    `Device "${device.device_name}" registered in ${req.user.department} department`,
+                    req.user.id,
+                    device.current_location || req.user.department,
+                    req.user.department,
+                    device.condition_status || 'good',
+                    JSON.stringify({
+                        device_id,
+                        device_type: device.device_type,
+                        brand: device.brand || null,
+                        model: device.model || null,
+                        serial_number: device.serial_number || null,
+                        specifications: device.specifications || null,
+                        import_file: req.file.originalname
+                    }),
+                    `Device imported by ${req.user.name}`,
+                    req.ip,
+                    req.get('User-Agent') || null
+                ]
+            });
+        }
+
+        const result = await executeTransaction(queries);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Import failed, no devices were imported'
+            });
+        }
+
+        // Device inserts are every other statement in the transaction
+        imported.forEach((device, index) => {
+            device.id = result.data[index * 2].insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${imported.length} devices imported successfully`,
+            data: {
+                dry_run: false,
+                summary,
+                devices: imported
+            }
+        });
+
+    } catch (error) {
+        console.error('Device import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+export {
+    importDevices,
+    importUpload
+};
@@ -0,0 +1,169 @@
+import { body, validationResult } from 'express-validator';
+import { executeQuery } from '../config/database.js';
+import { LABEL_LAYOUTS, DEFAULT_LABEL_LAYOUT, renderLabelSheet } from '../services/labelSheetService.js';
+
+const MAX_LABELS = 1000;
+
+// Get available label sheet layouts
+const getLabelLayouts = async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            default_layout: DEFAULT_LABEL_LAYOUT,
+            layouts: Object.entries(LABEL_LAYOUTS).map(([key, layout]) => ({
+                key,
+                description: layout.description,
+                labels_per_sheet: layout.columns * layout.rows
+            }))
+        }
+    });
+};
+
+// Generate printable QR label sheets (PDF) by device IDs, location or registration date range
+const generateDeviceLabels = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            device_ids,
+            location,
+            registered_from,
+            registered_to,
+            layout = DEFAULT_LABEL_LAYOUT,
+            start_position = 1
+        } = req.body;
+
+        const perSheet = LABEL_LAYOUTS[layout].columns * LABEL_LAYOUTS[layout].rows;
+        if (start_position > perSheet) {
+            return res.status(400).json({
+                success: false,
+                message: `Start position must be between 1 and ${perSheet} for layout ${layout}`
+            });
+        }
+
+        const conditions = ['is_active = TRUE'];
+        const params = [];
+
+        if (device_ids && device_ids.length > 0) {
+            conditions.push(`device_id IN (${device_ids.map(() => '?').join(', ')})`);
+            params.push(...device_ids);
+        } else if (location) {
+            conditions.push('current_location = ?');
+            params.push(location);
+        } else if (registered_from || registered_to) {
+            if (registered_from) {
+                conditions.push('DATE(registration_date) >= ?');
+                params.push(registered_from);
+            }
+            if (registered_to) {
+                conditions.push('DATE(registration_date) <= ?');
+                params.push(registered_to);
+            }
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide device_ids, a location or a registration date range'
+            });
+        }
+
+        // Non-admin users can only print labels for their own department
+        if (req.user.role !== 'admin') {
+            conditions.push('current_department = ?');
+            params.push(req.user.department);
+        }
+
+        const result = await executeQuery(`
+            SELECT device_id, qr_code, device_name, device_type, current_department, current_location, registration_date
+            FROM devices
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY current_location ASC, device_id ASC
+        `, params);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch devices'
+            });
+        }
+
+        if (result.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No devices found for the selected criteria'
+            });
+        }
+
+        if (result.data.length > MAX_LABELS) {
+            return res.status(400).json({
+                success: false,
+                message: `A maximum of ${MAX_LABELS} labels can be generated at once`
+            });
+        }
+
+        // Keep the caller's order when specific devices were requested
+        const devices = device_ids && device_ids.length > 0
+            ? device_ids.map(id => result.data.find(device => device.device_id === id)).filter(Boolean)
+            : result.data;
+
+        const pdf = await renderLabelSheet(devices, layout, { startPosition: parseInt(start_position) });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="device_labels_${Date.now()}.pdf"`);
+        res.setHeader('X-Label-Count', devices.length);
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('Device label generation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Validation rules
+const labelSheetValidation = [
+    body('device_ids')
+        .optional()
+        .isArray({ min: 1, max: MAX_LABELS })
+        .withMessage(`Device IDs must be a list of 1 to ${MAX_LABELS} devices`),
+    body('device_ids.*')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Invalid device ID'),
+    body('location')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Location name too long'),
+    body('registered_from')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('Registered from must be a valid date'),
+    body('registered_to')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('Registered to must be a valid date'),
+    body('layout')
+        .optional()
+        .isIn(Object.keys(LABEL_LAYOUTS))
+        .withMessage(`Layout must be one of ${Object.keys(LABEL_LAYOUTS).join(', ')}`),
+    body('start_position')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Start position must be a positive number')
+];
+
+export {
+    getLabelLayouts,
+    generateDeviceLabels,
+    labelSheetValidation
+};
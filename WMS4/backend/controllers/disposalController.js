@@ -1,7 +1,401 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { executeQuery } from '../config/database.js';
 import { nanoid } from 'nanoid';
 import DeviceLogService from '../services/deviceLogService.js';
+import { hasPermission, canAccessDepartment } from '../middleware/auth.js';
+import {
+    checkDisposalTransition,
+    applyDisposalTransition,
+    cascadeDisposalStatusToDevices,
+    DEVICE_DISPOSAL_STATUSES,
+    getAllowedTransitions,
+    DISPOSAL_EDITABLE_FIELDS,
+    diffDisposalFields,
+    recordDisposalEdit,
+    parseHistoryChanges
+} from '../../../shared/disposalStateMachine.mjs';
+import { getBidTotal } from '../../../shared/disposalBids.mjs';
+import { getOpenSlots } from '../../../shared/vendorAvailability.mjs';
+import { DATA_DESTRUCTION_METHODS } from '../../../shared/recyclingCertificates.mjs';
+import { issueRecyclingCertificate } from '../services/recyclingCertificateService.js';
+import {
+    TRIAGE_CONDITIONS,
+    TRIAGE_REQUEST_STATUSES,
+    IN_REPAIR_STATUS,
+    findManifestItem,
+    getRepairServices,
+    triageDeviceToRepair
+} from '../../../shared/repairOrders.mjs';
+import {
+    PICKUP_PROOF_STATUS,
+    PICKUP_PROOF_REQUIRED_MESSAGE,
+    getPickupProof
+} from '../../../shared/pickupProof.mjs';
+import {
+    SANITISATION_EDITABLE_STATUSES,
+    validateSanitisationRecord,
+    describeSanitisation,
+    isDeviceCleared,
+    getSanitisationStatus,
+    checkSanitisationForPickup
+} from '../../../shared/dataSanitisation.mjs';
+import {
+    EWASTE_CATEGORIES,
+    HAZARD_TYPES,
+    validateLineItems,
+    normalizeLineItem,
+    getLineItemsWeight,
+    getHandlingWarnings,
+    getRequestLineItems,
+    summariseByCategory
+} from '../../../shared/eWasteCategories.mjs';
+
+// Request statuses in which a disposal request still holds on to its devices
+const ACTIVE_REQUEST_STATUSES = ['pending', 'approved', 'pickup_scheduled', 'out_for_pickup', 'pickup_completed', 'in_progress'];
+
+// Find a disposal request by its public request ID or database ID
+const findDisposalRequest = async (requestId) => {
+    const result = await executeQuery(
+        'SELECT * FROM disposal_requests WHERE request_id = ? OR id = ?',
+        [requestId, requestId]
+    );
+
+    return result.success && result.data.length > 0 ? result.data[0] : null;
+};
+
+// Only the owning department (or an admin) may change a request's device manifest
+const canManageRequest = (user, disposalRequest) => {
+    return canAccessDepartment(user, disposalRequest.department);
+};
+
+// Get the device manifest of a disposal request
+const getRequestItems = async (disposalRequestId) => {
+    return executeQuery(`
+        SELECT 
+            dri.id,
+            dri.disposal_request_id,
+            dri.weight_kg,
+            dri.condition_status,
+            dri.notes,
+            dri.added_at,
+            d.id as device_db_id,
+            d.device_id,
+            d.device_name,
+            d.device_type,
+            d.brand,
+            d.model,
+            d.serial_number,
+            d.current_location,
+            d.current_department,
+            u.name as added_by_name
+        FROM disposal_request_items dri
+        JOIN devices d ON dri.device_id = d.id
+        LEFT JOIN users u ON dri.added_by = u.id
+        WHERE dri.disposal_request_id = ?
+        ORDER BY dri.added_at ASC
+    `, [disposalRequestId]);
+};
+
+// Keep the request's item_count in line with its manifest
+const syncRequestItemCount = async (disposalRequestId) => {
+    await executeQuery(`
+        UPDATE disposal_requests 
+        SET item_count = (SELECT COUNT(*) FROM disposal_request_items WHERE disposal_request_id = ?)
+        WHERE id = ?
+    `, [disposalRequestId, disposalRequestId]);
+};
+
+// Cascade a request status change to every device in its manifest; returns the device count
+const cascadeStatusToDevices = (disposalRequest, status, req, details = {}) =>
+    cascadeDisposalStatusToDevices(executeQuery, {
+        request: disposalRequest,
+        toStatus: status,
+        performedBy: req.user?.id,
+        performedByName: req.user?.name,
+        details,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+// Notify a vendor through the shared notifications table (read by the Center app)
+const notifyVendor = async (vendorId, title, message, type = 'info') => {
+    const result = await executeQuery(
+        'INSERT INTO notifications (user_id, title, message, type) VALUES (?, ?, ?, ?)',
+        [vendorId, title, message, type]
+    );
+
+    if (!result.success) {
+        console.warn('⚠️ Could not notify vendor', vendorId, result.error);
+    }
+};
+
+// Add devices to a disposal request manifest, collecting per-item errors
+const addItemsToRequest = async (disposalRequest, items, req) => {
+    const added = [];
+    const errors = [];
+
+    for (const item of items) {
+        const deviceResult = await executeQuery(
+            'SELECT id, device_id, device_name, condition_status, current_department, disposal_status FROM devices WHERE (id = ? OR device_id = ?) AND is_active = TRUE',
+            [item.device_id, item.device_id]
+        );
+
+        if (!deviceResult.success || deviceResult.data.length === 0) {
+            errors.push({ device_id: item.device_id, message: 'Device not found' });
+            continue;
+        }
+
+        const device = deviceResult.data[0];
+
+        if (req.user.role !== 'admin' && device.current_department !== disposalRequest.department) {
+            errors.push({ device_id: device.device_id, message: 'Device belongs to a different department' });
+            continue;
+        }
+
+        if (device.disposal_status === IN_REPAIR_STATUS) {
+            errors.push({ device_id: device.device_id, message: 'Device is at the repair center' });
+            continue;
+        }
+
+        // A device can only be part of one open disposal request at a time
+        const activeResult = await executeQuery(`
+            SELECT dr.request_id
+            FROM disposal_request_items dri
+            JOIN disposal_requests dr ON dri.disposal_request_id = dr.id
+            WHERE dri.device_id = ? AND dr.status IN (${ACTIVE_REQUEST_STATUSES.map(() => '?').join(', ')})
+        `, [device.id, ...ACTIVE_REQUEST_STATUSES]);
+
+        if (activeResult.success && activeResult.data.length > 0) {
+            errors.push({
+                device_id: device.device_id,
+                message: `Device is already part of disposal request ${activeResult.data[0].request_id}`
+            });
+            continue;
+        }
+
+        const itemWeight = item.weight_kg === '' || item.weight_kg === undefined || item.weight_kg === null
+            ? null
+            : parseFloat(item.weight_kg);
+
+        const insertResult = await executeQuery(`
+            INSERT INTO disposal_request_items (
+                disposal_request_id, device_id, weight_kg, condition_status, notes, added_by
+            ) VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            disposalRequest.id,
+            device.id,
+            itemWeight,
+            item.condition_status || device.condition_status,
+            item.notes || null,
+            req.user.id
+        ]);
+
+        if (!insertResult.success) {
+            errors.push({ device_id: device.device_id, message: 'Failed to add device to request' });
+            continue;
+        }
+
+        const deviceDisposalStatus = DEVICE_DISPOSAL_STATUSES[disposalRequest.status] || 'scheduled';
+
+        await executeQuery(
+            'UPDATE devices SET disposal_status = ? WHERE id = ?',
+            [deviceDisposalStatus, device.id]
+        );
+
+        await DeviceLogService.logActivity({
+            deviceId: device.id,
+            logType: 'disposal_request',
+            actionDescription: `Device added to disposal request ${disposalRequest.request_id}`,
+            performedBy: req.user.id,
+            relatedDisposalId: disposalRequest.id,
+            newStatus: deviceDisposalStatus,
+            metadata: {
+                disposal_request_id: disposalRequest.request_id,
+                pickup_address: disposalRequest.pickup_address,
+                weight_kg: itemWeight,
+                condition_status: item.condition_status || device.condition_status
+            },
+            notes: item.notes || `Added to disposal request by ${req.user.name}`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        added.push(device.device_id);
+    }
+
+    if (added.length > 0) {
+        await syncRequestItemCount(disposalRequest.id);
+    }
+
+    return { added, errors };
+};
+
+// Take a device off a disposal request manifest and release it for other requests
+const releaseRequestItem = async (disposalRequest, item, req, notes) => {
+    const deleteResult = await executeQuery(
+        'DELETE FROM disposal_request_items WHERE id = ?',
+        [item.id]
+    );
+
+    if (!deleteResult.success) {
+        throw new Error('Failed to remove device from disposal request');
+    }
+
+    await executeQuery(
+        'UPDATE devices SET disposal_status = NULL WHERE id = ?',
+        [item.device_db_id]
+    );
+
+    await DeviceLogService.logActivity({
+        deviceId: item.device_db_id,
+        logType: 'status_change',
+        actionDescription: `Device removed from disposal request ${disposalRequest.request_id}`,
+        performedBy: req.user.id,
+        relatedDisposalId: disposalRequest.id,
+        previousStatus: DEVICE_DISPOSAL_STATUSES[disposalRequest.status],
+        metadata: {
+            disposal_request_id: disposalRequest.request_id
+        },
+        notes: notes || `Removed from disposal request by ${req.user.name}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+};
+
+// Vendors with a say in a request: the awarded vendor, or everyone with an open quote
+const getInterestedVendorIds = async (disposalRequest) => {
+    if (disposalRequest.vendor_id) return [disposalRequest.vendor_id];
+
+    const bidsResult = await executeQuery(
+        "SELECT DISTINCT vendor_id FROM disposal_bids WHERE disposal_request_id = ? AND status = 'submitted'",
+        [disposalRequest.id]
+    );
+
+    return bidsResult.success ? bidsResult.data.map(row => row.vendor_id) : [];
+};
+
+// One-line summary of a category breakdown for the change history, e.g. "ITEW2 x4 (12 kg)"
+const describeLineItems = (lineItems) => lineItems
+    .map(item => `${item.category_code} x${item.quantity}${item.weight_kg !== null ? ` (${parseFloat(item.weight_kg)} kg)` : ''}`)
+    .join(', ') || null;
+
+/**
+ * Validate the edits a department submitted for a request and work out what changes.
+ * Returns { error } or { fields, changes, lineItems, deviceIds } where `fields` are the
+ * disposal_requests columns to update and `lineItems`/`deviceIds` are null when not submitted.
+ */
+const prepareRequestEdits = async (disposalRequest, body) => {
+    const updates = Object.fromEntries(
+        Object.keys(DISPOSAL_EDITABLE_FIELDS)
+            .filter(field => body[field] !== undefined)
+            .map(field => [field, body[field] === '' ? null : body[field]])
+    );
+
+    let lineItems = null;
+    if (body.line_items !== undefined) {
+        const lineItemErrors = validateLineItems(body.line_items);
+        if (lineItemErrors.length > 0) {
+            return { error: { httpStatus: 400, message: 'Validation failed', errors: lineItemErrors } };
+        }
+        lineItems = body.line_items.map(normalizeLineItem);
+
+        // Weighed category line items take precedence over the overall estimate, as on creation
+        const lineItemsWeight = getLineItemsWeight(lineItems);
+        if (lineItemsWeight !== null) updates.weight_kg = lineItemsWeight;
+    }
+
+    const changes = diffDisposalFields(disposalRequest, updates);
+    const fields = Object.fromEntries(changes.map(change => [change.field, updates[change.field]]));
+
+    // A moved pickup must land on a slot that still has a vendor with capacity for it
+    const preferredDate = 'preferred_date' in fields ? fields.preferred_date : disposalRequest.preferred_date;
+    const timeSlot = 'preferred_time_slot' in fields ? fields.preferred_time_slot : disposalRequest.preferred_time_slot;
+    if (('preferred_date' in fields || 'preferred_time_slot' in fields) && preferredDate && timeSlot) {
+        const day = preferredDate instanceof Date ? preferredDate.toLocaleDateString('en-CA') : String(preferredDate).slice(0, 10);
+        const [openDay] = await getOpenSlots(executeQuery, { from: day, to: day });
+        const slot = openDay?.slots.find(s => s.slot === timeSlot);
+        if (slot && !slot.open) {
+            return {
+                error: {
+                    httpStatus: 409,
+                    message: `No vendor has capacity for ${timeSlot} on ${day}, please choose another slot`
+                }
+            };
+        }
+    }
+
+    if (lineItems !== null) {
+        const { [disposalRequest.id]: currentLineItems } = await getRequestLineItems(executeQuery, [disposalRequest.id]);
+        const from = describeLineItems(currentLineItems);
+        const to = describeLineItems(lineItems);
+        if (from !== to) {
+            changes.push({ field: 'line_items', label: 'Categories', from, to });
+        } else {
+            lineItems = null;
+        }
+    }
+
+    const deviceIds = Array.isArray(body.device_ids) ? body.device_ids.map(String) : null;
+
+    return { fields, changes, lineItems, deviceIds };
+};
+
+/**
+ * Replace the category breakdown and device manifest of a request with the edited ones.
+ * Appends a 'devices' entry to `changes` when the manifest changed; returns per-device errors.
+ */
+const saveManifestEdits = async (disposalRequest, { lineItems, deviceIds, changes }, req) => {
+    if (lineItems !== null) {
+        await executeQuery('DELETE FROM disposal_request_line_items WHERE disposal_request_id = ?', [disposalRequest.id]);
+        for (const item of lineItems) {
+            await executeQuery(`
+                INSERT INTO disposal_request_line_items
+                    (disposal_request_id, category_code, description, quantity, weight_kg, hazardous, hazard_types)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                disposalRequest.id,
+                item.category_code,
+                item.description,
+                item.quantity,
+                item.weight_kg,
+                item.hazardous,
+                JSON.stringify(item.hazard_types)
+            ]);
+        }
+    }
+
+    if (deviceIds === null) return [];
+
+    const itemsResult = await getRequestItems(disposalRequest.id);
+    const currentItems = itemsResult.success ? itemsResult.data : [];
+    const isListed = (item) => deviceIds.includes(String(item.device_db_id)) || deviceIds.includes(item.device_id);
+
+    const removed = currentItems.filter(item => !isListed(item));
+    for (const item of removed) {
+        await releaseRequestItem(disposalRequest, item, req, `Removed while editing the request by ${req.user.name}`);
+    }
+
+    const newIds = deviceIds.filter(id => !currentItems.some(item => String(item.device_db_id) === id || item.device_id === id));
+    const { added, errors } = newIds.length > 0
+        ? await addItemsToRequest(disposalRequest, newIds.map(id => ({ device_id: id })), req)
+        : { added: [], errors: [] };
+
+    if (removed.length > 0) {
+        await syncRequestItemCount(disposalRequest.id);
+    }
+
+    if (added.length > 0 || removed.length > 0) {
+        const kept = currentItems.filter(isListed).map(item => item.device_id);
+        changes.push({
+            field: 'devices',
+            label: 'Devices',
+            from: currentItems.map(item => item.device_id).join(', ') || null,
+            to: [...kept, ...added].join(', ') || null
+        });
+    }
+
+    return errors;
+};
 
 // Create a new e-waste disposal request
 const createDisposalRequest = async (req, res) => {
@@ -38,9 +432,21 @@ const createDisposalRequest = async (req, res) => {
             preferred_time_slot,
             additional_notes,
             estimated_value,
-            device_ids // Array of device IDs included in disposal request
+            device_ids, // Array of device IDs included in disposal request
+            items, // Optional per-device manifest entries with weight/condition
+            line_items // Optional e-waste category breakdown with hazard flags
         } = req.body;
 
+        const lineItemErrors = validateLineItems(line_items);
+        if (lineItemErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: lineItemErrors
+            });
+        }
+        const lineItems = (line_items || []).map(normalizeLineItem);
+
         // Generate a unique request ID if not provided
         const requestId = request_id || 'EWASTE-' + nanoid(10).toUpperCase();
 
@@ -50,12 +456,28 @@ const createDisposalRequest = async (req, res) => {
         const userName = req.user?.name || contact_name;
         const userEmail = req.user?.email || contact_email;
 
-        // Convert empty strings to null for optional fields
-        const processedWeight = weight_kg === '' || weight_kg === undefined ? null : parseFloat(weight_kg);
-        const processedItemCount = item_count === '' || item_count === undefined ? null : parseInt(item_count);
+        // Convert empty strings to null for optional fields; weighed category line items
+        // take precedence over the overall estimate
+        const processedWeight = getLineItemsWeight(lineItems)
+            ?? (weight_kg === '' || weight_kg === undefined ? null : parseFloat(weight_kg));
+        const processedItemCount = item_count === '' || item_count === undefined
+            ? (lineItems.length > 0 ? lineItems.reduce((total, item) => total + item.quantity, 0) : null)
+            : parseInt(item_count);
         const processedPreferredDate = preferred_date === '' || preferred_date === undefined ? null : preferred_date;
         const processedEstimatedValue = estimated_value === '' || estimated_value === undefined ? null : parseFloat(estimated_value);
 
+        // The chosen slot must still have a vendor with capacity for it
+        if (processedPreferredDate && preferred_time_slot) {
+            const [day] = await getOpenSlots(executeQuery, { from: processedPreferredDate, to: processedPreferredDate });
+            const slot = day?.slots.find(s => s.slot === preferred_time_slot);
+            if (slot && !slot.open) {
+                return res.status(409).json({
+                    success: false,
+                    message: `No vendor has capacity for ${preferred_time_slot} on ${processedPreferredDate}, please choose another slot`
+                });
+            }
+        }
+
         // Validate required coordinates
         const lat = parseFloat(latitude);
         const lng = parseFloat(longitude);
@@ -114,50 +536,41 @@ const createDisposalRequest = async (req, res) => {
 
         const disposalRequestDbId = result.data.insertId;
 
-        // Log device activities for all devices included in the disposal request
-        if (device_ids && Array.isArray(device_ids)) {
-            for (const deviceId of device_ids) {
-                await DeviceLogService.logDisposalRequest({
-                    deviceId: deviceId,
-                    disposalRequestId: disposalRequestDbId,
-                    requestType: 'disposal_request',
-                    disposalDetails: {
-                        request_id: requestId,
-                        pickup_address,
-                        preferred_date: processedPreferredDate,
-                        e_waste_description,
-                        weight_kg: processedWeight,
-                        item_count: processedItemCount,
-                        estimated_value: processedEstimatedValue
-                    },
-                    requestedBy: userId,
-                    status: 'pending'
-                });
+        await executeQuery(`
+            INSERT INTO disposal_status_history (disposal_request_id, old_status, new_status, changed_by, source, notes)
+            VALUES (?, NULL, 'pending', ?, 'wms4', 'Request created')
+        `, [disposalRequestDbId, userId]);
 
-                // Update device status to indicate it's scheduled for disposal
-                await executeQuery(
-                    'UPDATE devices SET condition_status = ?, disposal_status = ? WHERE id = ?',
-                    ['disposal_pending', 'scheduled', deviceId]
-                );
+        for (const item of lineItems) {
+            await executeQuery(`
+                INSERT INTO disposal_request_line_items
+                    (disposal_request_id, category_code, description, quantity, weight_kg, hazardous, hazard_types)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                disposalRequestDbId,
+                item.category_code,
+                item.description,
+                item.quantity,
+                item.weight_kg,
+                item.hazardous,
+                JSON.stringify(item.hazard_types)
+            ]);
+        }
 
-                // Log the status change
-                await DeviceLogService.logActivity({
-                    deviceId: deviceId,
-                    logType: 'disposal_scheduled',
-                    actionDescription: `Device scheduled for disposal - Request ${requestId}`,
-                    performedBy: userId,
-                    newCondition: 'disposal_pending',
-                    relatedDisposalId: disposalRequestDbId,
-                    metadata: {
-                        disposal_request_id: requestId,
-                        pickup_address,
-                        disposal_type: 'e_waste'
-                    },
-                    notes: `Disposal request created by ${userName}`,
-                    ipAddress: req.ip,
-                    userAgent: req.get('User-Agent')
-                });
-            }
+        // Record the devices included in the disposal request as its manifest
+        const manifestItems = Array.isArray(items)
+            ? items
+            : Array.isArray(device_ids) ? device_ids.map(deviceId => ({ device_id: deviceId })) : [];
+
+        let manifest = { added: [], errors: [] };
+        if (manifestItems.length > 0) {
+            manifest = await addItemsToRequest({
+                id: disposalRequestDbId,
+                request_id: requestId,
+                department: userDepartment,
+                pickup_address,
+                status: 'pending'
+            }, manifestItems, req);
         }
 
         console.log('✅ Disposal request created successfully:', requestId);
@@ -168,7 +581,10 @@ const createDisposalRequest = async (req, res) => {
             data: {
                 requestId,
                 department: userDepartment,
-                status: 'pending'
+                status: 'pending',
+                devices_added: manifest.added,
+                device_errors: manifest.errors,
+                handling_warnings: getHandlingWarnings(lineItems)
             }
         });
 
@@ -221,30 +637,37 @@ const getDisposalRequests = async (req, res) => {
 // Get a single disposal request by ID
 const getDisposalRequestById = async (req, res) => {
     try {
-        const { id } = req.params;
+        const { requestId } = req.params;
 
         // Validate that id is provided and not null/undefined
-        if (!id || id === 'null' || id === 'undefined') {
+        if (!requestId || requestId === 'null' || requestId === 'undefined') {
             return res.status(400).json({
                 success: false,
                 message: 'Valid request ID is required'
             });
         }
 
-        const result = await executeQuery(`
-            SELECT * FROM disposal_requests WHERE request_id = ? OR id = ?
-        `, [id, id]);
+        const disposalRequest = await findDisposalRequest(requestId);
 
-        if (!result.success || result.data.length === 0) {
+        if (!disposalRequest) {
             return res.status(404).json({
                 success: false,
                 message: 'Disposal request not found'
             });
         }
 
+        const itemsResult = await getRequestItems(disposalRequest.id);
+        const { [disposalRequest.id]: lineItems } = await getRequestLineItems(executeQuery, [disposalRequest.id]);
+
         res.json({
             success: true,
-            data: result.data[0]
+            data: {
+                ...disposalRequest,
+                items: itemsResult.success ? itemsResult.data : [],
+                line_items: lineItems,
+                category_breakdown: summariseByCategory(lineItems),
+                handling_warnings: getHandlingWarnings(lineItems)
+            }
         });
 
     } catch (error) {
@@ -259,132 +682,125 @@ const getDisposalRequestById = async (req, res) => {
 // Update disposal request status
 const updateDisposalRequestStatus = async (req, res) => {
     try {
-        const { id } = req.params;
+        const { requestId } = req.params;
         const { status, vendor_notes, completion_details } = req.body;
 
-        // Validate status value
-        const validStatuses = ['pending', 'approved', 'rejected', 'completed', 'in_progress', 'cancelled'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({
+        // Get disposal request details first
+        const disposalRequest = await findDisposalRequest(requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid status value'
+                message: 'Disposal request not found'
             });
         }
 
-        // Get disposal request details first
-        const disposalResult = await executeQuery(
-            'SELECT * FROM disposal_requests WHERE request_id = ? OR id = ?',
-            [id, id]
-        );
+        const transition = checkDisposalTransition(disposalRequest.status, status, req.user.role);
+        if (!transition.allowed) {
+            return res.status(transition.httpStatus).json({
+                success: false,
+                message: transition.message,
+                data: {
+                    current_status: disposalRequest.status,
+                    allowed_transitions: getAllowedTransitions(disposalRequest.status, req.user.role)
+                }
+            });
+        }
 
-        if (!disposalResult.success || disposalResult.data.length === 0) {
-            return res.status(404).json({
+        // Vendors process requests from any department; everyone else acts within their own
+        if (!hasPermission(req.user, 'disposal:process') && !canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
                 success: false,
-                message: 'Disposal request not found'
+                message: 'Access denied: Different department'
             });
         }
 
-        const disposalRequest = disposalResult.data[0];
+        // Re-submission may carry edits and cancellation needs a reason, so both have their own endpoints
+        if (status === 'pending' || status === 'cancelled') {
+            return res.status(409).json({
+                success: false,
+                message: status === 'pending'
+                    ? 'Use the re-submit action to send a rejected request back for approval'
+                    : 'Use the cancel action, which records the reason for cancelling'
+            });
+        }
 
-        // Update the request status
-        const updateResult = await executeQuery(`
-            UPDATE disposal_requests 
-            SET status = ?, vendor_notes = ?, updated_at = NOW()
-            WHERE request_id = ? OR id = ?
-        `, [status, vendor_notes || null, id, id]);
+        // Pickups are completed from Center, where the proof of pickup is captured
+        if (status === PICKUP_PROOF_STATUS) {
+            return res.status(409).json({
+                success: false,
+                message: PICKUP_PROOF_REQUIRED_MESSAGE
+            });
+        }
 
-        if (!updateResult.success) {
-            throw new Error('Failed to update disposal request status');
+        // Once a bid is awarded, only the winning vendor processes the request
+        if (req.user.role === 'vendor' && disposalRequest.vendor_id && disposalRequest.vendor_id !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'This request was awarded to another vendor'
+            });
         }
 
-        // Get all devices associated with this disposal request and log the status change
-        const deviceResults = await executeQuery(`
-            SELECT device_id FROM device_activity_logs 
-            WHERE related_disposal_id = ? AND log_type = 'disposal_scheduled'
-        `, [disposalRequest.id]);
+        // Storage devices leave only once sanitised or handed over for the vendor to destroy
+        const sanitisation = await checkSanitisationForPickup(executeQuery, disposalRequest, status);
+        if (!sanitisation.allowed) {
+            return res.status(sanitisation.httpStatus).json({
+                success: false,
+                message: sanitisation.message,
+                data: { pending_devices: sanitisation.pending_devices }
+            });
+        }
 
-        if (deviceResults.success && deviceResults.data.length > 0) {
-            for (const deviceRecord of deviceResults.data) {
-                await DeviceLogService.logDisposalRequest({
-                    deviceId: deviceRecord.device_id,
-                    disposalRequestId: disposalRequest.id,
-                    requestType: 'status_update',
-                    disposalDetails: {
-                        previous_status: disposalRequest.status,
-                        new_status: status,
-                        vendor_notes,
-                        completion_details
-                    },
-                    requestedBy: req.user?.id,
-                    status: status
+        // The data destruction method is printed on the Certificate of Recycling
+        const fields = { vendor_notes: vendor_notes || null };
+        if (status === 'completed') {
+            const method = completion_details?.data_destruction_method;
+            if (!DATA_DESTRUCTION_METHODS.includes(method)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Data destruction method must be one of: ${DATA_DESTRUCTION_METHODS.join(', ')}`
                 });
+            }
+            fields.data_destruction_method = method;
+        }
 
-                // Update device status based on disposal status
-                let newDeviceStatus = null;
-                let newDisposalStatus = null;
-
-                switch (status) {
-                    case 'approved':
-                        newDeviceStatus = 'disposal_approved';
-                        newDisposalStatus = 'approved';
-                        break;
-                    case 'in_progress':
-                        newDeviceStatus = 'disposal_in_progress';
-                        newDisposalStatus = 'in_progress';
-                        break;
-                    case 'completed':
-                        newDeviceStatus = 'disposed';
-                        newDisposalStatus = 'completed';
-                        // Mark device as inactive when disposal is completed
-                        await executeQuery(
-                            'UPDATE devices SET is_active = FALSE WHERE id = ?',
-                            [deviceRecord.device_id]
-                        );
-                        break;
-                    case 'rejected':
-                        newDeviceStatus = 'disposal_rejected';
-                        newDisposalStatus = 'rejected';
-                        break;
-                    case 'cancelled':
-                        newDeviceStatus = 'active'; // Return to active status
-                        newDisposalStatus = 'cancelled';
-                        break;
-                }
+        const applied = await applyDisposalTransition(executeQuery, {
+            request: disposalRequest,
+            toStatus: status,
+            changedBy: req.user.id,
+            source: 'wms4',
+            notes: vendor_notes || null,
+            fields
+        });
 
-                if (newDeviceStatus && newDisposalStatus) {
-                    await executeQuery(
-                        'UPDATE devices SET condition_status = ?, disposal_status = ? WHERE id = ?',
-                        [newDeviceStatus, newDisposalStatus, deviceRecord.device_id]
-                    );
-
-                    await DeviceLogService.logActivity({
-                        deviceId: deviceRecord.device_id,
-                        logType: 'disposal_status_update',
-                        actionDescription: `Disposal status updated to ${status} for request ${disposalRequest.request_id}`,
-                        performedBy: req.user?.id,
-                        previousCondition: disposalRequest.status,
-                        newCondition: newDeviceStatus,
-                        relatedDisposalId: disposalRequest.id,
-                        metadata: {
-                            disposal_request_id: disposalRequest.request_id,
-                            status_change: `${disposalRequest.status} → ${status}`,
-                            vendor_notes,
-                            completion_details
-                        },
-                        notes: vendor_notes || `Status updated by ${req.user?.name || 'system'}`,
-                        ipAddress: req.ip,
-                        userAgent: req.get('User-Agent')
-                    });
-                }
-            }
+        if (!applied.success) {
+            return res.status(applied.httpStatus).json({
+                success: false,
+                message: applied.message
+            });
+        }
+
+        const devicesUpdated = await cascadeStatusToDevices(disposalRequest, status, req, {
+            vendor_notes,
+            completion_details
+        });
+
+        // Issue the certificate in the background; the IPFS upload can take a while
+        if (status === 'completed') {
+            issueRecyclingCertificate(disposalRequest.id, { issuedBy: req.user.id })
+                .then(result => {
+                    if (!result.success) console.warn(`⚠️ Certificate for ${disposalRequest.request_id} not issued yet:`, result.message);
+                })
+                .catch(error => console.error('Certificate issuing error:', error));
         }
 
         res.json({
             success: true,
             message: `Disposal request status updated to ${status}`,
             data: {
-                id,
-                status
+                id: disposalRequest.request_id,
+                status,
+                devices_updated: devicesUpdated
             }
         });
 
@@ -400,58 +816,48 @@ const updateDisposalRequestStatus = async (req, res) => {
 // Delete disposal request
 const deleteDisposalRequest = async (req, res) => {
     try {
-        const { id } = req.params;
+        const { requestId } = req.params;
 
         // Get disposal request details first
-        const disposalResult = await executeQuery(
-            'SELECT * FROM disposal_requests WHERE request_id = ? OR id = ?',
-            [id, id]
-        );
+        const disposalRequest = await findDisposalRequest(requestId);
 
-        if (!disposalResult.success || disposalResult.data.length === 0) {
+        if (!disposalRequest) {
             return res.status(404).json({
                 success: false,
                 message: 'Disposal request not found'
             });
         }
 
-        const disposalRequest = disposalResult.data[0];
+        // Anything a vendor has been awarded stays on record; departments cancel instead
+        if (!['pending', 'rejected', 'cancelled'].includes(disposalRequest.status) || disposalRequest.vendor_id) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only pending, rejected or cancelled requests without an awarded vendor can be deleted'
+            });
+        }
 
         // Get all devices associated with this disposal request
-        const deviceResults = await executeQuery(`
-            SELECT device_id FROM device_activity_logs 
-            WHERE related_disposal_id = ? AND log_type = 'disposal_scheduled'
-        `, [disposalRequest.id]);
-
-        // Log cancellation for all associated devices
-        if (deviceResults.success && deviceResults.data.length > 0) {
-            for (const deviceRecord of deviceResults.data) {
-                await DeviceLogService.logDisposalRequest({
-                    deviceId: deviceRecord.device_id,
-                    disposalRequestId: disposalRequest.id,
-                    requestType: 'cancellation',
-                    disposalDetails: {
-                        cancellation_reason: 'Disposal request deleted',
-                        original_request_id: disposalRequest.request_id
-                    },
-                    requestedBy: req.user?.id,
-                    status: 'cancelled'
-                });
+        const itemsResult = await executeQuery(
+            'SELECT device_id FROM disposal_request_items WHERE disposal_request_id = ?',
+            [disposalRequest.id]
+        );
 
-                // Reset device status to active
+        // Release all associated devices
+        if (itemsResult.success && itemsResult.data.length > 0) {
+            for (const item of itemsResult.data) {
                 await executeQuery(
-                    'UPDATE devices SET condition_status = ?, disposal_status = ? WHERE id = ?',
-                    ['active', null, deviceRecord.device_id]
+                    'UPDATE devices SET disposal_status = NULL WHERE id = ?',
+                    [item.device_id]
                 );
 
                 await DeviceLogService.logActivity({
-                    deviceId: deviceRecord.device_id,
-                    logType: 'disposal_cancelled',
+                    deviceId: item.device_id,
+                    logType: 'status_change',
                     actionDescription: `Disposal request ${disposalRequest.request_id} was deleted/cancelled`,
                     performedBy: req.user?.id,
-                    previousCondition: 'disposal_pending',
-                    newCondition: 'active',
                     relatedDisposalId: disposalRequest.id,
+                    previousStatus: disposalRequest.status,
+                    newStatus: 'cancelled',
                     metadata: {
                         disposal_request_id: disposalRequest.request_id,
                         cancellation_reason: 'Request deleted'
@@ -463,12 +869,13 @@ const deleteDisposalRequest = async (req, res) => {
             }
         }
 
+        // Manifest rows are removed with the request (ON DELETE CASCADE)
         const result = await executeQuery(
-            'DELETE FROM disposal_requests WHERE request_id = ? OR id = ?',
-            [id, id]
+            'DELETE FROM disposal_requests WHERE id = ?',
+            [disposalRequest.id]
         );
 
-        if (!result.success || result.affectedRows === 0) {
+        if (!result.success || result.data.affectedRows === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Disposal request not found'
@@ -489,37 +896,1237 @@ const deleteDisposalRequest = async (req, res) => {
     }
 };
 
-// Validation rules for creating a disposal request
-const disposalRequestValidation = [
-    body('contact_phone')
-        .trim()
-        .notEmpty().withMessage('Contact phone number is required')
-        .isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10-15 digits'),
-    body('pickup_address')
-        .trim()
-        .notEmpty().withMessage('Pickup address is required')
-        .isLength({ min: 10 }).withMessage('Please provide a complete pickup address'),
-    body('latitude')
-        .notEmpty().withMessage('Location coordinates are required')
-        .isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required (-90 to 90)'),
-    body('longitude')
-        .notEmpty().withMessage('Location coordinates are required') 
-        .isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required (-180 to 180)'),
-    body('e_waste_description')
-        .trim()
-        .notEmpty().withMessage('Device description is required')
-        .isLength({ min: 5 }).withMessage('Please provide a detailed description of the e-waste'),
-    // Optional fields - these can be null/undefined/empty and won't be validated
-    body('department').optional().trim(),
-    body('contact_name').optional().trim(),
-    body('contact_email').optional().isEmail().withMessage('Valid email address is required if provided'),
-    body('preferred_time_slot').optional().trim(),
-    body('additional_notes').optional().trim(),
-    // These fields are completely optional and don't need validation
-    body('weight_kg').optional({ checkFalsy: false }),
-    body('item_count').optional({ checkFalsy: false }),
-    body('preferred_date').optional({ checkFalsy: false }),
-    body('estimated_value').optional({ checkFalsy: false })
+// Edit a pending disposal request (address, slot, contact, categories and devices)
+const updateDisposalRequest = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        if (disposalRequest.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: disposalRequest.status === 'rejected'
+                    ? 'Rejected requests are changed by re-submitting them'
+                    : 'Requests can only be edited while they are pending'
+            });
+        }
+
+        const edits = await prepareRequestEdits(disposalRequest, req.body);
+        if (edits.error) {
+            return res.status(edits.error.httpStatus).json({
+                success: false,
+                message: edits.error.message,
+                errors: edits.error.errors
+            });
+        }
+
+        // Guard on the status so an approval landing in the meantime is not silently edited
+        const columns = Object.keys(edits.fields);
+        const updateResult = await executeQuery(`
+            UPDATE disposal_requests
+            SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `, [...columns.map(column => edits.fields[column]), disposalRequest.id]);
+
+        if (!updateResult.success) {
+            throw new Error('Failed to update disposal request');
+        }
+
+        if (updateResult.data.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'The request changed status in the meantime, please reload it'
+            });
+        }
+
+        const deviceErrors = await saveManifestEdits(disposalRequest, edits, req);
+
+        if (edits.changes.length > 0) {
+            await recordDisposalEdit(executeQuery, {
+                request: disposalRequest,
+                changedBy: req.user.id,
+                source: 'wms4',
+                changes: edits.changes,
+                notes: req.body.notes || 'Request edited'
+            });
+
+            // Vendors who quoted need to know the pickup they priced has moved
+            const summary = edits.changes.map(change => change.label).join(', ');
+            for (const vendorId of await getInterestedVendorIds(disposalRequest)) {
+                await notifyVendor(
+                    vendorId,
+                    `Request updated: ${disposalRequest.request_id}`,
+                    `${disposalRequest.department} changed ${summary} on disposal request ${disposalRequest.request_id}. Please review your quote.`,
+                    'warning'
+                );
+            }
+        }
+
+        res.json({
+            success: true,
+            message: edits.changes.length > 0 ? 'Disposal request updated successfully' : 'No changes to save',
+            data: {
+                id: disposalRequest.request_id,
+                changes: edits.changes,
+                device_errors: deviceErrors
+            }
+        });
+
+    } catch (error) {
+        console.error('Update disposal request error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Cancel a disposal request with a reason; its devices are released for other requests
+const cancelDisposalRequest = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        const transition = checkDisposalTransition(disposalRequest.status, 'cancelled', req.user.role);
+        if (!transition.allowed) {
+            return res.status(transition.httpStatus).json({
+                success: false,
+                message: transition.message
+            });
+        }
+
+        if (!canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const { reason } = req.body;
+
+        const applied = await applyDisposalTransition(executeQuery, {
+            request: disposalRequest,
+            toStatus: 'cancelled',
+            changedBy: req.user.id,
+            source: 'wms4',
+            notes: reason
+        });
+
+        if (!applied.success) {
+            return res.status(applied.httpStatus).json({
+                success: false,
+                message: applied.message
+            });
+        }
+
+        const devicesUpdated = await cascadeStatusToDevices(disposalRequest, 'cancelled', req, {
+            cancellation_reason: reason
+        });
+
+        for (const vendorId of await getInterestedVendorIds(disposalRequest)) {
+            await notifyVendor(
+                vendorId,
+                `Request cancelled: ${disposalRequest.request_id}`,
+                `${disposalRequest.department} cancelled disposal request ${disposalRequest.request_id}: ${reason}`,
+                'warning'
+            );
+        }
+
+        res.json({
+            success: true,
+            message: 'Disposal request cancelled',
+            data: {
+                id: disposalRequest.request_id,
+                status: 'cancelled',
+                devices_updated: devicesUpdated
+            }
+        });
+
+    } catch (error) {
+        console.error('Cancel disposal request error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Re-submit a rejected disposal request, optionally with edits, for approval again
+const resubmitDisposalRequest = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        const transition = checkDisposalTransition(disposalRequest.status, 'pending', req.user.role);
+        if (!transition.allowed) {
+            return res.status(transition.httpStatus).json({
+                success: false,
+                message: transition.message
+            });
+        }
+
+        if (!canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const edits = await prepareRequestEdits(disposalRequest, req.body);
+        if (edits.error) {
+            return res.status(edits.error.httpStatus).json({
+                success: false,
+                message: edits.error.message,
+                errors: edits.error.errors
+            });
+        }
+
+        // Devices may have joined another request since the rejection; those have to come off first
+        const conflictsResult = await executeQuery(`
+            SELECT d.id as device_db_id, d.device_id, dr.request_id
+            FROM disposal_request_items mine
+            JOIN devices d ON mine.device_id = d.id
+            JOIN disposal_request_items other ON other.device_id = mine.device_id AND other.disposal_request_id != mine.disposal_request_id
+            JOIN disposal_requests dr ON other.disposal_request_id = dr.id
+            WHERE mine.disposal_request_id = ? AND dr.status IN (${ACTIVE_REQUEST_STATUSES.map(() => '?').join(', ')})
+        `, [disposalRequest.id, ...ACTIVE_REQUEST_STATUSES]);
+
+        const conflicts = (conflictsResult.success ? conflictsResult.data : [])
+            .filter(row => !edits.deviceIds || edits.deviceIds.includes(String(row.device_db_id)) || edits.deviceIds.includes(row.device_id));
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Remove devices that are now on other disposal requests: ${conflicts.map(row => `${row.device_id} (${row.request_id})`).join(', ')}`,
+                data: { conflicts }
+            });
+        }
+
+        const applied = await applyDisposalTransition(executeQuery, {
+            request: disposalRequest,
+            toStatus: 'pending',
+            changedBy: req.user.id,
+            source: 'wms4',
+            notes: req.body.notes || 'Re-submitted after rejection',
+            fields: edits.fields,
+            changes: edits.changes.length > 0 ? edits.changes : null
+        });
+
+        if (!applied.success) {
+            return res.status(applied.httpStatus).json({
+                success: false,
+                message: applied.message
+            });
+        }
+
+        // The manifest only changes once the re-submission has won the status change
+        const deviceErrors = await saveManifestEdits({ ...disposalRequest, status: 'pending' }, edits, req);
+
+        const devicesUpdated = await cascadeStatusToDevices(disposalRequest, 'pending', req, {
+            resubmitted: true
+        });
+
+        res.json({
+            success: true,
+            message: 'Disposal request re-submitted for approval',
+            data: {
+                id: disposalRequest.request_id,
+                status: 'pending',
+                changes: edits.changes,
+                devices_updated: devicesUpdated,
+                device_errors: deviceErrors
+            }
+        });
+
+    } catch (error) {
+        console.error('Resubmit disposal request error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Get the status history of a disposal request and the moves available to the current user
+const getDisposalStatusHistory = async (req, res) => {
+    try {
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!hasPermission(req.user, 'disposal:process') && !canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const historyResult = await executeQuery(`
+            SELECT dsh.id, dsh.old_status, dsh.new_status, dsh.source, dsh.notes, dsh.changes, dsh.changed_at,
+                u.name as changed_by_name, u.role as changed_by_role
+            FROM disposal_status_history dsh
+            LEFT JOIN users u ON dsh.changed_by = u.id
+            WHERE dsh.disposal_request_id = ?
+            ORDER BY dsh.changed_at ASC, dsh.id ASC
+        `, [disposalRequest.id]);
+
+        if (!historyResult.success) {
+            throw new Error('Failed to fetch disposal status history');
+        }
+
+        res.json({
+            success: true,
+            data: {
+                request_id: disposalRequest.request_id,
+                status: disposalRequest.status,
+                allowed_transitions: getAllowedTransitions(disposalRequest.status, req.user.role)
+                    .filter(status => status !== PICKUP_PROOF_STATUS),
+                history: historyResult.data.map(parseHistoryChanges)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get disposal status history error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Get pickup slots that still have vendor capacity, per day
+const getOpenPickupSlots = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { from, to = from } = req.query;
+
+        if (new Date(to) < new Date(from) || (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) > 31) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date range must be between 0 and 31 days'
+            });
+        }
+
+        const days = await getOpenSlots(executeQuery, { from, to });
+
+        res.json({
+            success: true,
+            data: { days }
+        });
+
+    } catch (error) {
+        console.error('Get open pickup slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Get the e-waste categories and hazard types a request can be broken down into
+const getEWasteCategories = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                categories: EWASTE_CATEGORIES,
+                hazard_types: HAZARD_TYPES
+            }
+        });
+
+    } catch (error) {
+        console.error('Get e-waste categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Get the proof of pickup recorded by the vendor, with the weight variance against the declaration
+const getDisposalPickupProof = async (req, res) => {
+    try {
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!hasPermission(req.user, 'disposal:process') && !canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const proof = await getPickupProof(executeQuery, disposalRequest.id);
+
+        res.json({
+            success: true,
+            data: {
+                request_id: disposalRequest.request_id,
+                proof
+            }
+        });
+
+    } catch (error) {
+        console.error('Get disposal pickup proof error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Get the data sanitisation state of every device on a disposal request (same department or vendor)
+const getDisposalSanitisation = async (req, res) => {
+    try {
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!hasPermission(req.user, 'disposal:process') && !canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const sanitisation = await getSanitisationStatus(executeQuery, disposalRequest.id);
+
+        res.json({
+            success: true,
+            data: {
+                request_id: disposalRequest.request_id,
+                can_record: SANITISATION_EDITABLE_STATUSES.includes(disposalRequest.status)
+                    && hasPermission(req.user, 'disposal:request')
+                    && canManageRequest(req.user, disposalRequest),
+                ...sanitisation
+            }
+        });
+
+    } catch (error) {
+        console.error('Get disposal sanitisation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Record how a storage device was sanitised, or that the vendor will destroy it (same department)
+const recordDeviceSanitisation = async (req, res) => {
+    try {
+        const errors = validateSanitisationRecord(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        if (!SANITISATION_EDITABLE_STATUSES.includes(disposalRequest.status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Sanitisation can only be recorded before the devices are picked up'
+            });
+        }
+
+        const deviceResult = await executeQuery(`
+            SELECT d.id, d.device_id, d.device_type
+            FROM disposal_request_items dri
+            JOIN devices d ON dri.device_id = d.id
+            WHERE dri.disposal_request_id = ? AND (d.id = ? OR d.device_id = ?)
+        `, [disposalRequest.id, req.body.device_id, req.body.device_id]);
+
+        if (!deviceResult.success || deviceResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device is not on this disposal request'
+            });
+        }
+
+        const device = deviceResult.data[0];
+        const sanitised = req.body.outcome === 'sanitised';
+        const record = {
+            outcome: req.body.outcome,
+            method: sanitised ? req.body.method : null,
+            operator_name: sanitised ? req.body.operator_name.trim() : null,
+            tool: sanitised ? req.body.tool.trim() : null,
+            verification_result: sanitised ? req.body.verification_result : null,
+            evidence_reference: req.body.evidence_reference?.trim() || null,
+            notes: req.body.notes || null
+        };
+
+        // A new attempt (e.g. a re-wipe after a failed verification) replaces the current record
+        const saveResult = await executeQuery(`
+            INSERT INTO device_sanitisation_records
+            (disposal_request_id, device_id, outcome, method, operator_name, tool, verification_result,
+                evidence_reference, notes, recorded_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                outcome = VALUES(outcome), method = VALUES(method), operator_name = VALUES(operator_name),
+                tool = VALUES(tool), verification_result = VALUES(verification_result),
+                evidence_reference = VALUES(evidence_reference), notes = VALUES(notes),
+                recorded_by = VALUES(recorded_by), recorded_at = CURRENT_TIMESTAMP
+        `, [
+            disposalRequest.id, device.id, record.outcome, record.method, record.operator_name, record.tool,
+            record.verification_result, record.evidence_reference, record.notes, req.user.id
+        ]);
+
+        if (!saveResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save sanitisation record'
+            });
+        }
+
+        // Every attempt stays in the device's audit trail, with its evidence
+        const summary = describeSanitisation(record);
+        const stageStatus = !sanitised ? 'pending' : record.verification_result === 'passed' ? 'completed' : 'failed';
+        await executeQuery(`
+            INSERT INTO device_lifecycle_events (
+                device_id, lifecycle_stage, stage_description, stage_status, started_at, completed_at, managed_by
+            ) VALUES (?, 'data_wiping', ?, ?, NOW(), ?, ?)
+        `, [
+            device.id,
+            `${disposalRequest.request_id}: ${summary}`
+                + (record.operator_name ? `, operator ${record.operator_name}` : '')
+                + (record.evidence_reference ? `, evidence ${record.evidence_reference}` : ''),
+            stageStatus,
+            stageStatus === 'pending' ? null : new Date(),
+            req.user.id
+        ]);
+
+        await DeviceLogService.logActivity({
+            deviceId: device.id,
+            logType: 'manual_log',
+            actionDescription: `Data sanitisation recorded: ${summary}`,
+            performedBy: req.user.id,
+            relatedDisposalId: disposalRequest.id,
+            metadata: { sanitisation: record },
+            notes: `Disposal ID: ${disposalRequest.request_id}`
+        });
+
+        const sanitisation = await getSanitisationStatus(executeQuery, disposalRequest.id);
+
+        res.status(201).json({
+            success: true,
+            message: `Sanitisation recorded for ${device.device_id}`,
+            data: {
+                request_id: disposalRequest.request_id,
+                device_id: device.device_id,
+                cleared: isDeviceCleared(record),
+                pending_count: sanitisation.pending_count,
+                ready: sanitisation.ready
+            }
+        });
+
+    } catch (error) {
+        console.error('Record device sanitisation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Get vendor bids on a disposal request for comparison (same department)
+const getDisposalBids = async (req, res) => {
+    try {
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const bidsResult = await executeQuery(`
+            SELECT db.*, u.name as vendor_name, u.email as vendor_email, u.phone as vendor_phone
+            FROM disposal_bids db
+            JOIN users u ON db.vendor_id = u.id
+            WHERE db.disposal_request_id = ? AND db.status != 'withdrawn'
+            ORDER BY db.created_at ASC
+        `, [disposalRequest.id]);
+
+        if (!bidsResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch bids'
+            });
+        }
+
+        // Cheapest estimated total first; per-kg bids without a request weight go last
+        const bids = bidsResult.data
+            .map(bid => ({
+                ...bid,
+                certifications: typeof bid.certifications === 'string' ? JSON.parse(bid.certifications) : (bid.certifications || []),
+                estimated_total: getBidTotal(bid, disposalRequest.weight_kg)
+            }))
+            .sort((a, b) => (a.estimated_total ?? Infinity) - (b.estimated_total ?? Infinity));
+
+        res.json({
+            success: true,
+            data: {
+                request_id: disposalRequest.request_id,
+                status: disposalRequest.status,
+                vendor_id: disposalRequest.vendor_id,
+                weight_kg: disposalRequest.weight_kg,
+                can_award: disposalRequest.status === 'pending' && hasPermission(req.user, 'disposal:approve'),
+                bids
+            }
+        });
+
+    } catch (error) {
+        console.error('Get disposal bids error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Award a vendor bid: approves the request for that vendor and notifies every bidder
+const awardDisposalBid = async (req, res) => {
+    try {
+        const { requestId, bidId } = req.params;
+
+        const disposalRequest = await findDisposalRequest(requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        if (disposalRequest.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: `Bids can only be awarded while the request is pending (currently ${disposalRequest.status})`
+            });
+        }
+
+        const bidResult = await executeQuery(
+            'SELECT * FROM disposal_bids WHERE id = ? AND disposal_request_id = ?',
+            [bidId, disposalRequest.id]
+        );
+
+        if (!bidResult.success || bidResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bid not found for this request'
+            });
+        }
+
+        const bid = bidResult.data[0];
+
+        if (bid.status !== 'submitted') {
+            return res.status(409).json({
+                success: false,
+                message: `Bid is ${bid.status} and cannot be awarded`
+            });
+        }
+
+        // Awarding is the department's approval, so it moves pending -> approved itself
+        const applied = await applyDisposalTransition(executeQuery, {
+            request: disposalRequest,
+            toStatus: 'approved',
+            changedBy: req.user.id,
+            source: 'wms4',
+            notes: `Awarded bid #${bid.id} to vendor #${bid.vendor_id}`,
+            fields: { vendor_id: bid.vendor_id }
+        });
+
+        if (!applied.success) {
+            return res.status(applied.httpStatus).json({
+                success: false,
+                message: applied.message
+            });
+        }
+
+        const losersResult = await executeQuery(
+            "SELECT vendor_id FROM disposal_bids WHERE disposal_request_id = ? AND id != ? AND status = 'submitted'",
+            [disposalRequest.id, bid.id]
+        );
+
+        await executeQuery(`
+            UPDATE disposal_bids
+            SET status = CASE WHEN id = ? THEN 'awarded' ELSE 'lost' END
+            WHERE disposal_request_id = ? AND status = 'submitted'
+        `, [bid.id, disposalRequest.id]);
+
+        await notifyVendor(
+            bid.vendor_id,
+            `Bid awarded: ${disposalRequest.request_id}`,
+            `Your quote for disposal request ${disposalRequest.request_id} (${disposalRequest.department}) was accepted. Please schedule the pickup.`,
+            'success'
+        );
+
+        const losingVendors = losersResult.success ? losersResult.data.map(row => row.vendor_id) : [];
+        for (const vendorId of losingVendors) {
+            await notifyVendor(
+                vendorId,
+                `Bid not selected: ${disposalRequest.request_id}`,
+                `Disposal request ${disposalRequest.request_id} (${disposalRequest.department}) was awarded to another vendor.`
+            );
+        }
+
+        const devicesUpdated = await cascadeStatusToDevices(disposalRequest, 'approved', req, {
+            awarded_bid_id: bid.id,
+            vendor_id: bid.vendor_id
+        });
+
+        res.json({
+            success: true,
+            message: 'Bid awarded successfully',
+            data: {
+                id: disposalRequest.request_id,
+                status: 'approved',
+                vendor_id: bid.vendor_id,
+                bid_id: bid.id,
+                vendors_notified: losingVendors.length + 1,
+                devices_updated: devicesUpdated
+            }
+        });
+
+    } catch (error) {
+        console.error('Award disposal bid error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Get the device manifest of a disposal request
+const getDisposalRequestItems = async (req, res) => {
+    try {
+        const { requestId } = req.params;
+
+        const disposalRequest = await findDisposalRequest(requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!hasPermission(req.user, 'disposal:process') && !canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const itemsResult = await getRequestItems(disposalRequest.id);
+
+        if (!itemsResult.success) {
+            throw new Error('Failed to fetch disposal request items');
+        }
+
+        const totalWeight = itemsResult.data.reduce(
+            (sum, item) => sum + (item.weight_kg ? parseFloat(item.weight_kg) : 0),
+            0
+        );
+
+        res.json({
+            success: true,
+            data: {
+                request_id: disposalRequest.request_id,
+                status: disposalRequest.status,
+                items: itemsResult.data,
+                item_count: itemsResult.data.length,
+                total_weight_kg: Math.round(totalWeight * 100) / 100
+            }
+        });
+
+    } catch (error) {
+        console.error('Get disposal request items error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Add devices to a disposal request manifest
+const addDisposalRequestItems = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { requestId } = req.params;
+        const { items } = req.body;
+
+        const disposalRequest = await findDisposalRequest(requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        if (disposalRequest.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'Devices can only be changed while the request is pending'
+            });
+        }
+
+        const { added, errors: itemErrors } = await addItemsToRequest(disposalRequest, items, req);
+
+        if (added.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'No devices were added to the request',
+                errors: itemErrors
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${added.length} device(s) added to disposal request`,
+            data: {
+                request_id: disposalRequest.request_id,
+                devices_added: added,
+                device_errors: itemErrors
+            }
+        });
+
+    } catch (error) {
+        console.error('Add disposal request items error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Remove a device from a disposal request manifest
+const removeDisposalRequestItem = async (req, res) => {
+    try {
+        const { requestId, deviceId } = req.params;
+
+        const disposalRequest = await findDisposalRequest(requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!canManageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        if (disposalRequest.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'Devices can only be changed while the request is pending'
+            });
+        }
+
+        const itemResult = await executeQuery(`
+            SELECT dri.id, d.id as device_db_id, d.device_id
+            FROM disposal_request_items dri
+            JOIN devices d ON dri.device_id = d.id
+            WHERE dri.disposal_request_id = ? AND (d.id = ? OR d.device_id = ?)
+        `, [disposalRequest.id, deviceId, deviceId]);
+
+        if (!itemResult.success || itemResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device is not part of this disposal request'
+            });
+        }
+
+        const item = itemResult.data[0];
+
+        await releaseRequestItem(disposalRequest, item, req, req.body?.reason);
+        await syncRequestItemCount(disposalRequest.id);
+
+        res.json({
+            success: true,
+            message: 'Device removed from disposal request',
+            data: {
+                request_id: disposalRequest.request_id,
+                device_id: item.device_id
+            }
+        });
+
+    } catch (error) {
+        console.error('Remove disposal request item error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Only the department (HOD) or the vendor who will collect the devices may triage them
+const canTriageRequest = (user, disposalRequest) => user.role === 'vendor'
+    ? disposalRequest.vendor_id === user.id
+    : canManageRequest(user, disposalRequest);
+
+// Get the fair/poor devices on a request that could go to Center for repair, and the repair services
+const getDisposalRepairCandidates = async (req, res) => {
+    try {
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!canTriageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const itemsResult = await getRequestItems(disposalRequest.id);
+
+        res.json({
+            success: true,
+            data: {
+                request_id: disposalRequest.request_id,
+                can_triage: TRIAGE_REQUEST_STATUSES.includes(disposalRequest.status),
+                candidates: (itemsResult.success ? itemsResult.data : [])
+                    .filter(item => TRIAGE_CONDITIONS.includes(item.condition_status)),
+                services: await getRepairServices(executeQuery)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get repair candidates error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Repair-before-recycle: take a device off the request and open a Center repair order for it
+const sendDisposalDeviceForRepair = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const disposalRequest = await findDisposalRequest(req.params.requestId);
+
+        if (!disposalRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Disposal request not found'
+            });
+        }
+
+        if (!canTriageRequest(req.user, disposalRequest)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: Different department'
+            });
+        }
+
+        const item = await findManifestItem(executeQuery, disposalRequest.id, req.params.deviceId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device is not part of this disposal request'
+            });
+        }
+
+        const result = await triageDeviceToRepair(executeQuery, {
+            request: disposalRequest,
+            item,
+            performedBy: req.user.id,
+            source: 'wms4',
+            issueDescription: req.body.issue_description,
+            priority: req.body.priority,
+            productId: req.body.product_id
+        });
+
+        if (!result.success) {
+            return res.status(result.httpStatus).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        // Let the awarded vendor know one device less is coming
+        if (disposalRequest.vendor_id && disposalRequest.vendor_id !== req.user.id) {
+            await notifyVendor(
+                disposalRequest.vendor_id,
+                `Device sent for repair: ${disposalRequest.request_id}`,
+                `${item.device_id} was taken off disposal request ${disposalRequest.request_id} to be repaired (order ${result.order.order_number}).`
+            );
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${item.device_id} sent for repair under order ${result.order.order_number}`,
+            data: {
+                order: result.order,
+                device_id: item.device_id
+            }
+        });
+
+    } catch (error) {
+        console.error('Send device for repair error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Internal server error'
+        });
+    }
+};
+
+// Validation rules for creating a disposal request
+const disposalRequestValidation = [
+    body('contact_phone')
+        .trim()
+        .notEmpty().withMessage('Contact phone number is required')
+        .isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10-15 digits'),
+    body('pickup_address')
+        .trim()
+        .notEmpty().withMessage('Pickup address is required')
+        .isLength({ min: 10 }).withMessage('Please provide a complete pickup address'),
+    body('latitude')
+        .notEmpty().withMessage('Location coordinates are required')
+        .isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required (-90 to 90)'),
+    body('longitude')
+        .notEmpty().withMessage('Location coordinates are required') 
+        .isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required (-180 to 180)'),
+    body('e_waste_description')
+        .trim()
+        .notEmpty().withMessage('Device description is required')
+        .isLength({ min: 5 }).withMessage('Please provide a detailed description of the e-waste'),
+    // Optional fields - these can be null/undefined/empty and won't be validated
+    body('department').optional().trim(),
+    body('contact_name').optional().trim(),
+    body('contact_email').optional().isEmail().withMessage('Valid email address is required if provided'),
+    body('preferred_time_slot').optional().trim(),
+    body('additional_notes').optional().trim(),
+    // These fields are completely optional and don't need validation
+    body('weight_kg').optional({ checkFalsy: false }),
+    body('item_count').optional({ checkFalsy: false }),
+    body('preferred_date').optional({ checkFalsy: false }),
+    body('estimated_value').optional({ checkFalsy: false }),
+    body('device_ids').optional().isArray().withMessage('device_ids must be an array'),
+    body('items').optional().isArray().withMessage('items must be an array'),
+    body('line_items').optional().isArray().withMessage('line_items must be an array')
+];
+
+// Validation rules for editing or re-submitting a disposal request; every field is optional
+const disposalUpdateValidation = [
+    body('contact_phone')
+        .optional()
+        .trim()
+        .isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10-15 digits'),
+    body('pickup_address')
+        .optional()
+        .trim()
+        .isLength({ min: 10 }).withMessage('Please provide a complete pickup address'),
+    body('latitude')
+        .optional()
+        .isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required (-90 to 90)'),
+    body('longitude')
+        .optional()
+        .isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required (-180 to 180)'),
+    body('e_waste_description')
+        .optional()
+        .trim()
+        .isLength({ min: 5 }).withMessage('Please provide a detailed description of the e-waste'),
+    body('preferred_time_slot').optional().trim(),
+    body('additional_notes').optional().trim(),
+    body('notes').optional().trim(),
+    body('weight_kg').optional({ checkFalsy: false }),
+    body('preferred_date').optional({ checkFalsy: false }),
+    body('estimated_value').optional({ checkFalsy: false }),
+    body('device_ids').optional().isArray().withMessage('device_ids must be an array'),
+    body('line_items').optional().isArray().withMessage('line_items must be an array')
+];
+
+// Validation rules for cancelling a disposal request
+const disposalCancelValidation = [
+    body('reason')
+        .trim()
+        .notEmpty().withMessage('A reason for cancelling is required')
+        .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+];
+
+// Validation rules for sending a disposal device for repair
+const repairTriageValidation = [
+    body('issue_description')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ min: 10, max: 1000 }).withMessage('Issue description must be between 10 and 1000 characters'),
+    body('priority')
+        .optional()
+        .isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority level'),
+    body('product_id')
+        .optional({ nullable: true, checkFalsy: true })
+        .isInt({ min: 1 }).withMessage('Invalid repair service')
+];
+
+// Validation rules for the open pickup slots lookup
+const openSlotsValidation = [
+    query('from')
+        .isISO8601()
+        .withMessage('From must be in YYYY-MM-DD format'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('To must be in YYYY-MM-DD format')
+];
+
+// Validation rules for adding devices to a disposal request manifest
+const disposalItemsValidation = [
+    body('items')
+        .isArray({ min: 1 }).withMessage('At least one device is required'),
+    body('items.*.device_id')
+        .notEmpty().withMessage('Device ID is required for each item'),
+    body('items.*.weight_kg')
+        .optional({ nullable: true, checkFalsy: true })
+        .isFloat({ min: 0 }).withMessage('Item weight must be a positive number'),
+    body('items.*.condition_status')
+        .optional({ nullable: true, checkFalsy: true })
+        .isIn(['excellent', 'good', 'fair', 'poor', 'damaged']).withMessage('Invalid condition status'),
+    body('items.*.notes').optional().trim()
 ];
 
 export {
@@ -527,6 +2134,27 @@ export {
     getDisposalRequests,
     getDisposalRequestById,
     updateDisposalRequestStatus,
+    updateDisposalRequest,
+    cancelDisposalRequest,
+    resubmitDisposalRequest,
+    getDisposalStatusHistory,
+    getDisposalPickupProof,
+    getDisposalSanitisation,
+    recordDeviceSanitisation,
+    getDisposalBids,
+    awardDisposalBid,
+    getOpenPickupSlots,
+    openSlotsValidation,
+    getEWasteCategories,
     deleteDisposalRequest,
-    disposalRequestValidation
+    getDisposalRequestItems,
+    addDisposalRequestItems,
+    removeDisposalRequestItem,
+    getDisposalRepairCandidates,
+    sendDisposalDeviceForRepair,
+    repairTriageValidation,
+    disposalRequestValidation,
+    disposalUpdateValidation,
+    disposalCancelValidation,
+    disposalItemsValidation
 };
\ No newline at end of file
@@ -0,0 +1,468 @@
+import { body, validationResult } from 'express-validator';
+import { executeQuery } from '../config/database.js';
+import DeviceLogService from '../services/deviceLogService.js';
+import { canAccessDepartment } from '../middleware/auth.js';
+
+const MAINTENANCE_TYPES = ['repair', 'cleaning', 'upgrade', 'inspection'];
+const MAINTENANCE_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+
+// Find an active device the current user is allowed to maintain
+const findDepartmentDevice = async (deviceId, user) => {
+    const result = await executeQuery(
+        'SELECT id, device_id, device_name, current_department FROM devices WHERE device_id = ? AND is_active = TRUE',
+        [deviceId]
+    );
+
+    if (!result.success || result.data.length === 0) {
+        return { error: { status: 404, message: 'Device not found' } };
+    }
+
+    const device = result.data[0];
+
+    if (!canAccessDepartment(user, device.current_department)) {
+        return { error: { status: 403, message: 'Access denied: Different department' } };
+    }
+
+    return { device };
+};
+
+// Repairs get their own activity log type, everything else is routine maintenance
+const getLogType = (maintenanceType) => (maintenanceType === 'repair' ? 'repair' : 'maintenance');
+
+// Get maintenance history for a device
+const getMaintenanceRecords = async (req, res) => {
+    try {
+        const { device_id } = req.params;
+
+        const { device, error } = await findDepartmentDevice(device_id, req.user);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const result = await executeQuery(`
+            SELECT mr.*, u.name as performed_by_name
+            FROM maintenance_records mr
+            LEFT JOIN users u ON mr.performed_by = u.id
+            WHERE mr.device_id = ?
+            ORDER BY mr.maintenance_date DESC, mr.id DESC
+        `, [device.id]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch maintenance records'
+            });
+        }
+
+        const totalCost = result.data
+            .filter(record => record.status !== 'cancelled')
+            .reduce((sum, record) => sum + parseFloat(record.cost || 0), 0);
+
+        res.json({
+            success: true,
+            data: {
+                device: {
+                    id: device.id,
+                    device_id: device.device_id,
+                    device_name: device.device_name
+                },
+                records: result.data,
+                total_cost: Math.round(totalCost * 100) / 100,
+                next_maintenance_due: result.data.find(record =>
+                    record.status !== 'cancelled' && record.next_maintenance_due
+                )?.next_maintenance_due || null
+            }
+        });
+
+    } catch (error) {
+        console.error('Maintenance records fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Create a maintenance record for a device
+const createMaintenanceRecord = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { device_id } = req.params;
+        const {
+            maintenance_type,
+            description,
+            cost,
+            maintenance_date,
+            next_maintenance_due,
+            status
+        } = req.body;
+
+        const { device, error } = await findDepartmentDevice(device_id, req.user);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const result = await executeQuery(`
+            INSERT INTO maintenance_records (
+                device_id, maintenance_type, description, cost, performed_by,
+                maintenance_date, next_maintenance_due, status
+            ) VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?)
+        `, [
+            device.id,
+            maintenance_type,
+            description || null,
+            cost || 0,
+            req.user.id,
+            maintenance_date || null,
+            next_maintenance_due || null,
+            status || 'pending'
+        ]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to create maintenance record'
+            });
+        }
+
+        await DeviceLogService.logActivity({
+            deviceId: device.id,
+            logType: getLogType(maintenance_type),
+            actionDescription: `${maintenance_type.charAt(0).toUpperCase() + maintenance_type.slice(1)} recorded for "${device.device_name}"`,
+            performedBy: req.user.id,
+            newStatus: status || 'pending',
+            metadata: {
+                maintenance_id: result.data.insertId,
+                maintenance_type,
+                cost: cost || 0,
+                next_maintenance_due: next_maintenance_due || null
+            },
+            notes: description || `Maintenance logged by ${req.user.name}`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Maintenance record created successfully',
+            data: {
+                id: result.data.insertId,
+                device_id: device.device_id,
+                maintenance_type,
+                status: status || 'pending'
+            }
+        });
+
+    } catch (error) {
+        console.error('Maintenance record creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Update a maintenance record (status, cost, schedule)
+const updateMaintenanceRecord = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { device_id, record_id } = req.params;
+
+        const { device, error } = await findDepartmentDevice(device_id, req.user);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const recordResult = await executeQuery(
+            'SELECT * FROM maintenance_records WHERE id = ? AND device_id = ?',
+            [record_id, device.id]
+        );
+
+        if (!recordResult.success || recordResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance record not found'
+            });
+        }
+
+        const record = recordResult.data[0];
+
+        const updatableFields = ['maintenance_type', 'description', 'cost', 'maintenance_date', 'next_maintenance_due', 'status'];
+        const updateFields = [];
+        const updateValues = [];
+
+        for (const field of updatableFields) {
+            if (req.body[field] !== undefined) {
+                updateFields.push(`${field} = ?`);
+                updateValues.push(req.body[field] === '' ? null : req.body[field]);
+            }
+        }
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No fields to update'
+            });
+        }
+
+        updateValues.push(record.id);
+
+        const updateResult = await executeQuery(
+            `UPDATE maintenance_records SET ${updateFields.join(', ')} WHERE id = ?`,
+            updateValues
+        );
+
+        if (!updateResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update maintenance record'
+            });
+        }
+
+        const maintenanceType = req.body.maintenance_type || record.maintenance_type;
+        const newStatus = req.body.status || record.status;
+
+        await DeviceLogService.logActivity({
+            deviceId: device.id,
+            logType: getLogType(maintenanceType),
+            actionDescription: newStatus !== record.status
+                ? `${maintenanceType.charAt(0).toUpperCase() + maintenanceType.slice(1)} status changed from ${record.status} to ${newStatus}`
+                : `${maintenanceType.charAt(0).toUpperCase() + maintenanceType.slice(1)} record updated`,
+            performedBy: req.user.id,
+            previousStatus: record.status,
+            newStatus,
+            metadata: {
+                maintenance_id: record.id,
+                maintenance_type: maintenanceType,
+                updated_fields: updateFields.map(field => field.split(' ')[0])
+            },
+            notes: req.body.description || `Maintenance updated by ${req.user.name}`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.json({
+            success: true,
+            message: 'Maintenance record updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Maintenance record update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Delete a maintenance record
+const deleteMaintenanceRecord = async (req, res) => {
+    try {
+        const { device_id, record_id } = req.params;
+
+        const { device, error } = await findDepartmentDevice(device_id, req.user);
+        if (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const recordResult = await executeQuery(
+            'SELECT * FROM maintenance_records WHERE id = ? AND device_id = ?',
+            [record_id, device.id]
+        );
+
+        if (!recordResult.success || recordResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Maintenance record not found'
+            });
+        }
+
+        const record = recordResult.data[0];
+
+        const deleteResult = await executeQuery(
+            'DELETE FROM maintenance_records WHERE id = ?',
+            [record.id]
+        );
+
+        if (!deleteResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete maintenance record'
+            });
+        }
+
+        await DeviceLogService.logActivity({
+            deviceId: device.id,
+            logType: getLogType(record.maintenance_type),
+            actionDescription: `${record.maintenance_type.charAt(0).toUpperCase() + record.maintenance_type.slice(1)} record removed`,
+            performedBy: req.user.id,
+            previousStatus: record.status,
+            metadata: {
+                maintenance_id: record.id,
+                maintenance_type: record.maintenance_type,
+                cost: record.cost
+            },
+            notes: `Maintenance record deleted by ${req.user.name}`,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.json({
+            success: true,
+            message: 'Maintenance record deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Maintenance record delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Get devices in the department with maintenance due soon or overdue
+const getDueMaintenance = async (req, res) => {
+    try {
+        const department = req.user.role === 'admin' ? req.query.department || req.user.department : req.user.department;
+        const withinDays = Math.max(parseInt(req.query.within_days) || 30, 0);
+        const { due_status } = req.query;
+
+        // Only the most recent non-cancelled record of each device defines its schedule
+        const result = await executeQuery(`
+            SELECT
+                d.id,
+                d.device_id,
+                d.device_name,
+                d.device_type,
+                d.brand,
+                d.model,
+                d.current_location,
+                d.condition_status,
+                mr.id as maintenance_id,
+                mr.maintenance_type,
+                mr.maintenance_date as last_maintenance_date,
+                mr.next_maintenance_due,
+                DATEDIFF(mr.next_maintenance_due, CURDATE()) as days_until_due,
+                CASE WHEN mr.next_maintenance_due < CURDATE() THEN 'overdue' ELSE 'due' END as due_status
+            FROM maintenance_records mr
+            JOIN devices d ON mr.device_id = d.id
+            WHERE d.current_department = ?
+            AND d.is_active = TRUE
+            AND mr.next_maintenance_due IS NOT NULL
+            AND mr.next_maintenance_due <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+            AND mr.id = (
+                SELECT mr2.id FROM maintenance_records mr2
+                WHERE mr2.device_id = mr.device_id AND mr2.status != 'cancelled'
+                ORDER BY mr2.maintenance_date DESC, mr2.id DESC
+                LIMIT 1
+            )
+            ORDER BY mr.next_maintenance_due ASC
+        `, [department, withinDays]);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch maintenance schedule'
+            });
+        }
+
+        const devices = due_status
+            ? result.data.filter(device => device.due_status === due_status)
+            : result.data;
+
+        res.json({
+            success: true,
+            data: {
+                devices,
+                summary: {
+                    overdue: result.data.filter(device => device.due_status === 'overdue').length,
+                    due: result.data.filter(device => device.due_status === 'due').length,
+                    within_days: withinDays
+                },
+                department
+            }
+        });
+
+    } catch (error) {
+        console.error('Due maintenance fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Validation rules
+const maintenanceRecordValidation = [
+    body('maintenance_type')
+        .isIn(MAINTENANCE_TYPES)
+        .withMessage('Maintenance type must be repair, cleaning, upgrade or inspection'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Description too long'),
+    body('cost')
+        .optional({ checkFalsy: true })
+        .isFloat({ min: 0 })
+        .withMessage('Cost must be a positive number'),
+    body('maintenance_date')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('Maintenance date must be a valid date'),
+    body('next_maintenance_due')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('Next maintenance due must be a valid date'),
+    body('status')
+        .optional()
+        .isIn(MAINTENANCE_STATUSES)
+        .withMessage('Invalid maintenance status')
+];
+
+const maintenanceUpdateValidation = [
+    body('maintenance_type')
+        .optional()
+        .isIn(MAINTENANCE_TYPES)
+        .withMessage('Maintenance type must be repair, cleaning, upgrade or inspection'),
+    ...maintenanceRecordValidation.slice(1)
+];
+
+export {
+    getMaintenanceRecords,
+    createMaintenanceRecord,
+    updateMaintenanceRecord,
+    deleteMaintenanceRecord,
+    getDueMaintenance,
+    maintenanceRecordValidation,
+    maintenanceUpdateValidation
+};
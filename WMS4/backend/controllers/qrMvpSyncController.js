@@ -0,0 +1,66 @@
+import { body, validationResult } from 'express-validator';
+import { syncQrMvpDevices } from '../services/qrMvpSyncService.js';
+
+// Sync QR_MVP's devices.json/Gdata.csv registry into devices (dry run unless commit=true)
+const syncQrMvpRegistry = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const commit = req.body.commit === true || req.body.commit === 'true';
+
+        const result = await syncQrMvpDevices({
+            commit,
+            user: req.user,
+            defaultDepartment: req.body.default_department
+        });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: result.message,
+                data: result
+            });
+        }
+
+        const { created, updated } = result.summary;
+        res.json({
+            success: true,
+            message: result.dry_run
+                ? 'Dry run completed, no devices were changed'
+                : `${created} devices created and ${updated} updated from the QR MVP registry`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('QR MVP sync error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Validation rules
+const qrMvpSyncValidation = [
+    body('commit')
+        .optional()
+        .isBoolean()
+        .withMessage('Commit must be true or false'),
+    body('default_department')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Default department must be 1 to 100 characters')
+];
+
+export {
+    syncQrMvpRegistry,
+    qrMvpSyncValidation
+};
@@ -0,0 +1,76 @@
+import { query, validationResult } from 'express-validator';
+import { sendExport } from '../services/exportService.js';
+import {
+    parseFinancialYear,
+    buildAnnualReturn,
+    renderAnnualReturnPdf,
+    getAnnualReturnRows,
+    ANNUAL_RETURN_CSV_COLUMNS
+} from '../services/annualReturnService.js';
+
+// Generate the annual e-waste return (Form-3) of a financial year as JSON, CSV or PDF
+const getAnnualReturn = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { financial_year, format = 'json' } = req.query;
+
+        // Admins file for the whole institution or one department, everyone else for their own
+        const department = req.user.role === 'admin' ? req.query.department || null : req.user.department;
+
+        const report = await buildAnnualReturn(financial_year, { department, generatedBy: req.user.name });
+        const filename = `ewaste_annual_return_${financial_year}${department ? `_${department.replace(/[^A-Za-z0-9]+/g, '_')}` : ''}`;
+
+        if (format === 'pdf') {
+            const pdf = await renderAnnualReturnPdf(report);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+            return res.send(pdf);
+        }
+
+        if (format === 'csv') {
+            return sendExport(res, {
+                format,
+                filename,
+                rows: getAnnualReturnRows(report),
+                columns: ANNUAL_RETURN_CSV_COLUMNS
+            });
+        }
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('Annual return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// Validation rules for the annual return
+const annualReturnValidation = [
+    query('financial_year')
+        .custom(value => parseFinancialYear(value) !== null)
+        .withMessage('Financial year must be in YYYY-YY format, e.g. 2025-26'),
+    query('format')
+        .optional()
+        .isIn(['json', 'csv', 'pdf'])
+        .withMessage('Format must be json, csv or pdf'),
+    query('department').optional().trim()
+];
+
+export {
+    getAnnualReturn,
+    annualReturnValidation
+};
@@ -2,6 +2,7 @@ import { body, validationResult } from 'express-validator';
 import { executeQuery } from '../config/database.js';
 import { nanoid } from 'nanoid';
 import DeviceLogService from '../services/deviceLogService.js';
+import { canAccessDepartment } from '../middleware/auth.js';
 
 // Create a new resource exchange request
 const createResourceRequest = async (req, res) => {
@@ -353,6 +354,7 @@ const updateResponseStatus = async (req, res) => {
             SELECT 
                 resp.*,
                 req.requester_user_id,
+                req.requester_department,
                 req.status as request_status,
                 req.id as request_id
             FROM resource_exchange_responses resp
@@ -369,11 +371,11 @@ const updateResponseStatus = async (req, res) => {
 
         const response = responseResult.data[0];
 
-        // Check if user is the original requester
-        if (response.requester_user_id !== req.user.id) {
+        // Responses are approved by the HOD of the requesting department
+        if (!canAccessDepartment(req.user, response.requester_department)) {
             return res.status(403).json({
                 success: false,
-                message: 'You can only manage responses to your own requests'
+                message: 'You can only manage responses to requests from your department'
             });
         }
 
@@ -2,6 +2,7 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import { executeQuery } from '../config/database.js';
+import { ROLES, getRolePermissions } from '../middleware/auth.js';
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -69,7 +70,8 @@ const registerUser = async (req, res) => {
                     name,
                     email,
                     department,
-                    role: 'user'
+                    role: 'user',
+                    permissions: getRolePermissions('user')
                 },
                 token
             }
@@ -143,7 +145,8 @@ const loginUser = async (req, res) => {
                     name: user.name,
                     email: user.email,
                     department: user.department,
-                    role: user.role
+                    role: user.role,
+                    permissions: getRolePermissions(user.role)
                 },
                 token
             }
@@ -175,7 +178,12 @@ const getUserProfile = async (req, res) => {
 
         res.json({
             success: true,
-            data: { user: result.data[0] }
+            data: {
+                user: {
+                    ...result.data[0],
+                    permissions: getRolePermissions(result.data[0].role)
+                }
+            }
         });
 
     } catch (error) {
@@ -227,6 +235,66 @@ const updateUserProfile = async (req, res) => {
     }
 };
 
+// Change a user's role (admin only)
+const updateUserRole = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { userId } = req.params;
+        const { role } = req.body;
+
+        if (parseInt(userId) === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const result = await executeQuery(
+            'UPDATE users SET role = ? WHERE id = ?',
+            [role, userId]
+        );
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update role'
+            });
+        }
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Role updated to ${role}`,
+            data: {
+                id: parseInt(userId),
+                role,
+                permissions: getRolePermissions(role)
+            }
+        });
+
+    } catch (error) {
+        console.error('Role update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
 // Validation rules
 const registerValidation = [
     body('name')
@@ -271,12 +339,20 @@ const updateProfileValidation = [
         .withMessage('Valid phone number is required')
 ];
 
+const updateRoleValidation = [
+    body('role')
+        .isIn(ROLES)
+        .withMessage(`Role must be one of ${ROLES.join(', ')}`)
+];
+
 export { 
     registerUser, 
     loginUser, 
     getUserProfile, 
     updateUserProfile,
+    updateUserRole,
     registerValidation,
     loginValidation,
-    updateProfileValidation
+    updateProfileValidation,
+    updateRoleValidation
 };
\ No newline at end of file
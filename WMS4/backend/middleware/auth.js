@@ -70,6 +70,39 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+// Roles a user account can hold
+const ROLES = ['admin', 'hod', 'lab_incharge', 'user', 'vendor'];
+
+// Permission matrix: roles allowed to perform each action (admins may perform every action)
+const PERMISSIONS = {
+    'device:register': ['hod', 'lab_incharge', 'user'],
+    'device:move': ['hod', 'lab_incharge', 'user'],
+    'device:import': ['hod', 'lab_incharge'],
+    'device:transfer': ['hod', 'lab_incharge'],
+    'device:update': ['hod', 'lab_incharge'],
+    'maintenance:manage': ['hod', 'lab_incharge'],
+    'disposal:request': ['hod', 'lab_incharge'],
+    'disposal:approve': ['hod'],
+    'disposal:process': ['vendor'],
+    'disposal:triage': ['hod', 'vendor'],
+    'resource_exchange:request': ['hod', 'lab_incharge'],
+    'resource_exchange:approve': ['hod'],
+    'reports:generate': ['hod']
+};
+
+// Check a user's role against the permission matrix
+const hasPermission = (user, permission) => {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return (PERMISSIONS[permission] || []).includes(user.role);
+};
+
+// Every permission granted to a role, sent to the frontend with the user profile
+const getRolePermissions = (role) => Object.keys(PERMISSIONS).filter(permission => hasPermission({ role }, permission));
+
+// Admins can access all departments, everyone else only their own
+const canAccessDepartment = (user, department) => user.role === 'admin' || user.department === department;
+
 // Admin role middleware
 const requireAdmin = (req, res, next) => {
     if (req.user.role !== 'admin') {
@@ -81,16 +114,22 @@ const requireAdmin = (req, res, next) => {
     next();
 };
 
-// Department access middleware
-const requireSameDepartment = (req, res, next) => {
-    // Admins can access all departments
-    if (req.user.role === 'admin') {
-        return next();
+// Permission middleware, e.g. requirePermission('disposal:approve')
+const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action'
+        });
     }
+    next();
+};
 
-    // For regular users, check if they're accessing their own department's data
+// Department access middleware
+const requireSameDepartment = (req, res, next) => {
+    // For non-admin users, check if they're accessing their own department's data
     const requestedDepartment = req.params.department || req.body.department;
-    if (requestedDepartment && requestedDepartment !== req.user.department) {
+    if (requestedDepartment && !canAccessDepartment(req.user, requestedDepartment)) {
         return res.status(403).json({ 
             success: false, 
             message: 'Access denied: Different department' 
@@ -99,4 +138,14 @@ const requireSameDepartment = (req, res, next) => {
     next();
 };
 
-export { authenticateToken, requireAdmin, requireSameDepartment };
\ No newline at end of file
+export {
+    ROLES,
+    PERMISSIONS,
+    authenticateToken,
+    requireAdmin,
+    requirePermission,
+    requireSameDepartment,
+    hasPermission,
+    getRolePermissions,
+    canAccessDepartment
+};
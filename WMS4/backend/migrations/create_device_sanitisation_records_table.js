@@ -0,0 +1,29 @@
+// Migration file to create the data sanitisation records table (shared with the Center backend)
+
+import { executeQuery } from '../config/database.js';
+import { CREATE_DEVICE_SANITISATION_RECORDS_TABLE } from '../../../shared/dataSanitisation.mjs';
+
+async function createDeviceSanitisationRecordsTable() {
+  try {
+    const result = await executeQuery(CREATE_DEVICE_SANITISATION_RECORDS_TABLE);
+
+    // Certificates list how each device was sanitised
+    await executeQuery(`
+      ALTER TABLE recycling_certificate_items
+      ADD COLUMN IF NOT EXISTS sanitisation VARCHAR(255) NULL;
+    `);
+
+    if (result.success) {
+      console.log('✅ Device sanitisation records table created successfully');
+      return true;
+    } else {
+      console.error('❌ Error creating device sanitisation records table:', result.error);
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Error creating device sanitisation records table:', error);
+    return false;
+  }
+}
+
+export default createDeviceSanitisationRecordsTable;
@@ -0,0 +1,26 @@
+// Migration file to create the disposal_bids table (shared with the Center backend)
+
+import { executeQuery } from '../config/database.js';
+import { CREATE_DISPOSAL_BIDS_TABLE, ADD_DISPOSAL_VENDOR_ID_COLUMN } from '../../../shared/disposalBids.mjs';
+
+async function createDisposalBidsTable() {
+  try {
+    // The awarded vendor is stored on the request itself
+    await executeQuery(ADD_DISPOSAL_VENDOR_ID_COLUMN);
+
+    const result = await executeQuery(CREATE_DISPOSAL_BIDS_TABLE);
+
+    if (result.success) {
+      console.log('✅ Disposal bids table created successfully');
+      return true;
+    } else {
+      console.error('❌ Error creating disposal bids table:', result.error);
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Error creating disposal bids table:', error);
+    return false;
+  }
+}
+
+export default createDisposalBidsTable;
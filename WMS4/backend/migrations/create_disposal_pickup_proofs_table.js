@@ -0,0 +1,26 @@
+// Migration file to create the proof of pickup tables (shared with the Center backend)
+
+import { executeQuery } from '../config/database.js';
+import { CREATE_DISPOSAL_PICKUP_PROOFS_TABLE, CREATE_DISPOSAL_PICKUP_PHOTOS_TABLE } from '../../../shared/pickupProof.mjs';
+
+async function createDisposalPickupProofsTable() {
+  try {
+    const result = await executeQuery(CREATE_DISPOSAL_PICKUP_PROOFS_TABLE);
+
+    // Photos reference their proof, so they are created second
+    const photosResult = await executeQuery(CREATE_DISPOSAL_PICKUP_PHOTOS_TABLE);
+
+    if (result.success && photosResult.success) {
+      console.log('✅ Disposal pickup proof tables created successfully');
+      return true;
+    } else {
+      console.error('❌ Error creating disposal pickup proof tables:', result.error || photosResult.error);
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Error creating disposal pickup proof tables:', error);
+    return false;
+  }
+}
+
+export default createDisposalPickupProofsTable;
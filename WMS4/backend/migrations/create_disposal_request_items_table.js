@@ -0,0 +1,45 @@
+// Migration file to create the disposal_request_items table (device manifest of a disposal request)
+
+import { executeQuery } from '../config/database.js';
+
+async function createDisposalRequestItemsTable() {
+  try {
+    const result = await executeQuery(`
+      CREATE TABLE IF NOT EXISTS disposal_request_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        disposal_request_id INT NOT NULL,
+        device_id INT NOT NULL,
+        weight_kg DECIMAL(10, 2),
+        condition_status ENUM('excellent', 'good', 'fair', 'poor', 'damaged'),
+        notes TEXT,
+        added_by INT,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_request_device (disposal_request_id, device_id),
+        INDEX idx_disposal_request_id (disposal_request_id),
+        INDEX idx_device_id (device_id),
+        FOREIGN KEY (disposal_request_id) REFERENCES disposal_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+        FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // Devices track where they are in the disposal flow separately from their physical condition
+    await executeQuery(`
+      ALTER TABLE devices
+      ADD COLUMN IF NOT EXISTS disposal_status VARCHAR(50) NULL AFTER condition_status;
+    `);
+
+    if (result.success) {
+      console.log('✅ Disposal request items table created successfully');
+      return true;
+    } else {
+      console.error('❌ Error creating disposal request items table:', result.error);
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Error creating disposal request items table:', error);
+    return false;
+  }
+}
+
+export default createDisposalRequestItemsTable;
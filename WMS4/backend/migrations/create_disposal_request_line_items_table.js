@@ -0,0 +1,23 @@
+// Migration file to create the e-waste category line items table (shared with the Center backend)
+
+import { executeQuery } from '../config/database.js';
+import { CREATE_DISPOSAL_LINE_ITEMS_TABLE } from '../../../shared/eWasteCategories.mjs';
+
+async function createDisposalRequestLineItemsTable() {
+  try {
+    const result = await executeQuery(CREATE_DISPOSAL_LINE_ITEMS_TABLE);
+
+    if (result.success) {
+      console.log('✅ Disposal request line items table created successfully');
+      return true;
+    } else {
+      console.error('❌ Error creating disposal request line items table:', result.error);
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Error creating disposal request line items table:', error);
+    return false;
+  }
+}
+
+export default createDisposalRequestLineItemsTable;
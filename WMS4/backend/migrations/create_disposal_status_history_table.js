@@ -0,0 +1,24 @@
+// Migration file to create the disposal_status_history table (shared with the Center backend)
+
+import { executeQuery } from '../config/database.js';
+import { CREATE_DISPOSAL_STATUS_HISTORY_TABLE, ADD_STATUS_HISTORY_CHANGES_COLUMN } from '../../../shared/disposalStateMachine.mjs';
+
+async function createDisposalStatusHistoryTable() {
+  try {
+    const result = await executeQuery(CREATE_DISPOSAL_STATUS_HISTORY_TABLE);
+    await executeQuery(ADD_STATUS_HISTORY_CHANGES_COLUMN);
+
+    if (result.success) {
+      console.log('✅ Disposal status history table created successfully');
+      return true;
+    } else {
+      console.error('❌ Error creating disposal status history table:', result.error);
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Error creating disposal status history table:', error);
+    return false;
+  }
+}
+
+export default createDisposalStatusHistoryTable;
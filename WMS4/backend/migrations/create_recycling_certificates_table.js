@@ -0,0 +1,76 @@
+// Migration file to create the Certificate of Recycling tables
+
+import { executeQuery } from '../config/database.js';
+import { ADD_DATA_DESTRUCTION_METHOD_COLUMN, ADD_CERTIFICATE_CID_COLUMN } from '../../../shared/recyclingCertificates.mjs';
+
+async function createRecyclingCertificatesTable() {
+  try {
+    await executeQuery(ADD_DATA_DESTRUCTION_METHOD_COLUMN);
+    await executeQuery(ADD_CERTIFICATE_CID_COLUMN);
+
+    // Certificate details are frozen when the certificate is created, so the PDF can be re-rendered for retries
+    const result = await executeQuery(`
+      CREATE TABLE IF NOT EXISTS recycling_certificates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        certificate_number VARCHAR(50) NOT NULL UNIQUE,
+        disposal_request_id INT NOT NULL UNIQUE,
+        vendor_id INT,
+        vendor_name VARCHAR(255),
+        department VARCHAR(100) NOT NULL,
+        total_weight_kg DECIMAL(10, 2),
+        category_weights JSON,
+        device_count INT DEFAULT 0,
+        data_destruction_method VARCHAR(100),
+        requested_at TIMESTAMP NULL,
+        collected_at TIMESTAMP NULL,
+        completed_at TIMESTAMP NULL,
+        status ENUM('pending_upload', 'issued') DEFAULT 'pending_upload',
+        ipfs_hash VARCHAR(100),
+        ipfs_url VARCHAR(255),
+        last_error TEXT,
+        issued_by INT,
+        issued_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_status (status),
+        FOREIGN KEY (disposal_request_id) REFERENCES disposal_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (vendor_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (issued_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    const itemsResult = await executeQuery(`
+      CREATE TABLE IF NOT EXISTS recycling_certificate_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        certificate_id INT NOT NULL,
+        device_id INT,
+        device_code VARCHAR(100) NOT NULL,
+        device_name VARCHAR(255),
+        device_type VARCHAR(100),
+        serial_number VARCHAR(255),
+        weight_kg DECIMAL(10, 2),
+        INDEX idx_certificate_id (certificate_id),
+        FOREIGN KEY (certificate_id) REFERENCES recycling_certificates(id) ON DELETE CASCADE,
+        FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // Lifecycle events point at the certificate that closed the device's lifecycle
+    await executeQuery(`
+      ALTER TABLE device_lifecycle_events
+      ADD COLUMN IF NOT EXISTS ipfs_hash VARCHAR(100) NULL;
+    `);
+
+    if (result.success && itemsResult.success) {
+      console.log('✅ Recycling certificates tables created successfully');
+      return true;
+    } else {
+      console.error('❌ Error creating recycling certificates tables:', result.error || itemsResult.error);
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Error creating recycling certificates tables:', error);
+    return false;
+  }
+}
+
+export default createRecyclingCertificatesTable;
@@ -3,6 +3,13 @@ import createDisposalRequestsTable from './create_disposal_requests_table.js';
 import createIPFSUploadsTable from './create_ipfs_uploads_table.js';
 import createCommunityTables from './create_community_tables.js';
 import { createDeviceLogsTable as createDeviceActivityLogsTable } from './create_device_activity_logs.js';
+import createDisposalRequestItemsTable from './create_disposal_request_items_table.js';
+import createDisposalStatusHistoryTable from './create_disposal_status_history_table.js';
+import createDisposalBidsTable from './create_disposal_bids_table.js';
+import createDisposalPickupProofsTable from './create_disposal_pickup_proofs_table.js';
+import createRecyclingCertificatesTable from './create_recycling_certificates_table.js';
+import createDeviceSanitisationRecordsTable from './create_device_sanitisation_records_table.js';
+import createDisposalRequestLineItemsTable from './create_disposal_request_line_items_table.js';
 import process from 'process';
 
 // Create all necessary tables for the e-waste management system
@@ -21,7 +28,7 @@ const createTables = async () => {
                 email VARCHAR(255) UNIQUE NOT NULL,
                 password VARCHAR(255) NOT NULL,
                 department VARCHAR(100) NOT NULL,
-                role ENUM('admin', 'user', 'vendor') DEFAULT 'user',
+                role ENUM('admin', 'hod', 'lab_incharge', 'user', 'vendor', 'manager', 'technician', 'customer') DEFAULT 'user',
                 phone VARCHAR(20),
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -171,6 +178,13 @@ const createTables = async () => {
             }
         }
 
+        // Existing installs: add the department roles to users.role, keeping the
+        // repair center roles (manager, technician, customer) of the shared users table
+        await executeQuery(`
+            ALTER TABLE users
+            MODIFY COLUMN role ENUM('admin', 'hod', 'lab_incharge', 'user', 'vendor', 'manager', 'technician', 'customer') DEFAULT 'user'
+        `);
+
         // Insert default departments
         const insertDefaultDepartments = `
             INSERT IGNORE INTO departments (name, code, location) VALUES
@@ -189,6 +203,27 @@ const createTables = async () => {
         // Create device activity logging tables
         await createDeviceActivityLogsTable();
 
+        // Create disposal request manifest table (devices <-> disposal requests)
+        await createDisposalRequestItemsTable();
+
+        // Create disposal status history table (every status change, from WMS4 or Center)
+        await createDisposalStatusHistoryTable();
+
+        // Create vendor bids table (vendors quote from Center, departments award here)
+        await createDisposalBidsTable();
+
+        // Create proof of pickup tables (vendors record them in Center, shown here)
+        await createDisposalPickupProofsTable();
+
+        // Create Certificate of Recycling tables (issued when a request is completed, pinned to IPFS)
+        await createRecyclingCertificatesTable();
+
+        // Create data sanitisation records table (storage devices are wiped or handed over for destruction before pickup)
+        await createDeviceSanitisationRecordsTable();
+
+        // Create e-waste category line items table (Schedule I categories, weights and hazard flags per request)
+        await createDisposalRequestLineItemsTable();
+
         console.log('🎉 Database migration completed successfully!');
         return true;
 
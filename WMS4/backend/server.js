@@ -18,28 +18,87 @@ import {
     loginUser, 
     getUserProfile, 
     updateUserProfile,
+    updateUserRole,
     registerValidation,
     loginValidation,
-    updateProfileValidation
+    updateProfileValidation,
+    updateRoleValidation
 } from './controllers/userController.js';
 
 import { 
     registerDevice, 
     getDeviceByQR, 
+    getQRPublicKeyInfo,
+    verifyQRCode,
     getDepartmentDevices, 
+    getDeviceTypes,
     getDepartmentStats,
     moveDevice,
+    transferDevice,
+    updateDeviceCondition,
+    getDeviceProfile,
+    getDeviceAuditTrail,
+    exportDeviceAuditTrail,
     deviceRegistrationValidation,
-    deviceMoveValidation
+    deviceMoveValidation,
+    deviceTransferValidation,
+    deviceConditionValidation
 } from './controllers/deviceController.js';
 
+// Import device bulk import controller
+import { importDevices, importUpload } from './controllers/deviceImportController.js';
+
+// Import device label controller
+import { getLabelLayouts, generateDeviceLabels, labelSheetValidation } from './controllers/deviceLabelController.js';
+
+// Import QR MVP registry sync
+import { syncQrMvpRegistry, qrMvpSyncValidation } from './controllers/qrMvpSyncController.js';
+import { scheduleQrMvpSync } from './services/qrMvpSyncService.js';
+
+// Import Certificate of Recycling controller and background issuing
+import { verifyCertificate, getDisposalCertificate, issueDisposalCertificate } from './controllers/certificateController.js';
+import { scheduleRecyclingCertificates } from './services/recyclingCertificateService.js';
+
+// Import maintenance controller
+import {
+    getMaintenanceRecords,
+    createMaintenanceRecord,
+    updateMaintenanceRecord,
+    deleteMaintenanceRecord,
+    getDueMaintenance,
+    maintenanceRecordValidation,
+    maintenanceUpdateValidation
+} from './controllers/maintenanceController.js';
+
 // Import disposal controller
 import {
     createDisposalRequest,
     getDisposalRequests,
     getDisposalRequestById,
     updateDisposalRequestStatus,
-    disposalRequestValidation
+    updateDisposalRequest,
+    cancelDisposalRequest,
+    resubmitDisposalRequest,
+    deleteDisposalRequest,
+    getDisposalStatusHistory,
+    getDisposalPickupProof,
+    getDisposalSanitisation,
+    recordDeviceSanitisation,
+    getDisposalBids,
+    awardDisposalBid,
+    getOpenPickupSlots,
+    openSlotsValidation,
+    getEWasteCategories,
+    getDisposalRequestItems,
+    addDisposalRequestItems,
+    removeDisposalRequestItem,
+    getDisposalRepairCandidates,
+    sendDisposalDeviceForRepair,
+    repairTriageValidation,
+    disposalRequestValidation,
+    disposalUpdateValidation,
+    disposalCancelValidation,
+    disposalItemsValidation
 } from './controllers/disposalController.js';
 
 // Import IPFS controller
@@ -80,8 +139,11 @@ import {
     getSustainabilityMetrics
 } from './controllers/analyticsController.js';
 
+// Import regulatory report controller
+import { getAnnualReturn, annualReturnValidation } from './controllers/reportController.js';
+
 // Import middleware
-import { authenticateToken, requireAdmin, requireSameDepartment } from './middleware/auth.js';
+import { authenticateToken, requireAdmin, requirePermission, requireSameDepartment } from './middleware/auth.js';
 
 // Load environment variables
 dotenv.config();
@@ -197,26 +259,90 @@ app.put('/api/auth/profile', authenticateToken, updateProfileValidation, updateU
 // =====================
 
 // Register new device (protected)
-app.post('/api/devices/register', authenticateToken, deviceRegistrationValidation, registerDevice);
+app.post('/api/devices/register', authenticateToken, requirePermission('device:register'), deviceRegistrationValidation, registerDevice);
+
+// Bulk import devices from CSV/XLSX, dry run unless commit=true (protected)
+app.post('/api/devices/import', authenticateToken, requirePermission('device:import'), importUpload.single('file'), importDevices);
+
+// Get available QR label sheet layouts (protected)
+app.get('/api/devices/labels/layouts', authenticateToken, getLabelLayouts);
+
+// Generate printable QR label sheets as PDF (protected)
+app.post('/api/devices/labels', authenticateToken, requirePermission('device:register'), labelSheetValidation, generateDeviceLabels);
+
+// Get QR signing public key for offline label verification (public)
+app.get('/api/qr/public-key', getQRPublicKeyInfo);
+
+// Verify a QR label signature without a device lookup (public)
+app.post('/api/qr/verify', verifyQRCode);
 
 // Get device by QR code (protected)
 app.get('/api/devices/qr/:qr_code', authenticateToken, getDeviceByQR);
 
-// Get all devices for department (protected)
+// Get all devices for department, with search/filter/sort/pagination (protected)
 app.get('/api/devices', authenticateToken, getDepartmentDevices);
 
+// Search devices in department, same query parameters as /api/devices (protected)
+app.get('/api/devices/search', authenticateToken, getDepartmentDevices);
+
+// Get device types in department (protected)
+app.get('/api/devices/types', authenticateToken, getDeviceTypes);
+
 // Get device statistics for department (protected)
 app.get('/api/devices/stats', authenticateToken, getDepartmentStats);
 
 // Move device to different location (protected)
-app.put('/api/devices/:device_id/move', authenticateToken, deviceMoveValidation, moveDevice);
+app.put('/api/devices/:device_id/move', authenticateToken, requirePermission('device:move'), deviceMoveValidation, moveDevice);
+
+// Transfer device to another department (protected)
+app.put('/api/devices/:device_id/transfer', authenticateToken, requirePermission('device:transfer'), deviceTransferValidation, transferDevice);
+
+// Update device condition (protected)
+app.put('/api/devices/:device_id/condition', authenticateToken, requirePermission('device:update'), deviceConditionValidation, updateDeviceCondition);
+
+// Get full device profile by QR code (protected)
+app.get('/api/devices/qr/:qr_code/profile', authenticateToken, getDeviceProfile);
+
+// Get full device profile (protected)
+app.get('/api/devices/:device_id/profile', authenticateToken, getDeviceProfile);
+
+// Get paginated device audit trail (protected)
+app.get('/api/devices/:device_id/audit-trail', authenticateToken, getDeviceAuditTrail);
+
+// Export device audit trail as CSV or JSON (protected)
+app.get('/api/devices/:device_id/audit-trail/export', authenticateToken, exportDeviceAuditTrail);
+
+// =====================
+// Device Maintenance Routes
+// =====================
+
+// Get devices with maintenance due or overdue for department (protected)
+app.get('/api/devices/maintenance', authenticateToken, getDueMaintenance);
+
+// Get maintenance history for a device (protected)
+app.get('/api/devices/:device_id/maintenance', authenticateToken, getMaintenanceRecords);
+
+// Create maintenance record for a device (protected)
+app.post('/api/devices/:device_id/maintenance', authenticateToken, requirePermission('maintenance:manage'), maintenanceRecordValidation, createMaintenanceRecord);
+
+// Update maintenance record (protected)
+app.put('/api/devices/:device_id/maintenance/:record_id', authenticateToken, requirePermission('maintenance:manage'), maintenanceUpdateValidation, updateMaintenanceRecord);
+
+// Delete maintenance record (protected)
+app.delete('/api/devices/:device_id/maintenance/:record_id', authenticateToken, requirePermission('maintenance:manage'), deleteMaintenanceRecord);
 
 // =====================
 // E-Waste Disposal Routes
 // =====================
 
 // Create new disposal request (protected)
-app.post('/api/disposal/request', authenticateToken, disposalRequestValidation, createDisposalRequest);
+app.post('/api/disposal/request', authenticateToken, requirePermission('disposal:request'), disposalRequestValidation, createDisposalRequest);
+
+// Get pickup slots that still have vendor capacity (protected)
+app.get('/api/disposal/open-slots', authenticateToken, openSlotsValidation, getOpenPickupSlots);
+
+// Get the e-waste categories and hazard types for request line items (protected)
+app.get('/api/disposal/ewaste-categories', authenticateToken, getEWasteCategories);
 
 // Get all disposal requests for current user/department (protected)
 app.get('/api/disposal/requests', authenticateToken, getDisposalRequests);
@@ -224,9 +350,63 @@ app.get('/api/disposal/requests', authenticateToken, getDisposalRequests);
 // Get single disposal request by ID (protected)
 app.get('/api/disposal/requests/:requestId', authenticateToken, getDisposalRequestById);
 
-// Update disposal request status (protected - vendor/admin only)
+// Edit a pending disposal request (protected - same department)
+app.put('/api/disposal/requests/:requestId', authenticateToken, requirePermission('disposal:request'), disposalUpdateValidation, updateDisposalRequest);
+
+// Cancel a disposal request with a reason (protected - same department)
+app.post('/api/disposal/requests/:requestId/cancel', authenticateToken, requirePermission('disposal:request'), disposalCancelValidation, cancelDisposalRequest);
+
+// Re-submit a rejected disposal request, optionally edited (protected - same department)
+app.post('/api/disposal/requests/:requestId/resubmit', authenticateToken, requirePermission('disposal:request'), disposalUpdateValidation, resubmitDisposalRequest);
+
+// Delete a disposal request that never reached a vendor (admin only)
+app.delete('/api/disposal/requests/:requestId', authenticateToken, requireAdmin, deleteDisposalRequest);
+
+// Update disposal request status, only along the shared disposal transition table (protected)
 app.put('/api/disposal/requests/:requestId/status', authenticateToken, updateDisposalRequestStatus);
 
+// Get disposal request status history and allowed transitions (protected)
+app.get('/api/disposal/requests/:requestId/history', authenticateToken, getDisposalStatusHistory);
+
+// Get the vendor's proof of pickup for a disposal request (protected)
+app.get('/api/disposal/requests/:requestId/pickup-proof', authenticateToken, getDisposalPickupProof);
+
+// Get the data sanitisation state of each device on a disposal request (protected)
+app.get('/api/disposal/requests/:requestId/sanitisation', authenticateToken, getDisposalSanitisation);
+
+// Record how a storage device was sanitised, or that the vendor will destroy it (protected - same department)
+app.post('/api/disposal/requests/:requestId/sanitisation', authenticateToken, requirePermission('disposal:request'), recordDeviceSanitisation);
+
+// Get the Certificate of Recycling of a disposal request (protected)
+app.get('/api/disposal/requests/:requestId/certificate', authenticateToken, getDisposalCertificate);
+
+// Issue the Certificate of Recycling now or retry its IPFS upload (protected)
+app.post('/api/disposal/requests/:requestId/certificate', authenticateToken, issueDisposalCertificate);
+
+// Verify a Certificate of Recycling by its number (public)
+app.get('/api/certificates/:certificateNumber', verifyCertificate);
+
+// Get vendor bids on a disposal request (protected - same department)
+app.get('/api/disposal/requests/:requestId/bids', authenticateToken, getDisposalBids);
+
+// Award a vendor bid, approving the request for that vendor (protected - same department)
+app.post('/api/disposal/requests/:requestId/bids/:bidId/award', authenticateToken, requirePermission('disposal:approve'), awardDisposalBid);
+
+// Get the device manifest of a disposal request (protected)
+app.get('/api/disposal/requests/:requestId/items', authenticateToken, getDisposalRequestItems);
+
+// Add devices to a disposal request manifest (protected - same department)
+app.post('/api/disposal/requests/:requestId/items', authenticateToken, requirePermission('disposal:request'), disposalItemsValidation, addDisposalRequestItems);
+
+// Remove a device from a disposal request manifest (protected - same department)
+app.delete('/api/disposal/requests/:requestId/items/:deviceId', authenticateToken, requirePermission('disposal:request'), removeDisposalRequestItem);
+
+// Fair/poor devices on a request that could be repaired instead of recycled (protected - HOD or awarded vendor)
+app.get('/api/disposal/requests/:requestId/repair-candidates', authenticateToken, requirePermission('disposal:triage'), getDisposalRepairCandidates);
+
+// Send a device on a request for repair as a Center order (protected - HOD or awarded vendor)
+app.post('/api/disposal/requests/:requestId/items/:deviceId/repair', authenticateToken, requirePermission('disposal:triage'), repairTriageValidation, sendDisposalDeviceForRepair);
+
 // =====================
 // Community Routes
 // =====================
@@ -356,7 +536,7 @@ app.get('/api/departments/stats', authenticateToken, async (req, res) => {
 // =====================
 
 // Create new resource exchange request (protected)
-app.post('/api/resource-exchange/requests', authenticateToken, resourceRequestValidation, createResourceRequest);
+app.post('/api/resource-exchange/requests', authenticateToken, requirePermission('resource_exchange:request'), resourceRequestValidation, createResourceRequest);
 
 // Get all resource exchange requests (protected)
 app.get('/api/resource-exchange/requests', authenticateToken, getResourceRequests);
@@ -368,10 +548,10 @@ app.get('/api/resource-exchange/my-requests', authenticateToken, getUserResource
 app.get('/api/resource-exchange/requests/:requestId', authenticateToken, getResourceRequestById);
 
 // Create response to a resource exchange request (protected)
-app.post('/api/resource-exchange/requests/:requestId/responses', authenticateToken, createResourceResponse);
+app.post('/api/resource-exchange/requests/:requestId/responses', authenticateToken, requirePermission('resource_exchange:request'), createResourceResponse);
 
 // Update response status (accept/reject) (protected)
-app.put('/api/resource-exchange/responses/:responseId/status', authenticateToken, updateResponseStatus);
+app.put('/api/resource-exchange/responses/:responseId/status', authenticateToken, requirePermission('resource_exchange:approve'), updateResponseStatus);
 
 // =====================
 // Analytics Routes (New)
@@ -386,6 +566,13 @@ app.get('/api/analytics/utilization', authenticateToken, getDeviceUtilization);
 // Get sustainability metrics (protected)
 app.get('/api/analytics/sustainability', authenticateToken, getSustainabilityMetrics);
 
+// =====================
+// Regulatory Report Routes
+// =====================
+
+// Generate the annual e-waste return (Form-3) as JSON, CSV or PDF (protected - admin, hod)
+app.get('/api/reports/annual-return', authenticateToken, requirePermission('reports:generate'), annualReturnValidation, getAnnualReturn);
+
 // =====================
 // Admin Routes
 // =====================
@@ -420,6 +607,9 @@ app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) =>
     }
 });
 
+// Change a user's role, e.g. promote to HOD (admin only)
+app.put('/api/admin/users/:userId/role', authenticateToken, requireAdmin, updateRoleValidation, updateUserRole);
+
 // Get all devices across departments (admin only)
 app.get('/api/admin/devices', authenticateToken, requireAdmin, async (req, res) => {
     try {
@@ -459,6 +649,9 @@ app.get('/api/admin/devices', authenticateToken, requireAdmin, async (req, res)
     }
 });
 
+// Sync devices from the QR MVP file registry, dry run unless commit=true (admin only)
+app.post('/api/admin/devices/sync/qr-mvp', authenticateToken, requireAdmin, qrMvpSyncValidation, syncQrMvpRegistry);
+
 // 404 handler
 app.use('*', (req, res) => {
     res.status(404).json({
@@ -502,6 +695,9 @@ const startServer = async () => {
             console.log(`🏥 Health Check: http://localhost:${PORT}/api/health`);
             console.log('📱 E-Waste Management System Backend Ready!');
         });
+
+        scheduleQrMvpSync();
+        scheduleRecyclingCertificates();
         
     } catch (error) {
         console.error('❌ Server startup failed:', error);
@@ -0,0 +1,354 @@
+import PDFDocument from 'pdfkit';
+import { Buffer } from 'buffer';
+import { executeQuery } from '../config/database.js';
+import { HAZARD_TYPES, getRequestLineItems, summariseByCategory } from '../../../shared/eWasteCategories.mjs';
+
+const MM = 72 / 25.4;
+
+// Requests without category line items are reported under this code
+const UNCLASSIFIED = { code: 'UNCLASSIFIED', name: 'Not broken down by category' };
+
+// Financial years run April to March, written as "2025-26"
+export const parseFinancialYear = (financialYear) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(financialYear || '');
+    if (!match || (parseInt(match[1]) + 1) % 100 !== parseInt(match[2])) return null;
+
+    const startYear = parseInt(match[1]);
+    return {
+        financial_year: financialYear,
+        period_start: `${startYear}-04-01`,
+        period_end: `${startYear + 1}-03-31`
+    };
+};
+
+// The financial year a date falls in, e.g. 2026-02-10 -> "2025-26"
+export const getFinancialYear = (date = new Date()) => {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const toTonnes = (kg) => Math.round(kg / 10) / 100;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Compile the annual e-waste return (Form-3 under the E-Waste (Management) Rules) from the
+ * requests completed in a financial year: quantities by category, the recyclers used and the
+ * Certificates of Recycling issued. department narrows the return to one generator.
+ */
+export const buildAnnualReturn = async (financialYear, { department = null, generatedBy = null } = {}) => {
+    const period = parseFinancialYear(financialYear);
+
+    // Completion time from the status history, falling back to the last update for older requests
+    const requestsResult = await executeQuery(`
+        SELECT dr.id, dr.request_id, dr.department, dr.weight_kg, dr.item_count, dr.vendor_id,
+            dr.data_destruction_method, u.name as vendor_name,
+            rc.certificate_number, rc.status as certificate_status, rc.ipfs_hash as certificate_cid,
+            rc.total_weight_kg as certified_weight_kg,
+            COALESCE(rc.completed_at, h.completed_at, dr.updated_at) as completed_at
+        FROM disposal_requests dr
+        LEFT JOIN (
+            SELECT disposal_request_id, MAX(changed_at) as completed_at
+            FROM disposal_status_history
+            WHERE new_status = 'completed'
+            GROUP BY disposal_request_id
+        ) h ON h.disposal_request_id = dr.id
+        LEFT JOIN recycling_certificates rc ON rc.disposal_request_id = dr.id
+        LEFT JOIN users u ON u.id = dr.vendor_id
+        WHERE dr.status = 'completed'
+            AND DATE(COALESCE(rc.completed_at, h.completed_at, dr.updated_at)) BETWEEN ? AND ?
+            ${department ? 'AND dr.department = ?' : ''}
+        ORDER BY completed_at ASC
+    `, [period.period_start, period.period_end, ...(department ? [department] : [])]);
+
+    if (!requestsResult.success) {
+        throw new Error('Failed to fetch completed disposal requests');
+    }
+
+    const requests = requestsResult.data;
+    const requestIds = requests.map(request => request.id);
+    const lineItems = await getRequestLineItems(executeQuery, requestIds);
+
+    const devicesResult = requestIds.length > 0
+        ? await executeQuery(`
+            SELECT d.device_type, COUNT(*) as count
+            FROM disposal_request_items dri
+            JOIN devices d ON d.id = dri.device_id
+            WHERE dri.disposal_request_id IN (${requestIds.map(() => '?').join(', ')})
+            GROUP BY d.device_type
+            ORDER BY count DESC
+        `, requestIds)
+        : { success: true, data: [] };
+
+    const vendorIds = [...new Set(requests.map(request => request.vendor_id).filter(Boolean))];
+    const vendorsResult = vendorIds.length > 0
+        ? await executeQuery(`
+            SELECT id, name, email, phone FROM users
+            WHERE id IN (${vendorIds.map(() => '?').join(', ')})
+        `, vendorIds)
+        : { success: true, data: [] };
+
+    // Certifications the recycler quoted on the bids they were awarded
+    const bidsResult = requestIds.length > 0
+        ? await executeQuery(`
+            SELECT vendor_id, certifications FROM disposal_bids
+            WHERE status = 'awarded' AND disposal_request_id IN (${requestIds.map(() => '?').join(', ')})
+        `, requestIds)
+        : { success: true, data: [] };
+
+    // Weighed (certified) quantity wins over the department's declaration
+    const requestWeight = (request) => parseFloat(request.certified_weight_kg ?? request.weight_kg ?? 0) || 0;
+
+    const classifiedItems = requests.flatMap(request => lineItems[request.id].length > 0
+        ? lineItems[request.id]
+        : [{
+            disposal_request_id: request.id,
+            category_code: UNCLASSIFIED.code,
+            quantity: request.item_count || 0,
+            weight_kg: requestWeight(request),
+            hazardous: false,
+            hazard_types: []
+        }]);
+
+    const categories = summariseByCategory(classifiedItems).map(row => ({
+        ...row,
+        category_name: row.category_code === UNCLASSIFIED.code ? UNCLASSIFIED.name : row.category_name,
+        weight_mt: toTonnes(row.weight_kg)
+    }));
+
+    const vendors = vendorsResult.data.map(vendor => {
+        const vendorRequests = requests.filter(request => request.vendor_id === vendor.id);
+        const certifications = new Set(bidsResult.data
+            .filter(bid => bid.vendor_id === vendor.id)
+            .flatMap(bid => (typeof bid.certifications === 'string' ? JSON.parse(bid.certifications) : bid.certifications) || []));
+
+        return {
+            vendor_id: vendor.id,
+            name: vendor.name,
+            email: vendor.email,
+            phone: vendor.phone,
+            certifications: [...certifications],
+            requests: vendorRequests.length,
+            weight_kg: round(vendorRequests.reduce((total, request) => total + requestWeight(request), 0)),
+            certificate_numbers: vendorRequests.map(request => request.certificate_number).filter(Boolean)
+        };
+    });
+
+    const totalWeight = round(requests.reduce((total, request) => total + requestWeight(request), 0));
+
+    return {
+        ...period,
+        department,
+        generated_at: new Date().toISOString(),
+        generated_by: generatedBy,
+        totals: {
+            requests: requests.length,
+            quantity: categories.reduce((total, row) => total + row.quantity, 0),
+            weight_kg: totalWeight,
+            weight_mt: toTonnes(totalWeight),
+            hazardous_weight_kg: round(categories.reduce((total, row) => total + row.hazardous_weight_kg, 0)),
+            certificates_issued: requests.filter(request => request.certificate_status === 'issued').length
+        },
+        categories,
+        device_types: devicesResult.success ? devicesResult.data : [],
+        vendors,
+        requests: requests.map(request => ({
+            request_id: request.request_id,
+            department: request.department,
+            completed_at: request.completed_at,
+            vendor_name: request.vendor_name,
+            weight_kg: round(requestWeight(request)),
+            data_destruction_method: request.data_destruction_method,
+            certificate_number: request.certificate_number,
+            certificate_status: request.certificate_status,
+            certificate_cid: request.certificate_cid,
+            line_items: lineItems[request.id].length > 0
+                ? lineItems[request.id]
+                : classifiedItems.filter(item => item.disposal_request_id === request.id)
+        }))
+    };
+};
+
+// One row per request and category, for spreadsheets
+export const ANNUAL_RETURN_CSV_COLUMNS = [
+    { key: 'financial_year', header: 'Financial Year' },
+    { key: 'request_id', header: 'Request ID' },
+    { key: 'department', header: 'Department' },
+    { key: 'completed_at', header: 'Completed' },
+    { key: 'category_code', header: 'Category Code' },
+    { key: 'category_name', header: 'Category' },
+    { key: 'quantity', header: 'Quantity (Nos)' },
+    { key: 'weight_kg', header: 'Weight (kg)' },
+    { key: 'hazards', header: 'Hazardous Components' },
+    { key: 'vendor_name', header: 'Recycler' },
+    { key: 'certificate_number', header: 'Certificate Number' },
+    { key: 'certificate_cid', header: 'Certificate IPFS CID' }
+];
+
+export const getAnnualReturnRows = (report) => report.requests.flatMap(request => request.line_items.map(item => ({
+    financial_year: report.financial_year,
+    request_id: request.request_id,
+    department: request.department,
+    completed_at: request.completed_at,
+    category_code: item.category_code,
+    category_name: item.category_code === UNCLASSIFIED.code ? UNCLASSIFIED.name : item.category_name,
+    quantity: item.quantity,
+    weight_kg: item.weight_kg,
+    hazards: item.hazard_types.map(hazard => HAZARD_TYPES[hazard]?.label || hazard).join('; '),
+    vendor_name: request.vendor_name,
+    certificate_number: request.certificate_number,
+    certificate_cid: request.certificate_cid
+})));
+
+const formatDay = (value) => value ? new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A';
+
+// Table with a repeated header on each new page; columns is a list of { label, width, align }
+const drawTable = (doc, columns, rows, startY) => {
+    const left = 20 * MM;
+    const bottom = doc.page.height - 25 * MM;
+    const tableWidth = columns.reduce((total, column) => total + column.width, 0);
+    let y = startY;
+
+    const drawRow = (values, font) => {
+        let x = left;
+        doc.font(font).fontSize(8.5).fillColor('#000000');
+        values.forEach((value, i) => {
+            doc.text(String(value ?? '—'), x, y, {
+                width: columns[i].width - 4,
+                align: columns[i].align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += columns[i].width;
+        });
+        y += 13;
+    };
+
+    const drawHeader = () => {
+        drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+        doc.moveTo(left, y - 3).lineTo(left + tableWidth, y - 3).strokeColor('#999999').stroke();
+    };
+
+    drawHeader();
+    rows.forEach(row => {
+        if (y > bottom) {
+            doc.addPage();
+            y = 20 * MM;
+            drawHeader();
+        }
+        drawRow(row, 'Helvetica');
+    });
+
+    return y;
+};
+
+const drawSection = (doc, title, y) => {
+    if (y > doc.page.height - 45 * MM) {
+        doc.addPage();
+        y = 20 * MM;
+    }
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(title, 20 * MM, y + 10);
+    return doc.y + 6;
+};
+
+// Render the annual return as a PDF, laid out after Form-3
+export const renderAnnualReturnPdf = (report) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 20 * MM });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const left = 20 * MM;
+    const width = doc.page.width - 40 * MM;
+
+    doc.font('Helvetica-Bold').fontSize(16).text('Annual Return of E-Waste Generated', left, 20 * MM, { width });
+    doc.font('Helvetica').fontSize(9.5).fillColor('#555555')
+        .text('Form-3, E-Waste (Management) Rules - filed by the bulk consumer', left, doc.y + 2, { width })
+        .fillColor('#000000');
+
+    doc.font('Helvetica').fontSize(9.5).text(
+        `Generator: ${report.department || 'All departments'}\n`
+        + `Financial year: ${report.financial_year} (${formatDay(report.period_start)} to ${formatDay(report.period_end)})\n`
+        + `Generated: ${formatDay(report.generated_at)}${report.generated_by ? ` by ${report.generated_by}` : ''}`,
+        left, doc.y + 10, { width }
+    );
+
+    doc.font('Helvetica').fontSize(9.5).text(
+        `${report.totals.requests} completed disposal requests, ${report.totals.quantity} items, `
+        + `${report.totals.weight_kg.toFixed(2)} kg (${report.totals.weight_mt.toFixed(2)} MT) of which `
+        + `${report.totals.hazardous_weight_kg.toFixed(2)} kg contained hazardous components. `
+        + `${report.totals.certificates_issued} Certificates of Recycling issued.`,
+        left, doc.y + 8, { width }
+    );
+
+    let y = drawSection(doc, 'Part A - Quantity of e-waste by category (Schedule I)', doc.y);
+    y = report.categories.length > 0
+        ? drawTable(doc, [
+            { label: 'Code', width: 70 },
+            { label: 'Category', width: 190 },
+            { label: 'Nos', width: 45, align: 'right' },
+            { label: 'kg', width: 60, align: 'right' },
+            { label: 'MT', width: 50, align: 'right' },
+            { label: 'Hazardous kg', width: 65, align: 'right' }
+        ], report.categories.map(row => [
+            row.category_code,
+            row.category_name,
+            row.quantity,
+            row.weight_kg.toFixed(2),
+            row.weight_mt.toFixed(2),
+            row.hazardous_weight_kg.toFixed(2)
+        ]), y)
+        : doc.font('Helvetica').fontSize(9).text('No e-waste was disposed of in this financial year.', left, y).y;
+
+    if (report.device_types.length > 0) {
+        y = drawSection(doc, 'Registered devices disposed of, by type', y);
+        y = drawTable(doc, [
+            { label: 'Device type', width: 200 },
+            { label: 'Devices', width: 60, align: 'right' }
+        ], report.device_types.map(row => [row.device_type, row.count]), y);
+    }
+
+    y = drawSection(doc, 'Part B - Recyclers the e-waste was handed over to', y);
+    y = report.vendors.length > 0
+        ? drawTable(doc, [
+            { label: 'Recycler', width: 110 },
+            { label: 'Contact', width: 120 },
+            { label: 'Authorisation / certifications', width: 130 },
+            { label: 'Requests', width: 50, align: 'right' },
+            { label: 'kg', width: 70, align: 'right' }
+        ], report.vendors.map(vendor => [
+            vendor.name,
+            [vendor.email, vendor.phone].filter(Boolean).join(', '),
+            vendor.certifications.join(', ') || 'Not recorded',
+            vendor.requests,
+            vendor.weight_kg.toFixed(2)
+        ]), y)
+        : doc.font('Helvetica').fontSize(9).text('No recyclers recorded.', left, y).y;
+
+    y = drawSection(doc, 'Part C - Completed disposals and Certificates of Recycling', y);
+    if (report.requests.length > 0) {
+        drawTable(doc, [
+            { label: 'Request', width: 85 },
+            { label: 'Department', width: 60 },
+            { label: 'Completed', width: 65 },
+            { label: 'Recycler', width: 90 },
+            { label: 'kg', width: 50, align: 'right' },
+            { label: 'Certificate', width: 130 }
+        ], report.requests.map(request => [
+            request.request_id,
+            request.department,
+            formatDay(request.completed_at),
+            request.vendor_name || 'Not recorded',
+            request.weight_kg.toFixed(2),
+            request.certificate_number
+                ? `${request.certificate_number}${request.certificate_status === 'issued' ? '' : ' (pending)'}`
+                : 'Not issued'
+        ]), y);
+    }
+
+    doc.end();
+    return finished;
+};
@@ -249,11 +249,12 @@ class DeviceLogService {
                 return { success: false, data: [] };
             }
 
-            // Parse JSON fields
+            // Parse JSON fields (mysql2 already parses JSON columns on most servers)
+            const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value || null);
             const activities = result.data.map(activity => ({
                 ...activity,
-                metadata: activity.metadata ? JSON.parse(activity.metadata) : null,
-                attachments: activity.attachments ? JSON.parse(activity.attachments) : null
+                metadata: parse(activity.metadata),
+                attachments: parse(activity.attachments)
             }));
 
             return { success: true, data: activities };
@@ -287,6 +288,29 @@ class DeviceLogService {
         }
     }
 
+    /**
+     * Get device activity counts grouped by log type
+     */
+    static async getDeviceActivityStats(deviceId) {
+        try {
+            const result = await executeQuery(`
+                SELECT 
+                    log_type,
+                    COUNT(*) as count,
+                    MAX(performed_at) as last_occurrence
+                FROM device_activity_logs
+                WHERE device_id = ?
+                GROUP BY log_type
+                ORDER BY count DESC
+            `, [deviceId]);
+
+            return result.success ? { success: true, data: result.data } : { success: false, data: [] };
+        } catch (error) {
+            console.error('Error getting device activity stats:', error);
+            return { success: false, data: [] };
+        }
+    }
+
     /**
      * Get device state change history
      */
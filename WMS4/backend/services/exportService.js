@@ -0,0 +1,39 @@
+// CSV export helpers shared by report and audit endpoints
+
+// Quote a single value so commas, quotes and newlines survive spreadsheet import
+const escapeCSVValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const stringValue = value instanceof Date
+        ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    if (/[",\r\n]/.test(stringValue)) {
+        return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+
+    return stringValue;
+};
+
+// Build a CSV document from rows; columns is a list of { key, header }
+export const toCSV = (rows, columns) => {
+    const header = columns.map(column => escapeCSVValue(column.header || column.key)).join(',');
+    const lines = rows.map(row => columns.map(column => escapeCSVValue(row[column.key])).join(','));
+
+    return [header, ...lines].join('\r\n');
+};
+
+// Send a CSV or JSON payload as a file download
+export const sendExport = (res, { format, filename, rows, columns, payload }) => {
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.send(toCSV(rows, columns));
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    return res.send(JSON.stringify(payload ?? rows, null, 2));
+};
@@ -0,0 +1,126 @@
+import PDFDocument from 'pdfkit';
+import { Buffer } from 'buffer';
+import { generateQRBuffer } from './qrCodeService.js';
+
+const INCH = 72;
+const MM = 72 / 25.4;
+
+// Avery-style sheet layouts, all measurements in PDF points
+export const LABEL_LAYOUTS = {
+    L7160: {
+        description: 'A4, 21 labels (63.5 x 38.1 mm)',
+        size: 'A4',
+        columns: 3,
+        rows: 7,
+        labelWidth: 63.5 * MM,
+        labelHeight: 38.1 * MM,
+        marginTop: 15.15 * MM,
+        marginLeft: 7.21 * MM,
+        pitchX: 66.04 * MM,
+        pitchY: 38.1 * MM
+    },
+    L7163: {
+        description: 'A4, 14 labels (99.1 x 38.1 mm)',
+        size: 'A4',
+        columns: 2,
+        rows: 7,
+        labelWidth: 99.1 * MM,
+        labelHeight: 38.1 * MM,
+        marginTop: 15.15 * MM,
+        marginLeft: 4.65 * MM,
+        pitchX: 101.6 * MM,
+        pitchY: 38.1 * MM
+    },
+    5160: {
+        description: 'US Letter, 30 labels (2.625 x 1 in)',
+        size: 'LETTER',
+        columns: 3,
+        rows: 10,
+        labelWidth: 2.625 * INCH,
+        labelHeight: 1 * INCH,
+        marginTop: 0.5 * INCH,
+        marginLeft: 0.1875 * INCH,
+        pitchX: 2.75 * INCH,
+        pitchY: 1 * INCH
+    },
+    5163: {
+        description: 'US Letter, 10 labels (4 x 2 in)',
+        size: 'LETTER',
+        columns: 2,
+        rows: 5,
+        labelWidth: 4 * INCH,
+        labelHeight: 2 * INCH,
+        marginTop: 0.5 * INCH,
+        marginLeft: 0.15625 * INCH,
+        pitchX: 4.1875 * INCH,
+        pitchY: 2 * INCH
+    }
+};
+
+export const DEFAULT_LABEL_LAYOUT = 'L7160';
+
+// Draw one label: QR code on the left, device details on the right
+const drawLabel = (doc, device, qrBuffer, x, y, layout) => {
+    const padding = Math.min(6, layout.labelHeight * 0.08);
+    const qrSize = layout.labelHeight - padding * 2;
+    const textX = x + padding + qrSize + padding;
+    const textWidth = layout.labelWidth - qrSize - padding * 3;
+    const baseFont = Math.max(6, Math.min(10, layout.labelHeight / 9));
+
+    doc.image(qrBuffer, x + padding, y + padding, { width: qrSize, height: qrSize });
+
+    doc.font('Helvetica-Bold')
+        .fontSize(baseFont)
+        .text(device.device_id, textX, y + padding, { width: textWidth, lineBreak: false, ellipsis: true });
+
+    doc.font('Helvetica')
+        .fontSize(baseFont)
+        .text(device.device_name, textX, doc.y + 2, {
+            width: textWidth,
+            height: baseFont * 2.6,
+            ellipsis: true
+        });
+
+    doc.fontSize(baseFont - 1)
+        .fillColor('#555555')
+        .text(device.current_department || '', textX, doc.y + 2, { width: textWidth, lineBreak: false, ellipsis: true })
+        .fillColor('#000000');
+};
+
+// Render devices onto label sheets; startPosition skips already-used labels on the first sheet
+export const renderLabelSheet = async (devices, layoutKey = DEFAULT_LABEL_LAYOUT, { startPosition = 1 } = {}) => {
+    const layout = LABEL_LAYOUTS[layoutKey];
+    const perSheet = layout.columns * layout.rows;
+
+    const qrBuffers = [];
+    for (const device of devices) {
+        qrBuffers.push(await generateQRBuffer(device));
+    }
+
+    const doc = new PDFDocument({ size: layout.size, margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    devices.forEach((device, index) => {
+        const slot = index + startPosition - 1;
+        const position = slot % perSheet;
+
+        if (index === 0 || position === 0) {
+            doc.addPage({ size: layout.size, margin: 0 });
+        }
+
+        const column = position % layout.columns;
+        const row = Math.floor(position / layout.columns);
+        const x = layout.marginLeft + column * layout.pitchX;
+        const y = layout.marginTop + row * layout.pitchY;
+
+        drawLabel(doc, device, qrBuffers[index], x, y, layout);
+    });
+
+    doc.end();
+    return finished;
+};
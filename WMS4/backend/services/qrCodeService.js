@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const QR_SIGNING_ALGORITHM = 'ES256';
+const JWS_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+let signingKeys = null;
+
+// Load the QR signing key from the environment or key file, generating one on first run
+const getSigningKeys = () => {
+    if (signingKeys) return signingKeys;
+
+    let privateKeyPem = process.env.QR_SIGNING_PRIVATE_KEY
+        ? process.env.QR_SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n')
+        : null;
+
+    if (!privateKeyPem) {
+        const keyPath = process.env.QR_SIGNING_KEY_PATH || path.join(__dirname, '../keys/qr_signing_key.pem');
+
+        if (fs.existsSync(keyPath)) {
+            privateKeyPem = fs.readFileSync(keyPath, 'utf8');
+        } else {
+            console.warn('⚠️ QR: No signing key configured, generating a new one at', keyPath);
+            const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+            privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+            fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+            fs.writeFileSync(keyPath, privateKeyPem, { mode: 0o600 });
+        }
+    }
+
+    const privateKey = crypto.createPrivateKey(privateKeyPem);
+    const publicKey = crypto.createPublicKey(privateKey);
+    const keyId = crypto
+        .createHash('sha256')
+        .update(publicKey.export({ type: 'spki', format: 'der' }))
+        .digest('hex')
+        .slice(0, 16);
+
+    signingKeys = { privateKey, publicKey, keyId };
+    return signingKeys;
+};
+
+// Claims encoded in every device QR code; scanners parse this exact JSON shape
+const buildQRClaims = (device) => ({
+    device_id: device.device_id,
+    qr_code: device.qr_code,
+    device_name: device.device_name,
+    device_type: device.device_type,
+    department: device.current_department,
+    registered_date: new Date(device.registration_date || Date.now()).toISOString()
+});
+
+// Unsigned payload (legacy labels printed before signing was introduced)
+export const buildQRPayload = (device) => JSON.stringify(buildQRClaims(device));
+
+// Compact JWS whose claims are the same JSON as buildQRPayload
+export const buildSignedQRPayload = (device) => {
+    const { privateKey, keyId } = getSigningKeys();
+    return jwt.sign(buildQRClaims(device), privateKey, {
+        algorithm: QR_SIGNING_ALGORITHM,
+        keyid: keyId,
+        noTimestamp: true
+    });
+};
+
+// Work out what a scanned QR string contains and whether it can be trusted
+export const verifyQRPayload = (raw) => {
+    const value = String(raw || '').trim();
+
+    if (JWS_PATTERN.test(value)) {
+        const { publicKey } = getSigningKeys();
+        try {
+            const claims = jwt.verify(value, publicKey, { algorithms: [QR_SIGNING_ALGORITHM] });
+            return { format: 'signed', signed: true, verified: true, claims };
+        } catch (error) {
+            return { format: 'signed', signed: true, verified: false, claims: jwt.decode(value) || {}, reason: error.message };
+        }
+    }
+
+    if (value.startsWith('{')) {
+        try {
+            return { format: 'json', signed: false, verified: false, claims: JSON.parse(value) };
+        } catch {
+            return { format: 'invalid', signed: false, verified: false, claims: {} };
+        }
+    }
+
+    // Bare qr_code identifier, as used by the web app itself
+    return { format: 'identifier', signed: false, verified: false, claims: { qr_code: value } };
+};
+
+// A label is forged when its signature fails, its claims don't match the device,
+// or it is an unsigned payload while signatures are required
+export const isForgedQR = (verification, device) =>
+    (verification.signed && !verification.verified)
+    || (verification.claims.device_id !== undefined && verification.claims.device_id !== device.device_id)
+    || (verification.format === 'json' && process.env.QR_REQUIRE_SIGNATURE === 'true');
+
+// Public key details for offline label verification
+export const getQRPublicKey = () => {
+    const { publicKey, keyId } = getSigningKeys();
+    return {
+        algorithm: QR_SIGNING_ALGORITHM,
+        key_id: keyId,
+        public_key_pem: publicKey.export({ type: 'spki', format: 'pem' }),
+        jwk: {
+            ...publicKey.export({ format: 'jwk' }),
+            kid: keyId,
+            alg: QR_SIGNING_ALGORITHM,
+            use: 'sig'
+        }
+    };
+};
+
+// QR image as a data URL (shown in the UI after registration)
+export const generateQRDataURL = (device) => QRCode.toDataURL(buildSignedQRPayload(device), {
+    width: parseInt(process.env.QR_CODE_SIZE) || 256,
+    margin: 2
+});
+
+// QR image as a PNG buffer (embedded in printed label sheets)
+export const generateQRBuffer = (device, width = 300) => QRCode.toBuffer(buildSignedQRPayload(device), {
+    width,
+    margin: 1
+});
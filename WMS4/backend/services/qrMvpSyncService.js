@@ -0,0 +1,412 @@
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import { executeQuery, executeTransaction } from '../config/database.js';
+import { generateDeviceId } from '../controllers/deviceController.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONDITIONS = ['excellent', 'good', 'fair', 'poor', 'damaged'];
+
+// Free-text QR_MVP conditions mapped onto devices.condition_status
+const CONDITION_SYNONYMS = {
+    new: 'excellent',
+    'like new': 'excellent',
+    working: 'good',
+    functional: 'good',
+    average: 'fair',
+    used: 'fair',
+    'needs repair': 'poor',
+    faulty: 'poor',
+    broken: 'damaged',
+    'not working': 'damaged',
+    dead: 'damaged'
+};
+
+// QR_MVP fields stored in device columns, in order of preference
+const COLUMN_FIELDS = {
+    device_name: ['productName'],
+    device_type: ['deviceType', 'category', 'wasteType'],
+    brand: ['brand'],
+    model: ['model'],
+    serial_number: ['serialNumber'],
+    purchase_date: ['purchaseDate'],
+    warranty_expiry: ['warrantyExpiry'],
+    condition_status: ['condition', 'workingCondition'],
+    current_location: ['sourceLocation'],
+    current_department: ['department'],
+    notes: ['notes', 'comments']
+};
+
+// Technical fields kept at the top level of devices.specifications, like the web registration form
+const SPECIFICATION_FIELDS = ['processor', 'memory', 'storage', 'screenSize', 'resolution', 'operatingSystem', 'connectivity', 'ports'];
+
+// Column length limits from the devices table
+const COLUMN_LIMITS = {
+    device_name: 255,
+    device_type: 100,
+    brand: 100,
+    model: 100,
+    serial_number: 255,
+    current_location: 255,
+    current_department: 100
+};
+
+// QR_MVP writes devices.json and Gdata.csv into its working directory
+export const getQrMvpDataDir = () => process.env.QR_MVP_DATA_DIR || path.join(__dirname, '../../../QR_MVP');
+
+// JSON columns come back parsed from mysql2, but older rows may hold raw strings
+const parseSpecifications = (value) => {
+    if (!value) return {};
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return {};
+    }
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const firstValue = (record, fields) => {
+    const field = fields.find(name => !isBlank(record[name]));
+    return field ? String(record[field]).trim() : null;
+};
+
+const normalizeDate = (value) => {
+    if (isBlank(value)) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+};
+
+const normalizeCondition = (value) => {
+    if (isBlank(value)) return 'good';
+    const condition = String(value).trim().toLowerCase();
+    if (CONDITIONS.includes(condition)) return condition;
+    return CONDITION_SYNONYMS[condition] || 'good';
+};
+
+// Records from both files describe the same registration when they share a QR code or device ID
+const recordKey = (record) => record.qrCode || record.deviceId || null;
+
+const readJsonRecords = (filePath) => {
+    if (!fs.existsSync(filePath)) return [];
+    const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(records) ? records : [];
+};
+
+// Gdata.csv has a deviceFields header; blank cells are dropped so they don't override devices.json
+const readCsvRecords = (filePath) => {
+    if (!fs.existsSync(filePath)) return [];
+    const workbook = XLSX.read(fs.readFileSync(filePath, 'utf8'), { type: 'string', raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }).map(row =>
+        Object.fromEntries(Object.entries(row).filter(([, value]) => !isBlank(value)))
+    );
+};
+
+// Load every QR_MVP registration, preferring devices.json where both files hold the same record
+export const loadQrMvpRecords = (dataDir = getQrMvpDataDir()) => {
+    const jsonRecords = readJsonRecords(path.join(dataDir, 'devices.json'));
+    const csvRecords = readCsvRecords(path.join(dataDir, 'Gdata.csv'));
+
+    const merged = new Map();
+    const unkeyed = [];
+
+    for (const record of [...csvRecords, ...jsonRecords]) {
+        const key = recordKey(record);
+        if (!key) {
+            unkeyed.push(record);
+        } else {
+            merged.set(key, { ...merged.get(key), ...record });
+        }
+    }
+
+    // Oldest first, so later registrations win when serial numbers collide
+    const updatedAt = (record) => Date.parse(record.lastUpdated || record.registrationDate) || 0;
+    return [...merged.values(), ...unkeyed].sort((a, b) => updatedAt(a) - updatedAt(b));
+};
+
+// Map a QR_MVP record onto device columns; every field not stored in a column is kept under specifications.qr_mvp
+export const mapQrMvpRecord = (record) => {
+    const device = {};
+    for (const [column, fields] of Object.entries(COLUMN_FIELDS)) {
+        device[column] = firstValue(record, fields);
+    }
+
+    if (!device.device_name) {
+        device.device_name = [device.brand, device.model].filter(Boolean).join(' ') || device.device_type;
+    }
+    device.purchase_date = normalizeDate(device.purchase_date);
+    device.warranty_expiry = normalizeDate(device.warranty_expiry);
+    device.condition_status = normalizeCondition(device.condition_status);
+
+    const specifications = {};
+    if (record.specifications && typeof record.specifications === 'object') {
+        Object.assign(specifications, record.specifications);
+    } else if (!isBlank(record.specifications)) {
+        specifications.description = String(record.specifications);
+    }
+    for (const field of SPECIFICATION_FIELDS) {
+        if (!isBlank(record[field])) specifications[field] = String(record[field]);
+    }
+
+    // Fields copied verbatim into columns are not repeated; normalised ones keep their original text
+    const copiedFields = new Set(['productName', 'deviceType', 'brand', 'model', 'serialNumber', 'sourceLocation', 'notes']);
+    const original = {};
+    for (const [field, value] of Object.entries(record)) {
+        if (isBlank(value) || field === 'specifications' || SPECIFICATION_FIELDS.includes(field) || copiedFields.has(field)) continue;
+        original[field] = value;
+    }
+    specifications.qr_mvp = original;
+
+    const errors = [];
+    if (!device.device_name) errors.push('Record has no product name, brand/model or device type');
+    if (!device.device_type) errors.push('Record has no device type, category or waste type');
+    for (const [column, limit] of Object.entries(COLUMN_LIMITS)) {
+        if (device[column] && device[column].length > limit) {
+            errors.push(`${column} is longer than ${limit} characters`);
+        }
+    }
+
+    return { device, specifications, errors };
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Existing devices matching the incoming serial numbers or original QR strings
+const findExistingDevices = async (serials, qrCodes) => {
+    const conditions = [];
+    const params = [];
+
+    if (serials.length > 0) {
+        conditions.push(`serial_number IN (${placeholders(serials)})`);
+        params.push(...serials);
+    }
+    if (qrCodes.length > 0) {
+        conditions.push(`qr_code IN (${placeholders(qrCodes)})`);
+        conditions.push(`JSON_UNQUOTE(JSON_EXTRACT(specifications, '$.qr_mvp.qrCode')) IN (${placeholders(qrCodes)})`);
+        params.push(...qrCodes, ...qrCodes);
+    }
+    if (conditions.length === 0) return [];
+
+    const result = await executeQuery(`
+        SELECT id, device_id, qr_code, serial_number, current_department, specifications
+        FROM devices
+        WHERE ${conditions.join(' OR ')}
+    `, params);
+
+    if (!result.success) {
+        throw new Error('Failed to look up existing devices');
+    }
+    return result.data.map(row => ({ ...row, specifications: parseSpecifications(row.specifications) }));
+};
+
+const takenDeviceIds = async (deviceIds) => {
+    if (deviceIds.length === 0) return new Set();
+    const result = await executeQuery(
+        `SELECT device_id FROM devices WHERE device_id IN (${placeholders(deviceIds)})`,
+        deviceIds
+    );
+    return new Set(result.success ? result.data.map(row => row.device_id) : []);
+};
+
+// Admin account credited with registrations when the sync runs unattended
+export const getQrMvpSyncUser = async () => {
+    const result = process.env.QR_MVP_SYNC_USER_ID
+        ? await executeQuery('SELECT id, name, department FROM users WHERE id = ?', [process.env.QR_MVP_SYNC_USER_ID])
+        : await executeQuery(`SELECT id, name, department FROM users WHERE role = 'admin' AND is_active = TRUE ORDER BY id LIMIT 1`);
+
+    return result.success && result.data.length > 0 ? result.data[0] : null;
+};
+
+/**
+ * Sync QR_MVP's file-based registry into the devices table.
+ * Records are de-duplicated by serial number (then by QR code); matches update the
+ * existing device, new records are registered with their original QR string as qr_code.
+ */
+export const syncQrMvpDevices = async ({ dataDir = getQrMvpDataDir(), commit = false, user, defaultDepartment } = {}) => {
+    const records = loadQrMvpRecords(dataDir);
+    const department = defaultDepartment || process.env.QR_MVP_DEFAULT_DEPARTMENT || user.department;
+
+    const mapped = records.map(record => ({ record, ...mapQrMvpRecord(record) }));
+
+    // Later registrations of the same serial replace earlier ones
+    const bySerial = new Map();
+    const withoutSerial = [];
+    const report = [];
+
+    for (const entry of mapped) {
+        const serial = entry.device.serial_number;
+        if (!serial) {
+            withoutSerial.push(entry);
+            continue;
+        }
+        const key = serial.toUpperCase();
+        if (bySerial.has(key)) {
+            report.push({
+                qr_code: bySerial.get(key).record.qrCode || null,
+                serial_number: serial,
+                action: 'duplicate',
+                errors: [],
+                message: `Superseded by a later QR_MVP record with serial ${serial}`
+            });
+        }
+        bySerial.set(key, entry);
+    }
+    const entries = [...bySerial.values(), ...withoutSerial];
+
+    const existing = await findExistingDevices(
+        entries.map(entry => entry.device.serial_number).filter(Boolean),
+        entries.map(entry => entry.record.qrCode).filter(Boolean)
+    );
+    const taken = await takenDeviceIds(entries.map(entry => entry.record.deviceId).filter(Boolean));
+
+    const findMatch = ({ device, record }) => existing.find(row =>
+        (device.serial_number && row.serial_number && row.serial_number.toUpperCase() === device.serial_number.toUpperCase())
+        || (record.qrCode && (row.qr_code === record.qrCode || row.specifications.qr_mvp?.qrCode === record.qrCode))
+    );
+
+    const queries = [];
+
+    for (const entry of entries) {
+        const { record, device, specifications, errors } = entry;
+        const match = errors.length === 0 ? findMatch(entry) : null;
+        const lastUpdated = record.lastUpdated || record.registrationDate || null;
+
+        const row = {
+            qr_code: record.qrCode || null,
+            serial_number: device.serial_number,
+            device_name: device.device_name,
+            errors
+        };
+
+        if (errors.length > 0) {
+            report.push({ ...row, action: 'invalid' });
+            continue;
+        }
+
+        if (match) {
+            const previous = match.specifications.qr_mvp || {};
+            if (lastUpdated && (previous.lastUpdated || previous.registrationDate) === lastUpdated) {
+                report.push({ ...row, device_id: match.device_id, action: 'unchanged' });
+                continue;
+            }
+
+            report.push({ ...row, device_id: match.device_id, action: 'update' });
+            queries.push({
+                sql: `
+                    UPDATE devices SET
+                        brand = COALESCE(?, brand),
+                        model = COALESCE(?, model),
+                        serial_number = COALESCE(serial_number, ?),
+                        purchase_date = COALESCE(?, purchase_date),
+                        warranty_expiry = COALESCE(?, warranty_expiry),
+                        condition_status = ?,
+                        current_location = COALESCE(?, current_location),
+                        specifications = ?
+                    WHERE id = ?
+                `,
+                params: [
+                    device.brand, device.model, device.serial_number,
+                    device.purchase_date, device.warranty_expiry, device.condition_status,
+                    device.current_location,
+                    JSON.stringify({ ...match.specifications, ...specifications }),
+                    match.id
+                ]
+            });
+            queries.push({
+                sql: `
+                    INSERT INTO device_activity_logs (
+                        device_id, log_type, action_description, performed_by, metadata, notes
+                    ) VALUES (?, 'specification_update', ?, ?, ?, ?)
+                `,
+                params: [
+                    match.id,
+                    'Device details synced from the QR MVP registry',
+                    user.id,
+                    JSON.stringify({ source: 'qr_mvp', qr_code: record.qrCode || null, last_updated: lastUpdated }),
+                    `Synced by ${user.name}`
+                ]
+            });
+            continue;
+        }
+
+        const deviceDepartment = device.current_department || department;
+        const deviceId = record.deviceId && !taken.has(record.deviceId)
+            ? record.deviceId
+            : generateDeviceId(deviceDepartment, device.device_type);
+        taken.add(deviceId);
+
+        // Keep the QR_MVP label working: its QR string becomes the device's qr_code
+        const qrCode = record.qrCode || `QRMVP-${deviceId}`;
+
+        report.push({ ...row, device_id: deviceId, qr_code: qrCode, department: deviceDepartment, action: 'create' });
+        queries.push({
+            sql: `
+                INSERT INTO devices (
+                    device_id, qr_code, device_name, device_type, brand, model,
+                    serial_number, purchase_date, warranty_expiry, condition_status,
+                    current_location, current_department, registered_by, specifications, notes
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            params: [
+                deviceId, qrCode, device.device_name, device.device_type, device.brand, device.model,
+                device.serial_number, device.purchase_date, device.warranty_expiry, device.condition_status,
+                device.current_location, deviceDepartment, user.id, JSON.stringify(specifications), device.notes
+            ]
+        });
+    }
+
+    const summary = {
+        total_records: records.length,
+        created: report.filter(row => row.action === 'create').length,
+        updated: report.filter(row => row.action === 'update').length,
+        unchanged: report.filter(row => row.action === 'unchanged').length,
+        duplicates: report.filter(row => row.action === 'duplicate').length,
+        invalid: report.filter(row => row.action === 'invalid').length
+    };
+
+    if (!commit || queries.length === 0) {
+        return { success: true, dry_run: !commit, summary, records: report };
+    }
+
+    const result = await executeTransaction(queries);
+    if (!result.success) {
+        return { success: false, dry_run: false, summary, records: report, message: 'Sync failed, no devices were changed' };
+    }
+
+    return { success: true, dry_run: false, summary, records: report };
+};
+
+// Periodically pull new QR MVP registrations into department inventories
+export const scheduleQrMvpSync = () => {
+    const minutes = parseInt(process.env.QR_MVP_SYNC_INTERVAL_MINUTES);
+    if (!minutes || minutes <= 0) return;
+
+    const runSync = async () => {
+        try {
+            const user = await getQrMvpSyncUser();
+            if (!user) {
+                console.warn('⚠️ QR MVP sync skipped: no admin user to register devices as');
+                return;
+            }
+            const result = await syncQrMvpDevices({ commit: true, user });
+            const { created, updated } = result.summary;
+            if (!result.success) {
+                console.error('❌ QR MVP sync failed:', result.message);
+            } else if (created > 0 || updated > 0) {
+                console.log(`🔄 QR MVP sync: ${created} devices created, ${updated} updated`);
+            }
+        } catch (error) {
+            console.error('❌ QR MVP sync error:', error);
+        }
+    };
+
+    console.log(`🔄 QR MVP registry sync every ${minutes} minutes`);
+    runSync();
+    setInterval(runSync, minutes * 60 * 1000);
+};
@@ -0,0 +1,382 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { Buffer } from 'buffer';
+import { nanoid } from 'nanoid';
+import { executeQuery } from '../config/database.js';
+import { uploadToIPFS, getIPFSUrl } from './ipfsService.js';
+import { getPickupProof } from '../../../shared/pickupProof.mjs';
+import { describeSanitisation, isStorageDeviceType } from '../../../shared/dataSanitisation.mjs';
+
+const MM = 72 / 25.4;
+
+// Requests being issued right now, so the completion hook and the background sweep don't upload twice
+const issuing = new Set();
+
+// Public page where anyone holding a certificate number can check it
+export const getVerificationUrl = (certificateNumber) =>
+    `${process.env.CLIENT_URL || 'http://localhost:5173'}/verify/${encodeURIComponent(certificateNumber)}`;
+
+// Snapshot the request, vendor, weights and devices into a certificate record
+const createCertificateRecord = async (request, issuedBy) => {
+    const vendorResult = request.vendor_id
+        ? await executeQuery('SELECT name FROM users WHERE id = ?', [request.vendor_id])
+        : { success: true, data: [] };
+
+    const completedResult = await executeQuery(`
+        SELECT MAX(changed_at) as completed_at FROM disposal_status_history
+        WHERE disposal_request_id = ? AND new_status = 'completed'
+    `, [request.id]);
+
+    const itemsResult = await executeQuery(`
+        SELECT d.id, d.device_id, d.device_name, d.device_type, d.serial_number, dri.weight_kg,
+            dsr.outcome, dsr.method, dsr.tool, dsr.verification_result
+        FROM disposal_request_items dri
+        JOIN devices d ON dri.device_id = d.id
+        LEFT JOIN device_sanitisation_records dsr
+            ON dsr.disposal_request_id = dri.disposal_request_id AND dsr.device_id = d.id
+        WHERE dri.disposal_request_id = ?
+        ORDER BY d.device_id ASC
+    `, [request.id]);
+
+    if (!itemsResult.success) {
+        throw new Error('Failed to load the request manifest');
+    }
+
+    // Weighed quantities from the proof of pickup win over the department's declaration
+    const proof = await getPickupProof(executeQuery, request.id);
+    const certificateNumber = `COR-${new Date().getFullYear()}-${nanoid(8).toUpperCase()}`;
+
+    const insertResult = await executeQuery(`
+        INSERT INTO recycling_certificates (
+            certificate_number, disposal_request_id, vendor_id, vendor_name, department,
+            total_weight_kg, category_weights, device_count, data_destruction_method,
+            requested_at, collected_at, completed_at, issued_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        certificateNumber,
+        request.id,
+        request.vendor_id || null,
+        vendorResult.data[0]?.name || null,
+        request.department,
+        proof ? proof.actual_weight_kg : request.weight_kg,
+        proof ? JSON.stringify(proof.category_weights) : null,
+        itemsResult.data.length,
+        request.data_destruction_method || null,
+        request.created_at,
+        proof ? proof.collected_at : request.pickup_datetime,
+        completedResult.data?.[0]?.completed_at || new Date(),
+        issuedBy || null
+    ]);
+
+    if (!insertResult.success) {
+        throw new Error('Failed to create certificate record');
+    }
+
+    const certificateId = insertResult.data.insertId;
+
+    for (const item of itemsResult.data) {
+        // Per-device sanitisation wins; storage devices without a record fall back to the request's method
+        const sanitisation = item.outcome
+            ? describeSanitisation(item)
+            : isStorageDeviceType(item.device_type) ? request.data_destruction_method || 'Not recorded' : 'No data-bearing media';
+
+        await executeQuery(`
+            INSERT INTO recycling_certificate_items
+            (certificate_id, device_id, device_code, device_name, device_type, serial_number, weight_kg, sanitisation)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [certificateId, item.id, item.device_id, item.device_name, item.device_type, item.serial_number, item.weight_kg, sanitisation]);
+    }
+
+    const createdResult = await executeQuery('SELECT * FROM recycling_certificates WHERE id = ?', [certificateId]);
+    return createdResult.data[0];
+};
+
+const formatDay = (value) => value ? new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A';
+
+// Label/value rows in two columns
+const drawFields = (doc, fields, x, y, width) => {
+    fields.forEach(([label, value], index) => {
+        const rowY = y + index * 16;
+        doc.font('Helvetica').fontSize(9).fillColor('#555555').text(label, x, rowY, { width: 110 });
+        doc.font('Helvetica').fontSize(9).fillColor('#000000').text(String(value ?? 'N/A'), x + 110, rowY, { width: width - 110, lineBreak: false, ellipsis: true });
+    });
+    return y + fields.length * 16;
+};
+
+// Device table with a repeated header on each new page
+const drawDeviceTable = (doc, items, startY) => {
+    const columns = [
+        { label: '#', width: 20 },
+        { label: 'Device ID', width: 85 },
+        { label: 'Serial Number', width: 95 },
+        { label: 'Device', width: 110 },
+        { label: 'Sanitisation', width: 125 },
+        { label: 'kg', width: 45 }
+    ];
+    const left = 20 * MM;
+    const bottom = doc.page.height - 25 * MM;
+    let y = startY;
+
+    const drawHeader = () => {
+        let x = left;
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#000000');
+        columns.forEach(column => {
+            doc.text(column.label, x, y, { width: column.width });
+            x += column.width;
+        });
+        y += 14;
+        doc.moveTo(left, y - 3).lineTo(left + 480, y - 3).strokeColor('#999999').stroke();
+    };
+
+    drawHeader();
+    items.forEach((item, index) => {
+        if (y > bottom) {
+            doc.addPage();
+            y = 20 * MM;
+            drawHeader();
+        }
+        const values = [
+            index + 1,
+            item.device_code,
+            item.serial_number || '—',
+            [item.device_type, item.device_name].filter(Boolean).join(' - '),
+            item.sanitisation || '—',
+            item.weight_kg !== null ? Number(item.weight_kg).toFixed(2) : '—'
+        ];
+        let x = left;
+        doc.font('Helvetica').fontSize(8.5);
+        values.forEach((value, i) => {
+            doc.text(String(value), x, y, { width: columns[i].width - 4, lineBreak: false, ellipsis: true });
+            x += columns[i].width;
+        });
+        y += 13;
+    });
+
+    return y;
+};
+
+// Render the Certificate of Recycling PDF from a certificate record and its device snapshot
+export const renderRecyclingCertificate = async (certificate, items, request) => {
+    const verificationUrl = getVerificationUrl(certificate.certificate_number);
+    const qrBuffer = await QRCode.toBuffer(verificationUrl, { width: 200, margin: 1 });
+
+    const doc = new PDFDocument({ size: 'A4', margin: 20 * MM });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const left = 20 * MM;
+    const width = doc.page.width - 40 * MM;
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Certificate of Recycling', left, 20 * MM, { width: width - 90 });
+    doc.font('Helvetica').fontSize(10).fillColor('#555555')
+        .text('and Data Destruction', left, doc.y + 2, { width: width - 90 })
+        .fillColor('#000000');
+    doc.font('Helvetica-Bold').fontSize(11).text(certificate.certificate_number, left, doc.y + 8);
+    doc.image(qrBuffer, left + width - 80, 18 * MM, { width: 80, height: 80 });
+
+    let y = 55 * MM;
+    doc.font('Helvetica').fontSize(9.5).text(
+        `This certifies that the electronic waste listed below, collected from ${certificate.department} under disposal request `
+        + `${request.request_id}, was received by ${certificate.vendor_name || 'the recycler'} and recycled, with all data-bearing `
+        + `media sanitised or destroyed using the methods stated.`,
+        left, y, { width }
+    );
+
+    y = doc.y + 12;
+    const fieldsBottom = Math.max(
+        drawFields(doc, [
+            ['Generator', certificate.department],
+            ['Contact', request.contact_name],
+            ['Pickup address', request.pickup_address],
+            ['Recycler', certificate.vendor_name || 'Not recorded'],
+            ['Data destruction', certificate.data_destruction_method || 'Not specified']
+        ], left, y, width / 2 - 10),
+        drawFields(doc, [
+            ['Requested', formatDay(certificate.requested_at)],
+            ['Collected', formatDay(certificate.collected_at)],
+            ['Completed', formatDay(certificate.completed_at)],
+            ['Total weight', certificate.total_weight_kg !== null ? `${Number(certificate.total_weight_kg).toFixed(2)} kg` : 'N/A'],
+            ['Devices', certificate.device_count]
+        ], left + width / 2 + 10, y, width / 2 - 10)
+    );
+
+    y = fieldsBottom + 10;
+    const categoryWeights = typeof certificate.category_weights === 'string'
+        ? JSON.parse(certificate.category_weights)
+        : certificate.category_weights;
+    if (categoryWeights && categoryWeights.length > 0) {
+        doc.font('Helvetica-Bold').fontSize(11).text('Weighed quantities', left, y);
+        y = doc.y + 4;
+        categoryWeights.forEach(row => {
+            doc.font('Helvetica').fontSize(9).text(`${row.category}: ${Number(row.weight_kg).toFixed(2)} kg`, left, y);
+            y += 13;
+        });
+        y += 6;
+    }
+
+    doc.font('Helvetica-Bold').fontSize(11).text(`Devices (${items.length})`, left, y);
+    y = items.length > 0 ? drawDeviceTable(doc, items, doc.y + 6) : doc.y + 4;
+    if (items.length === 0) {
+        doc.font('Helvetica').fontSize(9).text('No individual devices were listed on this request.', left, y);
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+        `Verify this certificate at ${verificationUrl}. This PDF is pinned to IPFS; its CID is shown on the verification page.`,
+        left, y + 16, { width }
+    );
+
+    doc.end();
+    return finished;
+};
+
+// Record the certificate as the closing lifecycle event of each listed device
+const recordLifecycleEvents = async (certificate, items, ipfsHash) => {
+    for (const item of items.filter(item => item.device_id)) {
+        await executeQuery(`
+            INSERT INTO device_lifecycle_events (
+                device_id, lifecycle_stage, stage_description, stage_status,
+                started_at, completed_at, managed_by, ipfs_hash
+            ) VALUES (?, 'disposal_complete', ?, 'completed', ?, NOW(), ?, ?)
+        `, [
+            item.device_id,
+            `Certificate of Recycling ${certificate.certificate_number} issued (IPFS ${ipfsHash})`,
+            certificate.completed_at,
+            certificate.issued_by,
+            ipfsHash
+        ]);
+    }
+};
+
+/**
+ * Issue (or finish issuing) the Certificate of Recycling of a completed request.
+ * Creates the certificate record once, then renders the PDF and pins it to IPFS; when the
+ * upload fails the record stays pending_upload and the background sweep retries it.
+ * Returns { success, certificate } or { success: false, httpStatus, message }.
+ */
+export const issueRecyclingCertificate = async (disposalRequestId, { issuedBy = null } = {}) => {
+    if (issuing.has(disposalRequestId)) {
+        return { success: false, httpStatus: 409, message: 'Certificate is already being issued' };
+    }
+    issuing.add(disposalRequestId);
+
+    try {
+        const requestResult = await executeQuery('SELECT * FROM disposal_requests WHERE id = ?', [disposalRequestId]);
+        const request = requestResult.data?.[0];
+
+        if (!request) {
+            return { success: false, httpStatus: 404, message: 'Disposal request not found' };
+        }
+
+        if (request.status !== 'completed') {
+            return { success: false, httpStatus: 409, message: 'Certificates are only issued for completed requests' };
+        }
+
+        const existingResult = await executeQuery(
+            'SELECT * FROM recycling_certificates WHERE disposal_request_id = ?',
+            [disposalRequestId]
+        );
+        const certificate = existingResult.data?.[0] || await createCertificateRecord(request, issuedBy);
+
+        if (certificate.status === 'issued') {
+            return { success: true, certificate };
+        }
+
+        const itemsResult = await executeQuery(
+            'SELECT * FROM recycling_certificate_items WHERE certificate_id = ? ORDER BY id ASC',
+            [certificate.id]
+        );
+        const pdf = await renderRecyclingCertificate(certificate, itemsResult.data || [], request);
+
+        // uploadToIPFS streams from disk
+        const filePath = path.join(os.tmpdir(), `${certificate.certificate_number}.pdf`);
+        fs.writeFileSync(filePath, pdf);
+
+        let ipfsHash = null;
+        try {
+            ipfsHash = await uploadToIPFS(filePath);
+        } catch (error) {
+            await executeQuery('UPDATE recycling_certificates SET last_error = ? WHERE id = ?', [error.message, certificate.id]);
+            return { success: false, httpStatus: 502, certificate, message: 'Certificate created, IPFS upload failed and will be retried' };
+        } finally {
+            fs.unlink(filePath, () => {});
+        }
+
+        if (!ipfsHash) {
+            await executeQuery('UPDATE recycling_certificates SET last_error = ? WHERE id = ?', ['IPFS returned no hash', certificate.id]);
+            return { success: false, httpStatus: 502, certificate, message: 'Certificate created, IPFS upload failed and will be retried' };
+        }
+
+        const ipfsUrl = getIPFSUrl(ipfsHash);
+        await executeQuery(`
+            UPDATE recycling_certificates
+            SET status = 'issued', ipfs_hash = ?, ipfs_url = ?, last_error = NULL, issued_at = NOW()
+            WHERE id = ?
+        `, [ipfsHash, ipfsUrl, certificate.id]);
+
+        await executeQuery(
+            'UPDATE disposal_requests SET recycling_certificate_cid = ? WHERE id = ?',
+            [ipfsHash, disposalRequestId]
+        );
+
+        await recordLifecycleEvents(certificate, itemsResult.data || [], ipfsHash);
+
+        console.log(`📜 Certificate ${certificate.certificate_number} issued for ${request.request_id}: ${ipfsHash}`);
+
+        return {
+            success: true,
+            certificate: { ...certificate, status: 'issued', ipfs_hash: ipfsHash, ipfs_url: ipfsUrl }
+        };
+
+    } finally {
+        issuing.delete(disposalRequestId);
+    }
+};
+
+// Issue certificates for completed requests that have none yet or whose upload failed
+// (covers requests completed from Center, which cannot reach IPFS itself)
+const issuePendingCertificates = async () => {
+    const pendingResult = await executeQuery(`
+        SELECT dr.id FROM disposal_requests dr
+        LEFT JOIN recycling_certificates rc ON rc.disposal_request_id = dr.id
+        WHERE dr.status = 'completed' AND (rc.id IS NULL OR rc.status = 'pending_upload')
+        ORDER BY dr.updated_at ASC
+        LIMIT 20
+    `);
+
+    if (!pendingResult.success) return;
+
+    for (const row of pendingResult.data) {
+        const result = await issueRecyclingCertificate(row.id);
+        if (!result.success) {
+            console.warn(`⚠️ Certificate for disposal request ${row.id} not issued:`, result.message);
+        }
+    }
+};
+
+// Periodically issue outstanding certificates
+export const scheduleRecyclingCertificates = () => {
+    const minutes = process.env.RECYCLING_CERTIFICATE_INTERVAL_MINUTES !== undefined
+        ? parseInt(process.env.RECYCLING_CERTIFICATE_INTERVAL_MINUTES)
+        : 10;
+    if (!minutes || minutes <= 0) return;
+
+    const runSweep = async () => {
+        try {
+            await issuePendingCertificates();
+        } catch (error) {
+            console.error('❌ Certificate sweep error:', error);
+        }
+    };
+
+    console.log(`📜 Certificate of Recycling sweep every ${minutes} minutes`);
+    runSweep();
+    setInterval(runSweep, minutes * 60 * 1000);
+};
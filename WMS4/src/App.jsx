@@ -14,9 +14,15 @@ import CommunityPage from './pages/CommunityPage';
 import ResourceExchangePage from './pages/ResourceExchangePage';
 import { authService } from './services/authService.js';
 import IPFSUploadPage from './pages/IPFSUploadPage.jsx';
+import ScanPage from './pages/ScanPage.jsx';
+import VerifyCertificatePage from './pages/VerifyCertificatePage.jsx';
+import AnnualReturnPage from './pages/AnnualReturnPage.jsx';
+
+// Roles that work inside a department (the /HOD pages)
+const DEPARTMENT_ROLES = ['hod', 'lab_incharge', 'user'];
 
 // Protected Route component
-const ProtectedRoute = ({ children, adminOnly = false }) => {
+const ProtectedRoute = ({ children, adminOnly = false, roles = null }) => {
     const [isAuthenticated, setIsAuthenticated] = useState(false);
     const [isLoading, setIsLoading] = useState(true);
     const [user, setUser] = useState(null);
@@ -65,12 +71,17 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
         return <Navigate to="/HOD" replace />;
     }
 
+    if (roles && !roles.includes(user?.role)) {
+        return <Navigate to={user?.role === 'admin' ? '/admin' : '/disposal'} replace />;
+    }
+
     return children;
 };
 
 function App() {
     const location = useLocation();
     const isLoginPage = location.pathname === "/Login" || location.pathname === "/";
+    const isPublicPage = isLoginPage || location.pathname.startsWith('/verify');
 
     return (
         <div className='flex h-screen bg-white text-secondary-900 overflow-hidden'>
@@ -80,11 +91,13 @@ function App() {
                 <div className='absolute inset-0 backdrop-blur-sm' />
             </div>
 
-            {!isLoginPage && <Sidebar />}
+            {!isPublicPage && <Sidebar />}
             <Routes>
                 {/* Public routes */}
                 <Route path="/Login" element={<DashboardLogin />} />
                 <Route path="/" element={<Navigate to="/Login" replace />} />
+                <Route path="/verify" element={<VerifyCertificatePage />} />
+                <Route path="/verify/:certificateNumber" element={<VerifyCertificatePage />} />
                 
                 {/* Protected admin routes */}
                 <Route path='/admin' element={
@@ -110,17 +123,17 @@ function App() {
                 
                 {/* Protected user routes */}
                 <Route path='/HOD' element={
-                    <ProtectedRoute>
+                    <ProtectedRoute roles={DEPARTMENT_ROLES}>
                         <HOverviewPage />
                     </ProtectedRoute>
                 } />
                 <Route path='/HOD/products' element={
-                    <ProtectedRoute>
+                    <ProtectedRoute roles={DEPARTMENT_ROLES}>
                         <ProductsPage />
                     </ProtectedRoute>
                 } />
                 <Route path='/HOD/disposal' element={
-                    <ProtectedRoute>
+                    <ProtectedRoute roles={DEPARTMENT_ROLES}>
                         <DisposalPage />
                     </ProtectedRoute>
                 } />
@@ -144,6 +157,16 @@ function App() {
                         <IPFSUploadPage />
                     </ProtectedRoute>
                 } />
+                <Route path='/scan' element={
+                    <ProtectedRoute>
+                        <ScanPage />
+                    </ProtectedRoute>
+                } />
+                <Route path='/reports/annual-return' element={
+                    <ProtectedRoute roles={['admin', 'hod']}>
+                        <AnnualReturnPage />
+                    </ProtectedRoute>
+                } />
                 
                 {/* Fallback route */}
                 <Route path="*" element={<Navigate to="/Login" replace />} />
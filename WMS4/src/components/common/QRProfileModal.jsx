@@ -39,7 +39,9 @@ const QRProfileModal = ({ isOpen, onClose, qrCode, deviceId }) => {
     const fetchDeviceProfile = async () => {
         setLoading(true);
         try {
-            const response = await deviceService.getDeviceProfile(deviceId || qrCode);
+            const response = deviceId
+                ? await deviceService.getDeviceProfile(deviceId)
+                : await deviceService.getDeviceProfileByQR(qrCode);
             if (response.success) {
                 setDevice(response.data.device);
                 setActivities(response.data.activities || []);
@@ -1,4 +1,4 @@
-import { BarChart2, DollarSign, Menu, QrCode, Settings, ShoppingBag, ShoppingCart, TrendingUp, Users, LogOut, User, Trash2, Globe, Upload, RefreshCw } from "lucide-react";
+import { BarChart2, DollarSign, Menu, QrCode, Settings, ShoppingBag, ShoppingCart, TrendingUp, Users, LogOut, User, Trash2, Globe, Upload, RefreshCw, FileText } from "lucide-react";
 import { useState, useEffect } from "react";
 import { AnimatePresence, motion } from "framer-motion";
 import { Link, useNavigate } from "react-router-dom";
@@ -37,8 +37,7 @@ const SIDEBAR_ITEMS = [
 		name: "QR Scanner", 
 		icon: QrCode, 
 		color: "#388e3c", 
-		href: "http://localhost:3000",
-		external: true
+		href: "/scan",
 	},
 	{ 
 		name: "Analytics", 
@@ -55,6 +54,13 @@ const SIDEBAR_ITEMS = [
 		color: "#ff9800",
 		href: "/disposal",
 	},
+	{
+		name: "Annual E-Waste Return",
+		icon: FileText,
+		color: "#795548",
+		href: "/reports/annual-return",
+		permission: "reports:generate"
+	},
 	{
 		name: "E-Shunya Community",
 		icon: Globe,
@@ -93,6 +99,7 @@ const Sidebar = () => {
 	const filteredItems = SIDEBAR_ITEMS.filter(item => {
 		if (item.adminOnly && user?.role !== 'admin') return false;
 		if (item.userOnly && user?.role === 'admin') return false;
+		if (item.permission && !authService.hasPermission(item.permission)) return false;
 		return true;
 	});
 
@@ -0,0 +1,225 @@
+import { useState, useEffect } from 'react';
+import {
+  Typography,
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { disposalService } from '../../services/disposalService';
+
+// NIST SP 800-88 levels, mirrors SANITISATION_METHODS in shared/dataSanitisation.mjs
+const SANITISATION_METHODS = {
+  clear: 'Clear',
+  purge: 'Purge',
+  destroy: 'Destroy'
+};
+
+const emptyRecord = {
+  outcome: 'sanitised',
+  method: 'purge',
+  operator_name: '',
+  tool: '',
+  verification_result: 'passed',
+  evidence_reference: '',
+  notes: ''
+};
+
+const describeRecord = (record) => record.outcome === 'vendor_will_destroy'
+  ? 'Vendor will destroy'
+  : `${SANITISATION_METHODS[record.method]} - ${record.tool}`;
+
+// Per-device data sanitisation of a disposal request (a grid item of the request details);
+// pickup is blocked until every storage device is cleared
+function DeviceSanitisationCard({ request }) {
+  const [sanitisation, setSanitisation] = useState(null);
+  const [editingDevice, setEditingDevice] = useState(null);
+  const [form, setForm] = useState(emptyRecord);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    disposalService.getSanitisation(request.request_id).then(response => {
+      setSanitisation(response.data);
+    });
+  }, [request]);
+
+  const startRecording = (device) => {
+    setEditingDevice(device);
+    // Start from the current record so a re-wipe only changes what differs
+    setForm(device.record
+      ? Object.fromEntries(Object.keys(emptyRecord).map(field => [field, device.record[field] || emptyRecord[field]]))
+      : emptyRecord);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const response = await disposalService.recordSanitisation(request.request_id, {
+      ...form,
+      device_id: editingDevice.device_code
+    });
+    setSaving(false);
+
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+
+    setEditingDevice(null);
+    const refreshed = await disposalService.getSanitisation(request.request_id);
+    setSanitisation(refreshed.data);
+  };
+
+  if (!sanitisation || sanitisation.flagged_count === 0) return null;
+
+  const flaggedDevices = sanitisation.devices.filter(device => device.requires_sanitisation);
+  const updateForm = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <Grid item xs={12}>
+      <Card>
+        <CardContent>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Typography variant="h6">
+              Data Sanitisation
+            </Typography>
+            <Chip
+              label={`${sanitisation.cleared_count}/${sanitisation.flagged_count} storage devices cleared`}
+              size="small"
+              color={sanitisation.ready ? 'success' : 'warning'}
+            />
+          </Box>
+          {!sanitisation.ready && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Vendor pickup is blocked until every storage device is sanitised (verification passed) or marked "vendor will destroy".
+            </Alert>
+          )}
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Device</TableCell>
+                <TableCell>Serial</TableCell>
+                <TableCell>Sanitisation</TableCell>
+                <TableCell>Operator</TableCell>
+                <TableCell>Evidence</TableCell>
+                <TableCell align="right">Status</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {flaggedDevices.map(device => (
+                <TableRow key={device.id} selected={editingDevice?.id === device.id}>
+                  <TableCell>
+                    <Typography variant="body2">{device.device_code}</Typography>
+                    <Typography variant="caption" color="text.secondary">{device.device_type} - {device.device_name}</Typography>
+                  </TableCell>
+                  <TableCell>{device.serial_number || '—'}</TableCell>
+                  <TableCell>{device.record ? describeRecord(device.record) : '—'}</TableCell>
+                  <TableCell>{device.record?.operator_name || '—'}</TableCell>
+                  <TableCell>{device.record?.evidence_reference || '—'}</TableCell>
+                  <TableCell align="right">
+                    <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 1 }}>
+                      <Chip
+                        label={device.cleared ? 'Cleared' : device.record?.verification_result === 'failed' ? 'Verification failed' : 'Pending'}
+                        size="small"
+                        color={device.cleared ? 'success' : device.record ? 'error' : 'warning'}
+                      />
+                      {sanitisation.can_record && (
+                        <Button size="small" onClick={() => startRecording(device)}>
+                          {device.record ? 'Update' : 'Record'}
+                        </Button>
+                      )}
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+  
+          {editingDevice && (
+            <Box sx={{ mt: 2, p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+              <Typography variant="subtitle1" gutterBottom>
+                {editingDevice.device_code} ({editingDevice.device_type})
+              </Typography>
+              <Grid container spacing={2}>
+                <Grid item xs={12} md={4}>
+                  <FormControl size="small" fullWidth>
+                    <InputLabel>Outcome</InputLabel>
+                    <Select value={form.outcome} onChange={updateForm('outcome')} label="Outcome">
+                      <MenuItem value="sanitised">Sanitised by department</MenuItem>
+                      <MenuItem value="vendor_will_destroy">Vendor will destroy</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+                {form.outcome === 'sanitised' && (
+                  <>
+                    <Grid item xs={12} md={4}>
+                      <FormControl size="small" fullWidth>
+                        <InputLabel>NIST 800-88 Method</InputLabel>
+                        <Select value={form.method} onChange={updateForm('method')} label="NIST 800-88 Method">
+                          {Object.entries(SANITISATION_METHODS).map(([value, label]) => (
+                            <MenuItem key={value} value={value}>{label}</MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                      <FormControl size="small" fullWidth>
+                        <InputLabel>Verification</InputLabel>
+                        <Select value={form.verification_result} onChange={updateForm('verification_result')} label="Verification">
+                          <MenuItem value="passed">Passed</MenuItem>
+                          <MenuItem value="failed">Failed</MenuItem>
+                        </Select>
+                      </FormControl>
+                    </Grid>
+                    <Grid item xs={12} md={6}>
+                      <TextField size="small" fullWidth label="Operator" value={form.operator_name} onChange={updateForm('operator_name')} />
+                    </Grid>
+                    <Grid item xs={12} md={6}>
+                      <TextField size="small" fullWidth label="Tool / procedure" placeholder="e.g. Blancco Drive Eraser 7, ATA Secure Erase" value={form.tool} onChange={updateForm('tool')} />
+                    </Grid>
+                  </>
+                )}
+                <Grid item xs={12} md={6}>
+                  <TextField size="small" fullWidth label="Evidence reference (report or log ID)" value={form.evidence_reference} onChange={updateForm('evidence_reference')} />
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <TextField size="small" fullWidth label="Notes" value={form.notes} onChange={updateForm('notes')} />
+                </Grid>
+              </Grid>
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+                <Button size="small" onClick={() => setEditingDevice(null)} disabled={saving}>
+                  Cancel
+                </Button>
+                <Button size="small" variant="contained" onClick={handleSave} disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Record'}
+                </Button>
+              </Box>
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+    </Grid>
+  );
+}
+
+export default DeviceSanitisationCard;
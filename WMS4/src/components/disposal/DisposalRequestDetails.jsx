@@ -13,7 +13,16 @@ import {
   Select,
   MenuItem,
   Divider,
-  Alert
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
 import {
   Edit as EditIcon,
@@ -24,61 +33,178 @@ import {
   Email as EmailIcon,
   CalendarToday as CalendarIcon,
   Scale as ScaleIcon,
-  Inventory as PackageIcon
+  Inventory as PackageIcon,
+  Replay as ResubmitIcon,
+  Delete as DeleteIcon,
+  Block as BlockIcon,
+  Build as RepairIcon
 } from '@mui/icons-material';
+import { disposalService } from '../../services/disposalService';
+import { authService } from '../../services/authService';
+import DeviceSanitisationCard from './DeviceSanitisationCard';
+import RepairTriageDialog from './RepairTriageDialog';
 
 // Status color mapping for Material-UI
 const statusColors = {
   pending: 'warning',
   approved: 'info',
+  pickup_scheduled: 'info',
+  out_for_pickup: 'primary',
+  pickup_completed: 'primary',
   in_progress: 'primary',
   completed: 'success',
   rejected: 'error',
   cancelled: 'default'
 };
 
-function DisposalRequestDetails({ request, onUpdateStatus, loading = false }) {
+// Mirrors DATA_DESTRUCTION_METHODS in shared/recyclingCertificates.mjs
+const DATA_DESTRUCTION_METHODS = [
+  'Physical destruction (shredding)',
+  'Degaussing',
+  'Cryptographic erase',
+  'Software overwrite',
+  'No data-bearing media'
+];
+
+function DisposalRequestDetails({ request, onUpdateStatus, onBidAwarded, onEdit, onCancelRequest, onDelete, onDeviceTriaged, loading = false }) {
   const [isEditing, setIsEditing] = useState(false);
   const [editForm, setEditForm] = useState({
     status: '',
-    vendor_notes: ''
+    vendor_notes: '',
+    data_destruction_method: ''
   });
   const [error, setError] = useState(null);
+  const [allowedTransitions, setAllowedTransitions] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [bidData, setBidData] = useState({ bids: [], can_award: false });
+  const [awarding, setAwarding] = useState(false);
+  const [proof, setProof] = useState(null);
+  const [certificateData, setCertificateData] = useState({ certificate: null, can_issue: false });
+  const [issuing, setIssuing] = useState(false);
+  const [cancelOpen, setCancelOpen] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [repairData, setRepairData] = useState({ can_triage: false, candidates: [], services: [] });
+  const [triageItem, setTriageItem] = useState(null);
 
   useEffect(() => {
     if (request) {
       setEditForm({
         status: request.status || '',
-        vendor_notes: request.vendor_notes || ''
+        vendor_notes: request.vendor_notes || '',
+        data_destruction_method: request.data_destruction_method || ''
+      });
+
+      disposalService.getRequestHistory(request.request_id).then(response => {
+        setAllowedTransitions(response.data?.allowed_transitions || []);
+        setHistory(response.data?.history || []);
       });
+
+      disposalService.getRequestBids(request.request_id).then(response => {
+        setBidData(response.data?.bids ? response.data : { bids: [], can_award: false });
+      });
+
+      disposalService.getPickupProof(request.request_id).then(response => {
+        setProof(response.data?.proof || null);
+      });
+
+      disposalService.getCertificate(request.request_id).then(response => {
+        setCertificateData(response.data || { certificate: null, can_issue: false });
+      });
+
+      if (authService.hasPermission('disposal:triage')) {
+        disposalService.getRepairCandidates(request.request_id).then(response => {
+          setRepairData(response.data || { can_triage: false, candidates: [], services: [] });
+        });
+      }
     }
   }, [request]);
 
+  const handleIssueCertificate = async () => {
+    setIssuing(true);
+    setError(null);
+    const response = await disposalService.issueCertificate(request.request_id);
+    setIssuing(false);
+
+    if (!response.success) setError(response.message);
+
+    const refreshed = await disposalService.getCertificate(request.request_id);
+    setCertificateData(refreshed.data || { certificate: null, can_issue: false });
+  };
+
+  const handleAwardBid = async (bid) => {
+    if (!window.confirm(`Award this request to ${bid.vendor_name}? Other bidders will be notified.`)) return;
+
+    setAwarding(true);
+    setError(null);
+    const response = await disposalService.awardBid(request.request_id, bid.id);
+    setAwarding(false);
+
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+
+    if (onBidAwarded) onBidAwarded(request.request_id);
+  };
+
   const handleEditSave = async () => {
     try {
       setError(null);
-      await onUpdateStatus(request.request_id, editForm);
+      const statusData = { status: editForm.status, vendor_notes: editForm.vendor_notes };
+      if (editForm.status === 'completed') {
+        statusData.completion_details = { data_destruction_method: editForm.data_destruction_method };
+      }
+      await onUpdateStatus(request.request_id, statusData);
       setIsEditing(false);
     } catch (err) {
       setError(err.message || 'An error occurred while updating request');
     }
   };
 
+  const handleCancelRequest = async () => {
+    const response = await onCancelRequest(request.request_id, cancelReason.trim());
+    if (response.success) {
+      setCancelOpen(false);
+      setCancelReason('');
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete request ${request.request_id}? Its devices are released and the request is removed for good.`)) return;
+    onDelete(request.request_id);
+  };
+
   const handleEditCancel = () => {
     setIsEditing(false);
     setEditForm({
       status: request?.status || '',
-      vendor_notes: request?.vendor_notes || ''
+      vendor_notes: request?.vendor_notes || '',
+      data_destruction_method: request?.data_destruction_method || ''
     });
     setError(null);
   };
 
+  const formatStatus = (status) => status
+    ? status.charAt(0).toUpperCase() + status.slice(1).replace(/_/g, ' ')
+    : 'Created';
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  // Cancelling needs a reason and re-submitting may carry edits, so both have their own actions
+  const statusTransitions = allowedTransitions.filter(status => status !== 'cancelled' && status !== 'pending');
+  const canManage = authService.hasPermission('disposal:request');
+  const canEdit = canManage && onEdit && request?.status === 'pending';
+  const canResubmit = canManage && onEdit && allowedTransitions.includes('pending');
+  const canCancel = canManage && onCancelRequest && allowedTransitions.includes('cancelled');
+  const isRepairCandidate = (item) => repairData.can_triage
+    && repairData.candidates.some(candidate => candidate.device_db_id === item.device_db_id);
+  const canDelete = onDelete && authService.getCurrentUser()?.role === 'admin'
+    && ['pending', 'rejected', 'cancelled'].includes(request?.status) && !request?.vendor_id;
+
   if (!request) {
     return (
       <Box sx={{ textAlign: 'center', py: 4 }}>
@@ -111,24 +237,38 @@ function DisposalRequestDetails({ request, onUpdateStatus, loading = false }) {
             </Box>
             <Box>
               {isEditing ? (
-                <FormControl size="small" sx={{ minWidth: 150 }}>
-                  <InputLabel>Status</InputLabel>
-                  <Select
-                    value={editForm.status}
-                    onChange={(e) => setEditForm(prev => ({ ...prev, status: e.target.value }))}
-                    label="Status"
-                  >
-                    <MenuItem value="pending">Pending</MenuItem>
-                    <MenuItem value="approved">Approved</MenuItem>
-                    <MenuItem value="in_progress">In Progress</MenuItem>
-                    <MenuItem value="completed">Completed</MenuItem>
-                    <MenuItem value="rejected">Rejected</MenuItem>
-                    <MenuItem value="cancelled">Cancelled</MenuItem>
-                  </Select>
-                </FormControl>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <FormControl size="small" sx={{ minWidth: 150 }}>
+                    <InputLabel>Status</InputLabel>
+                    <Select
+                      value={editForm.status}
+                      onChange={(e) => setEditForm(prev => ({ ...prev, status: e.target.value }))}
+                      label="Status"
+                    >
+                      <MenuItem value={request.status}>{formatStatus(request.status)}</MenuItem>
+                      {statusTransitions.filter(status => status !== request.status).map(status => (
+                        <MenuItem key={status} value={status}>{formatStatus(status)}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  {editForm.status === 'completed' && (
+                    <FormControl size="small" sx={{ minWidth: 240 }} required>
+                      <InputLabel>Data Destruction</InputLabel>
+                      <Select
+                        value={editForm.data_destruction_method}
+                        onChange={(e) => setEditForm(prev => ({ ...prev, data_destruction_method: e.target.value }))}
+                        label="Data Destruction"
+                      >
+                        {DATA_DESTRUCTION_METHODS.map(method => (
+                          <MenuItem key={method} value={method}>{method}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  )}
+                </Box>
               ) : (
                 <Chip 
-                  label={request.status?.charAt(0).toUpperCase() + request.status?.slice(1).replace('_', ' ')} 
+                  label={formatStatus(request.status)} 
                   color={statusColors[request.status] || 'default'}
                   size="medium"
                 />
@@ -226,10 +366,282 @@ function DisposalRequestDetails({ request, onUpdateStatus, loading = false }) {
                   </Box>
                 </Grid>
               </Grid>
+
+              {request.category_breakdown?.length > 0 && (
+                <Table size="small" sx={{ mt: 2 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Category</TableCell>
+                      <TableCell>Hazards</TableCell>
+                      <TableCell align="right">Qty</TableCell>
+                      <TableCell align="right">Weight (kg)</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {request.category_breakdown.map(category => (
+                      <TableRow key={category.category_code}>
+                        <TableCell>
+                          <Typography variant="body2">{category.category_code}</Typography>
+                          <Typography variant="caption" color="text.secondary">{category.category_name}</Typography>
+                        </TableCell>
+                        <TableCell>
+                          {category.hazard_types.length > 0
+                            ? category.hazard_types.map(hazard => (
+                              <Chip
+                                key={hazard}
+                                label={request.handling_warnings.find(w => w.hazard_type === hazard)?.label || hazard}
+                                size="small"
+                                color="warning"
+                                sx={{ mr: 0.5, mb: 0.5 }}
+                              />
+                            ))
+                            : '—'}
+                        </TableCell>
+                        <TableCell align="right">{category.quantity}</TableCell>
+                        <TableCell align="right">{category.weight_kg > 0 ? category.weight_kg : '—'}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+              {request.handling_warnings?.length > 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  {request.handling_warnings.map(warning => (
+                    <Typography key={warning.hazard_type} variant="body2">
+                      <strong>{warning.label}:</strong> {warning.handling}
+                    </Typography>
+                  ))}
+                </Alert>
+              )}
             </CardContent>
           </Card>
         </Grid>
 
+        {/* Devices in the request manifest */}
+        {request.items && request.items.length > 0 && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Devices ({request.items.length})
+                </Typography>
+                {request.items.map((item) => (
+                  <Box
+                    key={item.id}
+                    sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', py: 1, borderBottom: '1px solid', borderColor: 'divider' }}
+                  >
+                    <Box>
+                      <Typography variant="body1">
+                        {item.device_name} ({item.device_type})
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {item.device_id}{item.serial_number && ` • S/N: ${item.serial_number}`}
+                      </Typography>
+                    </Box>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {item.condition_status && (
+                        <Chip label={item.condition_status} size="small" variant="outlined" />
+                      )}
+                      <Typography variant="body2">
+                        {item.weight_kg ? `${item.weight_kg} kg` : '—'}
+                      </Typography>
+                      {isRepairCandidate(item) && (
+                        <Button
+                          size="small"
+                          startIcon={<RepairIcon />}
+                          onClick={() => setTriageItem(item)}
+                          disabled={loading}
+                        >
+                          Send for Repair
+                        </Button>
+                      )}
+                    </Box>
+                  </Box>
+                ))}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {/* Data Sanitisation (renders nothing when no device carries storage) */}
+        <DeviceSanitisationCard request={request} />
+
+        {/* Proof of Pickup */}
+        {proof && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <Typography variant="h6">
+                    Proof of Pickup
+                  </Typography>
+                  {proof.weight_variance_percent !== null && (
+                    <Chip
+                      label={`${proof.weight_variance_percent > 0 ? '+' : ''}${proof.weight_variance_percent}% vs declared`}
+                      size="small"
+                      color={proof.variance_flagged ? 'warning' : 'success'}
+                    />
+                  )}
+                </Box>
+                {proof.variance_flagged && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    Weighed {proof.actual_weight_kg} kg against {proof.declared_weight_kg} kg declared
+                    ({proof.weight_variance_kg > 0 ? '+' : ''}{proof.weight_variance_kg} kg). Please review before certification.
+                  </Alert>
+                )}
+                <Grid container spacing={2} sx={{ mb: 2 }}>
+                  <Grid item xs={6} md={3}>
+                    <Typography variant="body2" color="text.secondary">Collected</Typography>
+                    <Typography variant="body1">{formatDate(proof.collected_at)}</Typography>
+                  </Grid>
+                  <Grid item xs={6} md={3}>
+                    <Typography variant="body2" color="text.secondary">Driver</Typography>
+                    <Typography variant="body1">{proof.driver_name}</Typography>
+                    {proof.vendor_name && (
+                      <Typography variant="caption" color="text.secondary">{proof.vendor_name}</Typography>
+                    )}
+                  </Grid>
+                  <Grid item xs={6} md={3}>
+                    <Typography variant="body2" color="text.secondary">Weighed</Typography>
+                    <Typography variant="body1">
+                      {proof.actual_weight_kg} kg{proof.declared_weight_kg !== null && ` (declared ${proof.declared_weight_kg} kg)`}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={6} md={3}>
+                    <Typography variant="body2" color="text.secondary">Items</Typography>
+                    <Typography variant="body1">
+                      {proof.actual_item_count}{proof.declared_item_count !== null && ` (declared ${proof.declared_item_count})`}
+                    </Typography>
+                  </Grid>
+                </Grid>
+                <Table size="small" sx={{ mb: 2 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Category</TableCell>
+                      <TableCell align="right">Weighed (kg)</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {proof.category_weights.map(row => (
+                      <TableRow key={row.category}>
+                        <TableCell>{row.category}</TableCell>
+                        <TableCell align="right">{row.weight_kg}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                  {proof.photos.map(photo => (
+                    <Box
+                      key={photo.id}
+                      component="img"
+                      src={photo.image}
+                      alt="Loaded items"
+                      sx={{ width: 200, height: 150, objectFit: 'cover', borderRadius: 1, border: '1px solid', borderColor: 'divider' }}
+                    />
+                  ))}
+                </Box>
+                <Typography variant="body2" color="text.secondary">
+                  Handed over by {proof.signed_by_name}
+                </Typography>
+                <Box
+                  component="img"
+                  src={proof.signature_image}
+                  alt={`Signature of ${proof.signed_by_name}`}
+                  sx={{ maxWidth: 300, height: 100, objectFit: 'contain', bgcolor: 'common.white', borderRadius: 1, border: '1px solid', borderColor: 'divider' }}
+                />
+                {proof.notes && (
+                  <Typography variant="body2" sx={{ mt: 1 }}>{proof.notes}</Typography>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {/* Certificate of Recycling */}
+        {(certificateData.certificate || certificateData.can_issue) && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <Typography variant="h6">
+                    Certificate of Recycling
+                  </Typography>
+                  {certificateData.certificate && (
+                    <Chip
+                      label={certificateData.certificate.status === 'issued' ? 'Issued' : 'Pending upload'}
+                      size="small"
+                      color={certificateData.certificate.status === 'issued' ? 'success' : 'warning'}
+                    />
+                  )}
+                </Box>
+                {certificateData.certificate ? (
+                  <Grid container spacing={2} sx={{ mb: 1 }}>
+                    <Grid item xs={12} md={4}>
+                      <Typography variant="body2" color="text.secondary">Certificate Number</Typography>
+                      <Typography variant="body1">{certificateData.certificate.certificate_number}</Typography>
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                      <Typography variant="body2" color="text.secondary">Data Destruction</Typography>
+                      <Typography variant="body1">{certificateData.certificate.data_destruction_method || 'N/A'}</Typography>
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                      <Typography variant="body2" color="text.secondary">Issued</Typography>
+                      <Typography variant="body1">{formatDate(certificateData.certificate.issued_at)}</Typography>
+                    </Grid>
+                    {certificateData.certificate.ipfs_hash && (
+                      <Grid item xs={12}>
+                        <Typography variant="body2" color="text.secondary">IPFS CID</Typography>
+                        <Typography
+                          variant="body2"
+                          component="a"
+                          href={certificateData.certificate.ipfs_url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}
+                        >
+                          {certificateData.certificate.ipfs_hash}
+                        </Typography>
+                      </Grid>
+                    )}
+                    <Grid item xs={12}>
+                      <Typography variant="body2" color="text.secondary">Public Verification</Typography>
+                      <Typography
+                        variant="body2"
+                        component="a"
+                        href={certificateData.certificate.verification_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        {certificateData.certificate.verification_url}
+                      </Typography>
+                    </Grid>
+                  </Grid>
+                ) : (
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    The certificate has not been generated yet.
+                  </Typography>
+                )}
+                {certificateData.certificate?.last_error && certificateData.certificate.status !== 'issued' && (
+                  <Alert severity="warning" sx={{ mb: 1 }}>
+                    Last upload attempt failed: {certificateData.certificate.last_error}
+                  </Alert>
+                )}
+                {certificateData.can_issue && (
+                  <Button
+                    size="small"
+                    variant="contained"
+                    onClick={handleIssueCertificate}
+                    disabled={issuing || loading}
+                  >
+                    {issuing ? 'Uploading to IPFS...' : certificateData.certificate ? 'Retry Upload' : 'Issue Certificate'}
+                  </Button>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
         {/* Notes */}
         <Grid item xs={12}>
           <Card>
@@ -267,6 +679,111 @@ function DisposalRequestDetails({ request, onUpdateStatus, loading = false }) {
             </CardContent>
           </Card>
         </Grid>
+
+        {/* Vendor Quotes */}
+        {bidData.bids.length > 0 && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Vendor Quotes ({bidData.bids.length})
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Vendor</TableCell>
+                      <TableCell>Price</TableCell>
+                      <TableCell>Estimated Total</TableCell>
+                      <TableCell>Pickup Window</TableCell>
+                      <TableCell>Certifications</TableCell>
+                      <TableCell>Notes</TableCell>
+                      <TableCell align="right">Status</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {bidData.bids.map(bid => (
+                      <TableRow key={bid.id} selected={bid.status === 'awarded'}>
+                        <TableCell>
+                          <Typography variant="body2">{bid.vendor_name}</Typography>
+                          <Typography variant="caption" color="text.secondary">{bid.vendor_email}</Typography>
+                        </TableCell>
+                        <TableCell>
+                          {Number(bid.price).toFixed(2)} {bid.pricing_type === 'per_kg' ? '/ kg' : 'lump sum'}
+                        </TableCell>
+                        <TableCell>
+                          {bid.estimated_total !== null ? Number(bid.estimated_total).toFixed(2) : 'Needs weight'}
+                        </TableCell>
+                        <TableCell>
+                          {formatDate(bid.pickup_window_start)} – {formatDate(bid.pickup_window_end)}
+                        </TableCell>
+                        <TableCell>
+                          {bid.certifications.map(certification => (
+                            <Chip key={certification} label={certification} size="small" sx={{ mr: 0.5, mb: 0.5 }} />
+                          ))}
+                        </TableCell>
+                        <TableCell>{bid.notes || '—'}</TableCell>
+                        <TableCell align="right">
+                          {bidData.can_award && bid.status === 'submitted' ? (
+                            <Button
+                              size="small"
+                              variant="contained"
+                              onClick={() => handleAwardBid(bid)}
+                              disabled={awarding || loading}
+                            >
+                              Award
+                            </Button>
+                          ) : (
+                            <Chip
+                              label={bid.status}
+                              size="small"
+                              color={bid.status === 'awarded' ? 'success' : 'default'}
+                            />
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {/* Status History */}
+        {history.length > 0 && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Status History
+                </Typography>
+                {history.map(entry => (
+                  <Box key={entry.id} sx={{ display: 'flex', justifyContent: 'space-between', py: 1, borderBottom: '1px solid', borderColor: 'divider' }}>
+                    <Box>
+                      <Typography variant="body2">
+                        {entry.old_status === entry.new_status
+                          ? 'Request edited'
+                          : `${formatStatus(entry.old_status)} → ${formatStatus(entry.new_status)}`}
+                      </Typography>
+                      {entry.notes && (
+                        <Typography variant="caption" color="text.secondary">{entry.notes}</Typography>
+                      )}
+                      {entry.changes?.map(change => (
+                        <Typography key={change.field} variant="caption" display="block" color="text.secondary">
+                          {change.label}: {change.from ?? '—'} → {change.to ?? '—'}
+                        </Typography>
+                      ))}
+                    </Box>
+                    <Box sx={{ textAlign: 'right' }}>
+                      <Typography variant="body2">{entry.changed_by_name || 'System'} ({entry.source})</Typography>
+                      <Typography variant="caption" color="text.secondary">{formatDate(entry.changed_at)}</Typography>
+                    </Box>
+                  </Box>
+                ))}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
       </Grid>
 
       {/* Action Buttons */}
@@ -291,16 +808,102 @@ function DisposalRequestDetails({ request, onUpdateStatus, loading = false }) {
             </Button>
           </>
         ) : (
-          <Button 
+          <>
+            {canDelete && (
+              <Button
+                color="error"
+                startIcon={<DeleteIcon />}
+                onClick={handleDelete}
+                disabled={loading}
+              >
+                Delete
+              </Button>
+            )}
+            {canCancel && (
+              <Button
+                variant="outlined"
+                color="error"
+                startIcon={<BlockIcon />}
+                onClick={() => setCancelOpen(true)}
+                disabled={loading}
+              >
+                Cancel Request
+              </Button>
+            )}
+            {canEdit && (
+              <Button
+                variant="outlined"
+                startIcon={<EditIcon />}
+                onClick={onEdit}
+                disabled={loading}
+              >
+                Edit Request
+              </Button>
+            )}
+            {canResubmit && (
+              <Button
+                variant="contained"
+                startIcon={<ResubmitIcon />}
+                onClick={onEdit}
+                disabled={loading}
+              >
+                Edit &amp; Re-submit
+              </Button>
+            )}
+            <Button 
+              variant="contained"
+              startIcon={<EditIcon />}
+              onClick={() => setIsEditing(true)}
+              disabled={loading || statusTransitions.length === 0}
+            >
+              Edit Status
+            </Button>
+          </>
+        )}
+      </Box>
+
+      {triageItem && (
+        <RepairTriageDialog
+          request={request}
+          item={triageItem}
+          services={repairData.services}
+          onClose={() => setTriageItem(null)}
+          onTriaged={(message) => {
+            setTriageItem(null);
+            if (onDeviceTriaged) onDeviceTriaged(request.request_id, message);
+          }}
+        />
+      )}
+
+      <Dialog open={cancelOpen} onClose={() => setCancelOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Cancel {request.request_id}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            The devices on this request are released and any vendor who quoted is notified with your reason.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            minRows={2}
+            label="Reason for cancelling *"
+            value={cancelReason}
+            onChange={(e) => setCancelReason(e.target.value)}
+            inputProps={{ maxLength: 500 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCancelOpen(false)} disabled={loading}>Keep Request</Button>
+          <Button
+            color="error"
             variant="contained"
-            startIcon={<EditIcon />}
-            onClick={() => setIsEditing(true)}
-            disabled={loading}
+            onClick={handleCancelRequest}
+            disabled={loading || !cancelReason.trim()}
           >
-            Edit Status
+            Cancel Request
           </Button>
-        )}
-      </Box>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
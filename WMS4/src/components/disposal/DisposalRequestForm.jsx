@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import {
   Box,
   Typography,
@@ -12,10 +12,13 @@ import {
   Card,
   CardContent,
   FormHelperText,
-  Divider
+  Divider,
+  Alert
 } from '@mui/material';
 import LocationPicker from './LocationPicker';
 import DeviceSelector from './DeviceSelector';
+import EWasteLineItems from './EWasteLineItems';
+import { disposalService } from '../../services/disposalService';
 
 const timeSlots = [
   '9:00 AM - 11:00 AM',
@@ -37,7 +40,7 @@ const deviceTypes = [
   'Other'
 ];
 
-function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData = null }) {
+function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData = null, submitLabel = null }) {
   const [formData, setFormData] = useState({
     contactPhone: initialData?.contactPhone || '',
     preferredDate: initialData?.preferredDate || '',
@@ -48,10 +51,39 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
     fullAddress: initialData?.fullAddress || '',
     selectedDevices: initialData?.selectedDevices || [],
     weight_kg: initialData?.weight_kg || '', // Add weight field
-    estimated_value: initialData?.estimated_value || '' // Add estimated value field
+    estimated_value: initialData?.estimated_value || '', // Add estimated value field
+    lineItems: initialData?.lineItems || []
   });
 
   const [errors, setErrors] = useState({});
+  // slot -> { open, vendors_available } for the chosen date; empty until loaded
+  const [slotAvailability, setSlotAvailability] = useState({});
+  // E-waste categories and hazard types, served by the backend from shared/eWasteCategories.mjs
+  const [catalogue, setCatalogue] = useState({ categories: [], hazard_types: {} });
+
+  useEffect(() => {
+    disposalService.getEWasteCategories().then(response => {
+      if (response.success) setCatalogue(response.data);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!formData.preferredDate) {
+      setSlotAvailability({});
+      return;
+    }
+
+    disposalService.getOpenSlots(formData.preferredDate).then(response => {
+      const day = response.data?.days?.[0];
+      const availability = Object.fromEntries((day?.slots || []).map(s => [s.slot, s]));
+      setSlotAvailability(availability);
+
+      // Drop a previously chosen slot that is now full
+      setFormData(prev => availability[prev.preferredTimeSlot]?.open === false
+        ? { ...prev, preferredTimeSlot: '' }
+        : prev);
+    });
+  }, [formData.preferredDate]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -82,6 +114,26 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
     }
   };
 
+  const handleLineItemsChange = (lineItems) => {
+    setFormData(prev => ({
+      ...prev,
+      lineItems
+    }));
+    setErrors(prev => ({
+      ...prev,
+      lineItems: ''
+    }));
+  };
+
+  // Weight from the weighed category lines, overriding the manual estimate when present
+  const weighedLineItems = formData.lineItems.filter(item => item.weight_kg !== '' && !isNaN(item.weight_kg));
+  const lineItemsWeight = weighedLineItems.length > 0
+    ? Math.round(weighedLineItems.reduce((total, item) => total + parseFloat(item.weight_kg), 0) * 100) / 100
+    : null;
+
+  // Hazards present in the request, each with the handling the pickup crew needs
+  const hazardsPresent = [...new Set(formData.lineItems.flatMap(item => item.hazard_types))];
+
   const handleLocationChange = (locationData) => {
     setFormData(prev => ({
       ...prev,
@@ -120,6 +172,10 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
       newErrors.longitude = 'Please select pickup location or get current coordinates';
     }
 
+    if (formData.lineItems.some(item => !item.category_code || !(parseInt(item.quantity) >= 1))) {
+      newErrors.lineItems = 'Each category line needs a category and a quantity of at least 1';
+    }
+
     // Validate phone number (basic validation)
     if (formData.contactPhone && !/^\d{10}$/.test(formData.contactPhone)) {
       newErrors.contactPhone = 'Phone number must be 10 digits';
@@ -161,8 +217,15 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
         preferred_date: formData.preferredDate,
         preferred_time_slot: formData.preferredTimeSlot,
         additional_notes: formData.specialInstructions,
-        weight_kg: formData.weight_kg ? parseFloat(formData.weight_kg) : null,
+        weight_kg: lineItemsWeight ?? (formData.weight_kg ? parseFloat(formData.weight_kg) : null),
         estimated_value: formData.estimated_value ? parseFloat(formData.estimated_value) : null,
+        line_items: formData.lineItems.map(item => ({
+          category_code: item.category_code,
+          quantity: parseInt(item.quantity),
+          weight_kg: item.weight_kg === '' ? null : parseFloat(item.weight_kg),
+          hazard_types: item.hazard_types,
+          description: item.description || null
+        })),
         
         // Device information
         e_waste_description: formData.selectedDevices.length > 0 
@@ -238,6 +301,24 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
 
           <Divider sx={{ my: 3 }} />
 
+          {/* E-Waste Categories */}
+          <Typography variant="h6" gutterBottom sx={{ mb: 2 }}>
+            E-Waste Categories
+          </Typography>
+
+          <EWasteLineItems
+            lineItems={formData.lineItems}
+            onChange={handleLineItemsChange}
+            catalogue={catalogue}
+          />
+          {errors.lineItems && (
+            <Typography color="error" variant="caption" sx={{ mt: 1, display: 'block' }}>
+              {errors.lineItems}
+            </Typography>
+          )}
+
+          <Divider sx={{ my: 3 }} />
+
           {/* Pickup Information */}
           <Typography variant="h6" gutterBottom sx={{ mb: 2 }}>
             Pickup Information
@@ -288,6 +369,20 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
                 </Typography>
               )}
             </Grid>
+            {hazardsPresent.length > 0 && (
+              <Grid item xs={12}>
+                <Alert severity="warning">
+                  <Typography variant="subtitle2" gutterBottom>
+                    Hazardous items need special handling at this pickup location
+                  </Typography>
+                  {hazardsPresent.map(hazard => (
+                    <Typography key={hazard} variant="body2">
+                      <strong>{catalogue.hazard_types[hazard]?.label || hazard}:</strong> {catalogue.hazard_types[hazard]?.handling}
+                    </Typography>
+                  ))}
+                </Alert>
+              </Grid>
+            )}
           </Grid>
 
           <Divider sx={{ my: 3 }} />
@@ -323,7 +418,9 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
                   label="Time Slot *"
                 >
                   {timeSlots.map(slot => (
-                    <MenuItem key={slot} value={slot}>{slot}</MenuItem>
+                    <MenuItem key={slot} value={slot} disabled={slotAvailability[slot]?.open === false}>
+                      {slot}{slotAvailability[slot]?.open === false && ' (fully booked)'}
+                    </MenuItem>
                   ))}
                 </Select>
                 {errors.preferredTimeSlot && <FormHelperText>{errors.preferredTimeSlot}</FormHelperText>}
@@ -360,11 +457,12 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
                 fullWidth
                 name="weight_kg"
                 label="Weight (kg)"
-                value={formData.weight_kg}
+                value={lineItemsWeight ?? formData.weight_kg}
                 onChange={handleChange}
+                disabled={lineItemsWeight !== null}
                 placeholder="Estimated weight in kilograms"
                 error={!!errors.weight_kg}
-                helperText={errors.weight_kg}
+                helperText={lineItemsWeight !== null ? 'Total of the weighed categories' : errors.weight_kg}
               />
             </Grid>
 
@@ -396,7 +494,7 @@ function DisposalRequestForm({ onSubmit, onCancel, loading = false, initialData
               variant="contained"
               disabled={loading}
             >
-              {loading ? 'Submitting...' : (initialData ? 'Update Request' : 'Submit Request')}
+              {loading ? 'Submitting...' : (submitLabel || (initialData ? 'Update Request' : 'Submit Request'))}
             </Button>
           </Box>
         </Box>
@@ -0,0 +1,133 @@
+import {
+  Box,
+  Typography,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Button,
+  Grid,
+  Chip,
+  IconButton,
+  OutlinedInput
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+
+const emptyLineItem = {
+  category_code: '',
+  quantity: 1,
+  weight_kg: '',
+  hazard_types: [],
+  description: ''
+};
+
+// Breakdown of a disposal request into Schedule I e-waste categories (ITEW/CEEW codes);
+// picking a category ticks the hazards its devices usually contain
+function EWasteLineItems({ lineItems, onChange, catalogue, errors = {} }) {
+  const { categories = [], hazard_types: hazardTypes = {} } = catalogue;
+
+  const updateItem = (index, changes) => {
+    onChange(lineItems.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleCategoryChange = (index, code) => {
+    const category = categories.find(c => c.code === code);
+    updateItem(index, { category_code: code, hazard_types: category?.default_hazards || [] });
+  };
+
+  return (
+    <Box>
+      {lineItems.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2, fontStyle: 'italic' }}>
+          Optional: break the request down by category so vendors can price it and prepare for hazardous items
+        </Typography>
+      )}
+
+      {lineItems.map((item, index) => (
+        <Grid container spacing={2} key={index} sx={{ mb: 2 }} alignItems="flex-start">
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth size="small" error={!!errors[`line_items[${index}].category_code`]}>
+              <InputLabel>Category *</InputLabel>
+              <Select
+                value={item.category_code}
+                onChange={(e) => handleCategoryChange(index, e.target.value)}
+                label="Category *"
+              >
+                {categories.map(category => (
+                  <MenuItem key={category.code} value={category.code}>
+                    {category.code} - {category.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="number"
+              label="Qty *"
+              value={item.quantity}
+              onChange={(e) => updateItem(index, { quantity: e.target.value })}
+              inputProps={{ min: 1 }}
+              error={!!errors[`line_items[${index}].quantity`]}
+            />
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="number"
+              label="Weight (kg)"
+              value={item.weight_kg}
+              onChange={(e) => updateItem(index, { weight_kg: e.target.value })}
+              inputProps={{ min: 0, step: 0.1 }}
+              error={!!errors[`line_items[${index}].weight_kg`]}
+            />
+          </Grid>
+          <Grid item xs={10} md={3}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Hazards</InputLabel>
+              <Select
+                multiple
+                value={item.hazard_types}
+                onChange={(e) => updateItem(index, { hazard_types: e.target.value })}
+                input={<OutlinedInput label="Hazards" />}
+                renderValue={(selected) => (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {selected.map(hazard => (
+                      <Chip key={hazard} label={hazardTypes[hazard]?.label || hazard} size="small" color="warning" />
+                    ))}
+                  </Box>
+                )}
+              >
+                {Object.entries(hazardTypes).map(([value, hazard]) => (
+                  <MenuItem key={value} value={value}>{hazard.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={2} md={1}>
+            <IconButton
+              aria-label="Remove category"
+              onClick={() => onChange(lineItems.filter((_, i) => i !== index))}
+            >
+              <DeleteIcon />
+            </IconButton>
+          </Grid>
+        </Grid>
+      ))}
+
+      <Button
+        size="small"
+        startIcon={<AddIcon />}
+        onClick={() => onChange([...lineItems, emptyLineItem])}
+      >
+        Add Category
+      </Button>
+    </Box>
+  );
+}
+
+export default EWasteLineItems;
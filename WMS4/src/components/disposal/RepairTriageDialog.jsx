@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Typography,
+  Alert
+} from '@mui/material';
+import { disposalService } from '../../services/disposalService';
+
+// Repair-before-recycle: books a fair/poor device from a disposal request into a Center repair
+// order; the device returns to the department once the order is completed
+function RepairTriageDialog({ request, item, services = [], onClose, onTriaged }) {
+  const [form, setForm] = useState({ issue_description: '', priority: 'medium', product_id: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError(null);
+    const response = await disposalService.sendForRepair(request.request_id, item.device_db_id, {
+      issue_description: form.issue_description.trim() || undefined,
+      priority: form.priority,
+      product_id: form.product_id || undefined
+    });
+    setSubmitting(false);
+
+    if (!response.success) {
+      setError(response.message);
+      return;
+    }
+
+    onTriaged(response.message);
+  };
+
+  return (
+    <Dialog open onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Send {item.device_id} for Repair</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {item.device_name} ({item.device_type}) is in {item.condition_status} condition. It comes off
+          this disposal request and goes to the repair center; once repaired it returns to {request.department}.
+        </Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          label="What needs fixing"
+          value={form.issue_description}
+          onChange={(e) => setForm(prev => ({ ...prev, issue_description: e.target.value }))}
+          helperText="Optional, at least 10 characters"
+          sx={{ mb: 2 }}
+        />
+        <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+          <InputLabel>Priority</InputLabel>
+          <Select
+            value={form.priority}
+            onChange={(e) => setForm(prev => ({ ...prev, priority: e.target.value }))}
+            label="Priority"
+          >
+            {['low', 'medium', 'high', 'urgent'].map(priority => (
+              <MenuItem key={priority} value={priority}>{priority.charAt(0).toUpperCase() + priority.slice(1)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {services.length > 0 && (
+          <FormControl fullWidth size="small">
+            <InputLabel>Repair service</InputLabel>
+            <Select
+              value={form.product_id}
+              onChange={(e) => setForm(prev => ({ ...prev, product_id: e.target.value }))}
+              label="Repair service"
+            >
+              <MenuItem value="">Let the repair center assess</MenuItem>
+              {services.map(service => (
+                <MenuItem key={service.id} value={service.id}>
+                  {service.name}{service.price ? ` (${service.price})` : ''}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={submitting}>Cancel</Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={submitting}>
+          {submitting ? 'Sending...' : 'Send for Repair'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default RepairTriageDialog;
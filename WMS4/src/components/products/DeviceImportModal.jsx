@@ -0,0 +1,188 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { X, Upload, CheckCircle, AlertTriangle } from "lucide-react";
+import { toast } from "react-toastify";
+import { deviceService } from "../../services/deviceService.js";
+
+const DeviceImportModal = ({ isOpen, onClose, onDevicesImported }) => {
+    const [file, setFile] = useState(null);
+    const [report, setReport] = useState(null);
+    const [isValidating, setIsValidating] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
+
+    const handleFileChange = (e) => {
+        setFile(e.target.files[0] || null);
+        setReport(null);
+    };
+
+    const handleValidate = async () => {
+        if (!file) {
+            toast.error("Please choose a CSV or XLSX file");
+            return;
+        }
+
+        setIsValidating(true);
+        try {
+            const response = await deviceService.importDevices(file, { commit: false });
+            setReport(response.data);
+        } catch (error) {
+            console.error("Device import validation error:", error);
+            toast.error(error.message || "Failed to validate file");
+        } finally {
+            setIsValidating(false);
+        }
+    };
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        try {
+            const response = await deviceService.importDevices(file, { commit: true });
+            toast.success(response.message || "Devices imported successfully");
+            onDevicesImported?.(response.data.devices);
+            handleClose();
+        } catch (error) {
+            console.error("Device import error:", error);
+            toast.error(error.message || "Failed to import devices");
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const handleClose = () => {
+        setFile(null);
+        setReport(null);
+        onClose();
+    };
+
+    if (!isOpen) return null;
+
+    const canImport = report && report.summary.valid_rows > 0 && report.summary.invalid_rows === 0;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+            <motion.div
+                className="bg-white rounded-xl shadow-2xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto"
+                initial={{ opacity: 0, scale: 0.9 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.9 }}
+            >
+                <div className="p-6">
+                    <div className="flex justify-between items-center mb-6">
+                        <h2 className="text-2xl font-bold text-primary-800">Import Devices</h2>
+                        <button
+                            onClick={handleClose}
+                            className="p-2 hover:bg-gray-100 rounded-full"
+                        >
+                            <X size={24} />
+                        </button>
+                    </div>
+
+                    <p className="text-sm text-gray-600 mb-4">
+                        Upload a CSV or XLSX file using the QR registration column names
+                        (productName, deviceType, brand, model, serialNumber, purchaseDate,
+                        warrantyExpiry, condition, sourceLocation, notes). Files are checked first;
+                        nothing is saved until you confirm the import.
+                    </p>
+
+                    <div className="flex items-center gap-3 mb-6">
+                        <input
+                            type="file"
+                            accept=".csv,.xlsx,.xls"
+                            onChange={handleFileChange}
+                            className="flex-1 text-sm border border-gray-300 rounded-lg p-2"
+                        />
+                        <button
+                            onClick={handleValidate}
+                            disabled={!file || isValidating}
+                            className="flex items-center gap-2 bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 disabled:opacity-50"
+                        >
+                            <Upload size={18} />
+                            {isValidating ? "Checking..." : "Check File"}
+                        </button>
+                    </div>
+
+                    {report && (
+                        <>
+                            <div className="grid grid-cols-3 gap-4 mb-4">
+                                <div className="bg-primary-50 p-3 rounded-lg text-center">
+                                    <p className="text-2xl font-bold text-primary-800">{report.summary.total_rows}</p>
+                                    <p className="text-xs text-primary-700">Rows</p>
+                                </div>
+                                <div className="bg-green-50 p-3 rounded-lg text-center">
+                                    <p className="text-2xl font-bold text-green-700">{report.summary.valid_rows}</p>
+                                    <p className="text-xs text-green-700">Valid</p>
+                                </div>
+                                <div className="bg-red-50 p-3 rounded-lg text-center">
+                                    <p className="text-2xl font-bold text-red-700">{report.summary.invalid_rows}</p>
+                                    <p className="text-xs text-red-700">Invalid</p>
+                                </div>
+                            </div>
+
+                            <div className="overflow-x-auto border border-gray-200 rounded-lg mb-6 max-h-80">
+                                <table className="w-full text-sm">
+                                    <thead className="bg-primary-50 sticky top-0">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-primary-800 uppercase">Row</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-primary-800 uppercase">Device</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-primary-800 uppercase">Serial</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-primary-800 uppercase">Result</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {report.rows.map((row) => (
+                                            <tr key={row.row} className={row.valid ? "" : "bg-red-50"}>
+                                                <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                                                <td className="px-3 py-2">
+                                                    <div className="font-medium text-gray-900">{row.device.device_name || "-"}</div>
+                                                    <div className="text-xs text-gray-500">{row.device.device_type}</div>
+                                                </td>
+                                                <td className="px-3 py-2 text-gray-600">{row.device.serial_number || "-"}</td>
+                                                <td className="px-3 py-2">
+                                                    {row.valid ? (
+                                                        <span className="flex items-center gap-1 text-green-700">
+                                                            <CheckCircle size={16} /> Ready
+                                                        </span>
+                                                    ) : (
+                                                        <div className="text-red-700">
+                                                            {row.errors.map((error, index) => (
+                                                                <div key={index} className="flex items-center gap-1">
+                                                                    <AlertTriangle size={14} /> {error}
+                                                                </div>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+
+                    <div className="flex gap-3">
+                        <button
+                            onClick={handleClose}
+                            className="flex-1 border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleImport}
+                            disabled={!canImport || isImporting}
+                            className="flex-1 bg-primary-500 text-white py-2 px-4 rounded-lg hover:bg-primary-600 disabled:opacity-50"
+                        >
+                            {isImporting
+                                ? "Importing..."
+                                : report
+                                    ? `Import ${report.summary.valid_rows} Devices`
+                                    : "Import Devices"}
+                        </button>
+                    </div>
+                </div>
+            </motion.div>
+        </div>
+    );
+};
+
+export default DeviceImportModal;
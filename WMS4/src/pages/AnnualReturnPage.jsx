@@ -0,0 +1,278 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FileText, FileSpreadsheet, RefreshCw, AlertTriangle } from 'lucide-react';
+import Header from '../components/common/Header';
+import { reportService } from '../services/reportService';
+import { authService } from '../services/authService';
+
+const formatDay = (value) => value ? new Date(value).toLocaleDateString() : 'N/A';
+
+// Financial years (April to March) from the current one back, e.g. "2025-26"
+const getFinancialYears = (count = 6) => {
+    const today = new Date();
+    const currentStart = today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+    return Array.from({ length: count }, (_, i) => {
+        const startYear = currentStart - i;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    });
+};
+
+// Annual e-waste return (Form-3) compiled from the completed disposal requests of a financial year
+const AnnualReturnPage = () => {
+    const financialYears = getFinancialYears();
+    const isAdmin = authService.getCurrentUser()?.role === 'admin';
+    // Last completed year by default, which is the one due for filing
+    const [financialYear, setFinancialYear] = useState(financialYears[1]);
+    const [department, setDepartment] = useState('');
+    const [departments, setDepartments] = useState([]);
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [downloading, setDownloading] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        fetch('http://localhost:5000/api/departments')
+            .then(response => response.json())
+            .then(result => setDepartments(result.data?.departments || []))
+            .catch(err => console.error('Departments fetch error:', err));
+    }, [isAdmin]);
+
+    useEffect(() => {
+        setLoading(true);
+        setError(null);
+        reportService.getAnnualReturn(financialYear, department).then(response => {
+            if (response.success) {
+                setReport(response.data);
+            } else {
+                setReport(null);
+                setError(response.message);
+            }
+            setLoading(false);
+        });
+    }, [financialYear, department]);
+
+    const handleDownload = async (format) => {
+        setDownloading(format);
+        try {
+            const file = await reportService.downloadAnnualReturn(financialYear, format, department);
+            const url = URL.createObjectURL(file);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `ewaste_annual_return_${financialYear}${department ? `_${department}` : ''}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Annual return download error:', err);
+            setError(err.message || 'Failed to download the annual return');
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const stat = (label, value) => (
+        <div className="p-4 bg-primary-50 rounded-lg">
+            <p className="text-sm text-gray-500">{label}</p>
+            <p className="text-xl font-semibold text-gray-900">{value}</p>
+        </div>
+    );
+
+    return (
+        <div className='flex-1 overflow-auto relative z-10'>
+            <Header title='Annual E-Waste Return' />
+
+            <main className='max-w-6xl mx-auto py-6 px-4 lg:px-8 space-y-6'>
+                <div className="flex flex-wrap items-end gap-4">
+                    <div>
+                        <label className="block text-sm text-gray-600 mb-1">Financial year</label>
+                        <select
+                            value={financialYear}
+                            onChange={(e) => setFinancialYear(e.target.value)}
+                            className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                        >
+                            {financialYears.map(year => (
+                                <option key={year} value={year}>FY {year}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {isAdmin && (
+                        <div>
+                            <label className="block text-sm text-gray-600 mb-1">Generator</label>
+                            <select
+                                value={department}
+                                onChange={(e) => setDepartment(e.target.value)}
+                                className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                            >
+                                <option value="">Whole institution</option>
+                                {departments.map(dept => (
+                                    <option key={dept.id} value={dept.name}>{dept.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    <div className="flex gap-2 ml-auto">
+                        <button
+                            onClick={() => handleDownload('pdf')}
+                            disabled={!report || downloading !== null}
+                            className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                        >
+                            <FileText className="w-4 h-4 mr-2" />
+                            {downloading === 'pdf' ? 'Generating...' : 'Download PDF'}
+                        </button>
+                        <button
+                            onClick={() => handleDownload('csv')}
+                            disabled={!report || downloading !== null}
+                            className="flex items-center px-4 py-2 border border-primary-600 text-primary-700 rounded-lg hover:bg-primary-50 disabled:opacity-50"
+                        >
+                            <FileSpreadsheet className="w-4 h-4 mr-2" />
+                            {downloading === 'csv' ? 'Generating...' : 'Download CSV'}
+                        </button>
+                    </div>
+                </div>
+
+                {loading && (
+                    <p className="flex items-center text-gray-600">
+                        <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                        Compiling the return...
+                    </p>
+                )}
+
+                {error && (
+                    <div className="flex items-center p-4 bg-red-50 border border-red-200 rounded-xl text-red-700">
+                        <AlertTriangle className="w-5 h-5 mr-3" />
+                        {error}
+                    </div>
+                )}
+
+                {report && !loading && (
+                    <motion.div
+                        className="bg-white bg-opacity-90 backdrop-blur-md shadow-lg rounded-xl border border-primary-200 p-6 space-y-6"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                    >
+                        <div>
+                            <h2 className="text-xl font-semibold text-gray-900">
+                                {report.department || 'Whole institution'} - FY {report.financial_year}
+                            </h2>
+                            <p className="text-gray-600">
+                                Completed disposals from {formatDay(report.period_start)} to {formatDay(report.period_end)}
+                            </p>
+                        </div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                            {stat('Requests', report.totals.requests)}
+                            {stat('Items', report.totals.quantity)}
+                            {stat('Weight', `${report.totals.weight_kg} kg`)}
+                            {stat('Hazardous', `${report.totals.hazardous_weight_kg} kg`)}
+                            {stat('Certificates', report.totals.certificates_issued)}
+                        </div>
+
+                        <section>
+                            <h3 className="font-semibold text-gray-900 mb-2">Quantity by category</h3>
+                            {report.categories.length > 0 ? (
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-gray-500 border-b">
+                                            <th className="py-2 pr-4">Code</th>
+                                            <th className="py-2 pr-4">Category</th>
+                                            <th className="py-2 pr-4 text-right">Nos</th>
+                                            <th className="py-2 pr-4 text-right">Weight (kg)</th>
+                                            <th className="py-2 pr-4 text-right">MT</th>
+                                            <th className="py-2 text-right">Hazardous (kg)</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {report.categories.map(row => (
+                                            <tr key={row.category_code} className="border-b last:border-0">
+                                                <td className="py-2 pr-4 font-mono">{row.category_code}</td>
+                                                <td className="py-2 pr-4">{row.category_name}</td>
+                                                <td className="py-2 pr-4 text-right">{row.quantity}</td>
+                                                <td className="py-2 pr-4 text-right">{row.weight_kg}</td>
+                                                <td className="py-2 pr-4 text-right">{row.weight_mt}</td>
+                                                <td className="py-2 text-right">{row.hazardous_weight_kg}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            ) : (
+                                <p className="text-gray-500 italic">No disposal requests were completed in this financial year.</p>
+                            )}
+                        </section>
+
+                        {report.vendors.length > 0 && (
+                            <section>
+                                <h3 className="font-semibold text-gray-900 mb-2">Recyclers</h3>
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-gray-500 border-b">
+                                            <th className="py-2 pr-4">Recycler</th>
+                                            <th className="py-2 pr-4">Certifications</th>
+                                            <th className="py-2 pr-4 text-right">Requests</th>
+                                            <th className="py-2 text-right">Weight (kg)</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {report.vendors.map(vendor => (
+                                            <tr key={vendor.vendor_id} className="border-b last:border-0">
+                                                <td className="py-2 pr-4">
+                                                    <p className="font-medium">{vendor.name}</p>
+                                                    <p className="text-xs text-gray-500">{[vendor.email, vendor.phone].filter(Boolean).join(' • ')}</p>
+                                                </td>
+                                                <td className="py-2 pr-4">{vendor.certifications.join(', ') || 'Not recorded'}</td>
+                                                <td className="py-2 pr-4 text-right">{vendor.requests}</td>
+                                                <td className="py-2 text-right">{vendor.weight_kg}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </section>
+                        )}
+
+                        {report.requests.length > 0 && (
+                            <section>
+                                <h3 className="font-semibold text-gray-900 mb-2">Completed disposals</h3>
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-gray-500 border-b">
+                                            <th className="py-2 pr-4">Request</th>
+                                            <th className="py-2 pr-4">Department</th>
+                                            <th className="py-2 pr-4">Completed</th>
+                                            <th className="py-2 pr-4">Recycler</th>
+                                            <th className="py-2 pr-4 text-right">Weight (kg)</th>
+                                            <th className="py-2">Certificate</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {report.requests.map(request => (
+                                            <tr key={request.request_id} className="border-b last:border-0">
+                                                <td className="py-2 pr-4 font-mono">{request.request_id}</td>
+                                                <td className="py-2 pr-4">{request.department}</td>
+                                                <td className="py-2 pr-4">{formatDay(request.completed_at)}</td>
+                                                <td className="py-2 pr-4">{request.vendor_name || 'Not recorded'}</td>
+                                                <td className="py-2 pr-4 text-right">{request.weight_kg}</td>
+                                                <td className="py-2">
+                                                    {request.certificate_number ? (
+                                                        <a
+                                                            href={`/verify/${encodeURIComponent(request.certificate_number)}`}
+                                                            className="font-mono text-primary-700 hover:underline"
+                                                        >
+                                                            {request.certificate_number}
+                                                        </a>
+                                                    ) : (
+                                                        <span className="text-yellow-700">Not issued</span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </section>
+                        )}
+                    </motion.div>
+                )}
+            </main>
+        </div>
+    );
+};
+
+export default AnnualReturnPage;
@@ -18,6 +18,34 @@ import DisposalRequestsTable from '../components/disposal/DisposalRequestsTable'
 import DisposalRequestDetails from '../components/disposal/DisposalRequestDetails';
 import Header from '../components/common/Header';
 
+// Disposal request form values from a stored request, for editing or re-submitting it
+const toFormData = (request) => ({
+  contactPhone: request.contact_phone || '',
+  preferredDate: request.preferred_date ? new Date(request.preferred_date).toLocaleDateString('en-CA') : '',
+  preferredTimeSlot: request.preferred_time_slot || '',
+  specialInstructions: request.additional_notes || '',
+  latitude: request.latitude ? parseFloat(request.latitude) : null,
+  longitude: request.longitude ? parseFloat(request.longitude) : null,
+  fullAddress: request.pickup_address || '',
+  selectedDevices: (request.items || []).map(item => ({
+    id: item.device_db_id,
+    device_id: item.device_id,
+    device_name: item.device_name,
+    device_type: item.device_type,
+    brand: item.brand,
+    model: item.model
+  })),
+  weight_kg: request.weight_kg ?? '',
+  estimated_value: request.estimated_value ?? '',
+  lineItems: (request.line_items || []).map(item => ({
+    category_code: item.category_code,
+    quantity: item.quantity,
+    weight_kg: item.weight_kg ?? '',
+    hazard_types: item.hazard_types || [],
+    description: item.description || ''
+  }))
+});
+
 function DisposalPage() {
   const navigate = useNavigate();
   const [tabValue, setTabValue] = useState(0);
@@ -27,6 +55,8 @@ function DisposalPage() {
   const [requests, setRequests] = useState([]);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  // Request open in the form for editing (pending) or re-submission (rejected)
+  const [editingRequest, setEditingRequest] = useState(null);
 
   // Load disposal requests on initial render
   useEffect(() => {
@@ -57,6 +87,7 @@ function DisposalPage() {
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
     setSelectedRequest(null);
+    setEditingRequest(null);
     setShowForm(false);
   };
 
@@ -122,6 +153,62 @@ function DisposalPage() {
     }
   };
 
+  // Save an edited request, or re-submit it when it was rejected
+  const handleEditSubmit = async (formData) => {
+    const resubmitting = editingRequest.status === 'rejected';
+    setLoading(true);
+    setError(null);
+    const response = resubmitting
+      ? await disposalService.resubmitRequest(editingRequest.request_id, formData)
+      : await disposalService.updateRequest(editingRequest.request_id, formData);
+    setLoading(false);
+
+    if (response.success) {
+      const deviceErrors = response.data?.device_errors || [];
+      setSuccess(
+        (resubmitting ? 'Request re-submitted for approval' : response.message)
+        + (deviceErrors.length > 0 ? `. Not added: ${deviceErrors.map(e => `${e.device_id} (${e.message})`).join(', ')}` : '')
+      );
+      setEditingRequest(null);
+      fetchRequests();
+      handleViewRequest(editingRequest.request_id);
+    }
+    return response;
+  };
+
+  // Cancel a request with the department's reason
+  const handleCancelRequest = async (requestId, reason) => {
+    setLoading(true);
+    setError(null);
+    const response = await disposalService.cancelRequest(requestId, reason);
+    setLoading(false);
+
+    if (response.success) {
+      setSuccess('Request cancelled and its devices released');
+      fetchRequests();
+      handleViewRequest(requestId);
+    } else {
+      setError(response.message);
+    }
+    return response;
+  };
+
+  // Delete a request outright (admin only)
+  const handleDeleteRequest = async (requestId) => {
+    setLoading(true);
+    setError(null);
+    const response = await disposalService.deleteRequest(requestId);
+    setLoading(false);
+
+    if (response.success) {
+      setSuccess('Request deleted');
+      setSelectedRequest(null);
+      fetchRequests();
+    } else {
+      setError(response.message);
+    }
+  };
+
   // Clear any success/error messages
   const clearMessages = () => {
     setError(null);
@@ -222,7 +309,16 @@ function DisposalPage() {
             {/* My Requests Tab */}
             {tabValue === 1 && (
               <Box sx={{ p: 3 }}>
-                {selectedRequest ? (
+                {editingRequest ? (
+                  <DisposalRequestForm
+                    key={editingRequest.request_id}
+                    initialData={toFormData(editingRequest)}
+                    submitLabel={editingRequest.status === 'rejected' ? 'Re-submit Request' : 'Save Changes'}
+                    onSubmit={handleEditSubmit}
+                    onCancel={() => setEditingRequest(null)}
+                    loading={loading}
+                  />
+                ) : selectedRequest ? (
                   <Box>
                     <Button
                       onClick={() => setSelectedRequest(null)}
@@ -233,6 +329,22 @@ function DisposalPage() {
                     <DisposalRequestDetails 
                       request={selectedRequest} 
                       onUpdateStatus={handleUpdateStatus}
+                      onEdit={() => {
+                        clearMessages();
+                        setEditingRequest(selectedRequest);
+                      }}
+                      onCancelRequest={handleCancelRequest}
+                      onDelete={handleDeleteRequest}
+                      onDeviceTriaged={(requestId, message) => {
+                        setSuccess(message);
+                        fetchRequests();
+                        handleViewRequest(requestId);
+                      }}
+                      onBidAwarded={(requestId) => {
+                        setSuccess('Bid awarded and vendors notified');
+                        fetchRequests();
+                        handleViewRequest(requestId);
+                      }}
                       loading={loading}
                     />
                   </Box>
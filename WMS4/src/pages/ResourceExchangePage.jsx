@@ -569,8 +569,10 @@ const ResourceExchangePage = () => {
                                                     </div>
                                                 )}
 
-                                                {/* Response Actions (only for request owner and pending responses) */}
-                                                {selectedRequest.requester_user_id === user?.id && response.status === 'pending' && (
+                                                {/* Response Actions (only for the requesting department's HOD and pending responses) */}
+                                                {authService.hasPermission('resource_exchange:approve')
+                                                    && (user?.role === 'admin' || selectedRequest.requester_department === user?.department)
+                                                    && response.status === 'pending' && (
                                                     <div className="flex gap-2 pt-3 border-t border-gray-200">
                                                         <button
                                                             onClick={() => handleAcceptResponse(response.id)}
@@ -601,7 +603,7 @@ const ResourceExchangePage = () => {
                             </div>
 
                             {/* Response Button */}
-                            {selectedRequest.requester_user_id !== user?.id && selectedRequest.status === 'open' && (
+                            {selectedRequest.requester_user_id !== user?.id && selectedRequest.status === 'open' && authService.hasPermission('resource_exchange:request') && (
                                 <div className="mt-6 pt-4 border-t border-gray-200">
                                     <button
                                         onClick={() => {
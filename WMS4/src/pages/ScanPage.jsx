@@ -0,0 +1,525 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import {
+    Camera,
+    CameraOff,
+    QrCode,
+    MapPin,
+    ShieldCheck,
+    ShieldAlert,
+    Move,
+    Activity,
+    Trash2,
+    Wrench,
+    RotateCcw
+} from 'lucide-react';
+import jsQR from 'jsqr';
+import { toast } from 'react-toastify';
+import Header from '../components/common/Header';
+import { deviceService } from '../services/deviceService';
+import { disposalService } from '../services/disposalService';
+import { authService } from '../services/authService.js';
+
+const SCAN_PURPOSES = [
+    { value: 'view', label: 'View details' },
+    { value: 'verify', label: 'Verify label' },
+    { value: 'transfer', label: 'Move / transfer' },
+    { value: 'maintenance', label: 'Maintenance' },
+    { value: 'disposal', label: 'Disposal' },
+    { value: 'other', label: 'Other' }
+];
+
+// Action panel opened by default for each scan purpose
+const PURPOSE_ACTIONS = {
+    transfer: 'move',
+    maintenance: 'maintenance',
+    disposal: 'disposal'
+};
+
+// Permission required for each device action
+const ACTION_PERMISSIONS = {
+    move: 'device:move',
+    condition: 'device:update',
+    disposal: 'disposal:request',
+    maintenance: 'maintenance:manage'
+};
+
+const canPerform = (action) => authService.hasPermission(ACTION_PERMISSIONS[action]);
+
+const CONDITIONS = ['excellent', 'good', 'fair', 'poor', 'damaged'];
+const MAINTENANCE_TYPES = ['inspection', 'cleaning', 'repair', 'upgrade'];
+
+const ScanPage = () => {
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const streamRef = useRef(null);
+    const frameRef = useRef(null);
+
+    const [isScanning, setIsScanning] = useState(false);
+    const [scanPurpose, setScanPurpose] = useState('view');
+    const [scanLocation, setScanLocation] = useState('');
+    const [manualCode, setManualCode] = useState('');
+    const [lookupLoading, setLookupLoading] = useState(false);
+    const [scanResult, setScanResult] = useState(null);
+    const [activeAction, setActiveAction] = useState(null);
+    const [actionLoading, setActionLoading] = useState(false);
+
+    const [moveForm, setMoveForm] = useState({ to_location: '', notes: '' });
+    const [conditionForm, setConditionForm] = useState({ condition_status: 'good', notes: '' });
+    const [maintenanceForm, setMaintenanceForm] = useState({ maintenance_type: 'inspection', description: '', cost: '', next_maintenance_due: '' });
+    const [pendingRequests, setPendingRequests] = useState([]);
+    const [selectedRequestId, setSelectedRequestId] = useState('');
+
+    const stopCamera = useCallback(() => {
+        if (frameRef.current) {
+            cancelAnimationFrame(frameRef.current);
+            frameRef.current = null;
+        }
+        if (streamRef.current) {
+            streamRef.current.getTracks().forEach(track => track.stop());
+            streamRef.current = null;
+        }
+        setIsScanning(false);
+    }, []);
+
+    // Release the camera when leaving the page
+    useEffect(() => stopCamera, [stopCamera]);
+
+    const lookupDevice = async (payload) => {
+        setLookupLoading(true);
+        setScanResult(null);
+        setActiveAction(null);
+        try {
+            const response = await deviceService.getDeviceByQR(payload, {
+                scan_purpose: scanPurpose,
+                scan_location: scanLocation || undefined
+            });
+
+            if (response.success) {
+                const device = response.data.device;
+                setScanResult(response.data);
+                setMoveForm({ to_location: '', notes: '' });
+                setConditionForm({ condition_status: device.condition_status || 'good', notes: '' });
+                const defaultAction = PURPOSE_ACTIONS[scanPurpose];
+                setActiveAction(defaultAction && canPerform(defaultAction) ? defaultAction : null);
+                if (defaultAction === 'disposal' && canPerform('disposal')) {
+                    loadPendingRequests();
+                }
+            } else {
+                toast.error(response.message || 'Device not found');
+            }
+        } catch (error) {
+            console.error('QR lookup error:', error);
+            toast.error(error.message || 'Failed to look up device');
+        } finally {
+            setLookupLoading(false);
+        }
+    };
+
+    const scanFrame = () => {
+        const video = videoRef.current;
+        const canvas = canvasRef.current;
+
+        if (!video || !canvas || !streamRef.current) return;
+
+        if (video.readyState === video.HAVE_ENOUGH_DATA) {
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+            const code = jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'dontInvert' });
+
+            if (code && code.data) {
+                stopCamera();
+                lookupDevice(code.data);
+                return;
+            }
+        }
+
+        frameRef.current = requestAnimationFrame(scanFrame);
+    };
+
+    const startCamera = async () => {
+        if (!navigator.mediaDevices?.getUserMedia) {
+            toast.error('Camera access is not supported in this browser');
+            return;
+        }
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' }
+            });
+            streamRef.current = stream;
+            videoRef.current.srcObject = stream;
+            await videoRef.current.play();
+            setIsScanning(true);
+            setScanResult(null);
+            frameRef.current = requestAnimationFrame(scanFrame);
+        } catch (error) {
+            console.error('Camera error:', error);
+            toast.error('Could not access the camera. Check browser permissions.');
+        }
+    };
+
+    const handleManualLookup = (e) => {
+        e.preventDefault();
+        if (manualCode.trim()) {
+            lookupDevice(manualCode.trim());
+        }
+    };
+
+    const loadPendingRequests = async () => {
+        const user = authService.getCurrentUser();
+        const response = await disposalService.getRequests({ status: 'pending' });
+        if (response.success) {
+            const requests = (response.data || []).filter(request =>
+                user?.role === 'admin' || request.department === user?.department
+            );
+            setPendingRequests(requests);
+            setSelectedRequestId(requests[0]?.request_id || '');
+        }
+    };
+
+    const openAction = (action) => {
+        setActiveAction(activeAction === action ? null : action);
+        if (action === 'disposal') {
+            loadPendingRequests();
+        }
+    };
+
+    const runAction = async (action) => {
+        const device = scanResult.device;
+        setActionLoading(true);
+        try {
+            if (action === 'move') {
+                await deviceService.moveDevice(device.device_id, moveForm);
+                setScanResult(prev => ({ ...prev, device: { ...prev.device, current_location: moveForm.to_location } }));
+                toast.success(`Device moved to ${moveForm.to_location}`);
+            } else if (action === 'condition') {
+                await deviceService.updateCondition(device.device_id, conditionForm.condition_status, conditionForm.notes);
+                setScanResult(prev => ({ ...prev, device: { ...prev.device, condition_status: conditionForm.condition_status } }));
+                toast.success('Device condition updated');
+            } else if (action === 'maintenance') {
+                await deviceService.createMaintenanceRecord(device.device_id, {
+                    ...maintenanceForm,
+                    cost: maintenanceForm.cost || undefined,
+                    next_maintenance_due: maintenanceForm.next_maintenance_due || undefined
+                });
+                setMaintenanceForm({ maintenance_type: 'inspection', description: '', cost: '', next_maintenance_due: '' });
+                toast.success('Maintenance logged');
+            } else if (action === 'disposal') {
+                const response = await disposalService.addRequestItems(selectedRequestId, [{ device_id: device.device_id }]);
+                if (!response.success) {
+                    toast.error(response.message);
+                    return;
+                }
+                toast.success(`Device added to disposal request ${selectedRequestId}`);
+            }
+            setActiveAction(null);
+        } catch (error) {
+            console.error('Device action error:', error);
+            toast.error(error.message || 'Action failed');
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    const resetScan = () => {
+        setScanResult(null);
+        setActiveAction(null);
+        setManualCode('');
+    };
+
+    const device = scanResult?.device;
+    const verification = scanResult?.verification;
+
+    const actionButtons = [
+        { key: 'move', label: 'Move', icon: Move },
+        { key: 'condition', label: 'Update Condition', icon: Activity },
+        { key: 'disposal', label: 'Add to Disposal', icon: Trash2 },
+        { key: 'maintenance', label: 'Log Maintenance', icon: Wrench }
+    ].filter(action => canPerform(action.key));
+
+    return (
+        <div className='flex-1 overflow-auto relative z-10'>
+            <Header title='Scan Device' />
+
+            <main className='max-w-5xl mx-auto py-6 px-4 lg:px-8 space-y-6'>
+                {/* SCAN SETTINGS */}
+                <motion.div
+                    className="bg-white bg-opacity-90 backdrop-blur-md shadow-lg rounded-xl border border-primary-200 p-6"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                >
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Scan purpose</label>
+                            <select
+                                value={scanPurpose}
+                                onChange={(e) => setScanPurpose(e.target.value)}
+                                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                            >
+                                {SCAN_PURPOSES.map(purpose => (
+                                    <option key={purpose.value} value={purpose.value}>{purpose.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Scan location</label>
+                            <div className="relative">
+                                <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={18} />
+                                <input
+                                    type="text"
+                                    value={scanLocation}
+                                    onChange={(e) => setScanLocation(e.target.value)}
+                                    placeholder="e.g. Lab 2, Room 104"
+                                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                                />
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="relative bg-gray-900 rounded-lg overflow-hidden aspect-video flex items-center justify-center">
+                        <video ref={videoRef} className={`w-full h-full object-cover ${isScanning ? '' : 'hidden'}`} playsInline muted />
+                        <canvas ref={canvasRef} className="hidden" />
+                        {!isScanning && (
+                            <div className="text-center text-gray-300">
+                                <QrCode size={48} className="mx-auto mb-2" />
+                                <p>{lookupLoading ? 'Looking up device...' : 'Camera is off'}</p>
+                            </div>
+                        )}
+                        {isScanning && (
+                            <div className="absolute inset-1/4 border-4 border-primary-400 rounded-lg pointer-events-none" />
+                        )}
+                    </div>
+
+                    <div className="flex flex-col md:flex-row gap-3 mt-4">
+                        <button
+                            onClick={isScanning ? stopCamera : startCamera}
+                            className="flex items-center justify-center gap-2 bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition-colors"
+                        >
+                            {isScanning ? <CameraOff size={20} /> : <Camera size={20} />}
+                            {isScanning ? 'Stop Camera' : 'Start Camera'}
+                        </button>
+                        <form onSubmit={handleManualLookup} className="flex flex-1 gap-2">
+                            <input
+                                type="text"
+                                value={manualCode}
+                                onChange={(e) => setManualCode(e.target.value)}
+                                placeholder="Or paste a QR code / payload"
+                                className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                            />
+                            <button
+                                type="submit"
+                                disabled={!manualCode.trim() || lookupLoading}
+                                className="px-4 py-2 border border-primary-500 text-primary-600 rounded-lg hover:bg-primary-50 disabled:opacity-50"
+                            >
+                                Look up
+                            </button>
+                        </form>
+                    </div>
+                </motion.div>
+
+                {/* SCANNED DEVICE */}
+                {device && (
+                    <motion.div
+                        className="bg-white bg-opacity-90 backdrop-blur-md shadow-lg rounded-xl border border-primary-200 p-6"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                    >
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h2 className="text-xl font-semibold text-primary-800">{device.device_name}</h2>
+                                <p className="text-sm text-gray-500">{device.device_id}</p>
+                            </div>
+                            <div className="flex items-center gap-3">
+                                {verification?.verified ? (
+                                    <span className="flex items-center gap-1 text-sm text-green-700 bg-green-100 px-2 py-1 rounded-full">
+                                        <ShieldCheck size={16} /> Signed label
+                                    </span>
+                                ) : (
+                                    <span className="flex items-center gap-1 text-sm text-yellow-700 bg-yellow-100 px-2 py-1 rounded-full">
+                                        <ShieldAlert size={16} /> Unsigned label
+                                    </span>
+                                )}
+                                <button onClick={resetScan} className="p-2 hover:bg-gray-100 rounded-full" title="Scan another">
+                                    <RotateCcw size={20} />
+                                </button>
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-6">
+                            <div>
+                                <p className="text-gray-500">Type</p>
+                                <p className="font-medium text-gray-900">{device.device_type}</p>
+                            </div>
+                            <div>
+                                <p className="text-gray-500">Condition</p>
+                                <p className="font-medium text-gray-900 capitalize">{device.condition_status}</p>
+                            </div>
+                            <div>
+                                <p className="text-gray-500">Location</p>
+                                <p className="font-medium text-gray-900">{device.current_location || 'Not specified'}</p>
+                            </div>
+                            <div>
+                                <p className="text-gray-500">Department</p>
+                                <p className="font-medium text-gray-900">{device.current_department}</p>
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                            {actionButtons.map(({ key, label, icon: Icon }) => (
+                                <button
+                                    key={key}
+                                    onClick={() => openAction(key)}
+                                    className={`flex items-center justify-center gap-2 px-3 py-2 rounded-lg border transition-colors ${
+                                        activeAction === key
+                                            ? 'bg-primary-500 text-white border-primary-500'
+                                            : 'border-primary-300 text-primary-700 hover:bg-primary-50'
+                                    }`}
+                                >
+                                    <Icon size={18} />
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {activeAction === 'move' && (
+                            <div className="space-y-3">
+                                <input
+                                    type="text"
+                                    value={moveForm.to_location}
+                                    onChange={(e) => setMoveForm({ ...moveForm, to_location: e.target.value })}
+                                    placeholder="New location"
+                                    className="w-full p-2 border border-gray-300 rounded-lg"
+                                />
+                                <input
+                                    type="text"
+                                    value={moveForm.notes}
+                                    onChange={(e) => setMoveForm({ ...moveForm, notes: e.target.value })}
+                                    placeholder="Notes (optional)"
+                                    className="w-full p-2 border border-gray-300 rounded-lg"
+                                />
+                                <button
+                                    onClick={() => runAction('move')}
+                                    disabled={!moveForm.to_location.trim() || actionLoading}
+                                    className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 disabled:opacity-50"
+                                >
+                                    Move Device
+                                </button>
+                            </div>
+                        )}
+
+                        {activeAction === 'condition' && (
+                            <div className="space-y-3">
+                                <select
+                                    value={conditionForm.condition_status}
+                                    onChange={(e) => setConditionForm({ ...conditionForm, condition_status: e.target.value })}
+                                    className="w-full p-2 border border-gray-300 rounded-lg capitalize"
+                                >
+                                    {CONDITIONS.map(condition => (
+                                        <option key={condition} value={condition}>{condition}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="text"
+                                    value={conditionForm.notes}
+                                    onChange={(e) => setConditionForm({ ...conditionForm, notes: e.target.value })}
+                                    placeholder="Notes (optional)"
+                                    className="w-full p-2 border border-gray-300 rounded-lg"
+                                />
+                                <button
+                                    onClick={() => runAction('condition')}
+                                    disabled={conditionForm.condition_status === device.condition_status || actionLoading}
+                                    className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 disabled:opacity-50"
+                                >
+                                    Update Condition
+                                </button>
+                            </div>
+                        )}
+
+                        {activeAction === 'disposal' && (
+                            <div className="space-y-3">
+                                {pendingRequests.length === 0 ? (
+                                    <p className="text-sm text-gray-600">
+                                        No pending disposal requests for your department. Create one from the disposal page first.
+                                    </p>
+                                ) : (
+                                    <>
+                                        <select
+                                            value={selectedRequestId}
+                                            onChange={(e) => setSelectedRequestId(e.target.value)}
+                                            className="w-full p-2 border border-gray-300 rounded-lg"
+                                        >
+                                            {pendingRequests.map(request => (
+                                                <option key={request.request_id} value={request.request_id}>
+                                                    {request.request_id} - {request.e_waste_description?.slice(0, 60)}
+                                                </option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            onClick={() => runAction('disposal')}
+                                            disabled={!selectedRequestId || actionLoading}
+                                            className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 disabled:opacity-50"
+                                        >
+                                            Add to Request
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        )}
+
+                        {activeAction === 'maintenance' && (
+                            <div className="space-y-3">
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                                    <select
+                                        value={maintenanceForm.maintenance_type}
+                                        onChange={(e) => setMaintenanceForm({ ...maintenanceForm, maintenance_type: e.target.value })}
+                                        className="p-2 border border-gray-300 rounded-lg capitalize"
+                                    >
+                                        {MAINTENANCE_TYPES.map(type => (
+                                            <option key={type} value={type}>{type}</option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={maintenanceForm.cost}
+                                        onChange={(e) => setMaintenanceForm({ ...maintenanceForm, cost: e.target.value })}
+                                        placeholder="Cost"
+                                        className="p-2 border border-gray-300 rounded-lg"
+                                    />
+                                    <input
+                                        type="date"
+                                        value={maintenanceForm.next_maintenance_due}
+                                        onChange={(e) => setMaintenanceForm({ ...maintenanceForm, next_maintenance_due: e.target.value })}
+                                        title="Next maintenance due"
+                                        className="p-2 border border-gray-300 rounded-lg"
+                                    />
+                                </div>
+                                <textarea
+                                    value={maintenanceForm.description}
+                                    onChange={(e) => setMaintenanceForm({ ...maintenanceForm, description: e.target.value })}
+                                    placeholder="What was done?"
+                                    rows={3}
+                                    className="w-full p-2 border border-gray-300 rounded-lg"
+                                />
+                                <button
+                                    onClick={() => runAction('maintenance')}
+                                    disabled={actionLoading}
+                                    className="bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 disabled:opacity-50"
+                                >
+                                    Log Maintenance
+                                </button>
+                            </div>
+                        )}
+                    </motion.div>
+                )}
+            </main>
+        </div>
+    );
+};
+
+export default ScanPage;
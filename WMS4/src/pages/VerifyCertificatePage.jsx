@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ShieldCheck, ShieldAlert, Search, ExternalLink, Clock } from 'lucide-react';
+import Header from '../components/common/Header';
+import { disposalService } from '../services/disposalService';
+
+const formatDay = (value) => value ? new Date(value).toLocaleDateString() : 'N/A';
+
+// Public lookup of a Certificate of Recycling by its number
+const VerifyCertificatePage = () => {
+    const { certificateNumber } = useParams();
+    const navigate = useNavigate();
+    const [search, setSearch] = useState(certificateNumber || '');
+    const [certificate, setCertificate] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!certificateNumber) return;
+
+        setLoading(true);
+        setError(null);
+        setCertificate(null);
+        disposalService.verifyCertificate(certificateNumber).then(response => {
+            if (response.success) {
+                setCertificate(response.data);
+            } else {
+                setError(response.message);
+            }
+            setLoading(false);
+        });
+    }, [certificateNumber]);
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        if (search.trim()) navigate(`/verify/${encodeURIComponent(search.trim().toUpperCase())}`);
+    };
+
+    const field = (label, value) => (
+        <div>
+            <p className="text-sm text-gray-500">{label}</p>
+            <p className="font-medium text-gray-900">{value ?? 'N/A'}</p>
+        </div>
+    );
+
+    return (
+        <div className='flex-1 overflow-auto relative z-10'>
+            <Header title='Verify Certificate of Recycling' />
+
+            <main className='max-w-4xl mx-auto py-6 px-4 lg:px-8 space-y-6'>
+                <form onSubmit={handleSearch} className="flex gap-2">
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Certificate number, e.g. COR-2025-AB12CD34"
+                        className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    />
+                    <button type="submit" className="flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+                        <Search className="w-4 h-4 mr-2" />
+                        Verify
+                    </button>
+                </form>
+
+                {loading && <p className="text-gray-600">Checking certificate...</p>}
+
+                {error && (
+                    <div className="flex items-center p-4 bg-red-50 border border-red-200 rounded-xl text-red-700">
+                        <ShieldAlert className="w-6 h-6 mr-3" />
+                        {error}
+                    </div>
+                )}
+
+                {certificate && (
+                    <motion.div
+                        className="bg-white bg-opacity-90 backdrop-blur-md shadow-lg rounded-xl border border-primary-200 p-6 space-y-6"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                    >
+                        <div className="flex items-start justify-between">
+                            <div>
+                                <h2 className="text-2xl font-semibold text-gray-900">{certificate.certificate_number}</h2>
+                                <p className="text-gray-600">Disposal request {certificate.request_id}</p>
+                            </div>
+                            {certificate.status === 'issued' ? (
+                                <span className="flex items-center px-3 py-1 rounded-full bg-green-100 text-green-800 text-sm font-medium">
+                                    <ShieldCheck className="w-4 h-4 mr-1" />
+                                    Valid
+                                </span>
+                            ) : (
+                                <span className="flex items-center px-3 py-1 rounded-full bg-yellow-100 text-yellow-800 text-sm font-medium">
+                                    <Clock className="w-4 h-4 mr-1" />
+                                    Being issued
+                                </span>
+                            )}
+                        </div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                            {field('Generator', certificate.department)}
+                            {field('Recycler', certificate.vendor_name)}
+                            {field('Data destruction', certificate.data_destruction_method || 'Not specified')}
+                            {field('Collected', formatDay(certificate.collected_at))}
+                            {field('Completed', formatDay(certificate.completed_at))}
+                            {field('Issued', formatDay(certificate.issued_at))}
+                            {field('Total weight', certificate.total_weight_kg !== null ? `${certificate.total_weight_kg} kg` : null)}
+                            {field('Devices', certificate.device_count)}
+                        </div>
+
+                        {certificate.ipfs_hash && (
+                            <div className="p-4 bg-gray-50 rounded-lg">
+                                <p className="text-sm text-gray-500">IPFS CID</p>
+                                <p className="font-mono text-sm break-all text-gray-900">{certificate.ipfs_hash}</p>
+                                <a
+                                    href={certificate.ipfs_url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="inline-flex items-center mt-2 text-primary-700 hover:underline"
+                                >
+                                    <ExternalLink className="w-4 h-4 mr-1" />
+                                    Open certificate PDF
+                                </a>
+                            </div>
+                        )}
+
+                        {certificate.devices.length > 0 && (
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-gray-500 border-b">
+                                            <th className="py-2 pr-4">Device ID</th>
+                                            <th className="py-2 pr-4">Serial</th>
+                                            <th className="py-2 pr-4">Device</th>
+                                            <th className="py-2 pr-4">Sanitisation</th>
+                                            <th className="py-2 text-right">Weight (kg)</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {certificate.devices.map(device => (
+                                            <tr key={device.device_code} className="border-b last:border-0">
+                                                <td className="py-2 pr-4 font-mono">{device.device_code}</td>
+                                                <td className="py-2 pr-4 font-mono">{device.serial_number || '—'}</td>
+                                                <td className="py-2 pr-4">{[device.device_type, device.device_name].filter(Boolean).join(' - ')}</td>
+                                                <td className="py-2 pr-4">{device.sanitisation || '—'}</td>
+                                                <td className="py-2 text-right">{device.weight_kg ?? '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </motion.div>
+                )}
+            </main>
+        </div>
+    );
+};
+
+export default VerifyCertificatePage;
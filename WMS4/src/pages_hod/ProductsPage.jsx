@@ -1,44 +1,64 @@
 import { motion } from "framer-motion";
-import { useState, useEffect } from "react";
-import { AlertTriangle, Package, Plus, Search, QrCode, MapPin } from "lucide-react";
+import { useState, useEffect, useCallback } from "react";
+import { AlertTriangle, Package, Plus, Search, QrCode, MapPin, ChevronLeft, ChevronRight, Upload, Printer } from "lucide-react";
 
 import Header from "../components/common/Header";
 import StatCard from "../components/common/StatCard";
 import DeviceRegistrationModal from "../components/products/DeviceRegistrationModal";
+import DeviceImportModal from "../components/products/DeviceImportModal";
 import { deviceService } from "../services/deviceService.js";
 import { authService } from "../services/authService.js";
 import { toast } from "react-toastify";
 
+const PAGE_SIZE = 25;
+
 const ProductsPage = () => {
 	const [devices, setDevices] = useState([]);
-	const [filteredDevices, setFilteredDevices] = useState([]);
+	const [pagination, setPagination] = useState({ page: 1, total: 0, total_pages: 1 });
+	const [page, setPage] = useState(1);
+	const [deviceTypes, setDeviceTypes] = useState([]);
+	const [stats, setStats] = useState({ total: 0, excellent: 0, needsAttention: 0, recent: 0 });
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
 	const [searchTerm, setSearchTerm] = useState("");
+	const [debouncedSearch, setDebouncedSearch] = useState("");
 	const [filterCondition, setFilterCondition] = useState("all");
 	const [filterType, setFilterType] = useState("all");
 	const [isRegistrationModalOpen, setIsRegistrationModalOpen] = useState(false);
+	const [isImportModalOpen, setIsImportModalOpen] = useState(false);
 	const [user, setUser] = useState(null);
 
 	useEffect(() => {
 		const currentUser = authService.getCurrentUser();
 		setUser(currentUser);
-		fetchDevices();
+		fetchStats();
+		fetchDeviceTypes();
 	}, []);
 
+	// Wait for the user to stop typing before hitting the server
 	useEffect(() => {
-		filterDevices();
-	}, [devices, searchTerm, filterCondition, filterType]);
+		const timer = setTimeout(() => {
+			setDebouncedSearch(searchTerm.trim());
+			setPage(1);
+		}, 300);
+		return () => clearTimeout(timer);
+	}, [searchTerm]);
 
-	const fetchDevices = async () => {
+	const fetchDevices = useCallback(async () => {
 		try {
 			setLoading(true);
 			setError(null);
-			const response = await deviceService.getDepartmentDevices();
+
+			const params = { page, limit: PAGE_SIZE };
+			if (debouncedSearch) params.q = debouncedSearch;
+			if (filterCondition !== "all") params.condition_status = filterCondition;
+			if (filterType !== "all") params.device_type = filterType;
+
+			const response = await deviceService.searchDevices(params);
 			
 			if (response.success) {
-				console.log('Devices data:', response.data.devices);
 				setDevices(response.data.devices || []);
+				setPagination(response.data.pagination || { page: 1, total: 0, total_pages: 1 });
 			} else {
 				setError('Failed to fetch devices');
 				toast.error('Failed to fetch devices');
@@ -50,42 +70,77 @@ const ProductsPage = () => {
 		} finally {
 			setLoading(false);
 		}
-	};
+	}, [page, debouncedSearch, filterCondition, filterType]);
 
-	const filterDevices = () => {
-		let filtered = devices;
+	useEffect(() => {
+		fetchDevices();
+	}, [fetchDevices]);
 
-		// Search filter
-		if (searchTerm) {
-			const lowercaseSearch = searchTerm.toLowerCase();
-			filtered = filtered.filter(device =>
-				device.device_name?.toLowerCase().includes(lowercaseSearch) ||
-				device.device_type?.toLowerCase().includes(lowercaseSearch) ||
-				device.brand?.toLowerCase().includes(lowercaseSearch) ||
-				device.model?.toLowerCase().includes(lowercaseSearch) ||
-				device.device_id?.toLowerCase().includes(lowercaseSearch) ||
-				device.current_location?.toLowerCase().includes(lowercaseSearch)
-			);
-		}
+	const fetchStats = async () => {
+		try {
+			const weekAgo = new Date();
+			weekAgo.setDate(weekAgo.getDate() - 7);
 
-		// Condition filter
-		if (filterCondition !== "all") {
-			filtered = filtered.filter(device => device.condition_status === filterCondition);
-		}
+			const [statsResponse, recentResponse] = await Promise.all([
+				deviceService.getDeviceStats(),
+				deviceService.searchDevices({ registered_from: weekAgo.toISOString().slice(0, 10), limit: 1 })
+			]);
+
+			const conditionCount = (conditions) => (statsResponse.data?.condition_breakdown || [])
+				.filter(item => conditions.includes(item.condition_status))
+				.reduce((sum, item) => sum + item.count, 0);
 
-		// Type filter
-		if (filterType !== "all") {
-			filtered = filtered.filter(device => device.device_type === filterType);
+			setStats({
+				total: statsResponse.data?.total_devices || 0,
+				excellent: conditionCount(['excellent']),
+				needsAttention: conditionCount(['poor', 'damaged']),
+				recent: recentResponse.data?.pagination?.total || 0
+			});
+		} catch (err) {
+			console.error('Device stats fetch error:', err);
 		}
+	};
 
-		setFilteredDevices(filtered);
+	const fetchDeviceTypes = async () => {
+		try {
+			const response = await deviceService.getDeviceTypes();
+			if (response.success) {
+				setDeviceTypes((response.data.types || []).map(type => type.device_type).filter(type => type));
+			}
+		} catch (err) {
+			console.error('Device types fetch error:', err);
+		}
 	};
 
-	const handleDeviceRegistered = (newDevice) => {
-		setDevices(prev => [newDevice, ...prev]);
+	const handleDeviceRegistered = () => {
+		fetchDevices();
+		fetchStats();
+		fetchDeviceTypes();
 		toast.success("Device added to list!");
 	};
 
+	// Print QR labels for the devices currently listed
+	const handlePrintLabels = async () => {
+		try {
+			const pdf = await deviceService.generateLabels({ device_ids: devices.map(device => device.device_id) });
+			const url = URL.createObjectURL(pdf);
+			const link = document.createElement('a');
+			link.href = url;
+			link.download = `device_labels_${new Date().toISOString().slice(0, 10)}.pdf`;
+			link.click();
+			URL.revokeObjectURL(url);
+		} catch (err) {
+			console.error('Label generation error:', err);
+			toast.error(err.message || 'Failed to generate labels');
+		}
+	};
+
+	const handleDevicesImported = () => {
+		fetchDevices();
+		fetchStats();
+		fetchDeviceTypes();
+	};
+
 	const getConditionColor = (condition) => {
 		switch (condition?.toLowerCase()) {
 			case 'excellent': return 'bg-green-100 text-green-800';
@@ -97,26 +152,7 @@ const ProductsPage = () => {
 		}
 	};
 
-	const getUniqueDeviceTypes = () => {
-		const types = [...new Set(devices.map(device => device.device_type))];
-		return types.filter(type => type); // Filter out null/undefined
-	};
-
-	// Calculate stats
-	const totalDevices = devices.length;
-	const excellentDevices = devices.filter(d => d.condition_status === 'excellent').length;
-	const needsAttention = devices.filter(d => ['poor', 'damaged'].includes(d.condition_status)).length;
-	const recentDevices = devices.filter(d => {
-		if (!d.registration_date) return false;
-		const registrationDate = new Date(d.registration_date);
-		if (isNaN(registrationDate)) return false;
-		
-		const weekAgo = new Date();
-		weekAgo.setDate(weekAgo.getDate() - 7);
-		return registrationDate > weekAgo;
-	}).length;
-
-	if (loading) {
+	if (loading && devices.length === 0) {
 		return (
 			<div className='flex-1 overflow-auto relative z-10'>
 				<Header title='Device Management' />
@@ -170,25 +206,25 @@ const ProductsPage = () => {
 					<StatCard 
 						name='Total Devices' 
 						icon={Package} 
-						value={totalDevices.toLocaleString()} 
+						value={stats.total.toLocaleString()} 
 						color='#4caf50' 
 					/>
 					<StatCard 
 						name='Excellent Condition' 
 						icon={QrCode} 
-						value={excellentDevices} 
+						value={stats.excellent} 
 						color='#45a049' 
 					/>
 					<StatCard 
 						name='Needs Attention' 
 						icon={AlertTriangle} 
-						value={needsAttention} 
+						value={stats.needsAttention} 
 						color='#f44336' 
 					/>
 					<StatCard 
 						name='Recent (7 days)' 
 						icon={Plus} 
-						value={recentDevices} 
+						value={stats.recent} 
 						color='#2196f3' 
 					/>
 				</motion.div>
@@ -198,13 +234,32 @@ const ProductsPage = () => {
 					{/* Add Device Button */}
 					<div className="flex justify-between items-center">
 						<h2 className="text-xl font-semibold text-primary-800">Registered Devices</h2>
-						<button
-							onClick={() => setIsRegistrationModalOpen(true)}
-							className="flex items-center gap-2 bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition-colors"
-						>
-							<Plus size={20} />
-							Register New Device
-						</button>
+						<div className="flex gap-3">
+							<button
+								onClick={handlePrintLabels}
+								disabled={devices.length === 0}
+								className="flex items-center gap-2 border border-primary-500 text-primary-600 px-4 py-2 rounded-lg hover:bg-primary-50 transition-colors disabled:opacity-50"
+							>
+								<Printer size={20} />
+								Print Labels
+							</button>
+							{authService.hasPermission('device:import') && (
+								<button
+									onClick={() => setIsImportModalOpen(true)}
+									className="flex items-center gap-2 border border-primary-500 text-primary-600 px-4 py-2 rounded-lg hover:bg-primary-50 transition-colors"
+								>
+									<Upload size={20} />
+									Import CSV/XLSX
+								</button>
+							)}
+							<button
+								onClick={() => setIsRegistrationModalOpen(true)}
+								className="flex items-center gap-2 bg-primary-500 text-white px-4 py-2 rounded-lg hover:bg-primary-600 transition-colors"
+							>
+								<Plus size={20} />
+								Register New Device
+							</button>
+						</div>
 					</div>
 
 					{/* Search and Filters */}
@@ -222,7 +277,10 @@ const ProductsPage = () => {
 
 						<select
 							value={filterCondition}
-							onChange={(e) => setFilterCondition(e.target.value)}
+							onChange={(e) => {
+								setFilterCondition(e.target.value);
+								setPage(1);
+							}}
 							className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
 						>
 							<option value="all">All Conditions</option>
@@ -235,11 +293,14 @@ const ProductsPage = () => {
 
 						<select
 							value={filterType}
-							onChange={(e) => setFilterType(e.target.value)}
+							onChange={(e) => {
+								setFilterType(e.target.value);
+								setPage(1);
+							}}
 							className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
 						>
 							<option value="all">All Types</option>
-							{getUniqueDeviceTypes().map(type => (
+							{deviceTypes.map(type => (
 								<option key={type} value={type}>{type}</option>
 							))}
 						</select>
@@ -253,12 +314,12 @@ const ProductsPage = () => {
 					animate={{ opacity: 1, y: 0 }}
 					transition={{ delay: 0.2 }}
 				>
-					{filteredDevices.length === 0 ? (
+					{devices.length === 0 ? (
 						<div className="p-8 text-center">
 							<Package size={48} className="mx-auto text-gray-400 mb-4" />
 							<h3 className="text-lg font-medium text-gray-900 mb-2">No devices found</h3>
 							<p className="text-gray-600">
-								{devices.length === 0 
+								{stats.total === 0 
 									? "Get started by registering your first device."
 									: "Try adjusting your search or filter criteria."
 								}
@@ -290,7 +351,7 @@ const ProductsPage = () => {
 									</tr>
 								</thead>
 								<tbody className="divide-y divide-gray-200">
-									{filteredDevices.map((device) => (
+									{devices.map((device) => (
 										<tr key={device.id} className="hover:bg-primary-25">
 											<td className="px-6 py-4">
 												<div>
@@ -349,11 +410,32 @@ const ProductsPage = () => {
 					)}
 				</motion.div>
 
-				{/* Results summary */}
-				{filteredDevices.length > 0 && (
-					<div className="mt-4 text-sm text-gray-600 text-center">
-						Showing {filteredDevices.length} of {devices.length} devices
-						{searchTerm && ` matching "${searchTerm}"`}
+				{/* Results summary and pagination */}
+				{devices.length > 0 && (
+					<div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+						<div>
+							Showing {(pagination.page - 1) * PAGE_SIZE + 1}-{(pagination.page - 1) * PAGE_SIZE + devices.length} of {pagination.total} devices
+							{debouncedSearch && ` matching "${debouncedSearch}"`}
+						</div>
+						<div className="flex items-center gap-2">
+							<button
+								onClick={() => setPage(prev => prev - 1)}
+								disabled={loading || pagination.page <= 1}
+								className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-lg hover:bg-primary-50 disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								<ChevronLeft size={16} />
+								Previous
+							</button>
+							<span>Page {pagination.page} of {Math.max(pagination.total_pages, 1)}</span>
+							<button
+								onClick={() => setPage(prev => prev + 1)}
+								disabled={loading || pagination.page >= pagination.total_pages}
+								className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-lg hover:bg-primary-50 disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								Next
+								<ChevronRight size={16} />
+							</button>
+						</div>
 					</div>
 				)}
 			</main>
@@ -364,6 +446,13 @@ const ProductsPage = () => {
 				onClose={() => setIsRegistrationModalOpen(false)}
 				onDeviceRegistered={handleDeviceRegistered}
 			/>
+
+			{/* Device Import Modal */}
+			<DeviceImportModal
+				isOpen={isImportModalOpen}
+				onClose={() => setIsImportModalOpen(false)}
+				onDevicesImported={handleDevicesImported}
+			/>
 		</div>
 	);
 };
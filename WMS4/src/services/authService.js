@@ -54,6 +54,13 @@ class AuthService {
         }
     }
 
+    // Check the current user's role against the permissions sent by the backend
+    hasPermission(permission) {
+        const user = this.getCurrentUser();
+        if (!user) return false;
+        return user.role === 'admin' || (user.permissions || []).includes(permission);
+    }
+
     // Get user profile (to verify token is still valid)
     async getProfile() {
         try {
@@ -11,16 +11,38 @@ class DeviceService {
         }
     }
 
-    // Get devices for current user's department
-    async getDepartmentDevices() {
+    // Get devices for current user's department (optional search, filter, sort and page params)
+    async getDepartmentDevices(params = {}) {
         try {
-            const response = await api.get('/devices');
+            const response = await api.get('/devices', { params });
             return response;
         } catch (error) {
             throw error;
         }
     }
 
+    // Import devices from a CSV/XLSX file; without commit the server only returns a dry-run report
+    async importDevices(file, { commit = false } = {}) {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('commit', commit ? 'true' : 'false');
+
+        return api.post('/devices/import', formData, {
+            headers: {
+                'Content-Type': 'multipart/form-data',
+            },
+            timeout: 60000
+        });
+    }
+
+    // Download a PDF of QR label sheets (criteria: device_ids, location or registered_from/registered_to)
+    async generateLabels(criteria, layout = 'L7160') {
+        return api.post('/devices/labels', { ...criteria, layout }, {
+            responseType: 'blob',
+            timeout: 60000
+        });
+    }
+
     // Get dashboard statistics for department
     async getDepartmentStats() {
         try {
@@ -31,6 +53,16 @@ class DeviceService {
         }
     }
 
+    // Get device totals and condition breakdown for the current user's scope
+    async getDeviceStats() {
+        try {
+            const response = await api.get('/devices/stats');
+            return response;
+        } catch (error) {
+            throw error;
+        }
+    }
+
     // Get device by ID
     async getDeviceById(deviceId) {
         try {
@@ -116,16 +148,74 @@ class DeviceService {
         }
     }
 
-    // Get devices needing maintenance
-    async getMaintenanceDevices() {
+    // Look up a device from a scanned QR payload (params: scan_purpose, scan_location)
+    async getDeviceByQR(qrPayload, params = {}) {
+        return api.get(`/devices/qr/${encodeURIComponent(qrPayload)}`, { params });
+    }
+
+    // Move device to a different location
+    async moveDevice(deviceId, moveData) {
+        return api.put(`/devices/${deviceId}/move`, moveData);
+    }
+
+    // Transfer device to another department
+    async transferDevice(deviceId, transferData) {
+        return api.put(`/devices/${deviceId}/transfer`, transferData);
+    }
+
+    // Get full device profile (history, scans, disposal and maintenance records)
+    async getDeviceProfile(deviceId) {
+        return api.get(`/devices/${deviceId}/profile`);
+    }
+
+    // Get full device profile from a scanned QR code
+    async getDeviceProfileByQR(qrCode, params = {}) {
+        return api.get(`/devices/qr/${encodeURIComponent(qrCode)}/profile`, { params });
+    }
+
+    // Get paginated audit trail (filters: page, limit, start_date, end_date, activity_type)
+    async getDeviceAuditTrail(deviceId, params = {}) {
+        return api.get(`/devices/${deviceId}/audit-trail`, { params });
+    }
+
+    // Download audit trail as CSV or JSON
+    async exportDeviceAuditTrail(deviceId, format = 'csv', filters = {}) {
+        return api.get(`/devices/${deviceId}/audit-trail/export`, {
+            params: { ...filters, format },
+            responseType: 'blob'
+        });
+    }
+
+    // Get devices needing maintenance (optional filters: within_days, due_status, department)
+    async getMaintenanceDevices(params = {}) {
         try {
-            const response = await api.get('/devices/maintenance');
+            const response = await api.get('/devices/maintenance', { params });
             return response;
         } catch (error) {
             throw error;
         }
     }
 
+    // Get maintenance history for a device
+    async getMaintenanceRecords(deviceId) {
+        return api.get(`/devices/${deviceId}/maintenance`);
+    }
+
+    // Create maintenance record for a device
+    async createMaintenanceRecord(deviceId, recordData) {
+        return api.post(`/devices/${deviceId}/maintenance`, recordData);
+    }
+
+    // Update maintenance record
+    async updateMaintenanceRecord(deviceId, recordId, recordData) {
+        return api.put(`/devices/${deviceId}/maintenance/${recordId}`, recordData);
+    }
+
+    // Delete maintenance record
+    async deleteMaintenanceRecord(deviceId, recordId) {
+        return api.delete(`/devices/${deviceId}/maintenance/${recordId}`);
+    }
+
     // Search devices
     async searchDevices(searchParams) {
         try {
@@ -198,7 +288,10 @@ export const adminService = {
         } catch (error) {
             throw error;
         }
-    }
+    },
+
+    // Change a user's role, e.g. to 'hod' or 'lab_incharge' (admin only)
+    updateUserRole: async (userId, role) => api.put(`/admin/users/${userId}/role`, { role })
 };
 
 export default deviceService;
\ No newline at end of file
@@ -1,5 +1,22 @@
 import api from './api';
 
+// Editable request fields from the disposal request form, for editing or re-submitting a request
+const toEditPayload = (requestData) => ({
+  contact_phone: requestData.contact_phone,
+  pickup_address: requestData.pickup_address,
+  latitude: requestData.latitude,
+  longitude: requestData.longitude,
+  e_waste_description: requestData.e_waste_description,
+  weight_kg: requestData.weight_kg ?? '',
+  preferred_date: requestData.preferred_date || '',
+  preferred_time_slot: requestData.preferred_time_slot || '',
+  additional_notes: requestData.additional_notes || '',
+  estimated_value: requestData.estimated_value ?? '',
+  device_ids: requestData.selectedDevices?.map(device => device.id) || [],
+  line_items: requestData.line_items || [],
+  notes: requestData.notes
+});
+
 // Service for e-waste disposal requests
 export const disposalService = {
   
@@ -33,7 +50,9 @@ export const disposalService = {
         preferred_date: requestData.preferredDate || requestData.preferred_date || null,
         preferred_time_slot: requestData.preferredTimeSlot || requestData.preferred_time_slot || null,
         additional_notes: requestData.specialInstructions || requestData.additional_notes || null,
-        estimated_value: requestData.estimated_value || null
+        estimated_value: requestData.estimated_value || null,
+        device_ids: requestData.selectedDevices?.map(device => device.id) || [],
+        line_items: requestData.line_items || []
       };
 
       console.log('🔄 FRONTEND: Transformed backend data:', JSON.stringify(backendData, null, 2));
@@ -197,5 +216,376 @@ export const disposalService = {
         message: errorMessage
       };
     }
+  },
+
+  // Edit a pending request; the response lists what changed
+  updateRequest: async (requestId, requestData) => {
+    try {
+      const response = await api.put(`/disposal/requests/${requestId}`, toEditPayload(requestData));
+      return {
+        success: true,
+        data: response.data,
+        message: response.message || 'Request updated successfully'
+      };
+    } catch (error) {
+      console.error('Update disposal request error:', error);
+      return {
+        success: false,
+        message: error.errors?.[0]?.msg || error.errors?.[0]?.message || error.message || 'Failed to update request'
+      };
+    }
+  },
+
+  // Cancel a request; the reason is recorded in its history and sent to the vendors
+  cancelRequest: async (requestId, reason) => {
+    try {
+      const response = await api.post(`/disposal/requests/${requestId}/cancel`, { reason });
+      return {
+        success: true,
+        data: response.data,
+        message: 'Request cancelled'
+      };
+    } catch (error) {
+      console.error('Cancel disposal request error:', error);
+      return {
+        success: false,
+        message: error.errors?.[0]?.msg || error.message || 'Failed to cancel request'
+      };
+    }
+  },
+
+  // Re-submit a rejected request for approval, with the edits made in the form
+  resubmitRequest: async (requestId, requestData) => {
+    try {
+      const response = await api.post(`/disposal/requests/${requestId}/resubmit`, toEditPayload(requestData));
+      return {
+        success: true,
+        data: response.data,
+        message: 'Request re-submitted for approval'
+      };
+    } catch (error) {
+      console.error('Resubmit disposal request error:', error);
+      return {
+        success: false,
+        message: error.errors?.[0]?.msg || error.errors?.[0]?.message || error.message || 'Failed to re-submit request'
+      };
+    }
+  },
+
+  // Delete a request that never reached a vendor (admin only)
+  deleteRequest: async (requestId) => {
+    try {
+      const response = await api.delete(`/disposal/requests/${requestId}`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Request deleted'
+      };
+    } catch (error) {
+      console.error('Delete disposal request error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to delete request'
+      };
+    }
+  },
+
+  // Get the fair/poor devices on a request that could be repaired instead, and the repair services
+  getRepairCandidates: async (requestId) => {
+    try {
+      const response = await api.get(`/disposal/requests/${requestId}/repair-candidates`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Repair candidates fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch repair candidates error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch repair candidates',
+        data: { can_triage: false, candidates: [], services: [] }
+      };
+    }
+  },
+
+  // Take a device off the request and open a Center repair order for it
+  sendForRepair: async (requestId, deviceId, repairData) => {
+    try {
+      const response = await api.post(`/disposal/requests/${requestId}/items/${deviceId}/repair`, repairData);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message || 'Device sent for repair'
+      };
+    } catch (error) {
+      console.error('Send device for repair error:', error);
+      return {
+        success: false,
+        message: error.errors?.[0]?.msg || error.message || 'Failed to send device for repair'
+      };
+    }
+  },
+
+  // Get the status change history and the statuses the current user may move the request to
+  getRequestHistory: async (requestId) => {
+    try {
+      const response = await api.get(`/disposal/requests/${requestId}/history`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Request history fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch disposal request history error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to fetch request history',
+        data: { allowed_transitions: [], history: [] }
+      };
+    }
+  },
+
+  // Get vendor quotes on a disposal request, cheapest first
+  getRequestBids: async (requestId) => {
+    try {
+      const response = await api.get(`/disposal/requests/${requestId}/bids`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Request bids fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch disposal request bids error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to fetch request bids',
+        data: { bids: [] }
+      };
+    }
+  },
+
+  // Get the vendor's proof of pickup (weighed quantities, photos, signature)
+  getPickupProof: async (requestId) => {
+    try {
+      const response = await api.get(`/disposal/requests/${requestId}/pickup-proof`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Proof of pickup fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch proof of pickup error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to fetch proof of pickup',
+        data: { proof: null }
+      };
+    }
+  },
+
+  // Get the data sanitisation state of each device on a request
+  getSanitisation: async (requestId) => {
+    try {
+      const response = await api.get(`/disposal/requests/${requestId}/sanitisation`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Sanitisation records fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch sanitisation records error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to fetch sanitisation records',
+        data: null
+      };
+    }
+  },
+
+  // Record how a storage device was sanitised, or that the vendor will destroy it
+  recordSanitisation: async (requestId, record) => {
+    try {
+      const response = await api.post(`/disposal/requests/${requestId}/sanitisation`, record);
+      return {
+        success: true,
+        data: response.data,
+        message: response.message || 'Sanitisation recorded successfully'
+      };
+    } catch (error) {
+      console.error('Record sanitisation error:', error);
+      return {
+        success: false,
+        message: error.errors?.[0]?.message || error.message || 'Failed to record sanitisation'
+      };
+    }
+  },
+
+  // Get the Certificate of Recycling of a completed request
+  getCertificate: async (requestId) => {
+    try {
+      const response = await api.get(`/disposal/requests/${requestId}/certificate`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Certificate fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch certificate error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to fetch certificate',
+        data: { certificate: null }
+      };
+    }
+  },
+
+  // Issue the Certificate of Recycling now, or retry its IPFS upload
+  issueCertificate: async (requestId) => {
+    try {
+      // Pinning to IPFS can take up to two minutes
+      const response = await api.post(`/disposal/requests/${requestId}/certificate`, {}, { timeout: 150000 });
+      return {
+        success: true,
+        data: response.data,
+        message: response.message || 'Certificate issued successfully'
+      };
+    } catch (error) {
+      console.error('Issue certificate error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to issue certificate'
+      };
+    }
+  },
+
+  // Verify a Certificate of Recycling by its number (no login needed)
+  verifyCertificate: async (certificateNumber) => {
+    try {
+      const response = await api.get(`/certificates/${encodeURIComponent(certificateNumber)}`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Certificate verified'
+      };
+    } catch (error) {
+      console.error('Verify certificate error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Certificate could not be verified'
+      };
+    }
+  },
+
+  // Award a vendor quote, approving the request for that vendor
+  awardBid: async (requestId, bidId) => {
+    try {
+      const response = await api.post(`/disposal/requests/${requestId}/bids/${bidId}/award`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Bid awarded successfully'
+      };
+    } catch (error) {
+      console.error('Award disposal bid error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to award bid'
+      };
+    }
+  },
+
+  // Get pickup slots that still have vendor capacity between two dates
+  getOpenSlots: async (from, to = from) => {
+    try {
+      const response = await api.get('/disposal/open-slots', { params: { from, to } });
+      return {
+        success: true,
+        data: response.data,
+        message: 'Open slots fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch open pickup slots error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to fetch open slots',
+        data: { data: { days: [] } }
+      };
+    }
+  },
+
+  // Get the e-waste categories and hazard types a request can be broken down into
+  getEWasteCategories: async () => {
+    try {
+      const response = await api.get('/disposal/ewaste-categories');
+      return {
+        success: true,
+        data: response.data,
+        message: 'E-waste categories fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch e-waste categories error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to fetch e-waste categories',
+        data: { categories: [], hazard_types: {} }
+      };
+    }
+  },
+
+  // Get the devices included in a disposal request
+  getRequestItems: async (requestId) => {
+    try {
+      const response = await api.get(`/disposal/requests/${requestId}/items`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Request items fetched successfully'
+      };
+    } catch (error) {
+      console.error('Fetch disposal request items error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch request items',
+        data: { items: [] }
+      };
+    }
+  },
+
+  // Add devices to a pending disposal request
+  addRequestItems: async (requestId, items) => {
+    try {
+      const response = await api.post(`/disposal/requests/${requestId}/items`, { items });
+      return {
+        success: true,
+        data: response.data,
+        message: response.message || 'Devices added to request'
+      };
+    } catch (error) {
+      console.error('Add disposal request items error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to add devices to request',
+        errors: error.errors || []
+      };
+    }
+  },
+
+  // Remove a device from a pending disposal request
+  removeRequestItem: async (requestId, deviceId) => {
+    try {
+      const response = await api.delete(`/disposal/requests/${requestId}/items/${deviceId}`);
+      return {
+        success: true,
+        data: response.data,
+        message: 'Device removed from request'
+      };
+    } catch (error) {
+      console.error('Remove disposal request item error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to remove device from request'
+      };
+    }
   }
 };
\ No newline at end of file
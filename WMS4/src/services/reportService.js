@@ -0,0 +1,37 @@
+import api from './api';
+
+// Service for regulatory reports
+export const reportService = {
+
+  // Get the annual e-waste return (Form-3) of a financial year, e.g. "2025-26"
+  getAnnualReturn: async (financialYear, department = '') => {
+    try {
+      const response = await api.get('/reports/annual-return', {
+        params: { financial_year: financialYear, department: department || undefined }
+      });
+      return {
+        success: true,
+        data: response.data,
+        message: 'Annual return generated successfully'
+      };
+    } catch (error) {
+      console.error('Annual return error:', error);
+      return {
+        success: false,
+        message: error.errors?.[0]?.msg || error.message || 'Failed to generate annual return',
+        data: null
+      };
+    }
+  },
+
+  // Download the annual return as a PDF or CSV file (resolves to a Blob)
+  downloadAnnualReturn: async (financialYear, format, department = '') => {
+    return api.get('/reports/annual-return', {
+      params: { financial_year: financialYear, format, department: department || undefined },
+      responseType: 'blob',
+      timeout: 60000
+    });
+  }
+};
+
+export default reportService;
@@ -0,0 +1,189 @@
+// Data sanitisation of storage-bearing devices, shared by the WMS4 and Center backends.
+// Departments record how each flagged device was sanitised (NIST SP 800-88) before the
+// vendor may collect it, or hand it over explicitly for the vendor to destroy.
+
+// NIST SP 800-88 sanitisation levels
+export const SANITISATION_METHODS = {
+    clear: 'Clear',
+    purge: 'Purge',
+    destroy: 'Destroy'
+};
+
+export const SANITISATION_OUTCOMES = ['sanitised', 'vendor_will_destroy'];
+
+export const VERIFICATION_RESULTS = ['passed', 'failed'];
+
+// Records can only change while the devices are still with the department
+export const SANITISATION_EDITABLE_STATUSES = ['pending', 'approved', 'pickup_scheduled'];
+
+// Moving a request into one of these hands its devices to the vendor
+export const SANITISATION_GATED_STATUSES = ['out_for_pickup', 'pickup_completed', 'in_progress'];
+
+// Device types that carry user data (matched against devices.device_type)
+const STORAGE_DEVICE_TYPE = /laptop|desktop|computer|server|tablet|smartphone|phone|hard drive|hdd|ssd|external drive|usb drive|storage|nas|printer|gaming console/i;
+
+export const isStorageDeviceType = (deviceType) => STORAGE_DEVICE_TYPE.test(deviceType || '');
+
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+/**
+ * Validate a sanitisation record for one device.
+ * Returns an array of { field, message } (empty when the record is complete).
+ */
+export const validateSanitisationRecord = ({ device_id, outcome, method, operator_name, tool, verification_result, evidence_reference, notes }) => {
+    const errors = [];
+
+    if (!device_id) {
+        errors.push({ field: 'device_id', message: 'Device is required' });
+    }
+
+    if (!SANITISATION_OUTCOMES.includes(outcome)) {
+        errors.push({ field: 'outcome', message: `Outcome must be one of: ${SANITISATION_OUTCOMES.join(', ')}` });
+    }
+
+    if (outcome === 'sanitised') {
+        if (!SANITISATION_METHODS[method]) {
+            errors.push({ field: 'method', message: 'Method must be NIST 800-88 clear, purge or destroy' });
+        }
+        if (isBlank(operator_name) || operator_name.length > 100) {
+            errors.push({ field: 'operator_name', message: 'Operator name is required (up to 100 characters)' });
+        }
+        if (isBlank(tool) || tool.length > 255) {
+            errors.push({ field: 'tool', message: 'Tool or procedure used is required (up to 255 characters)' });
+        }
+        if (!VERIFICATION_RESULTS.includes(verification_result)) {
+            errors.push({ field: 'verification_result', message: 'Verification result must be passed or failed' });
+        }
+    }
+
+    if (evidence_reference && String(evidence_reference).length > 255) {
+        errors.push({ field: 'evidence_reference', message: 'Evidence reference cannot exceed 255 characters' });
+    }
+
+    if (notes && String(notes).length > 1000) {
+        errors.push({ field: 'notes', message: 'Notes cannot exceed 1000 characters' });
+    }
+
+    return errors;
+};
+
+// A device may leave once it passed verification or the vendor has taken on its destruction
+export const isDeviceCleared = (record) => Boolean(record) && (
+    record.outcome === 'vendor_will_destroy' ||
+    (record.outcome === 'sanitised' && record.verification_result === 'passed')
+);
+
+// Short human-readable summary of a record, used in the audit trail and on the certificate
+export const describeSanitisation = (record) => {
+    if (!record) return null;
+    if (record.outcome === 'vendor_will_destroy') return 'Destroyed by recycler';
+    return `NIST 800-88 ${SANITISATION_METHODS[record.method]} - ${record.tool} (${record.verification_result})`;
+};
+
+// Latest record per device on a request; every attempt is also kept in the device audit trail
+export const CREATE_DEVICE_SANITISATION_RECORDS_TABLE = `
+    CREATE TABLE IF NOT EXISTS device_sanitisation_records (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        disposal_request_id INT NOT NULL,
+        device_id INT NOT NULL,
+        outcome ENUM('sanitised', 'vendor_will_destroy') NOT NULL,
+        method ENUM('clear', 'purge', 'destroy'),
+        operator_name VARCHAR(100),
+        tool VARCHAR(255),
+        verification_result ENUM('passed', 'failed'),
+        evidence_reference VARCHAR(255),
+        notes TEXT,
+        recorded_by INT,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_request_device (disposal_request_id, device_id),
+        FOREIGN KEY (disposal_request_id) REFERENCES disposal_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+        FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+`;
+
+/**
+ * Sanitisation state of every device on a request's manifest.
+ * Returns { devices, flagged_count, cleared_count, pending_count, ready }; devices that
+ * carry no storage are listed with requires_sanitisation false and never hold pickup up.
+ */
+export const getSanitisationStatus = async (executeQuery, disposalRequestId) => {
+    const result = await executeQuery(`
+        SELECT d.id, d.device_id as device_code, d.device_name, d.device_type, d.serial_number,
+            dsr.outcome, dsr.method, dsr.operator_name, dsr.tool, dsr.verification_result,
+            dsr.evidence_reference, dsr.notes, dsr.recorded_at, u.name as recorded_by_name
+        FROM disposal_request_items dri
+        JOIN devices d ON dri.device_id = d.id
+        LEFT JOIN device_sanitisation_records dsr
+            ON dsr.disposal_request_id = dri.disposal_request_id AND dsr.device_id = d.id
+        LEFT JOIN users u ON dsr.recorded_by = u.id
+        WHERE dri.disposal_request_id = ?
+        ORDER BY d.device_id ASC
+    `, [disposalRequestId]);
+
+    if (!result.success) {
+        throw new Error('Failed to fetch data sanitisation records');
+    }
+
+    const devices = result.data.map(row => {
+        const record = row.outcome ? {
+            outcome: row.outcome,
+            method: row.method,
+            operator_name: row.operator_name,
+            tool: row.tool,
+            verification_result: row.verification_result,
+            evidence_reference: row.evidence_reference,
+            notes: row.notes,
+            recorded_at: row.recorded_at,
+            recorded_by_name: row.recorded_by_name
+        } : null;
+        const requiresSanitisation = isStorageDeviceType(row.device_type);
+
+        return {
+            id: row.id,
+            device_code: row.device_code,
+            device_name: row.device_name,
+            device_type: row.device_type,
+            serial_number: row.serial_number,
+            requires_sanitisation: requiresSanitisation,
+            cleared: !requiresSanitisation || isDeviceCleared(record),
+            record
+        };
+    });
+
+    const flagged = devices.filter(device => device.requires_sanitisation);
+    const cleared = flagged.filter(device => device.cleared);
+
+    return {
+        devices,
+        flagged_count: flagged.length,
+        cleared_count: cleared.length,
+        pending_count: flagged.length - cleared.length,
+        ready: cleared.length === flagged.length
+    };
+};
+
+/**
+ * Block the move that hands devices to the vendor while a flagged device is not sanitised.
+ * Returns { allowed: true } or { allowed: false, httpStatus, message, pending_devices }.
+ */
+export const checkSanitisationForPickup = async (executeQuery, request, toStatus) => {
+    // Only the first move out of the department's hands is checked
+    if (!SANITISATION_GATED_STATUSES.includes(toStatus) || SANITISATION_GATED_STATUSES.includes(request.status)) {
+        return { allowed: true };
+    }
+
+    const status = await getSanitisationStatus(executeQuery, request.id);
+    if (status.ready) {
+        return { allowed: true };
+    }
+
+    const pending = status.devices.filter(device => !device.cleared);
+    return {
+        allowed: false,
+        httpStatus: 409,
+        message: `${pending.length} storage device(s) must be sanitised or marked "vendor will destroy" before pickup: `
+            + pending.map(device => device.device_code).join(', '),
+        pending_devices: pending.map(device => device.device_code)
+    };
+};
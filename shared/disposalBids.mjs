@@ -0,0 +1,81 @@
+// Vendor quotes on disposal requests, shared by the WMS4 and Center backends.
+// Vendors bid from Center while a request is pending; the requesting department
+// awards one bid from WMS4, which sets disposal_requests.vendor_id.
+
+export const BID_PRICING_TYPES = ['per_kg', 'lump_sum'];
+
+export const BID_STATUSES = ['submitted', 'withdrawn', 'awarded', 'lost'];
+
+// Total a bid would cost for the request, so per-kg and lump-sum quotes can be compared
+export const getBidTotal = (bid, weightKg) => {
+    const price = parseFloat(bid.price);
+    if (bid.pricing_type === 'lump_sum') return price;
+    return weightKg ? Math.round(price * parseFloat(weightKg) * 100) / 100 : null;
+};
+
+/**
+ * Validate a quote body from a vendor.
+ * Returns an array of { field, message } (empty when the bid is valid).
+ */
+export const validateBid = ({ pricing_type, price, pickup_window_start, pickup_window_end, certifications, notes }) => {
+    const errors = [];
+
+    if (!BID_PRICING_TYPES.includes(pricing_type)) {
+        errors.push({ field: 'pricing_type', message: `Pricing type must be one of: ${BID_PRICING_TYPES.join(', ')}` });
+    }
+
+    if (price === undefined || price === null || price === '' || isNaN(price) || parseFloat(price) < 0) {
+        errors.push({ field: 'price', message: 'Price must be a non-negative number' });
+    }
+
+    const start = new Date(pickup_window_start);
+    const end = new Date(pickup_window_end);
+    if (!pickup_window_start || isNaN(start.getTime())) {
+        errors.push({ field: 'pickup_window_start', message: 'Pickup window start must be a valid date' });
+    }
+    if (!pickup_window_end || isNaN(end.getTime())) {
+        errors.push({ field: 'pickup_window_end', message: 'Pickup window end must be a valid date' });
+    }
+    if (!isNaN(start.getTime()) && !isNaN(end.getTime()) && end <= start) {
+        errors.push({ field: 'pickup_window_end', message: 'Pickup window end must be after its start' });
+    }
+
+    if (certifications !== undefined && (!Array.isArray(certifications)
+        || certifications.some(certification => typeof certification !== 'string' || certification.length > 100))) {
+        errors.push({ field: 'certifications', message: 'Certifications must be a list of names up to 100 characters' });
+    }
+
+    if (notes && String(notes).length > 1000) {
+        errors.push({ field: 'notes', message: 'Notes cannot exceed 1000 characters' });
+    }
+
+    return errors;
+};
+
+// One bid per vendor per request; resubmitting replaces the vendor's earlier quote
+export const CREATE_DISPOSAL_BIDS_TABLE = `
+    CREATE TABLE IF NOT EXISTS disposal_bids (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        disposal_request_id INT NOT NULL,
+        vendor_id INT NOT NULL,
+        pricing_type ENUM('per_kg', 'lump_sum') NOT NULL,
+        price DECIMAL(12, 2) NOT NULL,
+        pickup_window_start DATETIME NOT NULL,
+        pickup_window_end DATETIME NOT NULL,
+        certifications JSON,
+        notes TEXT,
+        status ENUM('submitted', 'withdrawn', 'awarded', 'lost') DEFAULT 'submitted',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (disposal_request_id) REFERENCES disposal_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (vendor_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_request_vendor (disposal_request_id, vendor_id),
+        INDEX idx_status (status)
+    )
+`;
+
+// Center's disposal_requests schema predates vendor_id
+export const ADD_DISPOSAL_VENDOR_ID_COLUMN = `
+    ALTER TABLE disposal_requests
+    ADD COLUMN IF NOT EXISTS vendor_id INT NULL
+`;
@@ -0,0 +1,296 @@
+// Disposal request lifecycle shared by the WMS4 and Center backends.
+// Both update the same disposal_requests rows, so every status change in either
+// app must go through checkDisposalTransition and be recorded in disposal_status_history.
+
+export const DISPOSAL_STATUSES = [
+    'pending',
+    'approved',
+    'pickup_scheduled',
+    'out_for_pickup',
+    'pickup_completed',
+    'in_progress',
+    'completed',
+    'rejected',
+    'cancelled'
+];
+
+// Statuses a request can never leave (a rejected request can still be re-submitted)
+export const TERMINAL_DISPOSAL_STATUSES = ['completed', 'cancelled'];
+
+// from status -> to status -> roles allowed to make that move
+export const DISPOSAL_TRANSITIONS = {
+    pending: {
+        approved: ['admin', 'hod'], // or by awarding a vendor bid (see disposalBids.mjs)
+        rejected: ['admin', 'hod'],
+        cancelled: ['admin', 'hod', 'lab_incharge']
+    },
+    approved: {
+        pickup_scheduled: ['admin', 'vendor'],
+        in_progress: ['admin', 'vendor'],
+        cancelled: ['admin', 'hod']
+    },
+    pickup_scheduled: {
+        pickup_scheduled: ['admin', 'vendor'], // reschedule
+        out_for_pickup: ['admin', 'vendor'],
+        cancelled: ['admin', 'hod', 'vendor']
+    },
+    out_for_pickup: {
+        pickup_scheduled: ['admin', 'vendor'], // missed pickup, reschedule
+        pickup_completed: ['admin', 'vendor']
+    },
+    pickup_completed: {
+        in_progress: ['admin', 'vendor'],
+        completed: ['admin', 'vendor']
+    },
+    in_progress: {
+        completed: ['admin', 'vendor']
+    },
+    rejected: {
+        pending: ['admin', 'hod', 'lab_incharge'] // re-submitted by the department
+    }
+};
+
+// Statuses the given role may move a request to from its current status
+export const getAllowedTransitions = (fromStatus, role) =>
+    Object.entries(DISPOSAL_TRANSITIONS[fromStatus] || {})
+        .filter(([, roles]) => roles.includes(role))
+        .map(([toStatus]) => toStatus);
+
+/**
+ * Validate a status change.
+ * Returns { allowed: true } or { allowed: false, httpStatus, message } where
+ * 400 = unknown status, 409 = illegal jump from the current status, 403 = role may not make this move.
+ */
+export const checkDisposalTransition = (fromStatus, toStatus, role) => {
+    if (!DISPOSAL_STATUSES.includes(toStatus)) {
+        return { allowed: false, httpStatus: 400, message: 'Invalid status value' };
+    }
+
+    const roles = (DISPOSAL_TRANSITIONS[fromStatus] || {})[toStatus];
+
+    if (!roles) {
+        return {
+            allowed: false,
+            httpStatus: 409,
+            message: TERMINAL_DISPOSAL_STATUSES.includes(fromStatus)
+                ? `Request is already ${fromStatus} and can no longer change status`
+                : `Cannot move a request from ${fromStatus} to ${toStatus}`
+        };
+    }
+
+    if (!roles.includes(role)) {
+        return {
+            allowed: false,
+            httpStatus: 403,
+            message: `Your role cannot move a request from ${fromStatus} to ${toStatus}`
+        };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Apply a validated status change and record it in disposal_status_history.
+ * Takes the calling backend's executeQuery. The UPDATE only matches while the row still has the
+ * status it was validated against, so a concurrent change from the other app yields a 409.
+ * `fields` holds extra columns to set alongside the status (e.g. vendor_notes, pickup_datetime);
+ * `changes` is the diff of an edit made with the move (see diffDisposalFields).
+ */
+export const applyDisposalTransition = async (executeQuery, { request, toStatus, changedBy, source, notes = null, fields = {}, changes = null }) => {
+    const columns = Object.keys(fields);
+    const updateResult = await executeQuery(`
+        UPDATE disposal_requests
+        SET status = ?, ${columns.map(column => `${column} = ?, `).join('')}updated_at = NOW()
+        WHERE id = ? AND status = ?
+    `, [toStatus, ...columns.map(column => fields[column]), request.id, request.status]);
+
+    if (!updateResult.success) {
+        return { success: false, httpStatus: 500, message: 'Failed to update disposal request status' };
+    }
+
+    if (updateResult.data.affectedRows === 0) {
+        return { success: false, httpStatus: 409, message: 'Request status was changed by someone else, reload and try again' };
+    }
+
+    await executeQuery(`
+        INSERT INTO disposal_status_history (disposal_request_id, old_status, new_status, changed_by, source, notes, changes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [request.id, request.status, toStatus, changedBy || null, source, notes, changes ? JSON.stringify(changes) : null]);
+
+    return { success: true };
+};
+
+// devices.disposal_status of the devices on a request, by request status
+export const DEVICE_DISPOSAL_STATUSES = {
+    pending: 'scheduled',
+    approved: 'approved',
+    pickup_scheduled: 'pickup_scheduled',
+    out_for_pickup: 'out_for_pickup',
+    pickup_completed: 'collected',
+    in_progress: 'in_progress',
+    completed: 'completed',
+    rejected: 'rejected',
+    cancelled: 'cancelled'
+};
+
+// Activity log type recorded on each device when its request changes status
+const DEVICE_LOG_TYPES = {
+    approved: 'disposal_approved',
+    completed: 'disposal_completed'
+};
+
+/**
+ * Carry an applied status change over to every device in the request's manifest and log it on
+ * each device; completed devices are retired (is_active = FALSE). Call it after applyDisposalTransition.
+ * `request` is the row as it was before the move. Returns the number of devices updated.
+ */
+export const cascadeDisposalStatusToDevices = async (executeQuery, { request, toStatus, performedBy, performedByName = null, details = {}, ipAddress = null, userAgent = null }) => {
+    const itemsResult = await executeQuery(
+        'SELECT device_id FROM disposal_request_items WHERE disposal_request_id = ?',
+        [request.id]
+    );
+
+    if (!itemsResult.success) return 0;
+
+    const newDisposalStatus = DEVICE_DISPOSAL_STATUSES[toStatus];
+
+    for (const item of itemsResult.data) {
+        await executeQuery(
+            toStatus === 'completed'
+                ? 'UPDATE devices SET disposal_status = ?, is_active = FALSE WHERE id = ?'
+                : 'UPDATE devices SET disposal_status = ? WHERE id = ?',
+            [newDisposalStatus, item.device_id]
+        );
+
+        await executeQuery(`
+            INSERT INTO device_activity_logs (
+                device_id, log_type, action_description, performed_by, related_disposal_id,
+                previous_status, new_status, metadata, notes, ip_address, user_agent
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            item.device_id,
+            DEVICE_LOG_TYPES[toStatus] || 'status_change',
+            `Disposal status updated to ${toStatus} for request ${request.request_id}`,
+            performedBy || null,
+            request.id,
+            request.status,
+            toStatus,
+            JSON.stringify({
+                disposal_request_id: request.request_id,
+                status_change: `${request.status} → ${toStatus}`,
+                device_disposal_status: newDisposalStatus,
+                ...details
+            }),
+            details.vendor_notes || `Status updated by ${performedByName || 'system'}`,
+            ipAddress,
+            userAgent
+        ]);
+    }
+
+    return itemsResult.data.length;
+};
+
+// Request details a department may edit while the request is pending (or re-submit after rejection)
+export const DISPOSAL_EDITABLE_FIELDS = {
+    pickup_address: 'Pickup address',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    contact_phone: 'Contact phone',
+    preferred_date: 'Preferred date',
+    preferred_time_slot: 'Time slot',
+    e_waste_description: 'Description',
+    weight_kg: 'Weight (kg)',
+    estimated_value: 'Estimated value',
+    additional_notes: 'Additional notes'
+};
+
+const NUMERIC_EDITABLE_FIELDS = ['latitude', 'longitude', 'weight_kg', 'estimated_value'];
+
+// Comparable form of a stored or submitted value: numbers as numbers, dates as YYYY-MM-DD, blanks as null
+const normalizeEditValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (NUMERIC_EDITABLE_FIELDS.includes(field)) return parseFloat(value);
+    if (field === 'preferred_date') {
+        return value instanceof Date ? value.toLocaleDateString('en-CA') : String(value).slice(0, 10);
+    }
+    return String(value).trim();
+};
+
+/**
+ * Diff the editable fields of a stored request against submitted updates.
+ * Only fields present in `updates` are compared. Returns [{ field, label, from, to }].
+ */
+export const diffDisposalFields = (request, updates) => Object.keys(DISPOSAL_EDITABLE_FIELDS)
+    .filter(field => field in updates)
+    .map(field => ({
+        field,
+        label: DISPOSAL_EDITABLE_FIELDS[field],
+        from: normalizeEditValue(field, request[field]),
+        to: normalizeEditValue(field, updates[field])
+    }))
+    .filter(change => change.from !== change.to);
+
+// Record an edit that did not change the status as a history entry carrying the diff
+export const recordDisposalEdit = async (executeQuery, { request, changedBy, source, changes, notes = 'Request edited' }) => {
+    await executeQuery(`
+        INSERT INTO disposal_status_history (disposal_request_id, old_status, new_status, changed_by, source, notes, changes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [request.id, request.status, request.status, changedBy || null, source, notes, JSON.stringify(changes)]);
+};
+
+// Parse the JSON changes column of a history row
+export const parseHistoryChanges = (row) => ({
+    ...row,
+    changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : (row.changes || null)
+});
+
+/**
+ * Edits and cancellations of each request, newest first, keyed by disposal_requests.id.
+ * Vendors read these so a moved or withdrawn pickup does not catch them out.
+ */
+export const getRequestChangeLogs = async (executeQuery, disposalRequestIds) => {
+    const byRequest = Object.fromEntries(disposalRequestIds.map(id => [id, []]));
+    if (disposalRequestIds.length === 0) return byRequest;
+
+    const result = await executeQuery(`
+        SELECT dsh.id, dsh.disposal_request_id, dsh.old_status, dsh.new_status, dsh.notes, dsh.changes, dsh.changed_at,
+            u.name as changed_by_name
+        FROM disposal_status_history dsh
+        LEFT JOIN users u ON dsh.changed_by = u.id
+        WHERE dsh.disposal_request_id IN (${disposalRequestIds.map(() => '?').join(', ')})
+            AND (dsh.changes IS NOT NULL OR dsh.new_status = 'cancelled')
+        ORDER BY dsh.changed_at DESC, dsh.id DESC
+    `, disposalRequestIds);
+
+    if (!result.success) {
+        throw new Error('Failed to fetch disposal change history');
+    }
+
+    result.data.forEach(row => byRequest[row.disposal_request_id].push(parseHistoryChanges(row)));
+    return byRequest;
+};
+
+// Audit table for disposal status changes, created by both backends' migrations
+export const CREATE_DISPOSAL_STATUS_HISTORY_TABLE = `
+    CREATE TABLE IF NOT EXISTS disposal_status_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        disposal_request_id INT NOT NULL,
+        old_status VARCHAR(50),
+        new_status VARCHAR(50) NOT NULL,
+        changed_by INT,
+        source VARCHAR(20) NOT NULL,
+        notes TEXT,
+        changes JSON,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (disposal_request_id) REFERENCES disposal_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_disposal_request_id (disposal_request_id),
+        INDEX idx_changed_at (changed_at)
+    )
+`;
+
+// Existing installs: edits record their diff alongside the history entry
+export const ADD_STATUS_HISTORY_CHANGES_COLUMN = `
+    ALTER TABLE disposal_status_history
+    ADD COLUMN IF NOT EXISTS changes JSON NULL AFTER notes
+`;
@@ -0,0 +1,228 @@
+// E-waste line items shared by the WMS4 and Center backends.
+// Departments break a disposal request down into the Schedule I categories of the
+// E-Waste (Management) Rules, 2016 (ITEW/CEEW codes) with quantities, weights and hazards.
+
+// Hazardous components and how they must be handled at pickup
+export const HAZARD_TYPES = {
+    lithium_battery: {
+        label: 'Lithium batteries',
+        handling: 'Tape or cap the terminals and pack in non-conductive containers; damaged cells are a fire risk.'
+    },
+    lead_acid_battery: {
+        label: 'Lead-acid batteries (UPS)',
+        handling: 'Keep upright in leak-proof trays; acid and lead go to a registered battery recycler.'
+    },
+    other_battery: {
+        label: 'Other batteries (NiCd, NiMH, alkaline)',
+        handling: 'Collect separately in a closed container; cadmium cells are toxic.'
+    },
+    crt: {
+        label: 'Cathode ray tubes (CRT)',
+        handling: 'Do not break; transport padded and upright, leaded glass needs an authorised CRT recycler.'
+    },
+    pcb: {
+        label: 'Printed circuit boards',
+        handling: 'Contain lead and brominated flame retardants; no dismantling or burning outside an authorised facility.'
+    },
+    mercury: {
+        label: 'Mercury lamps and backlights',
+        handling: 'Pack intact in sealed boxes; a broken lamp releases mercury vapour.'
+    },
+    refrigerant: {
+        label: 'Refrigerants (CFC/HCFC/HFC)',
+        handling: 'Keep the cooling circuit intact; refrigerant must be recovered by a certified technician.'
+    },
+    toner: {
+        label: 'Toner and ink cartridges',
+        handling: 'Bag cartridges to contain toner dust.'
+    }
+};
+
+// Schedule I categories, with the hazards their devices usually contain
+export const EWASTE_CATEGORIES = [
+    { code: 'ITEW1', group: 'IT and telecommunication', name: 'Centralised data processing (mainframes, minicomputers)', default_hazards: ['pcb'] },
+    { code: 'ITEW2', group: 'IT and telecommunication', name: 'Personal computers (CPU with input and output devices)', default_hazards: ['pcb'] },
+    { code: 'ITEW3', group: 'IT and telecommunication', name: 'Laptop computers', default_hazards: ['lithium_battery', 'pcb'] },
+    { code: 'ITEW4', group: 'IT and telecommunication', name: 'Notebook computers', default_hazards: ['lithium_battery', 'pcb'] },
+    { code: 'ITEW5', group: 'IT and telecommunication', name: 'Notepad computers', default_hazards: ['lithium_battery', 'pcb'] },
+    { code: 'ITEW6', group: 'IT and telecommunication', name: 'Printers including cartridges', default_hazards: ['toner'] },
+    { code: 'ITEW7', group: 'IT and telecommunication', name: 'Copying equipment', default_hazards: ['toner'] },
+    { code: 'ITEW8', group: 'IT and telecommunication', name: 'Electrical and electronic typewriters', default_hazards: [] },
+    { code: 'ITEW9', group: 'IT and telecommunication', name: 'User terminals and systems', default_hazards: ['pcb'] },
+    { code: 'ITEW10', group: 'IT and telecommunication', name: 'Facsimile', default_hazards: [] },
+    { code: 'ITEW11', group: 'IT and telecommunication', name: 'Telex', default_hazards: [] },
+    { code: 'ITEW12', group: 'IT and telecommunication', name: 'Telephones', default_hazards: [] },
+    { code: 'ITEW13', group: 'IT and telecommunication', name: 'Pay telephones', default_hazards: [] },
+    { code: 'ITEW14', group: 'IT and telecommunication', name: 'Cordless telephones', default_hazards: ['other_battery'] },
+    { code: 'ITEW15', group: 'IT and telecommunication', name: 'Cellular telephones', default_hazards: ['lithium_battery'] },
+    { code: 'ITEW16', group: 'IT and telecommunication', name: 'Answering systems', default_hazards: [] },
+    { code: 'CEEW1', group: 'Consumer electrical and electronics', name: 'Television sets (including LCD and LED)', default_hazards: [] },
+    { code: 'CEEW2', group: 'Consumer electrical and electronics', name: 'Refrigerators', default_hazards: ['refrigerant'] },
+    { code: 'CEEW3', group: 'Consumer electrical and electronics', name: 'Washing machines', default_hazards: [] },
+    { code: 'CEEW4', group: 'Consumer electrical and electronics', name: 'Air-conditioners (excluding centralised plants)', default_hazards: ['refrigerant'] },
+    { code: 'CEEW5', group: 'Consumer electrical and electronics', name: 'Fluorescent and other mercury-containing lamps', default_hazards: ['mercury'] },
+    { code: 'OTHER', group: 'Other', name: 'Other electrical and electronic equipment', default_hazards: [] }
+];
+
+const MAX_LINE_ITEMS = 50;
+
+export const getEWasteCategory = (code) => EWASTE_CATEGORIES.find(category => category.code === code) || null;
+
+/**
+ * Validate the category line items of a disposal request (optional, so undefined is fine).
+ * Returns an array of { field, message } (empty when valid).
+ */
+export const validateLineItems = (lineItems) => {
+    const errors = [];
+    if (lineItems === undefined || lineItems === null) return errors;
+
+    if (!Array.isArray(lineItems) || lineItems.length > MAX_LINE_ITEMS) {
+        errors.push({ field: 'line_items', message: `Line items must be a list of up to ${MAX_LINE_ITEMS} categories` });
+        return errors;
+    }
+
+    lineItems.forEach((item, index) => {
+        if (!item || !getEWasteCategory(item.category_code)) {
+            errors.push({ field: `line_items[${index}].category_code`, message: 'Choose an e-waste category' });
+        }
+        if (!item || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) {
+            errors.push({ field: `line_items[${index}].quantity`, message: 'Quantity must be a whole number of at least 1' });
+        }
+        const weight = item?.weight_kg;
+        if (weight !== undefined && weight !== null && weight !== '' && (isNaN(weight) || parseFloat(weight) <= 0 || parseFloat(weight) > 100000)) {
+            errors.push({ field: `line_items[${index}].weight_kg`, message: 'Weight must be a positive number of kg' });
+        }
+        const hazards = item?.hazard_types ?? [];
+        if (!Array.isArray(hazards) || hazards.some(hazard => !HAZARD_TYPES[hazard])) {
+            errors.push({ field: `line_items[${index}].hazard_types`, message: 'Unknown hazard type' });
+        }
+        if (item?.description && String(item.description).length > 255) {
+            errors.push({ field: `line_items[${index}].description`, message: 'Description cannot exceed 255 characters' });
+        }
+    });
+
+    return errors;
+};
+
+// Line item as stored; an item is hazardous when any hazard is ticked
+export const normalizeLineItem = (item) => {
+    const hazardTypes = [...new Set(item.hazard_types || [])];
+    return {
+        category_code: item.category_code,
+        description: item.description ? String(item.description).trim() : null,
+        quantity: parseInt(item.quantity),
+        weight_kg: item.weight_kg === undefined || item.weight_kg === null || item.weight_kg === ''
+            ? null
+            : Math.round(parseFloat(item.weight_kg) * 100) / 100,
+        hazardous: hazardTypes.length > 0,
+        hazard_types: hazardTypes
+    };
+};
+
+// Total weight of the items that were weighed, or null when none were
+export const getLineItemsWeight = (lineItems) => {
+    const weighed = lineItems.filter(item => item.weight_kg !== null && item.weight_kg !== undefined);
+    if (weighed.length === 0) return null;
+    return Math.round(weighed.reduce((total, item) => total + parseFloat(item.weight_kg), 0) * 100) / 100;
+};
+
+// Special handling needed for the hazards present, one entry per hazard type
+export const getHandlingWarnings = (lineItems) => {
+    const warnings = {};
+    lineItems.forEach(item => {
+        (item.hazard_types || []).forEach(hazard => {
+            warnings[hazard] = warnings[hazard] || { hazard_type: hazard, ...HAZARD_TYPES[hazard], categories: [] };
+            if (!warnings[hazard].categories.includes(item.category_code)) {
+                warnings[hazard].categories.push(item.category_code);
+            }
+        });
+    });
+    return Object.values(warnings);
+};
+
+export const CREATE_DISPOSAL_LINE_ITEMS_TABLE = `
+    CREATE TABLE IF NOT EXISTS disposal_request_line_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        disposal_request_id INT NOT NULL,
+        category_code VARCHAR(10) NOT NULL,
+        description VARCHAR(255),
+        quantity INT NOT NULL DEFAULT 1,
+        weight_kg DECIMAL(10, 2),
+        hazardous BOOLEAN DEFAULT FALSE,
+        hazard_types JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (disposal_request_id) REFERENCES disposal_requests(id) ON DELETE CASCADE,
+        INDEX idx_disposal_request_id (disposal_request_id),
+        INDEX idx_category_code (category_code),
+        INDEX idx_hazardous (hazardous)
+    )
+`;
+
+// Stored row with its JSON column parsed and the category name attached
+export const formatLineItem = (row) => ({
+    ...row,
+    category_name: getEWasteCategory(row.category_code)?.name || row.category_code,
+    weight_kg: row.weight_kg !== null ? parseFloat(row.weight_kg) : null,
+    hazardous: Boolean(row.hazardous),
+    hazard_types: typeof row.hazard_types === 'string' ? JSON.parse(row.hazard_types) : (row.hazard_types || [])
+});
+
+// Line items of several requests at once, keyed by disposal request id
+export const getRequestLineItems = async (executeQuery, disposalRequestIds) => {
+    const byRequest = Object.fromEntries(disposalRequestIds.map(id => [id, []]));
+    if (disposalRequestIds.length === 0) return byRequest;
+
+    const result = await executeQuery(`
+        SELECT * FROM disposal_request_line_items
+        WHERE disposal_request_id IN (${disposalRequestIds.map(() => '?').join(', ')})
+        ORDER BY id ASC
+    `, disposalRequestIds);
+
+    if (!result.success) {
+        throw new Error('Failed to fetch disposal line items');
+    }
+
+    result.data.forEach(row => byRequest[row.disposal_request_id].push(formatLineItem(row)));
+    return byRequest;
+};
+
+/**
+ * Aggregate line items (of one or many requests) by category.
+ * Returns [{ category_code, category_name, group, quantity, weight_kg, hazardous_weight_kg, hazard_types, request_count }]
+ * sorted by weight, heaviest first.
+ */
+export const summariseByCategory = (lineItems) => {
+    const summary = {};
+
+    lineItems.forEach(item => {
+        const category = getEWasteCategory(item.category_code);
+        const row = summary[item.category_code] = summary[item.category_code] || {
+            category_code: item.category_code,
+            category_name: category?.name || item.category_code,
+            group: category?.group || 'Other',
+            quantity: 0,
+            weight_kg: 0,
+            hazardous_weight_kg: 0,
+            hazard_types: [],
+            request_ids: new Set()
+        };
+        const weight = item.weight_kg !== null && item.weight_kg !== undefined ? parseFloat(item.weight_kg) : 0;
+
+        row.quantity += item.quantity;
+        row.weight_kg += weight;
+        if (item.hazardous) row.hazardous_weight_kg += weight;
+        (item.hazard_types || []).forEach(hazard => {
+            if (!row.hazard_types.includes(hazard)) row.hazard_types.push(hazard);
+        });
+        if (item.disposal_request_id) row.request_ids.add(item.disposal_request_id);
+    });
+
+    return Object.values(summary)
+        .map(({ request_ids, ...row }) => ({
+            ...row,
+            weight_kg: Math.round(row.weight_kg * 100) / 100,
+            hazardous_weight_kg: Math.round(row.hazardous_weight_kg * 100) / 100,
+            request_count: request_ids.size
+        }))
+        .sort((a, b) => b.weight_kg - a.weight_kg);
+};
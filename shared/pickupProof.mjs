@@ -0,0 +1,170 @@
+// Proof of pickup shared by the WMS4 and Center backends.
+// Vendors complete a pickup from Center with weighed quantities, photos, the department
+// contact's handover signature and the driver's name; WMS4 shows it on the request.
+
+// A request only reaches this status through the pickup completion endpoint
+export const PICKUP_PROOF_STATUS = 'pickup_completed';
+
+export const PICKUP_PROOF_REQUIRED_MESSAGE = 'Completing a pickup requires proof of pickup, use the pickup completion form';
+
+// Weighed total this far from the declared weight (either way) is flagged for review
+export const WEIGHT_VARIANCE_THRESHOLD_PERCENT = 10;
+
+export const MAX_PROOF_PHOTOS = 6;
+
+// Photos and signatures arrive as base64 data URLs; the client downsizes photos before upload
+const MAX_PHOTO_LENGTH = 1500000;
+const MAX_SIGNATURE_LENGTH = 500000;
+const IMAGE_DATA_URL = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/;
+
+const isPositiveNumber = (value) => value !== undefined && value !== null && value !== '' && !isNaN(value) && parseFloat(value) > 0;
+
+// Sum of the weighed category rows, rounded to the column's precision
+export const getActualWeight = (categoryWeights) =>
+    Math.round(categoryWeights.reduce((total, row) => total + parseFloat(row.weight_kg), 0) * 100) / 100;
+
+/**
+ * Compare the weighed total against the weight declared on the request.
+ * Returns { variance_kg, variance_percent, flagged }; both values are null when nothing was declared.
+ */
+export const getWeightVariance = (declaredKg, actualKg) => {
+    const declared = parseFloat(declaredKg);
+    if (!declared) {
+        return { variance_kg: null, variance_percent: null, flagged: false };
+    }
+
+    const varianceKg = Math.round((actualKg - declared) * 100) / 100;
+    const variancePercent = Math.round(varianceKg / declared * 10000) / 100;
+
+    return {
+        variance_kg: varianceKg,
+        variance_percent: variancePercent,
+        flagged: Math.abs(variancePercent) > WEIGHT_VARIANCE_THRESHOLD_PERCENT
+    };
+};
+
+/**
+ * Validate a pickup completion body from a vendor.
+ * Returns an array of { field, message } (empty when the proof is complete).
+ */
+export const validatePickupProof = ({ category_weights, item_count, photos, signature, signed_by_name, driver_name, notes }) => {
+    const errors = [];
+
+    if (!Array.isArray(category_weights) || category_weights.length === 0 || category_weights.length > 50) {
+        errors.push({ field: 'category_weights', message: 'Enter the weighed kg for between 1 and 50 categories' });
+    } else {
+        category_weights.forEach((row, index) => {
+            if (!row || typeof row.category !== 'string' || !row.category.trim() || row.category.length > 100) {
+                errors.push({ field: `category_weights[${index}].category`, message: 'Category is required (up to 100 characters)' });
+            }
+            if (!row || !isPositiveNumber(row.weight_kg) || parseFloat(row.weight_kg) > 100000) {
+                errors.push({ field: `category_weights[${index}].weight_kg`, message: 'Weight must be a positive number of kg' });
+            }
+        });
+
+        const categories = category_weights.map(row => String(row?.category || '').trim().toLowerCase());
+        if (new Set(categories).size !== categories.length) {
+            errors.push({ field: 'category_weights', message: 'Each category can only be listed once' });
+        }
+    }
+
+    if (item_count === undefined || item_count === null || item_count === '' || !Number.isInteger(Number(item_count)) || Number(item_count) < 0) {
+        errors.push({ field: 'item_count', message: 'Item count must be a whole number' });
+    }
+
+    if (!Array.isArray(photos) || photos.length === 0 || photos.length > MAX_PROOF_PHOTOS) {
+        errors.push({ field: 'photos', message: `Attach between 1 and ${MAX_PROOF_PHOTOS} photos of the loaded items` });
+    } else if (photos.some(photo => typeof photo !== 'string' || photo.length > MAX_PHOTO_LENGTH || !IMAGE_DATA_URL.test(photo))) {
+        errors.push({ field: 'photos', message: 'Photos must be JPEG, PNG or WebP images under 1 MB each' });
+    }
+
+    if (typeof signature !== 'string' || signature.length > MAX_SIGNATURE_LENGTH || !IMAGE_DATA_URL.test(signature)) {
+        errors.push({ field: 'signature', message: 'A handover signature from the department contact is required' });
+    }
+
+    if (typeof signed_by_name !== 'string' || !signed_by_name.trim() || signed_by_name.length > 100) {
+        errors.push({ field: 'signed_by_name', message: 'Name of the person signing is required (up to 100 characters)' });
+    }
+
+    if (typeof driver_name !== 'string' || !driver_name.trim() || driver_name.length > 100) {
+        errors.push({ field: 'driver_name', message: 'Driver name is required (up to 100 characters)' });
+    }
+
+    if (notes && String(notes).length > 1000) {
+        errors.push({ field: 'notes', message: 'Notes cannot exceed 1000 characters' });
+    }
+
+    return errors;
+};
+
+// One proof per request, with the declared weight and variance frozen at completion time
+export const CREATE_DISPOSAL_PICKUP_PROOFS_TABLE = `
+    CREATE TABLE IF NOT EXISTS disposal_pickup_proofs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        disposal_request_id INT NOT NULL UNIQUE,
+        vendor_id INT,
+        driver_name VARCHAR(100) NOT NULL,
+        signed_by_name VARCHAR(100) NOT NULL,
+        signature_image MEDIUMTEXT NOT NULL,
+        category_weights JSON NOT NULL,
+        actual_weight_kg DECIMAL(10, 2) NOT NULL,
+        actual_item_count INT NOT NULL,
+        declared_weight_kg DECIMAL(10, 2),
+        declared_item_count INT,
+        weight_variance_kg DECIMAL(10, 2),
+        weight_variance_percent DECIMAL(7, 2),
+        variance_flagged BOOLEAN DEFAULT FALSE,
+        notes TEXT,
+        collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (disposal_request_id) REFERENCES disposal_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (vendor_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_variance_flagged (variance_flagged)
+    )
+`;
+
+export const CREATE_DISPOSAL_PICKUP_PHOTOS_TABLE = `
+    CREATE TABLE IF NOT EXISTS disposal_pickup_photos (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        proof_id INT NOT NULL,
+        image MEDIUMTEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (proof_id) REFERENCES disposal_pickup_proofs(id) ON DELETE CASCADE,
+        INDEX idx_proof_id (proof_id)
+    )
+`;
+
+// Proof row with its JSON column parsed and numeric columns as numbers
+export const normalizePickupProof = (row) => ({
+    ...row,
+    category_weights: typeof row.category_weights === 'string' ? JSON.parse(row.category_weights) : row.category_weights,
+    actual_weight_kg: parseFloat(row.actual_weight_kg),
+    declared_weight_kg: row.declared_weight_kg !== null ? parseFloat(row.declared_weight_kg) : null,
+    weight_variance_kg: row.weight_variance_kg !== null ? parseFloat(row.weight_variance_kg) : null,
+    weight_variance_percent: row.weight_variance_percent !== null ? parseFloat(row.weight_variance_percent) : null,
+    variance_flagged: Boolean(row.variance_flagged)
+});
+
+// Load a request's proof with its photos, or null when the pickup has not been completed yet
+export const getPickupProof = async (executeQuery, disposalRequestId) => {
+    const proofResult = await executeQuery(`
+        SELECT dpp.*, u.name as vendor_name
+        FROM disposal_pickup_proofs dpp
+        LEFT JOIN users u ON dpp.vendor_id = u.id
+        WHERE dpp.disposal_request_id = ?
+    `, [disposalRequestId]);
+
+    if (!proofResult.success) {
+        throw new Error('Failed to fetch proof of pickup');
+    }
+
+    if (proofResult.data.length === 0) return null;
+
+    const proof = normalizePickupProof(proofResult.data[0]);
+
+    const photosResult = await executeQuery(
+        'SELECT id, image, created_at FROM disposal_pickup_photos WHERE proof_id = ? ORDER BY id ASC',
+        [proof.id]
+    );
+
+    return { ...proof, photos: photosResult.success ? photosResult.data : [] };
+};
@@ -0,0 +1,23 @@
+// Certificates of Recycling, shared by the WMS4 and Center backends.
+// Whoever completes a disposal request records how data-bearing media was destroyed;
+// WMS4 then issues the certificate PDF and pins it to IPFS.
+
+export const DATA_DESTRUCTION_METHODS = [
+    'Physical destruction (shredding)',
+    'Degaussing',
+    'Cryptographic erase',
+    'Software overwrite',
+    'No data-bearing media'
+];
+
+// Stored on the request when it is completed, printed on its certificate
+export const ADD_DATA_DESTRUCTION_METHOD_COLUMN = `
+    ALTER TABLE disposal_requests
+    ADD COLUMN IF NOT EXISTS data_destruction_method VARCHAR(100) NULL
+`;
+
+// CID of the issued certificate PDF, so the request links straight to it
+export const ADD_CERTIFICATE_CID_COLUMN = `
+    ALTER TABLE disposal_requests
+    ADD COLUMN IF NOT EXISTS recycling_certificate_cid VARCHAR(100) NULL
+`;
@@ -0,0 +1,273 @@
+// Center repair orders, shared with WMS4 so disposal candidates can be triaged into them.
+// Both backends pass in their own executeQuery; the orders and devices tables live in the same database.
+
+import { recordDisposalEdit } from './disposalStateMachine.mjs';
+
+// Manifest conditions worth a repair attempt before the device is recycled
+export const TRIAGE_CONDITIONS = ['fair', 'poor'];
+
+// Disposal statuses in which a device can still be pulled off the request, i.e. before pickup
+export const TRIAGE_REQUEST_STATUSES = ['pending', 'approved', 'pickup_scheduled'];
+
+// devices.disposal_status while a triaged device is at the repair center
+export const IN_REPAIR_STATUS = 'in_repair';
+
+// Order statuses that send a triaged device back to its department
+export const REPAIR_RETURN_STATUSES = ['completed', 'delivered', 'cancelled'];
+
+// Orders raised from a disposal request point back at the WMS4 device and request
+export const ADD_ORDER_DEVICE_COLUMNS = `
+    ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS device_id INT NULL,
+    ADD COLUMN IF NOT EXISTS disposal_request_id INT NULL
+`;
+
+// Generate unique order number
+const generateOrderNumber = () => {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    return `ORD${timestamp}${random}`;
+};
+
+/**
+ * Create a pending order with its opening status history entry.
+ * Returns { id, order_number }, or null when the insert fails.
+ */
+export const insertOrder = async (executeQuery, {
+    customerId,
+    repairCenterId = null,
+    deviceType,
+    deviceBrand = null,
+    deviceModel = null,
+    issueDescription,
+    priority = 'medium',
+    estimatedCost = null,
+    notes = null,
+    deviceId = null,
+    disposalRequestId = null
+}, changedBy) => {
+    const orderNumber = generateOrderNumber();
+
+    const result = await executeQuery(`
+        INSERT INTO orders (
+            order_number, customer_id, repair_center_id, device_type,
+            device_brand, device_model, issue_description, priority,
+            estimated_cost, notes, device_id, disposal_request_id, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+    `, [
+        orderNumber, customerId, repairCenterId, deviceType,
+        deviceBrand, deviceModel, issueDescription, priority,
+        estimatedCost, notes, deviceId, disposalRequestId
+    ]);
+
+    if (!result.success) return null;
+
+    const orderId = result.data.insertId;
+
+    await executeQuery(`
+        INSERT INTO order_status_history (order_id, new_status, changed_by, notes)
+        VALUES (?, 'pending', ?, 'Order created')
+    `, [orderId, changedBy]);
+
+    return { id: orderId, order_number: orderNumber };
+};
+
+// A device on a disposal request manifest, joined with the device columns triage needs
+export const findManifestItem = async (executeQuery, disposalRequestId, deviceId) => {
+    const result = await executeQuery(`
+        SELECT dri.id, COALESCE(dri.condition_status, d.condition_status) as condition_status,
+            d.id as device_db_id, d.device_id, d.device_name, d.device_type, d.brand, d.model, d.disposal_status
+        FROM disposal_request_items dri
+        JOIN devices d ON dri.device_id = d.id
+        WHERE dri.disposal_request_id = ? AND (d.id = ? OR d.device_id = ?)
+    `, [disposalRequestId, deviceId, deviceId]);
+
+    return result.success && result.data.length > 0 ? result.data[0] : null;
+};
+
+// Active repair services a triaged device can be booked under
+export const getRepairServices = async (executeQuery) => {
+    const result = await executeQuery(`
+        SELECT id, name, description, price, estimated_time_hours
+        FROM products
+        WHERE service_type = 'repair' AND is_active = TRUE
+        ORDER BY name ASC
+    `);
+
+    return result.success ? result.data : [];
+};
+
+// Customer record of a user, created on first use (departments become customers when they triage)
+const getOrCreateCustomer = async (executeQuery, userId) => {
+    const existing = await executeQuery('SELECT id FROM customers WHERE user_id = ?', [userId]);
+    if (existing.success && existing.data.length > 0) return existing.data[0].id;
+
+    const created = await executeQuery(
+        'INSERT INTO customers (user_id, customer_code) VALUES (?, ?)',
+        [userId, `CUST${String(userId).padStart(6, '0')}`]
+    );
+
+    return created.success ? created.data.insertId : null;
+};
+
+// Record a leg of the repair trip in the device's activity log
+const logRepairActivity = async (executeQuery, { deviceId, description, performedBy, disposalRequestId = null, previousStatus, newStatus, previousCondition = null, newCondition = null, metadata, notes = null }) => {
+    await executeQuery(`
+        INSERT INTO device_activity_logs (
+            device_id, log_type, action_description, performed_by, related_disposal_id,
+            previous_condition, new_condition, previous_status, new_status, metadata, notes
+        ) VALUES (?, 'repair', ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        deviceId, description, performedBy, disposalRequestId,
+        previousCondition, newCondition, previousStatus, newStatus,
+        JSON.stringify(metadata), notes
+    ]);
+};
+
+/**
+ * Move a device off a disposal request into a Center repair order.
+ * `item` is a manifest row joined with its device (device_db_id, device_id, device_type, brand, model,
+ * condition_status). The order is raised for the department user who created the request.
+ * Returns { success: true, order } or { success: false, httpStatus, message }.
+ */
+export const triageDeviceToRepair = async (executeQuery, { request, item, performedBy, source, issueDescription, priority = 'medium', productId = null }) => {
+    if (!TRIAGE_REQUEST_STATUSES.includes(request.status)) {
+        return { success: false, httpStatus: 409, message: `Devices can no longer be sent for repair once a request is ${request.status}` };
+    }
+
+    if (!TRIAGE_CONDITIONS.includes(item.condition_status)) {
+        return { success: false, httpStatus: 409, message: `Only devices in ${TRIAGE_CONDITIONS.join(' or ')} condition are triaged for repair` };
+    }
+
+    let product = null;
+    if (productId) {
+        const productResult = await executeQuery(
+            "SELECT id, name, price FROM products WHERE id = ? AND service_type = 'repair' AND is_active = TRUE",
+            [productId]
+        );
+        if (!productResult.success || productResult.data.length === 0) {
+            return { success: false, httpStatus: 400, message: 'Repair service not found' };
+        }
+        product = productResult.data[0];
+    }
+
+    const customerId = await getOrCreateCustomer(executeQuery, request.created_by || performedBy);
+    if (!customerId) {
+        return { success: false, httpStatus: 500, message: 'Could not set up the department as a repair customer' };
+    }
+
+    const order = await insertOrder(executeQuery, {
+        customerId,
+        deviceType: item.device_type,
+        deviceBrand: item.brand,
+        deviceModel: item.model,
+        issueDescription: issueDescription || `${item.device_name || item.device_id} in ${item.condition_status} condition, assess and repair before recycling`,
+        priority,
+        estimatedCost: product?.price ?? null,
+        notes: `Repair-before-recycle triage of ${item.device_id} from disposal request ${request.request_id} (${request.department})`,
+        deviceId: item.device_db_id,
+        disposalRequestId: request.id
+    }, performedBy);
+
+    if (!order) {
+        return { success: false, httpStatus: 500, message: 'Failed to create repair order' };
+    }
+
+    if (product) {
+        await executeQuery(`
+            INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price)
+            VALUES (?, ?, 1, ?, ?)
+        `, [order.id, product.id, product.price, product.price]);
+    }
+
+    const manifestResult = await executeQuery(`
+        SELECT d.device_id FROM disposal_request_items dri
+        JOIN devices d ON dri.device_id = d.id
+        WHERE dri.disposal_request_id = ?
+        ORDER BY dri.added_at ASC
+    `, [request.id]);
+    const manifest = manifestResult.success ? manifestResult.data.map(row => row.device_id) : [];
+
+    await executeQuery('DELETE FROM disposal_request_items WHERE id = ?', [item.id]);
+    await executeQuery(`
+        UPDATE disposal_requests
+        SET item_count = (SELECT COUNT(*) FROM disposal_request_items WHERE disposal_request_id = ?)
+        WHERE id = ?
+    `, [request.id, request.id]);
+    await executeQuery('UPDATE devices SET disposal_status = ? WHERE id = ?', [IN_REPAIR_STATUS, item.device_db_id]);
+
+    await logRepairActivity(executeQuery, {
+        deviceId: item.device_db_id,
+        description: `Sent for repair under order ${order.order_number} instead of disposal request ${request.request_id}`,
+        performedBy,
+        disposalRequestId: request.id,
+        previousStatus: item.disposal_status || null,
+        newStatus: IN_REPAIR_STATUS,
+        metadata: {
+            order_id: order.id,
+            order_number: order.order_number,
+            disposal_request_id: request.request_id,
+            source
+        },
+        notes: issueDescription || null
+    });
+
+    await recordDisposalEdit(executeQuery, {
+        request,
+        changedBy: performedBy,
+        source,
+        notes: `${item.device_id} sent for repair (order ${order.order_number})`,
+        changes: [{
+            field: 'devices',
+            label: 'Devices',
+            from: manifest.join(', ') || null,
+            to: manifest.filter(deviceId => deviceId !== item.device_id).join(', ') || null
+        }]
+    });
+
+    return { success: true, order };
+};
+
+/**
+ * Return a triaged device to its department once its repair order is finished or called off.
+ * Repaired devices come back in good condition; a cancelled order returns the device as it was.
+ * No-op for orders without a device, or when the device has already been returned.
+ */
+export const returnRepairedDevice = async (executeQuery, { order, status, performedBy }) => {
+    if (!order.device_id || !REPAIR_RETURN_STATUSES.includes(status)) return false;
+
+    const deviceResult = await executeQuery(
+        'SELECT id, disposal_status, condition_status, current_department FROM devices WHERE id = ?',
+        [order.device_id]
+    );
+    const device = deviceResult.success ? deviceResult.data[0] : null;
+    if (!device || device.disposal_status !== IN_REPAIR_STATUS) return false;
+
+    const repaired = status !== 'cancelled';
+    const newCondition = repaired ? 'good' : device.condition_status;
+
+    await executeQuery(
+        'UPDATE devices SET disposal_status = NULL, is_active = TRUE, condition_status = ? WHERE id = ?',
+        [newCondition, device.id]
+    );
+
+    await logRepairActivity(executeQuery, {
+        deviceId: device.id,
+        description: repaired
+            ? `Repaired under order ${order.order_number} and returned to ${device.current_department}`
+            : `Repair order ${order.order_number} cancelled, returned to ${device.current_department} unrepaired`,
+        performedBy,
+        disposalRequestId: order.disposal_request_id,
+        previousStatus: IN_REPAIR_STATUS,
+        newStatus: null,
+        previousCondition: device.condition_status,
+        newCondition,
+        metadata: {
+            order_id: order.id,
+            order_number: order.order_number,
+            order_status: status
+        }
+    });
+
+    return true;
+};
@@ -0,0 +1,267 @@
+// Vendor pickup capacity shared by the WMS4 and Center backends.
+// Vendors configure their slots, per-slot limits and blackout dates from Center;
+// WMS4 offers departments only slots some vendor can still take, and Center refuses
+// to schedule a pickup into a full slot.
+
+// Slots offered by the WMS4 disposal request form
+export const DEFAULT_TIME_SLOTS = [
+    '9:00 AM - 11:00 AM',
+    '11:00 AM - 1:00 PM',
+    '1:00 PM - 3:00 PM',
+    '3:00 PM - 5:00 PM'
+];
+
+// Statuses whose pickup_datetime occupies a slot
+export const BOOKED_STATUSES = ['pickup_scheduled', 'out_for_pickup', 'pickup_completed'];
+
+// "9:00 AM" or "14:30" -> minutes after midnight
+export const parseClock = (value) => {
+    const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(String(value).trim());
+    if (!match) return null;
+    let hours = parseInt(match[1]);
+    if (match[3]) hours = hours % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+    return hours * 60 + parseInt(match[2]);
+};
+
+// "9:00 AM - 11:00 AM" -> { start, end } in minutes, or null when it is not a time range
+export const parseTimeSlot = (slot) => {
+    if (!slot) return null;
+    const [from, to] = slot.split('-');
+    if (!from || !to) return null;
+    const start = parseClock(from);
+    const end = parseClock(to);
+    return start !== null && end !== null && end > start ? { start, end } : null;
+};
+
+// Local YYYY-MM-DD of a Date
+export const toDateKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Label of the slot a pickup time falls in, or null
+export const findSlotForDatetime = (datetime, slots) => {
+    const d = new Date(datetime);
+    const minutes = d.getHours() * 60 + d.getMinutes();
+    return slots.find(slot => {
+        const window = parseTimeSlot(slot);
+        return window && minutes >= window.start && minutes < window.end;
+    }) || null;
+};
+
+const parseJsonColumn = (value, fallback) => {
+    if (value === null || value === undefined) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Availability row with JSON columns parsed
+export const normalizeAvailability = (row) => ({
+    ...row,
+    slots: parseJsonColumn(row.slots, DEFAULT_TIME_SLOTS),
+    working_days: parseJsonColumn(row.working_days, [1, 2, 3, 4, 5, 6]),
+    max_pickups_per_slot: parseInt(row.max_pickups_per_slot),
+    truck_capacity_kg: parseFloat(row.truck_capacity_kg)
+});
+
+/**
+ * Bookings per vendor, date and slot between two dates (inclusive).
+ * Returns { [vendorId]: { [date]: { [slot]: { pickups, weight_kg } } } }
+ */
+export const getSlotBookings = async (executeQuery, { from, to, vendorId = null, excludeRequestId = null, slotsByVendor = {} }) => {
+    const conditions = [
+        `status IN (${BOOKED_STATUSES.map(() => '?').join(', ')})`,
+        'vendor_id IS NOT NULL',
+        'DATE(pickup_datetime) BETWEEN ? AND ?'
+    ];
+    const params = [...BOOKED_STATUSES, from, to];
+
+    if (vendorId) {
+        conditions.push('vendor_id = ?');
+        params.push(vendorId);
+    }
+    if (excludeRequestId) {
+        conditions.push('id != ?');
+        params.push(excludeRequestId);
+    }
+
+    const result = await executeQuery(`
+        SELECT id, vendor_id, pickup_datetime, weight_kg
+        FROM disposal_requests
+        WHERE ${conditions.join(' AND ')}
+    `, params);
+
+    const bookings = {};
+    for (const row of result.success ? result.data : []) {
+        const slot = findSlotForDatetime(row.pickup_datetime, slotsByVendor[row.vendor_id] || DEFAULT_TIME_SLOTS) || 'outside_slots';
+        const date = toDateKey(row.pickup_datetime);
+        const vendor = bookings[row.vendor_id] = bookings[row.vendor_id] || {};
+        const day = vendor[date] = vendor[date] || {};
+        const cell = day[slot] = day[slot] || { pickups: 0, weight_kg: 0 };
+        cell.pickups += 1;
+        cell.weight_kg += parseFloat(row.weight_kg) || 0;
+    }
+
+    return bookings;
+};
+
+// Blackout dates per vendor between two dates: { [vendorId]: { [date]: reason } }
+export const getBlackoutDates = async (executeQuery, { from, to, vendorId = null }) => {
+    const result = await executeQuery(`
+        SELECT vendor_id, blackout_date, reason
+        FROM vendor_blackout_dates
+        WHERE blackout_date BETWEEN ? AND ?${vendorId ? ' AND vendor_id = ?' : ''}
+    `, vendorId ? [from, to, vendorId] : [from, to]);
+
+    const blackouts = {};
+    for (const row of result.success ? result.data : []) {
+        blackouts[row.vendor_id] = blackouts[row.vendor_id] || {};
+        blackouts[row.vendor_id][toDateKey(row.blackout_date)] = row.reason || 'Unavailable';
+    }
+    return blackouts;
+};
+
+// Why a vendor can't take a pickup in a slot on a date, or null if it fits
+const getSlotProblem = (availability, date, slot, booked, weightKg, blackoutReason) => {
+    if (blackoutReason) return `Vendor is unavailable on ${date} (${blackoutReason})`;
+    if (!availability.working_days.includes(new Date(`${date}T00:00:00`).getDay())) return `Vendor does not collect on ${date}`;
+    if (!slot) return 'Pickup time is outside the vendor\'s time slots';
+    if (booked.pickups >= availability.max_pickups_per_slot) {
+        return `Slot ${slot} on ${date} is full (${booked.pickups}/${availability.max_pickups_per_slot} pickups)`;
+    }
+    if (booked.weight_kg + weightKg > availability.truck_capacity_kg) {
+        return `Slot ${slot} on ${date} would exceed truck capacity (${booked.weight_kg + weightKg}/${availability.truck_capacity_kg} kg)`;
+    }
+    return null;
+};
+
+/**
+ * Check that a vendor can take a pickup at `pickupDatetime`.
+ * Vendors that never configured availability are not limited.
+ * Returns { allowed: true } or { allowed: false, message }.
+ */
+export const checkPickupCapacity = async (executeQuery, { vendorId, pickupDatetime, weightKg = 0, requestId = null }) => {
+    const availabilityResult = await executeQuery('SELECT * FROM vendor_availability WHERE vendor_id = ?', [vendorId]);
+    if (!availabilityResult.success || availabilityResult.data.length === 0) return { allowed: true };
+
+    const availability = normalizeAvailability(availabilityResult.data[0]);
+    const date = toDateKey(pickupDatetime);
+    const slot = findSlotForDatetime(pickupDatetime, availability.slots);
+
+    const bookings = await getSlotBookings(executeQuery, {
+        from: date,
+        to: date,
+        vendorId,
+        excludeRequestId: requestId,
+        slotsByVendor: { [vendorId]: availability.slots }
+    });
+    const blackouts = await getBlackoutDates(executeQuery, { from: date, to: date, vendorId });
+
+    const booked = bookings[vendorId]?.[date]?.[slot] || { pickups: 0, weight_kg: 0 };
+    const problem = getSlotProblem(availability, date, slot, booked, parseFloat(weightKg) || 0, blackouts[vendorId]?.[date]);
+
+    return problem ? { allowed: false, message: problem } : { allowed: true };
+};
+
+/**
+ * Per date and slot utilisation for one vendor, for the Center calendar.
+ * Returns { availability, days: [{ date, blackout, working, slots: [{ slot, pickups, weight_kg, max_pickups, capacity_kg, full }] }] }
+ */
+export const getVendorCalendar = async (executeQuery, { vendorId, from, to }) => {
+    const availabilityResult = await executeQuery('SELECT * FROM vendor_availability WHERE vendor_id = ?', [vendorId]);
+    const configured = availabilityResult.success && availabilityResult.data.length > 0;
+    const availability = configured
+        ? normalizeAvailability(availabilityResult.data[0])
+        : normalizeAvailability({ vendor_id: vendorId, max_pickups_per_slot: 0, truck_capacity_kg: 0 });
+
+    const bookings = await getSlotBookings(executeQuery, { from, to, vendorId, slotsByVendor: { [vendorId]: availability.slots } });
+    const blackouts = await getBlackoutDates(executeQuery, { from, to, vendorId });
+
+    const days = [];
+    for (let d = new Date(`${from}T00:00:00`); d <= new Date(`${to}T00:00:00`); d.setDate(d.getDate() + 1)) {
+        const date = toDateKey(d);
+        const booked = bookings[vendorId]?.[date] || {};
+        days.push({
+            date,
+            blackout: blackouts[vendorId]?.[date] || null,
+            working: availability.working_days.includes(d.getDay()),
+            slots: [...availability.slots, ...(booked.outside_slots ? ['outside_slots'] : [])].map(slot => {
+                const cell = booked[slot] || { pickups: 0, weight_kg: 0 };
+                return {
+                    slot,
+                    pickups: cell.pickups,
+                    weight_kg: Math.round(cell.weight_kg * 100) / 100,
+                    max_pickups: configured ? availability.max_pickups_per_slot : null,
+                    capacity_kg: configured ? availability.truck_capacity_kg : null,
+                    full: configured && slot !== 'outside_slots' && (
+                        cell.pickups >= availability.max_pickups_per_slot || cell.weight_kg >= availability.truck_capacity_kg
+                    )
+                };
+            })
+        });
+    }
+
+    return { availability: configured ? availability : null, days };
+};
+
+/**
+ * Slots a department can still ask for between two dates: a slot is open while at least one
+ * vendor with configured availability can take one more pickup in it. When no vendor has
+ * configured availability yet, every default slot is open.
+ * Returns [{ date, slots: [{ slot, open, vendors_available }] }]
+ */
+export const getOpenSlots = async (executeQuery, { from, to }) => {
+    const availabilityResult = await executeQuery('SELECT * FROM vendor_availability');
+    const vendors = availabilityResult.success ? availabilityResult.data.map(normalizeAvailability) : [];
+
+    const slotsByVendor = Object.fromEntries(vendors.map(vendor => [vendor.vendor_id, vendor.slots]));
+    const bookings = vendors.length > 0 ? await getSlotBookings(executeQuery, { from, to, slotsByVendor }) : {};
+    const blackouts = vendors.length > 0 ? await getBlackoutDates(executeQuery, { from, to }) : {};
+
+    const days = [];
+    for (let d = new Date(`${from}T00:00:00`); d <= new Date(`${to}T00:00:00`); d.setDate(d.getDate() + 1)) {
+        const date = toDateKey(d);
+        days.push({
+            date,
+            slots: DEFAULT_TIME_SLOTS.map(slot => {
+                if (vendors.length === 0) return { slot, open: true, vendors_available: null };
+
+                const available = vendors.filter(vendor => vendor.slots.includes(slot) && !getSlotProblem(
+                    vendor,
+                    date,
+                    slot,
+                    bookings[vendor.vendor_id]?.[date]?.[slot] || { pickups: 0, weight_kg: 0 },
+                    0,
+                    blackouts[vendor.vendor_id]?.[date]
+                ));
+                return { slot, open: available.length > 0, vendors_available: available.length };
+            })
+        });
+    }
+
+    return days;
+};
+
+export const CREATE_VENDOR_AVAILABILITY_TABLE = `
+    CREATE TABLE IF NOT EXISTS vendor_availability (
+        vendor_id INT PRIMARY KEY,
+        slots JSON NOT NULL,
+        working_days JSON NOT NULL,
+        max_pickups_per_slot INT NOT NULL DEFAULT 2,
+        truck_capacity_kg DECIMAL(10, 2) NOT NULL DEFAULT 500,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (vendor_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+`;
+
+export const CREATE_VENDOR_BLACKOUT_DATES_TABLE = `
+    CREATE TABLE IF NOT EXISTS vendor_blackout_dates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        vendor_id INT NOT NULL,
+        blackout_date DATE NOT NULL,
+        reason VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (vendor_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_vendor_date (vendor_id, blackout_date),
+        INDEX idx_blackout_date (blackout_date)
+    )
+`;